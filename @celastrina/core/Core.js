@@ -70,6 +70,22 @@ function instanceOfCelastringType(type, source) {
     else
         return false;
 }
+/**
+ * Encodes with the URL and filename safe base64 alphabet without padding, as the 'base64url' Buffer encoding does on
+ * versions of node that have it.
+ * @param {Buffer} buffer
+ * @return {string}
+ */
+function toBase64URL(buffer) {
+    return buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+/**
+ * @param {string} value URL and filename safe base64, with or without padding.
+ * @return {Buffer}
+ */
+function fromBase64URL(value) {
+    return Buffer.from(value.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
 /**
  * CelastrinaError
  * @author Robert R Murrell
@@ -177,6 +193,406 @@ class CelastrinaValidationError extends CelastrinaError {
             return new CelastrinaValidationError("Unhandled Exception.",code, drop, tag);
     }
 }
+/**
+ * CelastrinaCompositeValidationError
+ * @description A validation error holding every field failure of a request. It keeps the CelastrinaValidationError
+ *              type so it is handled anywhere a validation error is, and its tag is the comma separated list of paths.
+ * @author Robert R Murrell
+ */
+class CelastrinaCompositeValidationError extends CelastrinaValidationError {
+    /**
+     * @param {string} [message="One or more validation errors occurred."]
+     * @param {int} [code=400]
+     * @param {boolean} [drop=false]
+     * @param {Array<{path: string, message: string, code: (undefined|string)}>} [errors=[]]
+     * @param {Error} [cause=null]
+     */
+    constructor(message = "One or more validation errors occurred.", code = 400, drop = false, errors = [],
+                cause = null) {
+        super(message, code, drop, "", cause);
+        /**@type{Array<{path: string, message: string, code: string}>}*/this._errors = [];
+        if(!Array.isArray(errors))
+            throw CelastrinaValidationError.newValidationError(
+                "[CelastrinaCompositeValidationError][errors]: Invalid array. Argument must be an array.", "errors");
+        for(let _error of errors) {
+            this.addError(_error.path, _error.message, _error.code);
+        }
+    }
+    /**@return{Array<{path: string, message: string, code: string}>}*/get errors() {return this._errors;}
+    /**@return{boolean}*/get hasErrors() {return this._errors.length > 0;}
+    /**
+     * @param {string} path The path of the field in error, for example 'body.address.zip'.
+     * @param {string} message
+     * @param {string} [code="invalid"] A stable, machine readable reason such as 'required' or 'pattern'.
+     * @return {CelastrinaCompositeValidationError}
+     */
+    addError(path, message, code = "invalid") {
+        if(typeof path !== "string")
+            throw CelastrinaValidationError.newValidationError(
+                "[CelastrinaCompositeValidationError.addError(path, message, code)][path]: Invalid string. Argument cannot be 'undefined' or null.",
+                "path");
+        if(typeof message !== "string" || message.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[CelastrinaCompositeValidationError.addError(path, message, code)][message]: Invalid string. Argument cannot be null or zero length.",
+                "message");
+        if(typeof code !== "string" || code.trim().length === 0) code = "invalid";
+        if(!this._errors.some((_error) => _error.path === path && _error.message === message && _error.code === code)) {
+            this._errors.push({path: path, message: message, code: code});
+            this.tag = this._errors.map((_error) => _error.path).join(",");
+        }
+        return this;
+    }
+    /**
+     * Merges the failures of another error into this one. Composite errors contribute all of their failures, any other
+     * error contributes one failure using its tag as the path.
+     * @param {*} error
+     * @return {CelastrinaCompositeValidationError}
+     */
+    merge(error) {
+        if(CelastrinaCompositeValidationError.isComposite(error)) {
+            for(let _error of error.errors) {
+                this.addError(_error.path, _error.message, _error.code);
+            }
+        }
+        else {
+            let _error = CelastrinaValidationError.wrapValidationError(error);
+            this.addError(_error.tag, _error.message);
+        }
+        return this;
+    }
+    /**@return {string}*/toString() {
+        return super.toString() + " " + JSON.stringify(this._errors);
+    }
+    /**@return {{name: string, message: string, tag: (null|string), code: number, cause: (null|string), drop: boolean, errors: Array<{path: string, message: string, code: string}>}}*/
+    toJSON() {
+        return {name: this.name, message: this.message, tag: (this.tag.length > 0) ? this.tag : null, code: this.code,
+                cause: (this.cause instanceof Error) ? this.cause.message : null, drop: this.drop,
+                errors: this._errors.map((_error) => Object.assign({}, _error))};
+    }
+    /**
+     * @param {*} error
+     * @return {boolean} True if the error is a CelastrinaCompositeValidationError, false otherwise.
+     */
+    static isComposite(error) {
+        return instanceOfCelastringType(CelastrinaValidationError.CELASTRINAJS_VALIDATION_ERROR_TYPE, error) &&
+               Array.isArray(error.errors);
+    }
+    /**
+     * @param {string} [message="One or more validation errors occurred."]
+     * @param {Array<{path: string, message: string, code: (undefined|string)}>} [errors=[]]
+     * @param {boolean} [drop=false]
+     * @param {int} [code=400]
+     * @param {Error} [cause=null]
+     * @return {CelastrinaCompositeValidationError}
+     */
+    static newCompositeValidationError(message = "One or more validation errors occurred.", errors = [],
+                                       drop = false, code = 400, cause = null) {
+        return new CelastrinaCompositeValidationError(message, code, drop, errors, cause);
+    }
+}
+/**
+ * CelastrinaNotFoundError
+ * @author Robert R Murrell
+ */
+class CelastrinaNotFoundError extends CelastrinaError {
+    static ERROR_CODE = "NOT_FOUND";
+    /**
+     * @param {string} [message="Not Found."]
+     * @param {Error} [cause=null]
+     * @param {boolean} [drop=false]
+     */
+    constructor(message = "Not Found.", cause = null, drop = false) {
+        super(message, 404, drop, cause);
+        /**@type{string}*/this.errorCode = CelastrinaNotFoundError.ERROR_CODE;
+    }
+}
+/**
+ * CelastrinaConflictError
+ * @author Robert R Murrell
+ */
+class CelastrinaConflictError extends CelastrinaError {
+    static ERROR_CODE = "CONFLICT";
+    /**
+     * @param {string} [message="Conflict."]
+     * @param {Error} [cause=null]
+     * @param {boolean} [drop=false]
+     */
+    constructor(message = "Conflict.", cause = null, drop = false) {
+        super(message, 409, drop, cause);
+        /**@type{string}*/this.errorCode = CelastrinaConflictError.ERROR_CODE;
+    }
+}
+/**
+ * CelastrinaPreconditionFailedError
+ * @author Robert R Murrell
+ */
+class CelastrinaPreconditionFailedError extends CelastrinaError {
+    static ERROR_CODE = "PRECONDITION_FAILED";
+    /**
+     * @param {string} [message="Precondition Failed."]
+     * @param {Error} [cause=null]
+     * @param {boolean} [drop=false]
+     */
+    constructor(message = "Precondition Failed.", cause = null, drop = false) {
+        super(message, 412, drop, cause);
+        /**@type{string}*/this.errorCode = CelastrinaPreconditionFailedError.ERROR_CODE;
+    }
+}
+/**
+ * CelastrinaUnauthorizedError
+ * @author Robert R Murrell
+ */
+class CelastrinaUnauthorizedError extends CelastrinaError {
+    static ERROR_CODE = "UNAUTHORIZED";
+    /**
+     * @param {string} [message="Not Authorized."]
+     * @param {Error} [cause=null]
+     * @param {boolean} [drop=false]
+     */
+    constructor(message = "Not Authorized.", cause = null, drop = false) {
+        super(message, 401, drop, cause);
+        /**@type{string}*/this.errorCode = CelastrinaUnauthorizedError.ERROR_CODE;
+    }
+}
+/**
+ * CelastrinaForbiddenError
+ * @author Robert R Murrell
+ */
+class CelastrinaForbiddenError extends CelastrinaError {
+    static ERROR_CODE = "FORBIDDEN";
+    /**
+     * @param {string} [message="Forbidden."]
+     * @param {Error} [cause=null]
+     * @param {boolean} [drop=false]
+     */
+    constructor(message = "Forbidden.", cause = null, drop = false) {
+        super(message, 403, drop, cause);
+        /**@type{string}*/this.errorCode = CelastrinaForbiddenError.ERROR_CODE;
+    }
+}
+/**
+ * CelastrinaTooManyRequestsError
+ * @author Robert R Murrell
+ */
+class CelastrinaTooManyRequestsError extends CelastrinaError {
+    static ERROR_CODE = "TOO_MANY_REQUESTS";
+    /**
+     * @param {string} [message="Too Many Requests."]
+     * @param {(null|number)} [retryAfter=null] Seconds the caller should wait before retrying.
+     * @param {Error} [cause=null]
+     * @param {boolean} [drop=false]
+     */
+    constructor(message = "Too Many Requests.", retryAfter = null, cause = null, drop = false) {
+        super(message, 429, drop, cause);
+        /**@type{string}*/this.errorCode = CelastrinaTooManyRequestsError.ERROR_CODE;
+        /**@type{(null|number)}*/this.retryAfter = retryAfter;
+    }
+}
+/**
+ * CelastrinaServiceUnavailableError
+ * @author Robert R Murrell
+ */
+class CelastrinaServiceUnavailableError extends CelastrinaError {
+    static ERROR_CODE = "SERVICE_UNAVAILABLE";
+    /**
+     * @param {string} [message="Service Unavailable."]
+     * @param {(null|number)} [retryAfter=null] Seconds the caller should wait before retrying.
+     * @param {Error} [cause=null]
+     * @param {boolean} [drop=false]
+     */
+    constructor(message = "Service Unavailable.", retryAfter = null, cause = null, drop = false) {
+        super(message, 503, drop, cause);
+        /**@type{string}*/this.errorCode = CelastrinaServiceUnavailableError.ERROR_CODE;
+        /**@type{(null|number)}*/this.retryAfter = retryAfter;
+    }
+}
+/**
+ * CelastrinaTimeoutError
+ * @author Robert R Murrell
+ */
+class CelastrinaTimeoutError extends CelastrinaError {
+    static ERROR_CODE = "TIMEOUT";
+    /**
+     * @param {string} [message="Timeout."]
+     * @param {Error} [cause=null]
+     * @param {boolean} [drop=false]
+     */
+    constructor(message = "Timeout.", cause = null, drop = false) {
+        super(message, 504, drop, cause);
+        /**@type{string}*/this.errorCode = CelastrinaTimeoutError.ERROR_CODE;
+    }
+}
+/**
+ * ErrorRegistry
+ * @description Maps arbitrary errors to CelastrinaErrors. Registered mappers are tried in the order they were added,
+ *              then axios errors are mapped by their response status, Retry-After header or timeout. HTTP statuses map
+ *              to the typed CelastrinaError subclasses and may be overridden with registerStatus. Use mapDependency for
+ *              calls the function makes to its own dependencies, such as Key Vault, where an upstream 401, 403 or 404
+ *              describes the function and not the request of the caller.
+ * @author Robert R Murrell
+ */
+class ErrorRegistry {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.ErrorRegistry";
+    /**@type{Object<number, function(string, (null|Error), (null|number)): CelastrinaError>}*/
+    static STATUSES = {
+        401: (message, cause) => new CelastrinaUnauthorizedError(message, cause),
+        403: (message, cause) => new CelastrinaForbiddenError(message, cause),
+        404: (message, cause) => new CelastrinaNotFoundError(message, cause),
+        408: (message, cause) => new CelastrinaTimeoutError(message, cause),
+        409: (message, cause) => new CelastrinaConflictError(message, cause),
+        412: (message, cause) => new CelastrinaPreconditionFailedError(message, cause),
+        429: (message, cause, retryAfter) => new CelastrinaTooManyRequestsError(message, retryAfter, cause),
+        503: (message, cause, retryAfter) => new CelastrinaServiceUnavailableError(message, retryAfter, cause),
+        504: (message, cause) => new CelastrinaTimeoutError(message, cause)
+    };
+    /**@type{Array<number>}*/
+    static DEPENDENCY_STATUSES = [408, 429, 503, 504];
+    constructor() {
+        /**@type{Array<{match: function(*): boolean, mapper: function(*, (null|string)): CelastrinaError}>}*/
+        this._mappers = [];
+        /**@type{Object<number, function(string, (null|Error), (null|number)): CelastrinaError>}*/
+        this._statuses = {};
+        this.__type = ErrorRegistry.CELASTRINAJS_TYPE;
+    }
+    /**
+     * @param {function(*): boolean} match
+     * @param {function(*, (null|string)): CelastrinaError} mapper Receives the error and the message passed to map.
+     * @return {ErrorRegistry}
+     */
+    register(match, mapper) {
+        if(typeof match !== "function")
+            throw CelastrinaValidationError.newValidationError("Argument 'match' is required and must be a function.", "match");
+        if(typeof mapper !== "function")
+            throw CelastrinaValidationError.newValidationError("Argument 'mapper' is required and must be a function.", "mapper");
+        this._mappers.push({match: match, mapper: mapper});
+        return this;
+    }
+    /**
+     * @param {Function} type The error class, matched using instanceof.
+     * @param {function(*, (null|string)): CelastrinaError} mapper
+     * @return {ErrorRegistry}
+     */
+    registerType(type, mapper) {
+        if(typeof type !== "function")
+            throw CelastrinaValidationError.newValidationError("Argument 'type' is required and must be a class.", "type");
+        return this.register((error) => error instanceof type, mapper);
+    }
+    /**
+     * @param {number} status
+     * @param {function(string, (null|Error), (null|number)): CelastrinaError} factory Receives the message, cause and
+     *        Retry-After seconds.
+     * @return {ErrorRegistry}
+     */
+    registerStatus(status, factory) {
+        if(typeof status !== "number")
+            throw CelastrinaValidationError.newValidationError("Argument 'status' is required and must be a number.", "status");
+        if(typeof factory !== "function")
+            throw CelastrinaValidationError.newValidationError("Argument 'factory' is required and must be a function.", "factory");
+        this._statuses[status] = factory;
+        return this;
+    }
+    /**
+     * @param {number} status
+     * @param {string} message
+     * @param {(null|Error)} [cause=null]
+     * @param {(null|number)} [retryAfter=null]
+     * @return {CelastrinaError}
+     */
+    fromStatus(status, message, cause = null, retryAfter = null) {
+        let _factory = this._statuses[status];
+        if(typeof _factory !== "function") _factory = ErrorRegistry.STATUSES[status];
+        if(typeof _factory === "function") return _factory(message, cause, retryAfter);
+        return CelastrinaError.newError(message, status, false, cause);
+    }
+    /**
+     * @param {*} error
+     * @param {(null|string)} [message=null] The message of the resulting error. For errors with a response the status
+     *        text is appended.
+     * @return {CelastrinaError}
+     */
+    map(error, message = null) {
+        if(typeof error === "undefined" || error == null)
+            return CelastrinaError.newError((message == null) ? "Unhandled Exception." : message + ".");
+        if(instanceOfCelastringType(CelastrinaError.CELASTRINAJS_ERROR_TYPE, error) ||
+                instanceOfCelastringType(CelastrinaValidationError.CELASTRINAJS_VALIDATION_ERROR_TYPE, error))
+            return error;
+        for(let _mapping of this._mappers) {
+            if(_mapping.match(error)) return CelastrinaError.wrapError(_mapping.mapper(error, message));
+        }
+        if(ErrorRegistry.isAxiosError(error)) return this._mapAxiosError(error, message);
+        if(message != null) return CelastrinaError.newError(message + ".", 500, false, (error instanceof Error) ? error : null);
+        return CelastrinaError.wrapError(error);
+    }
+    /**
+     * Maps the error of a call to a dependency. Upstream timeouts, throttling and unavailability, the
+     * DEPENDENCY_STATUSES, pass through as from map. Other upstream responses become a 500, or a 502 for upstream
+     * server errors, unless a mapper or status factory is registered for them.
+     * @param {*} error
+     * @param {(null|string)} [message=null]
+     * @return {CelastrinaError}
+     */
+    mapDependency(error, message = null) {
+        if(!ErrorRegistry.isAxiosError(error) || typeof error.response !== "object" || error.response == null)
+            return this.map(error, message);
+        let _status = error.response.status;
+        if(ErrorRegistry.DEPENDENCY_STATUSES.includes(_status) || this._statuses.hasOwnProperty(_status) ||
+                this._mappers.some((_mapping) => _mapping.match(error)))
+            return this.map(error, message);
+        return CelastrinaError.newError(ErrorRegistry._getResponseMessage(error, message), (_status >= 500) ? 502 : 500,
+                                        false, (error instanceof Error) ? error : null);
+    }
+    /**
+     * @param {Object} error An axios error with a response.
+     * @param {(null|string)} message
+     * @return {string}
+     * @private
+     */
+    static _getResponseMessage(error, message) {
+        if(message == null) return error.message;
+        let _statusText = error.response.statusText;
+        return message + ((typeof _statusText === "string" && _statusText.length > 0) ? ": " + _statusText : ".");
+    }
+    /**
+     * @param {Object} error
+     * @param {(null|string)} message
+     * @return {CelastrinaError}
+     * @private
+     */
+    _mapAxiosError(error, message) {
+        let _cause = (error instanceof Error) ? error : null;
+        if(typeof error.response === "object" && error.response != null) {
+            let _response = error.response;
+            let _msg = ErrorRegistry._getResponseMessage(error, message);
+            let _retryAfter = null;
+            if(typeof _response.headers === "object" && _response.headers != null)
+                _retryAfter = ErrorRegistry.parseRetryAfter(_response.headers["retry-after"]);
+            return this.fromStatus(_response.status, _msg, _cause, _retryAfter);
+        }
+        let _msg = (message == null) ? error.message : message + ".";
+        if(error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") return this.fromStatus(504, _msg, _cause);
+        return CelastrinaError.newError(_msg, 500, false, _cause);
+    }
+    /**
+     * @param {*} error
+     * @return {boolean}
+     */
+    static isAxiosError(error) {
+        return typeof error === "object" && error != null &&
+               (error.isAxiosError === true || error.hasOwnProperty("response"));
+    }
+    /**
+     * @param {(undefined|null|string|number)} value Delay seconds or an HTTP date.
+     * @return {(null|number)} The seconds to wait, null if the value is missing or invalid.
+     */
+    static parseRetryAfter(value) {
+        if(typeof value === "number") return (value >= 0) ? Math.ceil(value) : null;
+        if(typeof value !== "string" || value.trim().length === 0) return null;
+        if(/^\d+$/.test(value.trim())) return parseInt(value.trim(), 10);
+        let _date = Date.parse(value);
+        if(isNaN(_date)) return null;
+        return Math.max(0, Math.ceil((_date - Date.now()) / 1000));
+    }
+}
 /**
  * ResourceAuthorization
  * @author Robert R Murrell
@@ -192,35 +608,54 @@ class ResourceAuthorization {
         this._id = id;
         this._tokens = {};
         this._skew = skew;
+        /**@type{number}*/this._refreshes = 0;
+        /**@type{ErrorRegistry}*/this._errors = new ErrorRegistry();
         this.__type = ResourceAuthorization.CELASTRINAJS_TYPE;
     }
     /**@return{string}*/get id(){return this._id;}
+    /**@return{number}*/get refreshes(){return this._refreshes;}
+    /**@return{ErrorRegistry}*/get errors(){return this._errors;}
+    /**
+     * @param {ErrorRegistry} errors
+     * @return {ResourceAuthorization}
+     */
+    setErrorRegistry(errors) {
+        if(!instanceOfCelastringType(ErrorRegistry.CELASTRINAJS_TYPE, errors))
+            throw CelastrinaValidationError.newValidationError("Argument 'errors' is required and must be of type '" +
+                                                               ErrorRegistry.CELASTRINAJS_TYPE + "'.", "errors");
+        this._errors = errors;
+        return this;
+    }
     /**
      * @param {string} resource
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<_CelastrinaToken>}
      * @private
      * @abstract
      */
-    async _resolve(resource) { throw CelastrinaError.newError("Not Implemented.", 501);}
+    async _resolve(resource, trace = null) { throw CelastrinaError.newError("Not Implemented.", 501);}
     /**
      * @param {string} resource
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<string>}
      * @private
      */
-    async _refresh(resource) {
-        let token = await this._resolve(resource);
+    async _refresh(resource, trace = null) {
+        let token = await this._resolve(resource, trace);
+        this._refreshes++;
         if(this._skew !== 0) token.expires.add(this._skew, "seconds");
         this._tokens[resource] = token;
         return token.token;
     };
     /**
      * @param {string} resource
+     * @param {(null|TraceContext)} [trace=null] Propagated to the token endpoint if a refresh is required.
      * @return {Promise<string>}
      */
-    async getToken(resource) {
+    async getToken(resource, trace = null) {
         /** @type{_CelastrinaToken}*/let token = this._tokens[resource];
         if(typeof token !== "object" || moment().isSameOrAfter(token.expires))
-            return await this._refresh(resource);
+            return await this._refresh(resource, trace);
         else
             return token.token;
     }
@@ -237,13 +672,16 @@ class ManagedIdentityResource extends ResourceAuthorization {
     }
     /**
      * @param {string} resource
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<_CelastrinaToken>}
      * @private
      */
-    async _resolve(resource) {
+    async _resolve(resource, trace = null) {
         try {
+            let _headers = {"x-identity-header": process.env["IDENTITY_HEADER"]};
+            if(trace != null) trace.setHeaders(_headers);
             let response = await axios.get(process.env["IDENTITY_ENDPOINT"] + "?api-version=2019-08-01&resource=" + resource,
-                                        {headers: {"x-identity-header": process.env["IDENTITY_HEADER"]}});
+                                        {headers: _headers});
             return {
                 resource: resource,
                 token: response.data.access_token,
@@ -251,18 +689,10 @@ class ManagedIdentityResource extends ResourceAuthorization {
             };
         }
         catch(exception) {
-            if(typeof exception === "object" && exception.hasOwnProperty("response")) {
-                if(exception.response.status === 404)
-                    throw CelastrinaError.newError("Resource '" + resource + "' not found.", 404);
-                else {
-                    let status = exception.response.statusText;
-                    let msg = "Exception getting resource '" + resource + "'";
-                    (typeof status !== "string") ? msg += "." : msg += ": " + status;
-                    throw CelastrinaError.newError(msg, exception.response.status);
-                }
-            }
+            if(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status === 404)
+                throw CelastrinaError.newError("Resource '" + resource + "' not found.", 500, false, exception);
             else
-                throw CelastrinaError.newError("Exception getting resource '" + resource + "'.");
+                throw this._errors.mapDependency(exception, "Exception getting resource '" + resource + "'");
         }
     }
 }
@@ -290,10 +720,11 @@ class AppRegistrationResource extends ResourceAuthorization {
     /**@return{string}*/get secret(){return this._secret;}
     /**
      * @param {string} resource
+     * @param {(null|TraceContext)} [trace=null] Not propagated, ADAL does not expose request headers.
      * @return {Promise<_CelastrinaToken>}
      * @private
      */
-    async _resolve(resource) {
+    async _resolve(resource, trace = null) {
         return new Promise((resolve, reject) => {
             try {
                 let adContext = new AuthenticationContext(this._authority + "/" + this._tenant);
@@ -323,6 +754,7 @@ class ResourceManager {
     static CELASTRINAJS_TYPE = "celastrinajs.core.ResourceManager";
     constructor() {
         this._resources = {};
+        /**@type{(null|ErrorRegistry)}*/this._errors = null;
         this.__type = ResourceManager.CELASTRINAJS_TYPE;
     }
     /**@return{Object}*/get authorizations() {return this._resources;}
@@ -331,6 +763,7 @@ class ResourceManager {
      * @return {ResourceManager}
      */
     async addResource(auth) {
+        if(this._errors != null) auth.setErrorRegistry(this._errors);
         this._resources[auth.id] = auth;
         return this;
     }
@@ -347,18 +780,24 @@ class ResourceManager {
     /**
      * @param {string} resource
      * @param {string} id
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<string>}
      */
-    async getToken(resource, id = ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY) {
+    async getToken(resource, id = ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY, trace = null) {
         /**@type{ResourceAuthorization}*/let _auth = await this.getResource(id);
-        return await _auth.getToken(resource);
+        return await _auth.getToken(resource, trace);
     }
     /**
      * @param {_AzureFunctionContext} azcontext
      * @param {Object} config
      * @return {Promise<void>}
      */
-    async initialize(azcontext, config) {}
+    async initialize(azcontext, config) {
+        this._errors = config[Configuration.CONFIG_ERROR_REGISTRY];
+        for(let _id in this._resources) {
+            if(this._resources.hasOwnProperty(_id)) this._resources[_id].setErrorRegistry(this._errors);
+        }
+    }
     /**
      * @param {_AzureFunctionContext} azcontext
      * @param {Object} config
@@ -372,30 +811,30 @@ class ResourceManager {
  */
 class Vault {
     static CELASTRINAJS_TYPE = "celastrinajs.core.Vault";
-    constructor() {
+    /**@param{ErrorRegistry}[errors=new ErrorRegistry()]*/
+    constructor(errors = new ErrorRegistry()) {
+        /**@type{ErrorRegistry}*/this._errors = errors;
         this.__type = Vault.CELASTRINAJS_TYPE;
     }
+    /**@return{ErrorRegistry}*/get errors() {return this._errors;}
     /**
      * @param {string} token
      * @param {string} identifier
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<string>}
      */
-    async getSecret(token, identifier) {
+    async getSecret(token, identifier, trace = null) {
         try {
-            let response = await axios.get(identifier + "?api-version=7.1",
-                                              {headers: {"Authorization": "Bearer " + token}});
+            let _headers = {"Authorization": "Bearer " + token};
+            if(trace != null) trace.setHeaders(_headers);
+            let response = await axios.get(identifier + "?api-version=7.1", {headers: _headers});
             return response.data.value;
         }
         catch(exception) {
-            if(typeof exception === "object" && exception.hasOwnProperty("response")) {
-                if(exception.response.status === 404)
-                    throw CelastrinaError.newError("Vault secret '" + identifier + "' not found.", 404);
-                else
-                    throw CelastrinaError.newError("Exception getting Vault secret '" + identifier + "': " +
-                                                   exception.response.statusText, exception.response.status);
-            }
+            if(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status === 404)
+                throw CelastrinaError.newError("Vault secret '" + identifier + "' not found.", 500, false, exception);
             else
-                throw CelastrinaError.newError("Exception getting Vault secret '" + identifier + "'.");
+                throw this._errors.mapDependency(exception, "Exception getting Vault secret '" + identifier + "'");
         }
     }
 }
@@ -428,17 +867,19 @@ class PropertyManager {
     async ready(azcontext, config) {}
     /**
      * @param {string} key
+     * @param {(null|TraceContext)} [trace=null] The trace of the invocation, propagated to remote property stores.
      * @return {null|*}
      * @abstract
      */
-    async _getProperty(key) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    async _getProperty(key, trace = null) {throw CelastrinaError.newError("Not Implemented.", 501);}
     /**
      * @param {string} key
      * @param {(null|*)} defaultValue
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<{value: (null|*), defaulted: boolean}>}
      */
-    async _getPropertyOrDefault(key, defaultValue = null){
-        let value = await this._getProperty(key);
+    async _getPropertyOrDefault(key, defaultValue = null, trace = null){
+        let value = await this._getProperty(key, trace);
         if(typeof value === "undefined" || value == null) return {value: defaultValue, defaulted: true};
         else return {value: value, defaulted: false};
     }
@@ -450,20 +891,22 @@ class PropertyManager {
      *          Int8ArrayConstructor|Uint8ArrayConstructor|Uint8ClampedArrayConstructor|Int16ArrayConstructor|
      *          Uint16ArrayConstructor|Int32ArrayConstructor|Uint32ArrayConstructor|Float32ArrayConstructor|
      *          Float64ArrayConstructor|FunctionConstructor|function(...*))} [type = String]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {null|*}
      */
-    async _getConvertProperty(key, defaultValue = null, type = null) {
-        let _response = await this._getPropertyOrDefault(key, defaultValue);
+    async _getConvertProperty(key, defaultValue = null, type = null, trace = null) {
+        let _response = await this._getPropertyOrDefault(key, defaultValue, trace);
         if(_response.defaulted) return _response.value;
         else return type(_response.value);
     }
     /**
      * @param {string} key
      * @param {null|string} [defaultValue = null]
+     * @param {(null|TraceContext)} [trace=null] The trace of the invocation, usually context.trace.
      * @return {Promise<string>}
      */
-    async getProperty(key, defaultValue = null) {
-        let _response = await this._getPropertyOrDefault(key, defaultValue);
+    async getProperty(key, defaultValue = null, trace = null) {
+        let _response = await this._getPropertyOrDefault(key, defaultValue, trace);
         return _response.value;
     }
     /**
@@ -475,43 +918,48 @@ class PropertyManager {
     /**
      * @param {string} key
      * @param {null|string|RegExp} [defaultValue = false]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<null|RegExp>}
      */
-    async getRegExp(key, defaultValue = /.*/g) {
-        return this._getConvertProperty(key, defaultValue, RegExp);
+    async getRegExp(key, defaultValue = /.*/g, trace = null) {
+        return this._getConvertProperty(key, defaultValue, RegExp, trace);
     }
     /**
      * @param {string} key
      * @param {null|boolean} [defaultValue = false]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<null|boolean>}
      */
-    async getBoolean(key, defaultValue = false) {
-        return this._getConvertProperty(key, defaultValue, Boolean);
+    async getBoolean(key, defaultValue = false, trace = null) {
+        return this._getConvertProperty(key, defaultValue, Boolean, trace);
     }
     /**
      * @param {string} key
      * @param {null|number} [defaultValue = Number.NaN]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<null|number>}
      */
-    async getNumber(key, defaultValue = Number.NaN) {
-        return this._getConvertProperty(key, defaultValue, Number);
+    async getNumber(key, defaultValue = Number.NaN, trace = null) {
+        return this._getConvertProperty(key, defaultValue, Number, trace);
     }
     /**
      * @param {string} key
      * @param {null|Date} [defaultValue = new Date()]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<null|Date>}
      */
-    async getDate(key, defaultValue = new Date()) {
-        return this._getConvertProperty(key, defaultValue, PropertyManager._createDateFromString);
+    async getDate(key, defaultValue = new Date(), trace = null) {
+        return this._getConvertProperty(key, defaultValue, PropertyManager._createDateFromString, trace);
     }
     /**
      * @param {string} key
      * @param {Object} [defaultValue = null]
      * @param {function(*)} [factory = null]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<Object>}
      */
-    async getObject(key, defaultValue = null, factory = null) {
-        let _object = await this._getConvertProperty(key, defaultValue, JSON.parse);
+    async getObject(key, defaultValue = null, factory = null, trace = null) {
+        let _object = await this._getConvertProperty(key, defaultValue, JSON.parse, trace);
         if(_object != null && factory != null) _object = factory(_object);
         return _object;
     }
@@ -519,10 +967,11 @@ class PropertyManager {
      * @param {string} key
      * @param {function(*)} factory
      * @param {Object} [defaultValue = null]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<Object>}
      */
-    async convertObject(key, factory, defaultValue = null) {
-        let _object = await this.getObject(key, defaultValue, factory);
+    async convertObject(key, factory, defaultValue = null, trace = null) {
+        let _object = await this.getObject(key, defaultValue, factory, trace);
         if(_object != null)
             await this.setProperty(key, _object);
         return _object;
@@ -532,24 +981,25 @@ class PropertyManager {
      * @param {("property"|"string"|"date"|"regexp"|"number"|"boolean"|"object")} typename
      * @param {(null|*)} defaultValue
      * @param {function((null|*))} factory
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<void>}
      */
-    async getTypedProperty(key, typename = "property", defaultValue = null, factory = null) {
+    async getTypedProperty(key, typename = "property", defaultValue = null, factory = null, trace = null) {
         switch(typename) {
             case "property":
-                return this.getProperty(key, defaultValue);
+                return this.getProperty(key, defaultValue, trace);
             case "string":
-                return this.getProperty(key, defaultValue);
+                return this.getProperty(key, defaultValue, trace);
             case "date":
-                return this.getDate(key, defaultValue);
+                return this.getDate(key, defaultValue, trace);
             case "regexp":
-                return this.getRegExp(key, defaultValue);
+                return this.getRegExp(key, defaultValue, trace);
             case "number":
-                return this.getNumber(key, defaultValue);
+                return this.getNumber(key, defaultValue, trace);
             case "boolean":
-                return this.getBoolean(key, defaultValue);
+                return this.getBoolean(key, defaultValue, trace);
             case "object":
-                return this.getObject(key, defaultValue, factory);
+                return this.getObject(key, defaultValue, factory, trace);
             default:
                 throw CelastrinaError.newError("Property type '" + typename + "' is invalid.", 400);
         }
@@ -574,9 +1024,10 @@ class AppSettingsPropertyManager extends PropertyManager {
     /**@return{string}*/get name() {return "AppSettingsPropertyManager";}
     /**
      * @param {string} key
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<*>}
      */
-    async _getProperty(key) {
+    async _getProperty(key, trace = null) {
         return process.env[key];
     }
 }
@@ -597,6 +1048,7 @@ class AppConfigPropertyManager extends AppSettingsPropertyManager {
         this._endpoint = "https://" + configStoreName + ".azconfig.io/kv/{key}?label=" + label + "&api-version=1.0";
         /** @type {ManagedIdentityResource} */this._auth = null;
         /** @type{boolean} */this._useVaultSecrets = useVaultSecrets;
+        /** @type{ErrorRegistry} */this._errors = new ErrorRegistry();
         if(this._useVaultSecrets)
             /** @type{Vault} */this._vault = new Vault();
     }
@@ -612,6 +1064,9 @@ class AppConfigPropertyManager extends AppSettingsPropertyManager {
             throw CelastrinaError.newError("AppConfigPropertyManager requires User or System Assigned Managed Identy to be enabled.");
         else
             this._auth = new ManagedIdentityResource();
+        this._errors = config[Configuration.CONFIG_ERROR_REGISTRY];
+        this._auth.setErrorRegistry(this._errors);
+        if(this._useVaultSecrets) this._vault = new Vault(this._errors);
     }
     /**
      * @param {_AzureFunctionContext} azcontext
@@ -623,12 +1078,13 @@ class AppConfigPropertyManager extends AppSettingsPropertyManager {
     }
     /**
      * @param _config
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<*>}
      * @private
      */
-    async _resolveVaultReference(_config) {
+    async _resolveVaultReference(_config, trace = null) {
         let _vlt = JSON.parse(_config.value);
-        return await this._vault.getSecret(await this._auth.getToken("https://vault.azure.net"), _vlt.uri);
+        return await this._vault.getSecret(await this._auth.getToken("https://vault.azure.net", trace), _vlt.uri, trace);
     }
     _isVaultReference(kvp) {
         return (kvp.content_type === "application/vnd.microsoft.appconfig.keyvaultref+json;charset=utf-8" &&
@@ -647,17 +1103,20 @@ class AppConfigPropertyManager extends AppSettingsPropertyManager {
     }
     /**
      * @param {string} key
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<*>}
      * @private
      */
-    async _getAppConfigProperty(key) {
+    async _getAppConfigProperty(key, trace = null) {
         try {
-            let token = await this._auth.getToken("https://" + this._configStore + ".azconfig.io");
+            let token = await this._auth.getToken("https://" + this._configStore + ".azconfig.io", trace);
             let _endpoint = this._endpoint.replace("{key}", key);
-            let response = await axios.get(_endpoint, {headers: {"Authorization": "Bearer " + token}});
+            let _headers = {"Authorization": "Bearer " + token};
+            if(trace != null) trace.setHeaders(_headers);
+            let response = await axios.get(_endpoint, {headers: _headers});
             let _value = response.data;
             if(this._isVaultReference(_value))
-                return await this._resolveVaultReference(_value);
+                return await this._resolveVaultReference(_value, trace);
             else if(this._isFeatureFlag(_value))
                 return await this._resolveFeatureFlag(_value);
             else
@@ -666,28 +1125,25 @@ class AppConfigPropertyManager extends AppSettingsPropertyManager {
         catch(exception) {
             if(instanceOfCelastringType(CelastrinaError.CELASTRINAJS_ERROR_TYPE, exception))
                 throw exception;
-            else if(typeof exception === "object" && exception.hasOwnProperty("response")) {
-                if(exception.response.status === 404)
-                    throw CelastrinaError.newError("App Configuration '" + key + "' not found.", 404);
-                else
-                    throw CelastrinaError.newError("Exception getting App Configuration '" + key + "': " +
-                                                           exception.response.statusText, exception.response.status);
-            }
+            else if(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status === 404)
+                // Not sent, _getProperty falls back to the application settings.
+                throw new CelastrinaNotFoundError("App Configuration '" + key + "' not found.", exception);
             else
-                throw CelastrinaError.newError("Exception getting App Configuration '" + key + "'.");
+                throw this._errors.mapDependency(exception, "Exception getting App Configuration '" + key + "'");
         }
     }
     /**
      * @param {string} key
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<*>}
      */
-    async _getProperty(key) {
+    async _getProperty(key, trace = null) {
         try {
-            return await this._getAppConfigProperty(key);
+            return await this._getAppConfigProperty(key, trace);
         }
         catch(exception) {
             if(exception.code === 404)
-                return await super._getProperty(key);
+                return await super._getProperty(key, trace);
             else
                 throw exception;
         }
@@ -747,8 +1203,12 @@ class CachedPropertyManager extends PropertyManager {
         this._cache = {};
         this._defaultTime = defaultTime;
         /**@type{moment.DurationInputArg2}*/this._defaultUnit = defaultUnit;
+        /**@type{number}*/this._hits = 0;
+        /**@type{number}*/this._misses = 0;
     }
     /**@return{string}*/get name() {return "CachedPropertyManager(" + this._manager.name + ")";}
+    /**@return{number}*/get hits(){return this._hits;}
+    /**@return{number}*/get misses(){return this._misses;}
     /**@return{PropertyManager}*/get manager(){return this._manager;}
     /**@return{{Object}}*/get cache(){return this._cache;}
     /**@return{Promise<void>}*/
@@ -794,23 +1254,29 @@ class CachedPropertyManager extends PropertyManager {
      * @param {*} defaultValue
      * @param {string} func
      * @param {function(*)} [construct]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<*>}
      * @private
      */
-    async _getCache(key, defaultValue, func, construct) {
+    async _getCache(key, defaultValue, func, construct, trace = null) {
         let cached  = this._cache[key];
+        let _args = (func === "getObject") ? [key, defaultValue, construct, trace] : [key, defaultValue, trace];
         if(!instanceOfCelastringType(CachedProperty.CELASTRINAJS_TYPE, cached)) {
-            let _value =await this._manager[func](key, defaultValue, construct);
+            this._misses++;
+            let _value =await this._manager[func](..._args);
             if(_value != null) this._cache[key] =  new CachedProperty(_value, this._defaultTime, this._defaultUnit);
             return _value;
         }
         else if(cached.isExpired) {
-            let _value =await this._manager[func](key, defaultValue, construct);
+            this._misses++;
+            let _value =await this._manager[func](..._args);
             if(_value != null) cached.value = _value;
             return _value;
         }
-        else
+        else {
+            this._hits++;
             return cached.value;
+        }
     }
     /**
      * @param {string} key
@@ -820,77 +1286,86 @@ class CachedPropertyManager extends PropertyManager {
      *          Int8ArrayConstructor|Uint8ArrayConstructor|Uint8ClampedArrayConstructor|Int16ArrayConstructor|
      *          Uint16ArrayConstructor|Int32ArrayConstructor|Uint32ArrayConstructor|Float32ArrayConstructor|
      *          Float64ArrayConstructor|FunctionConstructor|function(...*))} [type = String]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<*>}
      */
-    async _getConvertProperty(key, defaultValue = null, type) {
-        return super._getConvertProperty(key, defaultValue, type);
+    async _getConvertProperty(key, defaultValue = null, type, trace = null) {
+        return super._getConvertProperty(key, defaultValue, type, trace);
     }
     /**
      * @param {string} key
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<*>}
      * @abstract
      */
-    async _getProperty(key) {
-        return super._getProperty(key);
+    async _getProperty(key, trace = null) {
+        return super._getProperty(key, trace);
     }
     /**
      * @param {string} key
      * @param {null|string} [defaultValue = null]
+     * @param {(null|TraceContext)} [trace=null] Propagated on a cache miss.
      * @return {Promise<string>}
      */
-    async getProperty(key, defaultValue = null) {
-        return this._getCache(key, defaultValue, "getProperty");
+    async getProperty(key, defaultValue = null, trace = null) {
+        return this._getCache(key, defaultValue, "getProperty", null, trace);
     }
     /**
      * @param {string} key
      * @param {null|string|RegExp} [defaultValue = false]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<null|RegExp>}
      */
-    async getRegExp(key, defaultValue = /.*/g) {
-        return this._getCache(key, defaultValue, "getRegExp");
+    async getRegExp(key, defaultValue = /.*/g, trace = null) {
+        return this._getCache(key, defaultValue, "getRegExp", null, trace);
     }
     /**
      * @param {string} key
      * @param {null|boolean} [defaultValue = false]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<null|boolean>}
      */
-    async getBoolean(key, defaultValue = false) {
-        return this._getCache(key, defaultValue, "getBoolean");
+    async getBoolean(key, defaultValue = false, trace = null) {
+        return this._getCache(key, defaultValue, "getBoolean", null, trace);
     }
     /**
      * @param {string} key
      * @param {null|number} [defaultValue = Number.NaN]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<null|number>}
      */
-    async getNumber(key, defaultValue = Number.NaN) {
-        return this._getCache(key, defaultValue, "getNumber");
+    async getNumber(key, defaultValue = Number.NaN, trace = null) {
+        return this._getCache(key, defaultValue, "getNumber", null, trace);
     }
     /**
      * @param {string} key
      * @param {null|Date} [defaultValue = new Date()]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<null|Date>}
      */
-    async getDate(key, defaultValue = new Date()) {
-        return this._getCache(key, defaultValue, "getDate");
+    async getDate(key, defaultValue = new Date(), trace = null) {
+        return this._getCache(key, defaultValue, "getDate", null, trace);
     }
     /**
      * @param {string} key
      * @param {Object} [defaultValue = null]
      * @param {function(*)} [construct]
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<Object>}
      */
-    async getObject(key, defaultValue = null, construct = null) {
-        return this._getCache(key, defaultValue, "getObject", construct);
+    async getObject(key, defaultValue = null, construct = null, trace = null) {
+        return this._getCache(key, defaultValue, "getObject", construct, trace);
     }
     /**
      * @param {string} key
      * @param {("property"|"string"|"date"|"regexp"|"number"|"boolean"|"object")} typename
      * @param {(null|*)} defaultValue
      * @param {function((null|*))} factory
+     * @param {(null|TraceContext)} [trace=null]
      * @return {Promise<void>}
      */
-    async getTypedProperty(key, typename = "property", defaultValue = null, factory = null) {
-        return super.getTypedProperty(key, typename, defaultValue, factory);
+    async getTypedProperty(key, typename = "property", defaultValue = null, factory = null, trace = null) {
+        return super.getTypedProperty(key, typename, defaultValue, factory, trace);
     }
     /**
      * @param {string} key
@@ -1178,7 +1653,8 @@ class PropertyParser extends AttributeParser {
      * @return {Promise<*>}
      */
     async getProperty(key, type, defaultValue = null, factory = null) {
-        return this._pm.getTypedProperty(key, type, defaultValue, factory);
+        return this._pm.getTypedProperty(key, type, defaultValue, factory,
+                                         (this._azcontext == null) ? null : TraceContext.fromAzureContext(this._azcontext));
     }
     /**
      * @param {Object} _Object
@@ -1414,6 +1890,62 @@ class CoreConfigParser extends ConfigParser {
         await Promise.all(_promises);
     }
 }
+/**
+ * LoggingConfigParser
+ * @description Parses a "Logging" configuration, for example:
+ *              {"_content": {"type": "application/vnd.celastrinajs.config+json;Logging"}, "format": "json", "level": "INFO"}
+ * @author Robert R Murrell
+ */
+class LoggingConfigParser extends ConfigParser {
+    /**
+     * @param {ConfigParser} [link=null]
+     * @param {string} [version="1.0.0"]
+     */
+    constructor(link = null, version = "1.0.0") {
+        super("Logging", link, version);
+    }
+    /**
+     * @param {string} format
+     * @param {number} level
+     * @return {Logger}
+     */
+    static _createLogger(format, level) {
+        switch(format) {
+            case "json":
+                return new JSONLogger(level);
+            case "text":
+                return new TextLogger(level);
+            default:
+                throw CelastrinaValidationError.newValidationError(
+                    "[LoggingConfigParser._createLogger(format, level)][format]: Invalid string. Unhandled format '" +
+                    format + "'.", "Logging.format");
+        }
+    }
+    /**
+     * @param _Object
+     * @return {Promise<void>}
+     * @private
+     */
+    async _create(_Object) {
+        let _format = "text";
+        if(_Object.hasOwnProperty("format")) {
+            if(typeof _Object.format !== "string" || _Object.format.trim().length === 0)
+                throw CelastrinaValidationError.newValidationError(
+                    "[LoggingConfigParser._create(_Object)][format]: Invalid string. Attribute cannot be null or zero length.",
+                    "Logging.format");
+            _format = _Object.format.trim().toLowerCase();
+        }
+        let _level = LOG_LEVEL.TRACE;
+        if(_Object.hasOwnProperty("level")) {
+            if(typeof _Object.level !== "string" || !LOG_LEVEL.hasOwnProperty(_Object.level.trim().toUpperCase()))
+                throw CelastrinaValidationError.newValidationError(
+                    "[LoggingConfigParser._create(_Object)][level]: Invalid string. Attribute must be one of " +
+                    Object.keys(LOG_LEVEL).join(", ") + ".", "Logging.level");
+            _level = LOG_LEVEL[_Object.level.trim().toUpperCase()];
+        }
+        this._config[Configuration.CONFIG_LOGGER] = LoggingConfigParser._createLogger(_format, _level);
+    }
+}
 /**
  * Configuration
  * @author Robert R Murrell
@@ -1463,6 +1995,10 @@ class Configuration {
     /**@type{string}*/static CONFIG_ROLE_FACTORY = "celastrinajs.core.sentry.role.factory";
     /**@type{string}*/static CONFIG_RESOURCE = "celastrinajs.core.resource";
     /**@type{string}*/static CONFIG_AUTHORIATION_OPTIMISTIC = "celastrinajs.core.authorization.optimistic";
+    /**@type{string}*/static CONFIG_LOGGER = "celastrinajs.core.logger";
+    /**@type{string}*/static CONFIG_METRICS_SINK = "celastrinajs.core.metrics.sink";
+    /**@type{string}*/static CONFIG_INTERCEPTORS = "celastrinajs.core.interceptors";
+    /**@type{string}*/static CONFIG_ERROR_REGISTRY = "celastrinajs.core.error.registry";
     /**
      * @param{string} name
      * @param {(null|string)} property
@@ -1490,7 +2026,7 @@ class Configuration {
                         "property");
             /**@type{AttributeParser}*/this._atp = new PropertyParser(new PermissionParser(
                                                                       new AppRegistrationResourceParser(new RoleFactoryParser())));
-            /**@type{ConfigParser}*/this._cfp = new CoreConfigParser();
+            /**@type{ConfigParser}*/this._cfp = new CoreConfigParser(new LoggingConfigParser());
             this.__type = "celastrinajs.core.Configuration";
         }
         /**@type{boolean}*/this._loaded = false;
@@ -1502,6 +2038,10 @@ class Configuration {
         this._config[Configuration.CONFIG_AUTHORIATION_OPTIMISTIC] = false;
         this._config[Configuration.CONFIG_ROLE_FACTORY] = new DefaultRoleFactory();
         this._config[Configuration.CONFIG_SENTRY] = new Sentry();
+        this._config[Configuration.CONFIG_LOGGER] = new TextLogger();
+        this._config[Configuration.CONFIG_METRICS_SINK] = new MetricsSink();
+        this._config[Configuration.CONFIG_INTERCEPTORS] = [];
+        this._config[Configuration.CONFIG_ERROR_REGISTRY] = new ErrorRegistry();
     }
     /**@return{string}*/get name(){return this._config[Configuration.CONFIG_NAME];}
     /**@return{PropertyManager}*/get properties() {return this._config[Configuration.CONFIG_PROPERTY];}
@@ -1513,6 +2053,10 @@ class Configuration {
     /**@return{RoleFactory}*/get roleFactory() {return this._config[Configuration.CONFIG_ROLE_FACTORY];}
     /**@return{ResourceManager}*/get resources() {return this._config[Configuration.CONFIG_RESOURCE];}
     /**@return{boolean}*/get authorizationOptimistic() {return this._config[Configuration.CONFIG_AUTHORIATION_OPTIMISTIC];}
+    /**@return{Logger}*/get logger() {return this._config[Configuration.CONFIG_LOGGER];}
+    /**@return{MetricsSink}*/get metricsSink() {return this._config[Configuration.CONFIG_METRICS_SINK];}
+    /**@return{Array<LifecycleInterceptor>}*/get interceptors() {return this._config[Configuration.CONFIG_INTERCEPTORS];}
+    /**@return{ErrorRegistry}*/get errorRegistry() {return this._config[Configuration.CONFIG_ERROR_REGISTRY];}
     /**@return{AttributeParser}*/get contentParser() {return this._atp;}
     /**@return{ConfigParser}*/get configParser() {return this._cfp;}
     /**
@@ -1523,6 +2067,53 @@ class Configuration {
         this._config[Configuration.CONFIG_AUTHORIATION_OPTIMISTIC] = optimistic;
         return this;
     }
+    /**
+     * @param {Logger} logger
+     * @return {Configuration}
+     */
+    setLogger(logger) {
+        if(!instanceOfCelastringType(Logger.CELASTRINAJS_TYPE, logger))
+            throw CelastrinaValidationError.newValidationError("Argument 'logger' is required and must be of type '" +
+                                                               Logger.CELASTRINAJS_TYPE + "'.", "logger");
+        this._config[Configuration.CONFIG_LOGGER] = logger;
+        return this;
+    }
+    /**
+     * @param {MetricsSink} sink
+     * @return {Configuration}
+     */
+    setMetricsSink(sink) {
+        if(!instanceOfCelastringType(MetricsSink.CELASTRINAJS_TYPE, sink))
+            throw CelastrinaValidationError.newValidationError("Argument 'sink' is required and must be of type '" +
+                                                               MetricsSink.CELASTRINAJS_TYPE + "'.", "sink");
+        this._config[Configuration.CONFIG_METRICS_SINK] = sink;
+        return this;
+    }
+    /**
+     * @param {ErrorRegistry} registry
+     * @return {Configuration}
+     */
+    setErrorRegistry(registry) {
+        if(!instanceOfCelastringType(ErrorRegistry.CELASTRINAJS_TYPE, registry))
+            throw CelastrinaValidationError.newValidationError("Argument 'registry' is required and must be of type '" +
+                                                               ErrorRegistry.CELASTRINAJS_TYPE + "'.", "registry");
+        this._config[Configuration.CONFIG_ERROR_REGISTRY] = registry;
+        return this;
+    }
+    /**
+     * @param {LifecycleInterceptor} interceptor
+     * @return {Configuration}
+     */
+    addInterceptor(interceptor) {
+        if(!instanceOfCelastringType(LifecycleInterceptor.CELASTRINAJS_TYPE, interceptor))
+            throw CelastrinaValidationError.newValidationError("Argument 'interceptor' is required and must be of type '" +
+                                                               LifecycleInterceptor.CELASTRINAJS_TYPE + "'.", "interceptor");
+        /**@type{Array<LifecycleInterceptor>}*/let _interceptors = this._config[Configuration.CONFIG_INTERCEPTORS];
+        let _index = _interceptors.findIndex((_interceptor) => _interceptor.order > interceptor.order);
+        if(_index < 0) _interceptors.push(interceptor);
+        else _interceptors.splice(_index, 0, interceptor);
+        return this;
+    }
     /**
      * @param {RoleFactory} factory
      * @return {Configuration}
@@ -1644,7 +2235,8 @@ class Configuration {
         this._atp.initialize(azcontext, this._config);
         this._cfp.initialize(azcontext, this._config);
         let _pm = this._config[Configuration.CONFIG_PROPERTY];
-        /**@type{(null|undefined|Object)}*/let _funcconfig = await _pm.getObject(this._property);
+        /**@type{(null|undefined|Object)}*/let _funcconfig = await _pm.getObject(this._property, null, null,
+                                                                                 TraceContext.fromAzureContext(azcontext));
         if (_funcconfig == null)
             throw CelastrinaValidationError.newValidationError(
                 "[Configuration.load(azcontext, pm)][_funcconfig]: Invalid object. Attribute _funcconfig cannot be 'undefined' or null.",
@@ -1860,12 +2452,42 @@ class Algorithm {
         this.__type = Algorithm.CELASTRINAJS_TYPE;
     }
     /**@return{string}*/get name(){return this._name;}
-    /**@return{Promise<void>}*/
-    async initialize() {}
+    /**
+     * @param {(null|PropertyManager)} [pm=null]
+     * @param {(null|ResourceManager)} [rm=null]
+     * @return {Promise<void>}
+     */
+    async initialize(pm = null, rm = null) {}
+    /**
+     * @param {string} value The cipher text.
+     * @return {boolean} True if the cipher text should be encrypted again, such as with a retired key.
+     */
+    isStale(value) {return false;}
     /**@return{Promise<Cipher>}*/
     async createCipher(){throw CelastrinaError.newError("Not supported.");}
     /**@return{Promise<Decipher>}*/
     async createDecipher(){throw CelastrinaError.newError("Not supported.");}
+    /**
+     * @param {string} value
+     * @return {Promise<string>} The base64 encoded cipher text.
+     */
+    async encrypt(value) {
+        let cryp = await this.createCipher();
+        let encrypted = cryp.update(value, "utf8", "hex");
+        encrypted += cryp.final("hex");
+        return Buffer.from(encrypted, "hex").toString("base64");
+    }
+    /**
+     * @param {string} value Base64 encoded cipher text.
+     * @return {Promise<string>}
+     */
+    async decrypt(value) {
+        let cryp = await this.createDecipher();
+        let encrypted = Buffer.from(value, "base64").toString("hex");
+        let decrypted = cryp.update(encrypted, "hex", "utf8");
+        decrypted += cryp.final("utf8");
+        return decrypted;
+    }
 }
 /**@type{Algorithm}*/
 class AES256Algorithm extends Algorithm {
@@ -1908,17 +2530,360 @@ class AES256Algorithm extends Algorithm {
         return new AES256Algorithm(options.key, options.iv);
     }
 }
-/** Cryptography */
-class Cryptography {
-    static CELASTRINAJS_TYPE = "celastrinajs.core.Cryptography";
-    /**@param{Algorithm}algorithm*/
+/**
+ * CipherEnvelope
+ * @description The versioned cipher text of an authenticated Algorithm, 'v1.{algorithm}.{nonce}.{tag}.{cipher text}'
+ *              with each binary part base64url encoded. Legacy base64 cipher text never contains '.', so both can be
+ *              told apart.
+ * @author Robert R Murrell
+ */
+class CipherEnvelope {
+    static VERSION = "v1";
+    /**
+     * @param {string} algorithm
+     * @param {Buffer} nonce
+     * @param {Buffer} tag
+     * @param {Buffer} data
+     */
+    constructor(algorithm, nonce, tag, data) {
+        this._algorithm = algorithm;
+        this._nonce = nonce;
+        this._tag = tag;
+        this._data = data;
+    }
+    /**@return{string}*/get algorithm() {return this._algorithm;}
+    /**@return{Buffer}*/get nonce() {return this._nonce;}
+    /**@return{Buffer}*/get tag() {return this._tag;}
+    /**@return{Buffer}*/get data() {return this._data;}
+    /**@return{string}*/
+    toString() {
+        return [CipherEnvelope.VERSION, this._algorithm, toBase64URL(this._nonce), toBase64URL(this._tag),
+                toBase64URL(this._data)].join(".");
+    }
+    /**
+     * @param {string} value
+     * @return {boolean}
+     */
+    static isEnvelope(value) {
+        return typeof value === "string" && value.indexOf(".") >= 0;
+    }
+    /**
+     * @param {string} value
+     * @return {CipherEnvelope}
+     * @throws {CelastrinaError} If the value is not a supported envelope.
+     */
+    static parse(value) {
+        let _parts = (typeof value === "string") ? value.split(".") : [];
+        if(_parts.length !== 5 || _parts[0] !== CipherEnvelope.VERSION)
+            throw CelastrinaError.newError("Invalid or unsupported cipher envelope.", 400);
+        return new CipherEnvelope(_parts[1], fromBase64URL(_parts[2]), fromBase64URL(_parts[3]),
+                                  fromBase64URL(_parts[4]));
+    }
+}
+/**
+ * AES256GCMAlgorithm
+ * @description Authenticated AES-256-GCM encryption with a random 96 bit nonce per message, producing a CipherEnvelope.
+ *              Set a legacy Algorithm, such as an AES256Algorithm, to still decrypt cipher text written before
+ *              migrating.
+ * @author Robert R Murrell
+ */
+class AES256GCMAlgorithm extends Algorithm {
+    static NONCE_LENGTH = 12;
+    static TAG_LENGTH = 16;
+    /**
+     * @param {(string|Buffer)} key A 32 byte key.
+     * @param {(null|Algorithm)} [legacy=null] The Algorithm decrypting cipher text that is not a CipherEnvelope.
+     */
+    constructor(key, legacy = null) {
+        super("aes-256-gcm");
+        if((typeof key !== "string" && !Buffer.isBuffer(key)) || Buffer.byteLength(key) !== 32)
+            throw CelastrinaValidationError.newValidationError("Argument 'key' must be 32 bytes.", "key");
+        if(legacy != null && !instanceOfCelastringType(Algorithm.CELASTRINAJS_TYPE, legacy))
+            throw CelastrinaValidationError.newValidationError("Argument 'legacy' must be of type '" +
+                                                               Algorithm.CELASTRINAJS_TYPE + "'.", "legacy");
+        this._key = Buffer.from(key);
+        this._legacy = legacy;
+    }
+    /**@return{(null|Algorithm)}*/get legacy() {return this._legacy;}
+    /**
+     * @param {(null|PropertyManager)} [pm=null]
+     * @param {(null|ResourceManager)} [rm=null]
+     * @return {Promise<void>}
+     */
+    async initialize(pm = null, rm = null) {
+        if(this._legacy != null) await this._legacy.initialize(pm, rm);
+    }
+    /**
+     * @param {string} value
+     * @return {boolean} True for legacy cipher text.
+     */
+    isStale(value) {return !CipherEnvelope.isEnvelope(value);}
+    /**
+     * @param {string} value
+     * @return {Promise<string>} The CipherEnvelope.
+     */
+    async encrypt(value) {
+        let _nonce = crypto.randomBytes(AES256GCMAlgorithm.NONCE_LENGTH);
+        let _cipher = crypto.createCipheriv(this._name, this._key, _nonce, {authTagLength: AES256GCMAlgorithm.TAG_LENGTH});
+        let _data = Buffer.concat([_cipher.update(value, "utf8"), _cipher.final()]);
+        return new CipherEnvelope(this._name, _nonce, _cipher.getAuthTag(), _data).toString();
+    }
+    /**
+     * @param {string} value A CipherEnvelope, or legacy cipher text if a legacy Algorithm is set.
+     * @return {Promise<string>}
+     * @throws {CelastrinaError} If the cipher text was modified or is not supported.
+     */
+    async decrypt(value) {
+        if(!CipherEnvelope.isEnvelope(value)) {
+            if(this._legacy == null) throw CelastrinaError.newError("Invalid or unsupported cipher envelope.", 400);
+            return this._legacy.decrypt(value);
+        }
+        let _envelope = CipherEnvelope.parse(value);
+        if(_envelope.algorithm !== this._name || _envelope.nonce.length !== AES256GCMAlgorithm.NONCE_LENGTH ||
+                _envelope.tag.length !== AES256GCMAlgorithm.TAG_LENGTH)
+            throw CelastrinaError.newError("Invalid or unsupported cipher envelope.", 400);
+        let _decipher = crypto.createDecipheriv(this._name, this._key, _envelope.nonce,
+                                                {authTagLength: AES256GCMAlgorithm.TAG_LENGTH});
+        _decipher.setAuthTag(_envelope.tag);
+        return Buffer.concat([_decipher.update(_envelope.data), _decipher.final()]).toString("utf8");
+    }
+    /**
+     * @param {{key: string, legacy: (undefined|null|{key: string, iv: string})}} options
+     * @return {AES256GCMAlgorithm}
+     */
+    static create(options) {
+        let _legacy = null;
+        if(typeof options.legacy === "object" && options.legacy != null) _legacy = AES256Algorithm.create(options.legacy);
+        return new AES256GCMAlgorithm(options.key, _legacy);
+    }
+}
+/**
+ * Keyring
+ * @description An Algorithm holding keys by id so keys can be rotated without losing cipher text. The active key
+ *              encrypts, every key decrypts, and the key id is embedded as 'k1.{id}.{cipher text}'. Keys are added as
+ *              Algorithms, or as a PropertyManager property or Key Vault secret resolved on initialize. An
+ *              'aes-256-gcm' key is the 32 byte key, an 'aes-256-cbc' key is JSON '{"key": "...", "iv": "..."}'.
+ * @author Robert R Murrell
+ */
+class Keyring extends Algorithm {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.Keyring";
+    static VERSION = "k1";
+    static ALGORITHMS = ["aes-256-gcm", "aes-256-cbc"];
+    constructor() {
+        super("keyring");
+        /**@type{Object<string, Algorithm>}*/this._keys = {};
+        /**@type{Array<{id: string, property: (null|string), secret: (null|string), algorithm: string, resource: string}>}*/
+        this._sources = [];
+        /**@type{(null|string)}*/this._active = null;
+        /**@type{(null|string)}*/this._untagged = null;
+        this.__type = Keyring.CELASTRINAJS_TYPE;
+    }
+    /**@return{(null|string)}*/get activeKey() {return this._active;}
+    /**@return{(null|string)}*/get untaggedKey() {return this._untagged;}
+    /**@return{Array<string>}*/get keys() {return Object.keys(this._keys);}
+    /**
+     * @param {string} id
+     * @return {string}
+     * @private
+     */
+    static _checkId(id) {
+        if(typeof id !== "string" || !/^[A-Za-z0-9_-]+$/.test(id))
+            throw CelastrinaValidationError.newValidationError(
+                "[Keyring][id]: Invalid string. Key id must be letters, digits, '_' or '-'.", "id");
+        return id;
+    }
+    /**
+     * @param {string} algorithm
+     * @return {string}
+     * @private
+     */
+    static _checkAlgorithm(algorithm) {
+        if(!Keyring.ALGORITHMS.includes(algorithm))
+            throw CelastrinaValidationError.newValidationError("Argument 'algorithm' must be one of '" +
+                                                               Keyring.ALGORITHMS.join("', '") + "'.", "algorithm");
+        return algorithm;
+    }
+    /**
+     * @param {string} id
+     * @param {Algorithm} algorithm
+     * @param {boolean} [active=false] True to encrypt with this key.
+     * @return {Keyring}
+     */
+    addKey(id, algorithm, active = false) {
+        Keyring._checkId(id);
+        if(!instanceOfCelastringType(Algorithm.CELASTRINAJS_TYPE, algorithm))
+            throw CelastrinaValidationError.newValidationError("Argument 'algorithm' is required and must be of type '" +
+                                                               Algorithm.CELASTRINAJS_TYPE + "'.", "algorithm");
+        this._keys[id] = algorithm;
+        if(active) this._active = id;
+        return this;
+    }
+    /**
+     * @param {string} id
+     * @param {string} property The PropertyManager property holding the key.
+     * @param {boolean} [active=false]
+     * @param {string} [algorithm="aes-256-gcm"]
+     * @return {Keyring}
+     */
+    addPropertyKey(id, property, active = false, algorithm = "aes-256-gcm") {
+        this._sources.push({id: Keyring._checkId(id), property: property, secret: null,
+                            algorithm: Keyring._checkAlgorithm(algorithm), resource: null});
+        if(active) this._active = id;
+        return this;
+    }
+    /**
+     * @param {string} id
+     * @param {string} identifier The Key Vault secret identifier holding the key.
+     * @param {boolean} [active=false]
+     * @param {string} [algorithm="aes-256-gcm"]
+     * @param {string} [resource=ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY] The resource authorizing Key Vault.
+     * @return {Keyring}
+     */
+    addVaultKey(id, identifier, active = false, algorithm = "aes-256-gcm",
+                resource = ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY) {
+        this._sources.push({id: Keyring._checkId(id), property: null, secret: identifier,
+                            algorithm: Keyring._checkAlgorithm(algorithm), resource: resource});
+        if(active) this._active = id;
+        return this;
+    }
+    /**
+     * @param {(null|string)} id The key decrypting cipher text without a key id, written before the Keyring was used.
+     * @return {Keyring}
+     */
+    setUntaggedKey(id = null) {
+        this._untagged = (id == null) ? null : Keyring._checkId(id);
+        return this;
+    }
+    /**
+     * @param {string} algorithm
+     * @param {string} key
+     * @return {Algorithm}
+     * @private
+     */
+    static _createAlgorithm(algorithm, key) {
+        if(algorithm === "aes-256-cbc") {
+            let _options = JSON.parse(key);
+            return new AES256Algorithm(_options.key, _options.iv);
+        }
+        return new AES256GCMAlgorithm(key);
+    }
+    /**
+     * @param {(null|PropertyManager)} [pm=null]
+     * @param {(null|ResourceManager)} [rm=null]
+     * @return {Promise<void>}
+     */
+    async initialize(pm = null, rm = null) {
+        for(let _source of this._sources) {
+            let _key = null;
+            if(_source.property != null) {
+                if(pm == null) throw CelastrinaError.newError("Key '" + _source.id + "' requires a PropertyManager.");
+                _key = await pm.getProperty(_source.property);
+            }
+            else {
+                if(rm == null) throw CelastrinaError.newError("Key '" + _source.id + "' requires a ResourceManager.");
+                _key = await new Vault().getSecret(await rm.getToken("https://vault.azure.net", _source.resource),
+                                                   _source.secret);
+            }
+            if(typeof _key !== "string" || _key.length === 0)
+                throw CelastrinaError.newError("Key '" + _source.id + "' not found.");
+            this._keys[_source.id] = Keyring._createAlgorithm(_source.algorithm, _key);
+        }
+        this._sources = [];
+        if(this._active == null || !this._keys.hasOwnProperty(this._active))
+            throw CelastrinaError.newError("Keyring has no active key.");
+        if(this._untagged != null && !this._keys.hasOwnProperty(this._untagged))
+            throw CelastrinaError.newError("Keyring has no key '" + this._untagged + "'.");
+        for(let _id in this._keys) {
+            if(this._keys.hasOwnProperty(_id)) await this._keys[_id].initialize(pm, rm);
+        }
+    }
+    /**
+     * @param {string} value
+     * @return {{id: (null|string), value: string}} The key id, null if the cipher text has none, and the cipher text of
+     *         the key.
+     */
+    static parse(value) {
+        if(typeof value === "string" && value.startsWith(Keyring.VERSION + ".")) {
+            let _end = value.indexOf(".", Keyring.VERSION.length + 1);
+            if(_end > 0) return {id: value.substring(Keyring.VERSION.length + 1, _end), value: value.substring(_end + 1)};
+        }
+        return {id: null, value: value};
+    }
+    /**
+     * @param {string} value
+     * @return {Promise<string>}
+     */
+    async encrypt(value) {
+        return Keyring.VERSION + "." + this._active + "." + await this._keys[this._active].encrypt(value);
+    }
+    /**
+     * @param {string} value
+     * @return {Promise<string>}
+     * @throws {CelastrinaError} If the key id is unknown.
+     */
+    async decrypt(value) {
+        let _parsed = Keyring.parse(value);
+        let _id = (_parsed.id == null) ? this._untagged : _parsed.id;
+        if(_id == null || !this._keys.hasOwnProperty(_id))
+            throw CelastrinaError.newError("Unknown key id '" + _id + "'.", 400);
+        return this._keys[_id].decrypt(_parsed.value);
+    }
+    /**
+     * @param {string} value
+     * @return {boolean} True unless the cipher text was encrypted with the active key.
+     */
+    isStale(value) {
+        let _parsed = Keyring.parse(value);
+        return _parsed.id !== this._active || this._keys[this._active].isStale(_parsed.value);
+    }
+    /**
+     * @param {{keys: Array<{id: string, key: (undefined|string), property: (undefined|string), secret: (undefined|string),
+     *          algorithm: (undefined|string), iv: (undefined|string), active: (undefined|boolean),
+     *          resource: (undefined|string)}>, untagged: (undefined|null|string)}} options
+     * @return {Keyring}
+     */
+    static create(options) {
+        let _keyring = new Keyring();
+        for(let _key of options.keys) {
+            let _algorithm = Keyring._checkAlgorithm((typeof _key.algorithm === "string") ? _key.algorithm : "aes-256-gcm");
+            let _active = (_key.active === true);
+            if(typeof _key.property === "string")
+                _keyring.addPropertyKey(_key.id, _key.property, _active, _algorithm);
+            else if(typeof _key.secret === "string")
+                _keyring.addVaultKey(_key.id, _key.secret, _active, _algorithm, (typeof _key.resource === "string") ?
+                                         _key.resource : ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY);
+            else if(_algorithm === "aes-256-cbc")
+                _keyring.addKey(_key.id, new AES256Algorithm(_key.key, _key.iv), _active);
+            else
+                _keyring.addKey(_key.id, new AES256GCMAlgorithm(_key.key), _active);
+        }
+        if(typeof options.untagged === "string") _keyring.setUntaggedKey(options.untagged);
+        return _keyring;
+    }
+}
+/** Cryptography */
+class Cryptography {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.Cryptography";
+    /**@param{Algorithm}algorithm*/
     constructor(algorithm) {
         this._algorithm = algorithm;
         this.__type = Cryptography.CELASTRINAJS_TYPE;
     }
-    /**@return{Promise<void>}*/
-    async initialize() {
-        return this._algorithm.initialize();
+    /**@return{Algorithm}*/get algorithm() {return this._algorithm;}
+    /**
+     * @param {(null|PropertyManager)} [pm=null]
+     * @param {(null|ResourceManager)} [rm=null]
+     * @return {Promise<void>}
+     */
+    async initialize(pm = null, rm = null) {
+        return this._algorithm.initialize(pm, rm);
+    }
+    /**
+     * @param {string} value The cipher text.
+     * @return {boolean} True if the cipher text should be encrypted again, such as with a retired key.
+     */
+    isStale(value) {
+        return this._algorithm.isStale(value);
     }
     /**
      * @param {string} value
@@ -1926,27 +2891,19 @@ class Cryptography {
      */
     async encrypt(value) {
         try {
-            let cryp = await this._algorithm.createCipher();
-            let encrypted = cryp.update(value, "utf8", "hex");
-            encrypted += cryp.final("hex");
-            encrypted = Buffer.from(encrypted, "hex").toString("base64");
-            return encrypted;
+            return await this._algorithm.encrypt(value);
         }
         catch(exception) {
             throw CelastrinaError.wrapError(exception);
         }
     }
     /**
-     * @param {string} value Base64 encded HEX string.
+     * @param {string} value Base64 encded cipher text, or a CipherEnvelope.
      * @return {Promise<string>}
      */
     async decrypt(value) {
         try {
-            let cryp = await this._algorithm.createDecipher();
-            let encrypted = Buffer.from(value, "base64").toString("hex");
-            let decrypted = cryp.update(encrypted, "hex", "utf8");
-            decrypted += cryp.final("utf8");
-            return decrypted;
+            return await this._algorithm.decrypt(value);
         }
         catch(exception) {
             throw CelastrinaError.wrapError(exception);
@@ -1957,6 +2914,155 @@ class Cryptography {
  * @type {{TRACE: number, ERROR: number, VERBOSE: number, INFO: number, WARN: number, THREAT: number}}
  */
 const LOG_LEVEL = {TRACE: 0, VERBOSE: 1, INFO: 2, WARN: 3, ERROR: 4, THREAT: 5};
+/**
+ * Logger
+ * @author Robert R Murrell
+ * @abstract
+ */
+class Logger {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.Logger";
+    /**
+     * @param {number} [level=LOG_LEVEL.TRACE] The minimum level written by this logger.
+     */
+    constructor(level = LOG_LEVEL.TRACE) {
+        this._level = level;
+        this.__type = Logger.CELASTRINAJS_TYPE;
+    }
+    /**@return{number}*/get level() {return this._level;}
+    /**@param{number}level*/set level(level) {this._level = level;}
+    /**
+     * @param {number} level
+     * @return {boolean}
+     */
+    isLoggable(level) {return level >= this._level;}
+    /**
+     * @param {Context} context
+     * @param {string} message
+     * @param {number} level
+     * @param {(null|string)} [subject=null]
+     * @param {(null|Object)} [fields=null]
+     * @return {Object}
+     */
+    createRecord(context, message, level, subject = null, fields = null) {
+        let _subject = null;
+        if(context.subject != null) _subject = context.subject.id;
+        let _record = {};
+        if(typeof fields === "object" && fields != null) Object.assign(_record, fields);
+        return Object.assign(_record, {
+            timestamp: moment().toISOString(),
+            level: Logger.getLevelName(level),
+            name: context.name,
+            invocationId: context.invocationId,
+            requestId: context.requestId,
+            traceId: context.traceId,
+            subject: _subject,
+            source: subject,
+            message: (message == null) ? null : message.toString()
+        });
+    }
+    /**
+     * @param {Context} context
+     * @param {string} message
+     * @param {number} [level=LOG_LEVEL.INFO]
+     * @param {(null|string)} [subject=null]
+     * @param {(null|Object)} [fields=null]
+     */
+    log(context, message, level = LOG_LEVEL.INFO, subject = null, fields = null) {
+        if(this.isLoggable(level))
+            this._write(context, level, this.createRecord(context, message, level, subject, fields), fields);
+    }
+    /**
+     * @param {Context} context
+     * @param {number} level
+     * @param {Object} record
+     * @param {(null|Object)} [fields=null]
+     * @abstract
+     */
+    _write(context, level, record, fields = null) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * @param {_AzureFunctionContext} azcontext
+     * @param {number} level
+     * @param {string} out
+     */
+    static _route(azcontext, level, out) {
+        switch(level) {
+            case LOG_LEVEL.ERROR: azcontext.log.error(out); break;
+            case LOG_LEVEL.INFO: azcontext.log.info(out); break;
+            case LOG_LEVEL.WARN: azcontext.log.warn(out); break;
+            case LOG_LEVEL.VERBOSE: azcontext.log.verbose(out); break;
+            case LOG_LEVEL.THREAT: azcontext.log.warn(out); break;
+            default: azcontext.log.verbose(out);
+        }
+    }
+    /**
+     * @param {number} level
+     * @return {string}
+     */
+    static getLevelName(level) {
+        for(let _name in LOG_LEVEL) {
+            if(LOG_LEVEL.hasOwnProperty(_name) && LOG_LEVEL[_name] === level) return _name;
+        }
+        return "VERBOSE";
+    }
+    /**
+     * @param {string} name
+     * @return {number}
+     */
+    static getLevel(name) {
+        if(typeof name !== "string" || !LOG_LEVEL.hasOwnProperty(name.trim().toUpperCase()))
+            throw CelastrinaValidationError.newValidationError("Invalid log level '" + name + "'.", "level");
+        return LOG_LEVEL[name.trim().toUpperCase()];
+    }
+}
+/**
+ * TextLogger
+ * @description Writes the classic "[name][subject][invocationId][requestId]: message" line to the Azure Function log.
+ * @author Robert R Murrell
+ */
+class TextLogger extends Logger {
+    /**
+     * @param {number} [level=LOG_LEVEL.TRACE]
+     */
+    constructor(level = LOG_LEVEL.TRACE) {
+        super(level);
+    }
+    /**
+     * @param {Context} context
+     * @param {number} level
+     * @param {Object} record
+     * @param {(null|Object)} [fields=null]
+     */
+    _write(context, level, record, fields = null) {
+        let out = "[" + record.name + "]";
+        if(typeof record.source === "string") out += "[" + record.source + "]";
+        out += "[" + record.invocationId + "]" + "[" + record.requestId + "]: " + record.message;
+        if(typeof fields === "object" && fields != null) out += " " + JSON.stringify(fields);
+        if(level === LOG_LEVEL.THREAT) out = "[THREAT]" + out;
+        Logger._route(context.azureFunctionContext, level, out);
+    }
+}
+/**
+ * JSONLogger
+ * @description Writes one JSON record per log entry to the Azure Function log.
+ * @author Robert R Murrell
+ */
+class JSONLogger extends Logger {
+    /**
+     * @param {number} [level=LOG_LEVEL.TRACE]
+     */
+    constructor(level = LOG_LEVEL.TRACE) {
+        super(level);
+    }
+    /**
+     * @param {Context} context
+     * @param {number} level
+     * @param {Object} record
+     * @param {(null|Object)} [fields=null]
+     */
+    _write(context, level, record, fields = null) {
+        Logger._route(context.azureFunctionContext, level, JSON.stringify(record));
+    }
+}
 /**
  * MonitorResponse
  * @author Robert R Murrell
@@ -1990,6 +3096,105 @@ class MonitorResponse {
         else return "PASSED";
     }
 }
+/**
+ * Metrics
+ * @description Timings, counters and gauges collected during a single invocation.
+ * @author Robert R Murrell
+ */
+class Metrics {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.Metrics";
+    constructor() {
+        /**@type{boolean}*/this._coldStart = false;
+        /**@type{Object<string, {duration: number, outcome: string}>}*/this._timings = {};
+        /**@type{Object<string, number>}*/this._counters = {};
+        /**@type{Object<string, *>}*/this._gauges = {};
+        this.__type = Metrics.CELASTRINAJS_TYPE;
+    }
+    /**@return{boolean}*/get coldStart() {return this._coldStart;}
+    /**@param{boolean}coldStart*/set coldStart(coldStart) {this._coldStart = coldStart;}
+    /**@return{Object<string, {duration: number, outcome: string}>}*/get timings() {return this._timings;}
+    /**@return{Object<string, number>}*/get counters() {return this._counters;}
+    /**@return{Object<string, *>}*/get gauges() {return this._gauges;}
+    /**
+     * @param {string} name
+     * @param {number} duration Duration in milliseconds.
+     * @param {string} [outcome="ok"]
+     * @return {Metrics}
+     */
+    timing(name, duration, outcome = "ok") {
+        this._timings[name] = {duration: duration, outcome: outcome};
+        return this;
+    }
+    /**
+     * @param {string} name
+     * @param {number} [value=1]
+     * @return {Metrics}
+     */
+    increment(name, value = 1) {
+        let _count = this._counters[name];
+        if(typeof _count !== "number") _count = 0;
+        this._counters[name] = _count + value;
+        return this;
+    }
+    /**
+     * @param {string} name
+     * @param {*} value
+     * @return {Metrics}
+     */
+    gauge(name, value) {
+        this._gauges[name] = value;
+        return this;
+    }
+    /**
+     * @return {Object}
+     */
+    toJSON() {
+        return {coldStart: this._coldStart, timings: Object.assign({}, this._timings),
+                counters: Object.assign({}, this._counters), gauges: Object.assign({}, this._gauges)};
+    }
+}
+/**
+ * MetricsSink
+ * @description Receives the metrics of each invocation once the terminate life-cycle completes. The default sink
+ *              discards them.
+ * @author Robert R Murrell
+ */
+class MetricsSink {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.MetricsSink";
+    constructor() {
+        this.__type = MetricsSink.CELASTRINAJS_TYPE;
+    }
+    /**
+     * @param {Context} context
+     * @param {Metrics} metrics
+     * @return {Promise<void>}
+     */
+    async flush(context, metrics) {}
+}
+/**
+ * LogMetricsSink
+ * @description Writes the metrics of each invocation as the fields of a single log record.
+ * @author Robert R Murrell
+ */
+class LogMetricsSink extends MetricsSink {
+    /**
+     * @param {number} [level=LOG_LEVEL.INFO]
+     */
+    constructor(level = LOG_LEVEL.INFO) {
+        super();
+        this._level = level;
+    }
+    /**@return{number}*/get level() {return this._level;}
+    /**
+     * @param {Context} context
+     * @param {Metrics} metrics
+     * @return {Promise<void>}
+     */
+    async flush(context, metrics) {
+        context.log("Invocation metrics.", this._level, "LogMetricsSink.flush(context, metrics)",
+                    {metrics: metrics.toJSON()});
+    }
+}
 /**
  * ValueMatch
  * @abstract
@@ -2565,6 +3770,259 @@ class Sentry {
         return this._roleFactory.initialize(config);
     }
 }
+/**
+ * TraceContext
+ * @description W3C Trace Context (https://www.w3.org/TR/trace-context/) for a span of work.
+ * @author Robert R Murrell
+ */
+class TraceContext {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.TraceContext";
+    static _TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+    /**
+     * @param {string} traceId 32 hex character trace-id.
+     * @param {string} spanId 16 hex character id of this span.
+     * @param {(null|string)} [parentId=null] 16 hex character id of the parent span.
+     * @param {string} [flags="01"]
+     * @param {(null|string)} [tracestate=null]
+     */
+    constructor(traceId, spanId, parentId = null, flags = "01", tracestate = null) {
+        this._traceId = traceId;
+        this._spanId = spanId;
+        this._parentId = parentId;
+        this._flags = flags;
+        this._tracestate = tracestate;
+        this.__type = TraceContext.CELASTRINAJS_TYPE;
+    }
+    /**@return{string}*/get traceId() {return this._traceId;}
+    /**@return{string}*/get spanId() {return this._spanId;}
+    /**@return{(null|string)}*/get parentId() {return this._parentId;}
+    /**@return{string}*/get flags() {return this._flags;}
+    /**@return{(null|string)}*/get tracestate() {return this._tracestate;}
+    /**@return{boolean}*/get sampled() {return (parseInt(this._flags, 16) & 0x01) === 0x01;}
+    /**@return{string}*/get traceparent() {return "00-" + this._traceId + "-" + this._spanId + "-" + this._flags;}
+    /**
+     * @return {TraceContext} A new span context in this trace whose parent is this span.
+     */
+    createChild() {
+        return new TraceContext(this._traceId, TraceContext._randomId(8), this._spanId, this._flags, this._tracestate);
+    }
+    /**
+     * @param {Object} [headers={}]
+     * @return {Object} The headers with 'traceparent' and, if present, 'tracestate' set.
+     */
+    setHeaders(headers = {}) {
+        headers["traceparent"] = this.traceparent;
+        if(typeof this._tracestate === "string" && this._tracestate.trim().length > 0)
+            headers["tracestate"] = this._tracestate;
+        return headers;
+    }
+    /**
+     * @param {number} bytes
+     * @return {string}
+     * @private
+     */
+    static _randomId(bytes) {
+        let _id = crypto.randomBytes(bytes).toString("hex");
+        if(/^0+$/.test(_id)) return TraceContext._randomId(bytes);
+        return _id;
+    }
+    /**
+     * @param {boolean} [sampled=true]
+     * @return {TraceContext} A new root span context.
+     */
+    static create(sampled = true) {
+        return new TraceContext(TraceContext._randomId(16), TraceContext._randomId(8), null,
+                                (sampled) ? "01" : "00");
+    }
+    /**
+     * @param {(undefined|null|string)} traceparent
+     * @param {(undefined|null|string)} [tracestate=null]
+     * @return {(null|TraceContext)} The span context identified by the traceparent, or null if traceparent is
+     *                               missing or invalid.
+     */
+    static parse(traceparent, tracestate = null) {
+        if(typeof traceparent !== "string") return null;
+        let _match = TraceContext._TRACEPARENT.exec(traceparent.trim().toLowerCase());
+        if(_match == null || _match[1] === "ff" || (_match[1] === "00" && typeof _match[5] === "string") ||
+            /^0+$/.test(_match[2]) || /^0+$/.test(_match[3]))
+            return null;
+        if(typeof tracestate !== "string" || tracestate.trim().length === 0) tracestate = null;
+        return new TraceContext(_match[2], _match[3], null, _match[4], tracestate);
+    }
+    /**
+     * @param {_AzureFunctionContext} azcontext
+     * @return {TraceContext} The span context of the Azure Function invocation, or a new root if there is none.
+     */
+    static fromAzureContext(azcontext) {
+        let _trace = null;
+        /**@type{{traceparent: string, tracestate: string}}*/let _traceContext = azcontext.traceContext;
+        if(typeof _traceContext === "object" && _traceContext != null)
+            _trace = TraceContext.parse(_traceContext.traceparent, _traceContext.tracestate);
+        if(_trace == null) _trace = TraceContext.create();
+        return _trace;
+    }
+}
+/**
+ * Span
+ * @author Robert R Murrell
+ */
+class Span {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.Span";
+    /**
+     * @param {string} name
+     * @param {TraceContext} trace
+     * @param {(null|Span)} [previous=null] The span that was active when this span started.
+     */
+    constructor(name, trace, previous = null) {
+        this._name = name;
+        this._trace = trace;
+        this._previous = previous;
+        /**@type{moment.Moment}*/this._started = moment();
+        /**@type{(null|moment.Moment)}*/this._ended = null;
+        /**@type{string}*/this._status = "unset";
+        this.__type = Span.CELASTRINAJS_TYPE;
+    }
+    /**@return{string}*/get name() {return this._name;}
+    /**@return{TraceContext}*/get trace() {return this._trace;}
+    /**@return{(null|Span)}*/get previous() {return this._previous;}
+    /**@return{moment.Moment}*/get started() {return this._started;}
+    /**@return{(null|moment.Moment)}*/get ended() {return this._ended;}
+    /**@return{string}*/get status() {return this._status;}
+    /**@return{boolean}*/get isEnded() {return this._ended != null;}
+    /**@return{number}*/get duration() {
+        let _ended = (this._ended == null) ? moment() : this._ended;
+        return _ended.diff(this._started);
+    }
+    /**
+     * @param {*} [error=null]
+     */
+    end(error = null) {
+        if(this._ended == null) {
+            this._ended = moment();
+            this._status = (error == null) ? "ok" : "error";
+        }
+    }
+    /**
+     * @return {Object}
+     */
+    toJSON() {
+        return {span: this._name, traceId: this._trace.traceId, spanId: this._trace.spanId,
+                parentSpanId: this._trace.parentId, status: this._status, duration: this.duration};
+    }
+}
+/**
+ * LifecycleInterceptor
+ * @description Adds cross-cutting behavior to the life-cycle phases of any BaseFunction it is registered with using
+ *              Configuration.addInterceptor. Override before and after, or intercept to wrap the phase entirely. An
+ *              interceptor may end the invocation early by calling context.shortCircuit, all remaining phases except
+ *              exception and terminate are then skipped.
+ * @author Robert R Murrell
+ */
+class LifecycleInterceptor {
+    static CELASTRINAJS_TYPE = "celastrinajs.core.LifecycleInterceptor";
+    /**
+     * @param {string} name
+     * @param {(null|Array<string>)} [phases=null] The phases to intercept, null for all phases.
+     * @param {number} [order=0] Interceptors with a lower order run first, outermost.
+     */
+    constructor(name, phases = null, order = 0) {
+        if(typeof name !== "string" || name.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[LifecycleInterceptor][name]: Invalid string. Argument cannot be null or zero length.", "name");
+        this._name = name.trim();
+        this._phases = phases;
+        this._order = order;
+        this.__type = LifecycleInterceptor.CELASTRINAJS_TYPE;
+    }
+    /**@return{string}*/get name() {return this._name;}
+    /**@return{(null|Array<string>)}*/get phases() {return this._phases;}
+    /**@return{number}*/get order() {return this._order;}
+    /**
+     * @param {string} phase
+     * @return {boolean}
+     */
+    appliesTo(phase) {
+        return this._phases == null || this._phases.includes(phase);
+    }
+    /**
+     * @param {Context} context
+     * @param {string} phase
+     * @return {Promise<void>}
+     */
+    async before(context, phase) {}
+    /**
+     * @param {Context} context
+     * @param {string} phase
+     * @param {*} result The value returned by the phase.
+     * @return {Promise<void>}
+     */
+    async after(context, phase, result) {}
+    /**
+     * @param {Context} context
+     * @param {string} phase
+     * @param {function():Promise<*>} next Invokes the next interceptor, or the phase itself.
+     * @return {Promise<*>}
+     */
+    async intercept(context, phase, next) {
+        await this.before(context, phase);
+        if(context.isShortCircuited) return null;
+        let _result = await next();
+        await this.after(context, phase, _result);
+        return _result;
+    }
+}
+/**
+ * HookInterceptor
+ * @description A LifecycleInterceptor built from functions, for example:
+ *              new HookInterceptor("audit", {after: async (context, phase) => {...}}, ["process"]).
+ * @author Robert R Murrell
+ */
+class HookInterceptor extends LifecycleInterceptor {
+    /**
+     * @param {string} name
+     * @param {{before: (undefined|function(Context, string):Promise<void>),
+     *          after: (undefined|function(Context, string, *):Promise<void>),
+     *          around: (undefined|function(Context, string, function():Promise<*>):Promise<*>)}} hooks
+     * @param {(null|Array<string>)} [phases=null]
+     * @param {number} [order=0]
+     */
+    constructor(name, hooks, phases = null, order = 0) {
+        super(name, phases, order);
+        if(typeof hooks !== "object" || hooks == null)
+            throw CelastrinaValidationError.newValidationError(
+                "[HookInterceptor][hooks]: Invalid object. Argument cannot be 'undefined' or null.", "hooks");
+        this._hooks = hooks;
+    }
+    /**
+     * @param {Context} context
+     * @param {string} phase
+     * @return {Promise<void>}
+     */
+    async before(context, phase) {
+        if(typeof this._hooks.before === "function") await this._hooks.before(context, phase);
+    }
+    /**
+     * @param {Context} context
+     * @param {string} phase
+     * @param {*} result
+     * @return {Promise<void>}
+     */
+    async after(context, phase, result) {
+        if(typeof this._hooks.after === "function") await this._hooks.after(context, phase, result);
+    }
+    /**
+     * @param {Context} context
+     * @param {string} phase
+     * @param {function():Promise<*>} next
+     * @return {Promise<*>}
+     */
+    async intercept(context, phase, next) {
+        if(typeof this._hooks.around === "function")
+            return super.intercept(context, phase, () => this._hooks.around(context, phase, next));
+        else
+            return super.intercept(context, phase, next);
+    }
+}
 /**
  * @author Robert R Murrell
  */
@@ -2576,12 +4034,15 @@ class Context {
     constructor(config) {
         /**@type{string}*/this._requestId = uuidv4();
         /**@type{Configuration}*/this._config = config;
-        /**@type{(null|string)}*/this._traceId = null;
+        /**@type{(null|TraceContext)}*/this._trace = null;
+        /**@type{(null|Span)}*/this._span = null;
+        /**@type{Metrics}*/this._metrics = new Metrics();
         /**@type{boolean}*/this._monitor = false;
         /**@type{MonitorResponse}*/this._monitorResponse = null;
         /**@type{Subject}*/this._subject = null;
         /**@type{string}*/this._action = "process";
         /**@type{*}*/this._result = null;
+        /**@type{boolean}*/this._shortCircuited = false;
         this.__type = Context.CELASTRINAJS_TYPE;
     }
     /**
@@ -2590,10 +4051,14 @@ class Context {
     async initialize() {
         if(this._monitor)
             this._monitorResponse = new MonitorResponse();
-        /** @type {{traceparent: string}} */
-        let _traceContext = this._config.context.traceContext;
-        if(typeof _traceContext !== "undefined")
-            this._traceId = _traceContext.traceparent;
+        this._trace = await this._createTraceContext();
+    }
+    /**
+     * @return {Promise<TraceContext>}
+     * @protected
+     */
+    async _createTraceContext() {
+        return TraceContext.fromAzureContext(this._config.context);
     }
     /**@return{string}*/get name() {return this._config.name;}
     /**@return{Configuration}*/get config(){return this._config;}
@@ -2602,7 +4067,11 @@ class Context {
     /**@return{(null|MonitorResponse)}*/get monitorResponse(){return this._monitorResponse;}
     /**@return{string}*/get invocationId(){return this._config.context.bindingData.invocationId;}
     /**@return{string}*/get requestId(){return this._requestId;}
-    /**@return{string}*/get traceId(){return this._traceId;}
+    /**@return{(null|string)}*/get traceId(){return (this._trace == null) ? null : this._trace.traceId;}
+    /**@return{(null|TraceContext)}*/get trace(){return (this._span == null) ? this._trace : this._span.trace;}
+    /**@return{(null|Span)}*/get span(){return this._span;}
+    /**@return{Metrics}*/get metrics(){return this._metrics;}
+    /**@return{boolean}*/get isShortCircuited(){return this._shortCircuited;}
     /**@param{Sentry} sentry*/set sentry(sentry){this._sentry = sentry;}
     /**@return{Subject}*/get subject(){return this._subject;}
     /**@param{Subject} subject*/set subject(subject){this._subject = subject;}
@@ -2632,20 +4101,10 @@ class Context {
      * @param {string} message
      * @param {number} [level=LOG_LEVEL.INFO]
      * @param {(null|string)} [subject=null]
+     * @param {(null|Object)} [fields=null] Additional structured fields to include in the log record.
      */
-    log(message, level = LOG_LEVEL.INFO, subject = null) {
-        let out = "[" + this._config.name + "]";
-        if(typeof subject === "string") out += "[" + subject + "]";
-        out += "[" + this._config.context.bindingData.invocationId + "]" + "[" + this._requestId + "]: " + message.toString();
-        if(level === LOG_LEVEL.THREAT) out = "[THREAT]" + out;
-        switch(level) {
-            case LOG_LEVEL.ERROR:this._config.context.log.error(out); break;
-            case LOG_LEVEL.INFO:this._config.context.log.info(out); break;
-            case LOG_LEVEL.WARN:this._config.context.log.warn(out); break;
-            case LOG_LEVEL.VERBOSE:this._config.context.log.verbose(out); break;
-            case LOG_LEVEL.THREAT: this._config.context.log.warn(out); break;
-            default:this._config.context.log.verbose(out);
-        }
+    log(message, level = LOG_LEVEL.INFO, subject = null, fields = null) {
+        this._config.logger.log(this, message, level, subject, fields);
     }
     /**
      * @param {Object} object
@@ -2655,8 +4114,36 @@ class Context {
     logObjectAsJSON(object, level = LOG_LEVEL.INFO, subject = null) {
         this.log(JSON.stringify(object), level, subject);
     }
+    /**
+     * @param {string} name
+     * @return {Span} The new span, a child of the active span, which becomes the active span.
+     */
+    startSpan(name) {
+        let _parent = this.trace;
+        if(_parent == null) _parent = TraceContext.create();
+        this._span = new Span(name, _parent.createChild(), this._span);
+        return this._span;
+    }
+    /**
+     * @param {Span} span
+     * @param {*} [error=null]
+     */
+    endSpan(span, error = null) {
+        span.end(error);
+        if(this._span === span) this._span = span.previous;
+        this.log("Span '" + span.name + "' ended with status '" + span.status + "' in " + span.duration + "ms.",
+                 LOG_LEVEL.TRACE, "Context.endSpan(span, error)", span.toJSON());
+    }
     /**@param{*}[value=null]*/
     done(value = null) {this._result = value;}
+    /**
+     * @brief Skips the remaining life-cycle phases, except exception and terminate.
+     * @param {*} [value=null] The result, if not null, see done(value).
+     */
+    shortCircuit(value = null) {
+        this._shortCircuited = true;
+        if(value != null) this.done(value);
+    }
 }
 /**
  * BaseFunction
@@ -2752,24 +4239,99 @@ class BaseFunction {
      * @return {Promise<void>}
      */
     async terminate(context) {}
+    /**
+     * @brief Runs a life-cycle phase, through the registered interceptors, in its own child span of the invocation
+     *        trace.
+     * @param {Context} context
+     * @param {string} name
+     * @param {function():Promise<*>} phase
+     * @param {boolean} [always=false] Run the phase even if the context was short-circuited.
+     * @return {Promise<*>}
+     * @private
+     */
+    async _phase(context, name, phase, always = false) {
+        if(context.isShortCircuited && !always) return null;
+        let _interceptors = this._configuration.interceptors.filter((_interceptor) => _interceptor.appliesTo(name));
+        let _index = 0;
+        let _next = async () => {
+            if(_index < _interceptors.length) return _interceptors[_index++].intercept(context, name, _next);
+            else return phase();
+        };
+        let _span = context.startSpan(name);
+        try {
+            let _result = await _next();
+            context.endSpan(_span);
+            return _result;
+        }
+        catch(exception) {
+            context.endSpan(_span, exception);
+            throw exception;
+        }
+        finally {
+            context.metrics.timing(name, _span.duration, _span.status);
+        }
+    }
+    /**
+     * @brief Adds the property cache and resource token statistics, which accumulate across invocations, to the
+     *        metrics of this invocation.
+     * @param {Context} context
+     * @return {Promise<void>}
+     * @protected
+     */
+    async _collectMetrics(context) {
+        let _pm = context.properties;
+        if(_pm instanceof CachedPropertyManager) {
+            context.metrics.gauge("property.cache.hits", _pm.hits);
+            context.metrics.gauge("property.cache.misses", _pm.misses);
+        }
+        let _rm = context.authorizations;
+        if(_rm != null) {
+            let _authorizations = _rm.authorizations;
+            for(let _id in _authorizations) {
+                if(_authorizations.hasOwnProperty(_id) &&
+                        instanceOfCelastringType(ResourceAuthorization.CELASTRINAJS_TYPE, _authorizations[_id]))
+                    context.metrics.gauge("resource.token.refreshes." + _id, _authorizations[_id].refreshes);
+            }
+        }
+    }
+    /**
+     * @param {Context} context
+     * @return {Promise<void>}
+     * @private
+     */
+    async _flushMetrics(context) {
+        try {
+            await this._collectMetrics(context);
+            await this._configuration.metricsSink.flush(context, context.metrics);
+        }
+        catch(exception) {
+            context.log("Unable to flush metrics: " + exception, LOG_LEVEL.WARN, "BaseFunction._flushMetrics(context)");
+        }
+    }
     /**
       * @brief Method called by the Azure Function to execute the lifecycle.
       * @param {_AzureFunctionContext} azcontext The azcontext of the function.
       */
     async execute(azcontext) {
         try {
+            let _started = moment();
+            let _coldStart = !this._configuration.loaded;
             await this.bootstrap(azcontext);
             if((typeof this._context !== "undefined") && this._context != null) {
-                await this.initialize(this._context);
-                this._context.subject = await this.authenticate(this._context);
-                await this.authorize(this._context);
-                await this.validate(this._context);
-                await this.load(this._context);
-                if (this._context.isMonitorInvocation)
-                    await this.monitor(this._context);
+                let _context = this._context;
+                _context.metrics.coldStart = _coldStart;
+                _context.metrics.timing("bootstrap", moment().diff(_started));
+                await this._phase(_context, "initialize", () => this.initialize(_context));
+                let _subject = await this._phase(_context, "authenticate", () => this.authenticate(_context));
+                if(!_context.isShortCircuited) _context.subject = _subject;
+                await this._phase(_context, "authorize", () => this.authorize(_context));
+                await this._phase(_context, "validate", () => this.validate(_context));
+                await this._phase(_context, "load", () => this.load(_context));
+                if (_context.isMonitorInvocation)
+                    await this._phase(_context, "monitor", () => this.monitor(_context));
                 else
-                    await this.process(this._context);
-                await this.save(this._context);
+                    await this._phase(_context, "process", () => this.process(_context));
+                await this._phase(_context, "save", () => this.save(_context));
             }
             else {
                 azcontext.log.error("[" + azcontext.bindingData.invocationId + "][BaseFunction.execute(azcontext)]: Catostrophic Error! Context was null after bootstrap, skipping all other life-cycles.");
@@ -2778,8 +4340,10 @@ class BaseFunction {
         }
         catch(exception) {
             try {
-                if((typeof this._context !== "undefined") && this._context != null)
-                    await this.exception(this._context, exception);
+                if((typeof this._context !== "undefined") && this._context != null) {
+                    let _context = this._context;
+                    await this._phase(_context, "exception", () => this.exception(_context, exception), true);
+                }
                 else
                     azcontext.log.error("[" + azcontext.bindingData.invocationId + "][BaseFunction.execute(azcontext)]: Catostrophic Error! Context was null, skipping exception life-cycle.");
             }
@@ -2792,7 +4356,13 @@ class BaseFunction {
         finally {
             try {
                 if((typeof this._context !== "undefined") && this._context != null) {
-                    await this.terminate(this._context);
+                    let _context = this._context;
+                    try {
+                        await this._phase(_context, "terminate", () => this.terminate(_context), true);
+                    }
+                    finally {
+                        await this._flushMetrics(_context);
+                    }
                     if (this._context.result == null)
                         azcontext.done();
                     else
@@ -2821,7 +4391,7 @@ class BaseFunction {
         /**@type{(exception|Error|CelastrinaError|*)}*/let ex = exception;
         if(typeof ex === "undefined" || ex == null) ex = CelastrinaError.newError("Unhandled server error.");
         else if(!instanceOfCelastringType(CelastrinaError.CELASTRINAJS_ERROR_TYPE, ex)) {
-            if(ex instanceof Error) ex = CelastrinaError.wrapError(ex);
+            if(ex instanceof Error) ex = this._configuration.errorRegistry.map(ex);
             else ex = CelastrinaError.newError(ex);
         }
         context.log.error("[BaseFunction._unhandled(context, exception)][exception]: \r\n (MESSAGE:" + ex.message + ") \r\n (STACK:" + ex.stack + ") \r\n (CAUSE:" + ex.cause + ")");
@@ -2830,8 +4400,20 @@ class BaseFunction {
 }
 module.exports = {
     instanceOfCelastringType: instanceOfCelastringType,
+    toBase64URL: toBase64URL,
+    fromBase64URL: fromBase64URL,
     CelastrinaError: CelastrinaError,
     CelastrinaValidationError: CelastrinaValidationError,
+    CelastrinaCompositeValidationError: CelastrinaCompositeValidationError,
+    CelastrinaNotFoundError: CelastrinaNotFoundError,
+    CelastrinaConflictError: CelastrinaConflictError,
+    CelastrinaPreconditionFailedError: CelastrinaPreconditionFailedError,
+    CelastrinaUnauthorizedError: CelastrinaUnauthorizedError,
+    CelastrinaForbiddenError: CelastrinaForbiddenError,
+    CelastrinaTooManyRequestsError: CelastrinaTooManyRequestsError,
+    CelastrinaServiceUnavailableError: CelastrinaServiceUnavailableError,
+    CelastrinaTimeoutError: CelastrinaTimeoutError,
+    ErrorRegistry: ErrorRegistry,
     LOG_LEVEL: LOG_LEVEL,
     ResourceAuthorization: ResourceAuthorization,
     ManagedIdentityResource: ManagedIdentityResource,
@@ -2848,11 +4430,23 @@ module.exports = {
     AttributeParser: AttributeParser,
     RoleFactoryParser: RoleFactoryParser,
     ConfigParser: ConfigParser,
+    LoggingConfigParser: LoggingConfigParser,
     AddOn: AddOn,
     Configuration: Configuration,
     Algorithm: Algorithm,
     AES256Algorithm: AES256Algorithm,
+    CipherEnvelope: CipherEnvelope,
+    AES256GCMAlgorithm: AES256GCMAlgorithm,
+    Keyring: Keyring,
     Cryptography: Cryptography,
+    Logger: Logger,
+    Metrics: Metrics,
+    MetricsSink: MetricsSink,
+    LogMetricsSink: LogMetricsSink,
+    TraceContext: TraceContext,
+    Span: Span,
+    TextLogger: TextLogger,
+    JSONLogger: JSONLogger,
     MonitorResponse: MonitorResponse,
     ValueMatch: ValueMatch,
     MatchAny: MatchAny,
@@ -2868,5 +4462,7 @@ module.exports = {
     Authorizor: Authorizor,
     Sentry: Sentry,
     Context: Context,
+    LifecycleInterceptor: LifecycleInterceptor,
+    HookInterceptor: HookInterceptor,
     BaseFunction: BaseFunction
 };
@@ -1,4 +1,4 @@
-const {CelastrinaError, Configuration, BaseFunction} = require("../Core");
+const {CelastrinaError, Configuration, BaseFunction, Logger} = require("../Core");
 const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
 const {MockContext} = require("./ContextTest");
 const assert = require("assert");
@@ -101,6 +101,16 @@ class MockFunction extends BaseFunction {
     }
 }
 
+class MockSpanLogger extends Logger {
+    constructor() {
+        super();
+        this.spans = [];
+    }
+    _write(context, level, record, fields = null) {
+        if(fields != null && typeof fields.span === "string") this.spans.push(fields);
+    }
+}
+
 describe("BaseFunction", () => {
     describe("#constructor(configuration)", () => {
         let _config = new Configuration("mock_configuration");
@@ -132,6 +142,27 @@ describe("BaseFunction", () => {
             assert.strictEqual(_azcontext.doneInvoked, true, "Azure Context Done.");
         });
     });
+    describe("#execute(azcontext), life-cycle spans.", () => {
+        let _config = new Configuration("mock_configuration");
+        _config.setAuthorizationOptimistic(true);
+        let _logger = new MockSpanLogger();
+        _config.setLogger(_logger);
+        let _func = new MockFunction(_config);
+        _func.causeErrorInProcess = true;
+        let _azcontext = new MockAzureFunctionContext();
+        it("Should record a child span per life-cycle phase.", async () => {
+            await assert.doesNotReject(_func.execute(_azcontext));
+            assert.deepStrictEqual(_logger.spans.map((span) => span.span),
+                ["initialize", "authenticate", "authorize", "validate", "load", "process", "exception", "terminate"]);
+            for(let _span of _logger.spans) {
+                assert.strictEqual(_span.traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+                assert.strictEqual(_span.parentSpanId, "00f067aa0ba902b7");
+            }
+            assert.strictEqual(_logger.spans[5].status, "error");
+            assert.strictEqual(_logger.spans[6].status, "ok");
+            assert.strictEqual(_func.context.span, null);
+        });
+    });
     describe("#execute(azcontext), with celastrina error in process.", () => {
         let _config = new Configuration("mock_configuration");
         _config.setAuthorizationOptimistic(true);
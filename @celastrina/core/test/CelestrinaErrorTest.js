@@ -1,4 +1,4 @@
-const {CelastrinaError, CelastrinaValidationError} = require("../Core");
+const {CelastrinaError, CelastrinaValidationError, CelastrinaCompositeValidationError} = require("../Core");
 const assert = require("assert");
 
 describe("CelastrinaError", () => {
@@ -380,3 +380,59 @@ describe("CelastrinaValidationError", () => {
         });
     });
 });
+describe("CelastrinaCompositeValidationError", () => {
+    describe("#constructor(message, code, drop, errors, cause)", () => {
+        let error = new CelastrinaCompositeValidationError("test", 422, false, [{path: "body.name", message: "is required.", code: "required"},
+                                                                               {path: "query.limit", message: "is invalid."}]);
+        it("should keep the validation error type", () => {
+            assert.strictEqual(error.__type, CelastrinaValidationError.CELASTRINAJS_VALIDATION_ERROR_TYPE);
+            assert.strictEqual(error instanceof CelastrinaValidationError, true);
+        });
+        it("should set errors and default code", () => {
+            assert.deepStrictEqual(error.errors, [{path: "body.name", message: "is required.", code: "required"},
+                                                  {path: "query.limit", message: "is invalid.", code: "invalid"}]);
+        });
+        it("should set tag from paths", () => {
+            assert.strictEqual(error.tag, "body.name,query.limit");
+        });
+        it("should reject non-array errors", () => {
+            assert.throws(() => {new CelastrinaCompositeValidationError("test", 400, false, {});});
+        });
+    });
+    describe("#addError(path, message, code)", () => {
+        it("should ignore duplicates", () => {
+            let error = CelastrinaCompositeValidationError.newCompositeValidationError();
+            error.addError("body.name", "is required.", "required").addError("body.name", "is required.", "required");
+            assert.strictEqual(error.errors.length, 1);
+            assert.strictEqual(error.hasErrors, true);
+        });
+        it("should require a message", () => {
+            assert.throws(() => {CelastrinaCompositeValidationError.newCompositeValidationError().addError("body.name", " ");});
+        });
+    });
+    describe("#merge(error)", () => {
+        it("should merge composite and single validation errors", () => {
+            let error = CelastrinaCompositeValidationError.newCompositeValidationError("test", [{path: "a", message: "is bad."}]);
+            error.merge(CelastrinaCompositeValidationError.newCompositeValidationError("test", [{path: "b", message: "is bad.", code: "type"}]))
+                 .merge(CelastrinaValidationError.newValidationError("is missing.", "c"));
+            assert.deepStrictEqual(error.errors, [{path: "a", message: "is bad.", code: "invalid"},
+                                                  {path: "b", message: "is bad.", code: "type"},
+                                                  {path: "c", message: "is missing.", code: "invalid"}]);
+        });
+    });
+    describe("#toJSON()", () => {
+        it("should serialize every failure", () => {
+            let error = CelastrinaCompositeValidationError.newCompositeValidationError("test", [{path: "a", message: "is bad."}]);
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(error)), {name: "CelastrinaCompositeValidationError", message: "test",
+                                   tag: "a", code: 400, cause: null, drop: false,
+                                   errors: [{path: "a", message: "is bad.", code: "invalid"}]});
+        });
+    });
+    describe("#isComposite(error)", () => {
+        it("should only match composite errors", () => {
+            assert.strictEqual(CelastrinaCompositeValidationError.isComposite(CelastrinaCompositeValidationError.newCompositeValidationError()), true);
+            assert.strictEqual(CelastrinaCompositeValidationError.isComposite(CelastrinaValidationError.newValidationError("test")), false);
+            assert.strictEqual(CelastrinaCompositeValidationError.isComposite(null), false);
+        });
+    });
+});
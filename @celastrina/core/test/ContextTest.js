@@ -194,9 +194,21 @@ describe("BaseContext", () => {
                 let _azcontext = new MockAzureFunctionContext();
                 await _config.initialize(_azcontext);
                 let _context = new Context(_config);
-                it("has trace ID", () => {
-                    _context.initialize();
-                    assert.strictEqual(_context.traceId, _azcontext.traceContext.traceparent);
+                it("has trace ID", async () => {
+                    await _context.initialize();
+                    assert.strictEqual(_context.traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+                    assert.strictEqual(_context.trace.spanId, "00f067aa0ba902b7");
+                    assert.strictEqual(_context.trace.tracestate, "mock=state");
+                });
+                it("creates a new trace if traceparent is invalid", async () => {
+                    let _lazcontext = new MockAzureFunctionContext();
+                    _lazcontext.traceContext = {traceparent: "mock_trace_id"};
+                    let _lconfig = new Configuration("mock_configuration");
+                    await _lconfig.initialize(_lazcontext);
+                    let _lcontext = new Context(_lconfig);
+                    await _lcontext.initialize();
+                    assert.match(_lcontext.traceId, /^[0-9a-f]{32}$/);
+                    assert.strictEqual(_lcontext.trace.parentId, null);
                 });
             });
             describe("Initializing in monitor mode..", async () => {
@@ -0,0 +1,135 @@
+const {CelastrinaError, CelastrinaValidationError, AES256Algorithm, AES256GCMAlgorithm, CipherEnvelope, Cryptography, Keyring,
+       ResourceManager, ManagedIdentityResource} = require("../Core");
+const {MockPropertyManager} = require("./PropertyManagerTest");
+const {MockResourceAuthorization} = require("./ResourceAuthorizationTest");
+const MockAdapter = require("axios-mock-adapter");
+const assert = require("assert");
+const axios = require("axios");
+
+const KEY = "c2f9dab0ceae47d99c7bf4537fbb0c3a";
+const IV = "1234567890123456";
+
+describe("Cryptography", () => {
+    describe("#encrypt(value), AES256Algorithm", () => {
+        it("Round trips legacy CBC cipher text", async () => {
+            let _crypto = new Cryptography(new AES256Algorithm(KEY, IV));
+            await _crypto.initialize();
+            let _encrypted = await _crypto.encrypt("mock value");
+            assert.strictEqual(_encrypted, await _crypto.encrypt("mock value"));
+            assert.strictEqual(await _crypto.decrypt(_encrypted), "mock value");
+        });
+    });
+    describe("#encrypt(value), AES256GCMAlgorithm", () => {
+        it("Uses a fresh nonce per message", async () => {
+            let _crypto = new Cryptography(new AES256GCMAlgorithm(KEY));
+            await _crypto.initialize();
+            let _first = await _crypto.encrypt("mock value");
+            let _second = await _crypto.encrypt("mock value");
+            assert.notStrictEqual(_first, _second);
+            assert.strictEqual(_first.startsWith("v1.aes-256-gcm."), true);
+            assert.strictEqual(CipherEnvelope.parse(_first).nonce.length, 12);
+            assert.strictEqual(await _crypto.decrypt(_first), "mock value");
+            assert.strictEqual(await _crypto.decrypt(_second), "mock value");
+        });
+        it("Rejects modified cipher text", async () => {
+            let _crypto = new Cryptography(new AES256GCMAlgorithm(KEY));
+            let _envelope = CipherEnvelope.parse(await _crypto.encrypt("{\"admin\":false}"));
+            _envelope.data[0] ^= 0x01;
+            await assert.rejects(_crypto.decrypt(_envelope.toString()), CelastrinaError);
+            await assert.rejects(_crypto.decrypt("v2.aes-256-gcm.a.b.c"), CelastrinaError);
+            await assert.rejects(new Cryptography(new AES256GCMAlgorithm("d2f9dab0ceae47d99c7bf4537fbb0c3a"))
+                                     .decrypt(await _crypto.encrypt("mock")), CelastrinaError);
+        });
+        it("Decrypts legacy cipher text only in migration mode", async () => {
+            let _legacy = await new Cryptography(new AES256Algorithm(KEY, IV)).encrypt("mock value");
+            await assert.rejects(new Cryptography(new AES256GCMAlgorithm(KEY)).decrypt(_legacy), CelastrinaError);
+            let _crypto = new Cryptography(AES256GCMAlgorithm.create({key: KEY, legacy: {key: KEY, iv: IV}}));
+            await _crypto.initialize();
+            assert.strictEqual(await _crypto.decrypt(_legacy), "mock value");
+            assert.strictEqual((await _crypto.encrypt("mock value")).startsWith("v1."), true);
+        });
+    });
+    describe("#constructor(key, legacy = null), AES256GCMAlgorithm", () => {
+        it("Requires a 32 byte key", () => {
+            assert.throws(() => {new AES256GCMAlgorithm("short");}, CelastrinaValidationError);
+            assert.throws(() => {new AES256GCMAlgorithm(KEY, {});}, CelastrinaValidationError);
+        });
+    });
+    describe("#toString(), CipherEnvelope", () => {
+        it("Encodes binary parts URL safe without padding", () => {
+            let _envelope = new CipherEnvelope("aes-256-gcm", Buffer.from([0xfb, 0xff]), Buffer.from([0xfe]),
+                                               Buffer.from("mock"));
+            assert.strictEqual(_envelope.toString(), "v1.aes-256-gcm.-_8._g.bW9jaw", "Expected URL safe base64.");
+            let _parsed = CipherEnvelope.parse(_envelope.toString());
+            assert.deepStrictEqual(_parsed.nonce, Buffer.from([0xfb, 0xff]), "Expected nonce.");
+            assert.deepStrictEqual(_parsed.tag, Buffer.from([0xfe]), "Expected tag.");
+            assert.strictEqual(_parsed.data.toString(), "mock", "Expected data.");
+        });
+    });
+});
+describe("Keyring", () => {
+    const OTHER = "d2f9dab0ceae47d99c7bf4537fbb0c3a";
+    describe("#encrypt(value)", () => {
+        it("Embeds the active key id", async () => {
+            let _keyring = new Keyring().addKey("2026-01", new AES256GCMAlgorithm(KEY)).addKey("2026-02", new AES256GCMAlgorithm(OTHER), true);
+            await _keyring.initialize();
+            let _encrypted = await _keyring.encrypt("mock value");
+            assert.strictEqual(_encrypted.startsWith("k1.2026-02.v1.aes-256-gcm."), true);
+            assert.strictEqual(await _keyring.decrypt(_encrypted), "mock value");
+            assert.strictEqual(_keyring.isStale(_encrypted), false);
+        });
+    });
+    describe("#decrypt(value)", () => {
+        it("Decrypts with retired keys and reports them stale", async () => {
+            let _old = new Keyring().addKey("a", new AES256GCMAlgorithm(KEY), true);
+            await _old.initialize();
+            let _encrypted = await _old.encrypt("mock value");
+            let _keyring = new Keyring().addKey("a", new AES256GCMAlgorithm(KEY)).addKey("b", new AES256GCMAlgorithm(OTHER), true);
+            await _keyring.initialize();
+            assert.strictEqual(await _keyring.decrypt(_encrypted), "mock value");
+            assert.strictEqual(_keyring.isStale(_encrypted), true);
+            await assert.rejects(new Cryptography(new Keyring().addKey("b", new AES256GCMAlgorithm(OTHER), true)).decrypt(_encrypted),
+                                 CelastrinaError);
+        });
+        it("Decrypts untagged cipher text with the untagged key", async () => {
+            let _legacy = await new AES256Algorithm(KEY, IV).encrypt("mock value");
+            let _keyring = Keyring.create({keys: [{id: "legacy", algorithm: "aes-256-cbc", key: KEY, iv: IV},
+                                                  {id: "current", key: OTHER, active: true}], untagged: "legacy"});
+            await _keyring.initialize();
+            assert.strictEqual(await _keyring.decrypt(_legacy), "mock value");
+            assert.strictEqual(_keyring.isStale(_legacy), true);
+            await assert.rejects(new Keyring().addKey("current", new AES256GCMAlgorithm(OTHER), true).decrypt(_legacy), CelastrinaError);
+        });
+    });
+    describe("#initialize(pm, rm)", () => {
+        it("Resolves keys from properties and Key Vault", async () => {
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock-session-key", KEY);
+            let _auth = new MockResourceAuthorization(ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY);
+            _auth.mockToken("https://vault.azure.net");
+            let _rm = new ResourceManager();
+            await _rm.addResource(_auth);
+            let _keyring = Keyring.create({keys: [{id: "a", property: "mock-session-key"},
+                                                  {id: "b", secret: "https://mock.vault.azure.net/secrets/session", active: true}]});
+            let _mock = new MockAdapter(axios);
+            try {
+                _mock.onGet("https://mock.vault.azure.net/secrets/session?api-version=7.1").reply((config) => {
+                    assert.strictEqual(config.headers["Authorization"], "Bearer mock-token-https://vault.azure.net");
+                    return [200, {value: OTHER}];
+                });
+                await _keyring.initialize(_pm, _rm);
+            }
+            finally {
+                _mock.restore();
+            }
+            assert.deepStrictEqual(_keyring.keys, ["a", "b"]);
+            assert.strictEqual(_keyring.activeKey, "b");
+            let _encrypted = await _keyring.encrypt("mock value");
+            assert.strictEqual(await new AES256GCMAlgorithm(OTHER).decrypt(Keyring.parse(_encrypted).value), "mock value");
+        });
+        it("Requires an active key", async () => {
+            await assert.rejects(new Keyring().addKey("a", new AES256GCMAlgorithm(KEY)).initialize(), CelastrinaError);
+            assert.throws(() => {new Keyring().addKey("a.b", new AES256GCMAlgorithm(KEY));}, CelastrinaValidationError);
+        });
+    });
+});
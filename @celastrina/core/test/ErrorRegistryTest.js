@@ -0,0 +1,200 @@
+const {CelastrinaError, CelastrinaValidationError, CelastrinaNotFoundError, CelastrinaConflictError,
+       CelastrinaUnauthorizedError, CelastrinaForbiddenError, CelastrinaTooManyRequestsError,
+       CelastrinaServiceUnavailableError, CelastrinaTimeoutError, CelastrinaPreconditionFailedError, ErrorRegistry, Configuration,
+       Vault, ManagedIdentityResource} = require("../Core");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const MockAdapter = require("axios-mock-adapter");
+const assert = require("assert");
+const axios = require("axios");
+
+class MockUpstreamError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.reason = reason;
+    }
+}
+
+describe("CelastrinaError subclasses", () => {
+    describe("#constructor(message, ...)", () => {
+        it("Sets status and stable error code", () => {
+            let _errors = [[new CelastrinaNotFoundError(), 404, "NOT_FOUND"],
+                           [new CelastrinaConflictError(), 409, "CONFLICT"],
+                           [new CelastrinaPreconditionFailedError(), 412, "PRECONDITION_FAILED"],
+                           [new CelastrinaUnauthorizedError(), 401, "UNAUTHORIZED"],
+                           [new CelastrinaForbiddenError(), 403, "FORBIDDEN"],
+                           [new CelastrinaTooManyRequestsError(), 429, "TOO_MANY_REQUESTS"],
+                           [new CelastrinaServiceUnavailableError(), 503, "SERVICE_UNAVAILABLE"],
+                           [new CelastrinaTimeoutError(), 504, "TIMEOUT"]];
+            for(let [_error, _code, _errorCode] of _errors) {
+                assert.strictEqual(_error.code, _code);
+                assert.strictEqual(_error.errorCode, _errorCode);
+                assert.strictEqual(_error.__type, CelastrinaError.CELASTRINAJS_ERROR_TYPE);
+                assert.strictEqual(_error instanceof CelastrinaError, true);
+            }
+        });
+        it("Carries retry after", () => {
+            assert.strictEqual(new CelastrinaTooManyRequestsError("mock", 30).retryAfter, 30);
+            assert.strictEqual(new CelastrinaServiceUnavailableError().retryAfter, null);
+        });
+    });
+});
+describe("ErrorRegistry", () => {
+    describe("#map(error, message = null)", () => {
+        it("Returns CelastrinaErrors unchanged", () => {
+            let _error = CelastrinaValidationError.newValidationError("mock");
+            assert.strictEqual(new ErrorRegistry().map(_error), _error);
+        });
+        it("Maps axios response status with Retry-After", () => {
+            let _error = new ErrorRegistry().map({isAxiosError: true, message: "Request failed with status code 429",
+                                                  response: {status: 429, statusText: "Too Many Requests", headers: {"retry-after": "12"}}},
+                                                 "Exception getting mock");
+            assert.strictEqual(_error instanceof CelastrinaTooManyRequestsError, true);
+            assert.strictEqual(_error.message, "Exception getting mock: Too Many Requests");
+            assert.strictEqual(_error.retryAfter, 12);
+        });
+        it("Keeps unmapped statuses", () => {
+            let _error = new ErrorRegistry().map({isAxiosError: true, message: "Request failed with status code 502",
+                                                  response: {status: 502, headers: {}}});
+            assert.strictEqual(_error.code, 502);
+            assert.strictEqual(_error.message, "Request failed with status code 502");
+        });
+        it("Maps axios timeouts", () => {
+            let _error = new ErrorRegistry().map({isAxiosError: true, code: "ECONNABORTED", message: "timeout"}, "Exception getting mock");
+            assert.strictEqual(_error instanceof CelastrinaTimeoutError, true);
+            assert.strictEqual(_error.message, "Exception getting mock.");
+        });
+        it("Uses registered mappers first", () => {
+            let _registry = new ErrorRegistry();
+            _registry.registerType(MockUpstreamError, (error) => new CelastrinaConflictError(error.reason, error));
+            let _error = _registry.map(new MockUpstreamError("mock", "mock_reason"));
+            assert.strictEqual(_error instanceof CelastrinaConflictError, true);
+            assert.strictEqual(_error.message, "mock_reason");
+        });
+        it("Uses registered status factories", () => {
+            let _registry = new ErrorRegistry();
+            _registry.registerStatus(502, (message, cause) => new CelastrinaServiceUnavailableError(message, 5, cause));
+            assert.strictEqual(_registry.fromStatus(502, "mock").code, 503);
+            assert.strictEqual(new ErrorRegistry().fromStatus(502, "mock").code, 502);
+        });
+        it("Wraps other errors", () => {
+            let _error = new ErrorRegistry().map(new Error("mock"));
+            assert.strictEqual(_error.code, 500);
+            assert.strictEqual(_error.message, "mock");
+        });
+    });
+    describe("#mapDependency(error, message = null)", () => {
+        it("Maps upstream client errors to 500", () => {
+            for(const _status of [401, 403, 404]) {
+                let _error = new ErrorRegistry().mapDependency({isAxiosError: true, message: "Request failed",
+                                                                response: {status: _status, statusText: "Mock", headers: {}}},
+                                                               "Exception getting mock");
+                assert.strictEqual(_error.code, 500, "Status " + _status + " not sent to the caller.");
+                assert.strictEqual(_error.message, "Exception getting mock: Mock");
+            }
+        });
+        it("Maps upstream server errors to 502", () => {
+            let _error = new ErrorRegistry().mapDependency({isAxiosError: true, message: "Request failed with status code 500",
+                                                            response: {status: 500, headers: {}}});
+            assert.strictEqual(_error.code, 502);
+            assert.strictEqual(_error.message, "Request failed with status code 500");
+        });
+        it("Passes through timeouts, throttling and unavailability", () => {
+            let _error = new ErrorRegistry().mapDependency({isAxiosError: true, message: "Request failed",
+                                                            response: {status: 429, headers: {"retry-after": "12"}}});
+            assert.strictEqual(_error instanceof CelastrinaTooManyRequestsError, true);
+            assert.strictEqual(_error.retryAfter, 12);
+            _error = new ErrorRegistry().mapDependency({isAxiosError: true, message: "Request failed",
+                                                        response: {status: 503, headers: {}}});
+            assert.strictEqual(_error instanceof CelastrinaServiceUnavailableError, true);
+            _error = new ErrorRegistry().mapDependency({isAxiosError: true, message: "Request failed",
+                                                        response: {status: 504, headers: {}}});
+            assert.strictEqual(_error instanceof CelastrinaTimeoutError, true);
+            _error = new ErrorRegistry().mapDependency({isAxiosError: true, code: "ECONNABORTED", message: "timeout"});
+            assert.strictEqual(_error instanceof CelastrinaTimeoutError, true);
+        });
+        it("Uses registered status factories", () => {
+            let _registry = new ErrorRegistry();
+            _registry.registerStatus(403, (message, cause) => new CelastrinaServiceUnavailableError(message, 5, cause));
+            let _error = _registry.mapDependency({isAxiosError: true, message: "Request failed",
+                                                  response: {status: 403, headers: {}}});
+            assert.strictEqual(_error.code, 503);
+        });
+    });
+    describe("#parseRetryAfter(value)", () => {
+        it("Parses seconds and dates", () => {
+            assert.strictEqual(ErrorRegistry.parseRetryAfter("120"), 120);
+            assert.strictEqual(ErrorRegistry.parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+            assert.strictEqual(ErrorRegistry.parseRetryAfter("soon"), null);
+            assert.strictEqual(ErrorRegistry.parseRetryAfter(undefined), null);
+        });
+    });
+});
+describe("Configuration", () => {
+    describe("#setErrorRegistry(registry)", () => {
+        it("Defaults to ErrorRegistry", () => {
+            assert.strictEqual(new Configuration("mock_configuration").errorRegistry instanceof ErrorRegistry, true);
+        });
+        it("Rejects non-registry", () => {
+            assert.throws(() => {new Configuration("mock_configuration").setErrorRegistry({});});
+        });
+        it("Is shared with resource authorizations", async () => {
+            let _registry = new ErrorRegistry();
+            let _config = new Configuration("mock_configuration");
+            _config.setErrorRegistry(_registry);
+            let _auth = new ManagedIdentityResource();
+            await _config.resources.addResource(_auth);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_auth.errors, _registry);
+            let _late = new ManagedIdentityResource();
+            await _config.resources.addResource(_late);
+            assert.strictEqual(_late.errors, _registry);
+        });
+    });
+});
+describe("Vault", () => {
+    describe("#getSecret(token, identifier, trace = null), errors", () => {
+        it("Maps 503 with Retry-After", async () => {
+            let _mock = new MockAdapter(axios);
+            _mock.onGet("https://mock-vault/secrets/mock?api-version=7.1").reply(503, {}, {"retry-after": "7"});
+            try {
+                await assert.rejects(new Vault().getSecret("mock_token", "https://mock-vault/secrets/mock"), (error) => {
+                    assert.strictEqual(error instanceof CelastrinaServiceUnavailableError, true);
+                    assert.strictEqual(error.retryAfter, 7);
+                    return true;
+                });
+            }
+            finally {
+                _mock.restore();
+            }
+        });
+        it("Maps 403 to a server error", async () => {
+            let _mock = new MockAdapter(axios);
+            _mock.onGet("https://mock-vault/secrets/mock?api-version=7.1").reply(403);
+            try {
+                await assert.rejects(new Vault().getSecret("mock_token", "https://mock-vault/secrets/mock"), (error) => {
+                    assert.strictEqual(error instanceof CelastrinaForbiddenError, false);
+                    assert.strictEqual(error.code, 500);
+                    return true;
+                });
+            }
+            finally {
+                _mock.restore();
+            }
+        });
+        it("Maps 404 to a server error", async () => {
+            let _mock = new MockAdapter(axios);
+            _mock.onGet("https://mock-vault/secrets/mock?api-version=7.1").reply(404);
+            try {
+                await assert.rejects(new Vault().getSecret("mock_token", "https://mock-vault/secrets/mock"), (error) => {
+                    assert.strictEqual(error instanceof CelastrinaNotFoundError, false);
+                    assert.strictEqual(error.code, 500);
+                    assert.strictEqual(error.message, "Vault secret 'https://mock-vault/secrets/mock' not found.");
+                    return true;
+                });
+            }
+            finally {
+                _mock.restore();
+            }
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const {CelastrinaError, CelastrinaValidationError, Configuration, BaseFunction, LifecycleInterceptor,
+       HookInterceptor} = require("../Core");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const assert = require("assert");
+
+class MockInterceptor extends LifecycleInterceptor {
+    constructor(name, events, phases = null, order = 0) {
+        super(name, phases, order);
+        this.events = events;
+    }
+    async before(context, phase) {
+        this.events.push(this.name + ".before." + phase);
+    }
+    async after(context, phase, result) {
+        this.events.push(this.name + ".after." + phase);
+    }
+}
+
+class MockFunction extends BaseFunction {
+    constructor(config, events) {
+        super(config);
+        this.events = events;
+    }
+    async initialize(context) {this.events.push("initialize");}
+    async process(context) {this.events.push("process");}
+    async save(context) {this.events.push("save");}
+    async exception(context, exception) {this.events.push("exception");}
+    async terminate(context) {this.events.push("terminate");}
+}
+
+describe("LifecycleInterceptor", () => {
+    describe("#constructor(name, phases = null, order = 0)", () => {
+        it("Requires a name", () => {
+            assert.throws(() => {new LifecycleInterceptor(" ");},
+                CelastrinaValidationError.newValidationError("[LifecycleInterceptor][name]: Invalid string. Argument cannot be null or zero length.", "name"));
+        });
+    });
+    describe("#appliesTo(phase)", () => {
+        it("Applies to all phases by default", () => {
+            assert.strictEqual(new LifecycleInterceptor("mock").appliesTo("process"), true);
+        });
+        it("Applies to listed phases only", () => {
+            let _interceptor = new LifecycleInterceptor("mock", ["validate"]);
+            assert.strictEqual(_interceptor.appliesTo("validate"), true);
+            assert.strictEqual(_interceptor.appliesTo("process"), false);
+        });
+    });
+});
+describe("Configuration", () => {
+    describe("#addInterceptor(interceptor)", () => {
+        it("Orders interceptors, stable for equal order", () => {
+            let _config = new Configuration("mock_configuration");
+            let _a = new LifecycleInterceptor("a", null, 10);
+            let _b = new LifecycleInterceptor("b", null, 0);
+            let _c = new LifecycleInterceptor("c", null, 10);
+            _config.addInterceptor(_a).addInterceptor(_b).addInterceptor(_c);
+            assert.deepStrictEqual(_config.interceptors.map((_i) => _i.name), ["b", "a", "c"]);
+        });
+        it("Rejects non-interceptor", () => {
+            assert.throws(() => {new Configuration("mock_configuration").addInterceptor({});});
+        });
+    });
+});
+describe("BaseFunction", () => {
+    describe("#execute(azcontext), interceptors.", () => {
+        it("Runs before and after hooks, outermost first.", async () => {
+            let _events = [];
+            let _config = new Configuration("mock_configuration");
+            _config.setAuthorizationOptimistic(true);
+            _config.addInterceptor(new MockInterceptor("inner", _events, ["process"], 1));
+            _config.addInterceptor(new MockInterceptor("outer", _events, ["process"], 0));
+            await new MockFunction(_config, _events).execute(new MockAzureFunctionContext());
+            assert.deepStrictEqual(_events, ["initialize", "outer.before.process", "inner.before.process", "process",
+                                             "inner.after.process", "outer.after.process", "save", "terminate"]);
+        });
+        it("Short-circuits remaining phases but still terminates.", async () => {
+            let _events = [];
+            let _config = new Configuration("mock_configuration");
+            _config.setAuthorizationOptimistic(true);
+            _config.addInterceptor(new HookInterceptor("limit", {
+                before: async (context, phase) => {context.shortCircuit({mock: "result"});}
+            }, ["initialize"]));
+            let _azcontext = new MockAzureFunctionContext();
+            let _func = new MockFunction(_config, _events);
+            await _func.execute(_azcontext);
+            assert.deepStrictEqual(_events, ["terminate"]);
+            assert.strictEqual(_func.context.isShortCircuited, true);
+            assert.deepStrictEqual(_azcontext.donecontents, {mock: "result"});
+        });
+        it("Wraps phases with around hooks.", async () => {
+            let _events = [];
+            let _config = new Configuration("mock_configuration");
+            _config.setAuthorizationOptimistic(true);
+            _config.addInterceptor(new HookInterceptor("around", {
+                around: async (context, phase, next) => {
+                    _events.push("around.start");
+                    let _result = await next();
+                    _events.push("around.end");
+                    return _result;
+                }
+            }, ["process"]));
+            await new MockFunction(_config, _events).execute(new MockAzureFunctionContext());
+            assert.deepStrictEqual(_events, ["initialize", "around.start", "process", "around.end", "save", "terminate"]);
+        });
+        it("Routes interceptor errors to the exception phase.", async () => {
+            let _events = [];
+            let _config = new Configuration("mock_configuration");
+            _config.setAuthorizationOptimistic(true);
+            _config.addInterceptor(new HookInterceptor("fail", {
+                before: async (context, phase) => {throw CelastrinaError.newError("mock_error", 429);}
+            }, ["process"]));
+            await new MockFunction(_config, _events).execute(new MockAzureFunctionContext());
+            assert.deepStrictEqual(_events, ["initialize", "exception", "terminate"]);
+        });
+    });
+});
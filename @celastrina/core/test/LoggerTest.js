@@ -0,0 +1,178 @@
+const {CelastrinaError, CelastrinaValidationError, LOG_LEVEL, Configuration, Subject, Context, Logger, TextLogger,
+       JSONLogger, LoggingConfigParser} = require("../Core");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {MockPropertyManager} = require("./PropertyManagerTest");
+const assert = require("assert");
+
+class MockLogger extends Logger {
+    constructor(level = LOG_LEVEL.TRACE) {
+        super(level);
+        this.records = [];
+    }
+    _write(context, level, record, fields = null) {
+        this.records.push({level: level, record: record, fields: fields});
+    }
+}
+
+describe("Logger", () => {
+    describe("#constructor(level)", () => {
+        it("Defaults to TRACE", () => {
+            let _logger = new MockLogger();
+            assert.strictEqual(_logger.level, LOG_LEVEL.TRACE);
+            assert.strictEqual(_logger.__type, Logger.CELASTRINAJS_TYPE);
+        });
+    });
+    describe("#isLoggable(level)", () => {
+        it("Filters levels below the minimum", () => {
+            let _logger = new MockLogger(LOG_LEVEL.INFO);
+            assert.strictEqual(_logger.isLoggable(LOG_LEVEL.VERBOSE), false);
+            assert.strictEqual(_logger.isLoggable(LOG_LEVEL.INFO), true);
+            assert.strictEqual(_logger.isLoggable(LOG_LEVEL.THREAT), true);
+        });
+    });
+    describe("#log(context, message, level, subject, fields)", async () => {
+        let _config = new Configuration("mock_configuration");
+        let _azcontext = new MockAzureFunctionContext();
+        await _config.initialize(_azcontext);
+        it("Does not write records below the minimum level", () => {
+            let _logger = new MockLogger(LOG_LEVEL.WARN);
+            let _context = new Context(_config);
+            _logger.log(_context, "mock_message", LOG_LEVEL.INFO);
+            assert.strictEqual(_logger.records.length, 0);
+        });
+        it("Writes a structured record", () => {
+            let _logger = new MockLogger();
+            let _context = new Context(_config);
+            _context.subject = new Subject("mock_subject_id");
+            _logger.log(_context, "mock_message", LOG_LEVEL.WARN, "mock_source", {mock_field: 42});
+            assert.strictEqual(_logger.records.length, 1);
+            let _record = _logger.records[0].record;
+            assert.strictEqual(_record.level, "WARN");
+            assert.strictEqual(_record.name, "mock_configuration");
+            assert.strictEqual(_record.invocationId, "mock_invocation_id");
+            assert.strictEqual(_record.requestId, _context.requestId);
+            assert.strictEqual(_record.subject, "mock_subject_id");
+            assert.strictEqual(_record.source, "mock_source");
+            assert.strictEqual(_record.message, "mock_message");
+            assert.strictEqual(_record.mock_field, 42);
+            assert.strictEqual(typeof _record.timestamp, "string");
+        });
+        it("Does not let fields override core attributes", () => {
+            let _logger = new MockLogger();
+            let _context = new Context(_config);
+            _logger.log(_context, "mock_message", LOG_LEVEL.INFO, null, {name: "spoofed"});
+            assert.strictEqual(_logger.records[0].record.name, "mock_configuration");
+        });
+    });
+    describe("#getLevelName(level)", () => {
+        it("Returns the level name", () => {
+            assert.strictEqual(Logger.getLevelName(LOG_LEVEL.TRACE), "TRACE");
+            assert.strictEqual(Logger.getLevelName(LOG_LEVEL.THREAT), "THREAT");
+        });
+    });
+    describe("#getLevel(name)", () => {
+        it("Returns the level, case insensitive", () => {
+            assert.strictEqual(Logger.getLevel("warn"), LOG_LEVEL.WARN);
+        });
+        it("Throws on unknown level", () => {
+            assert.throws(() => {Logger.getLevel("LOUD");}, CelastrinaValidationError.newValidationError("Invalid log level 'LOUD'.", "level"));
+        });
+    });
+});
+describe("TextLogger", () => {
+    describe("#log(context, message, level, subject, fields)", async () => {
+        let _config = new Configuration("mock_configuration");
+        let _azcontext = new MockAzureFunctionContext();
+        await _config.initialize(_azcontext);
+        it("Routes TRACE to verbose", () => {
+            let _context = new Context(_config);
+            _azcontext.log.reset();
+            new TextLogger().log(_context, "mock_message", LOG_LEVEL.TRACE);
+            assert.strictEqual(_azcontext.log.message, "[mock_configuration][mock_invocation_id][" + _context.requestId + "]: mock_message");
+            assert.strictEqual(_azcontext.log.invoked, "verbose");
+        });
+        it("Appends fields as JSON", () => {
+            let _context = new Context(_config);
+            _azcontext.log.reset();
+            new TextLogger().log(_context, "mock_message", LOG_LEVEL.INFO, "mock_subject", {mock: "value"});
+            assert.strictEqual(_azcontext.log.message, "[mock_configuration][mock_subject][mock_invocation_id][" + _context.requestId + "]: mock_message {\"mock\":\"value\"}");
+        });
+        it("Suppresses levels below the minimum", () => {
+            let _context = new Context(_config);
+            _azcontext.log.reset();
+            new TextLogger(LOG_LEVEL.INFO).log(_context, "mock_message", LOG_LEVEL.VERBOSE);
+            assert.strictEqual(_azcontext.log.invoked, null);
+        });
+    });
+});
+describe("JSONLogger", () => {
+    describe("#log(context, message, level, subject, fields)", async () => {
+        let _config = new Configuration("mock_configuration");
+        let _azcontext = new MockAzureFunctionContext();
+        await _config.initialize(_azcontext);
+        it("Writes a JSON record", () => {
+            let _context = new Context(_config);
+            _azcontext.log.reset();
+            new JSONLogger().log(_context, "mock_message", LOG_LEVEL.ERROR, "mock_subject", {mock: "value"});
+            let _record = JSON.parse(_azcontext.log.message);
+            assert.strictEqual(_azcontext.log.invoked, "error");
+            assert.strictEqual(_record.level, "ERROR");
+            assert.strictEqual(_record.name, "mock_configuration");
+            assert.strictEqual(_record.invocationId, "mock_invocation_id");
+            assert.strictEqual(_record.requestId, _context.requestId);
+            assert.strictEqual(_record.traceId, _context.traceId);
+            assert.strictEqual(_record.source, "mock_subject");
+            assert.strictEqual(_record.message, "mock_message");
+            assert.strictEqual(_record.mock, "value");
+        });
+    });
+});
+describe("Context", () => {
+    describe("#log(message, level, subject, fields)", async () => {
+        let _config = new Configuration("mock_configuration");
+        let _azcontext = new MockAzureFunctionContext();
+        let _logger = new MockLogger();
+        _config.setLogger(_logger);
+        await _config.initialize(_azcontext);
+        it("Delegates to the configured logger", () => {
+            let _context = new Context(_config);
+            _context.log("mock_message", LOG_LEVEL.INFO, "mock_subject", {mock: "value"});
+            assert.strictEqual(_logger.records.length, 1);
+            assert.deepStrictEqual(_logger.records[0].fields, {mock: "value"});
+        });
+    });
+});
+describe("Configuration", () => {
+    describe("#setLogger(logger)", () => {
+        it("Defaults to TextLogger", () => {
+            let _config = new Configuration("mock_configuration");
+            assert.strictEqual(_config.logger instanceof TextLogger, true);
+        });
+        it("Rejects non-logger", () => {
+            let _config = new Configuration("mock_configuration");
+            assert.throws(() => {_config.setLogger({});});
+        });
+    });
+});
+describe("LoggingConfigParser", () => {
+    describe("#_create(_Object)", () => {
+        it("Creates a JSONLogger with level", async () => {
+            let _config = new Configuration("mock_configuration", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;Logging"}, format: "json", level: "warn"}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_config.logger instanceof JSONLogger, true);
+            assert.strictEqual(_config.logger.level, LOG_LEVEL.WARN);
+        });
+        it("Rejects unknown format", async () => {
+            let _parser = new LoggingConfigParser();
+            await assert.rejects(_parser._create({format: "xml"}));
+        });
+        it("Rejects unknown level", async () => {
+            let _parser = new LoggingConfigParser();
+            await assert.rejects(_parser._create({level: "LOUD"}));
+        });
+    });
+});
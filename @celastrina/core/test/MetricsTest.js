@@ -0,0 +1,130 @@
+const {CelastrinaError, LOG_LEVEL, Configuration, Context, BaseFunction, Metrics, MetricsSink, LogMetricsSink,
+       CachedPropertyManager} = require("../Core");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {MockPropertyManager} = require("./PropertyManagerTest");
+const {MockResourceAuthorization} = require("./ResourceAuthorizationTest");
+const assert = require("assert");
+
+class MockMetricsSink extends MetricsSink {
+    constructor(fail = false) {
+        super();
+        this.flushed = [];
+        this.fail = fail;
+    }
+    async flush(context, metrics) {
+        if(this.fail) throw CelastrinaError.newError("mock_flush_error");
+        this.flushed.push(metrics.toJSON());
+    }
+}
+
+class MockFunction extends BaseFunction {
+    constructor(config, fail = false) {
+        super(config);
+        this.fail = fail;
+    }
+    async process(context) {
+        await context.properties.getProperty("mock_key");
+        await context.authorizations.getToken("mock_resource", "mock_auth");
+        if(this.fail) throw CelastrinaError.newError("mock_process_error");
+    }
+}
+
+describe("Metrics", () => {
+    describe("#timing(name, duration, outcome = \"ok\")", () => {
+        it("Records duration and outcome", () => {
+            let _metrics = new Metrics();
+            _metrics.timing("mock_phase", 12, "error");
+            assert.deepStrictEqual(_metrics.timings, {mock_phase: {duration: 12, outcome: "error"}});
+        });
+    });
+    describe("#increment(name, value = 1)", () => {
+        it("Accumulates counters", () => {
+            let _metrics = new Metrics();
+            _metrics.increment("mock_counter").increment("mock_counter", 2);
+            assert.strictEqual(_metrics.counters.mock_counter, 3);
+        });
+    });
+    describe("#toJSON()", () => {
+        it("Serializes all metrics", () => {
+            let _metrics = new Metrics();
+            _metrics.coldStart = true;
+            _metrics.gauge("mock_gauge", 5);
+            assert.deepStrictEqual(_metrics.toJSON(), {coldStart: true, timings: {}, counters: {}, gauges: {mock_gauge: 5}});
+        });
+    });
+});
+describe("LogMetricsSink", () => {
+    describe("#flush(context, metrics)", async () => {
+        let _config = new Configuration("mock_configuration");
+        let _azcontext = new MockAzureFunctionContext();
+        await _config.initialize(_azcontext);
+        it("Logs metrics as fields", async () => {
+            let _context = new Context(_config);
+            _context.metrics.timing("mock_phase", 1);
+            _azcontext.log.reset();
+            await new LogMetricsSink(LOG_LEVEL.WARN).flush(_context, _context.metrics);
+            assert.strictEqual(_azcontext.log.invoked, "warn");
+            assert.strictEqual(_azcontext.log.message.endsWith("Invocation metrics. {\"metrics\":{\"coldStart\":false,\"timings\":{\"mock_phase\":{\"duration\":1,\"outcome\":\"ok\"}},\"counters\":{},\"gauges\":{}}}"), true);
+        });
+    });
+});
+describe("Configuration", () => {
+    describe("#setMetricsSink(sink)", () => {
+        it("Defaults to MetricsSink", () => {
+            assert.strictEqual(new Configuration("mock_configuration").metricsSink.constructor, MetricsSink);
+        });
+        it("Rejects non-sink", () => {
+            assert.throws(() => {new Configuration("mock_configuration").setMetricsSink({});});
+        });
+    });
+});
+describe("BaseFunction", () => {
+    describe("#execute(azcontext), metrics.", () => {
+        let _config = new Configuration("mock_configuration");
+        _config.setAuthorizationOptimistic(true);
+        let _sink = new MockMetricsSink();
+        _config.setMetricsSink(_sink);
+        let _pm = new MockPropertyManager();
+        _pm.mockProperty("mock_key", "mock_value");
+        _config.setValue(Configuration.CONFIG_PROPERTY, new CachedPropertyManager(_pm));
+        let _auth = new MockResourceAuthorization("mock_auth");
+        _config.resources.addResource(_auth);
+        let _func = new MockFunction(_config);
+        it("Records phases, cold start, cache and token statistics.", async () => {
+            await _func.execute(new MockAzureFunctionContext());
+            await _func.execute(new MockAzureFunctionContext());
+            assert.strictEqual(_sink.flushed.length, 2);
+            let _cold = _sink.flushed[0];
+            let _warm = _sink.flushed[1];
+            assert.strictEqual(_cold.coldStart, true);
+            assert.strictEqual(_warm.coldStart, false);
+            assert.deepStrictEqual(Object.keys(_cold.timings),
+                ["bootstrap", "initialize", "authenticate", "authorize", "validate", "load", "process", "save", "terminate"]);
+            assert.strictEqual(_cold.timings.process.outcome, "ok");
+            assert.strictEqual(_cold.gauges["property.cache.misses"], 1);
+            assert.strictEqual(_warm.gauges["property.cache.hits"], 1);
+            assert.strictEqual(_warm.gauges["resource.token.refreshes.mock_auth"], 1);
+        });
+    });
+    describe("#execute(azcontext), metrics with errors.", () => {
+        let _config = new Configuration("mock_configuration");
+        _config.setAuthorizationOptimistic(true);
+        let _sink = new MockMetricsSink();
+        _config.setMetricsSink(_sink);
+        _config.resources.addResource(new MockResourceAuthorization("mock_auth"));
+        let _func = new MockFunction(_config, true);
+        it("Records failed phase outcome.", async () => {
+            await _func.execute(new MockAzureFunctionContext());
+            assert.strictEqual(_sink.flushed[0].timings.process.outcome, "error");
+            assert.strictEqual(_sink.flushed[0].timings.exception.outcome, "ok");
+        });
+        it("Does not fail the invocation when the sink fails.", async () => {
+            _config.setMetricsSink(new MockMetricsSink(true));
+            let _azcontext = new MockAzureFunctionContext();
+            _func.fail = false;
+            await _func.execute(_azcontext);
+            assert.strictEqual(_azcontext.doneInvoked, true);
+            assert.strictEqual(_azcontext.log.invoked, "warn");
+        });
+    });
+});
@@ -0,0 +1,200 @@
+const {CelastrinaError, LOG_LEVEL, Configuration, Context, TraceContext, Span, Vault,
+       ManagedIdentityResource, AppConfigPropertyManager, CachedPropertyManager} = require("../Core");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const MockAdapter = require("axios-mock-adapter");
+const assert = require("assert");
+const axios = require("axios");
+
+const MOCK_TRACEPARENT = "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01";
+
+describe("TraceContext", () => {
+    describe("#parse(traceparent, tracestate = null)", () => {
+        it("Parses a valid traceparent", () => {
+            let _trace = TraceContext.parse(MOCK_TRACEPARENT, "mock=state");
+            assert.strictEqual(_trace.traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+            assert.strictEqual(_trace.spanId, "00f067aa0ba902b7");
+            assert.strictEqual(_trace.parentId, null);
+            assert.strictEqual(_trace.flags, "01");
+            assert.strictEqual(_trace.sampled, true);
+            assert.strictEqual(_trace.tracestate, "mock=state");
+            assert.strictEqual(_trace.traceparent, MOCK_TRACEPARENT);
+        });
+        it("Normalizes upper case", () => {
+            assert.strictEqual(TraceContext.parse(MOCK_TRACEPARENT.toUpperCase()).traceparent, MOCK_TRACEPARENT);
+        });
+        it("Returns null for invalid values", () => {
+            assert.strictEqual(TraceContext.parse(undefined), null);
+            assert.strictEqual(TraceContext.parse("mock_trace_id"), null);
+            assert.strictEqual(TraceContext.parse("ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"), null);
+            assert.strictEqual(TraceContext.parse("00-00000000000000000000000000000000-00f067aa0ba902b7-01"), null);
+            assert.strictEqual(TraceContext.parse("00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01"), null);
+            assert.strictEqual(TraceContext.parse(MOCK_TRACEPARENT + "-extra"), null);
+        });
+        it("Accepts future versions with extra fields", () => {
+            let _trace = TraceContext.parse("01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00-extra");
+            assert.strictEqual(_trace.traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+            assert.strictEqual(_trace.sampled, false);
+        });
+    });
+    describe("#create(sampled = true)", () => {
+        it("Creates a root trace", () => {
+            let _trace = TraceContext.create();
+            assert.match(_trace.traceparent, /^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+            assert.strictEqual(_trace.parentId, null);
+            assert.strictEqual(TraceContext.create(false).sampled, false);
+        });
+    });
+    describe("#createChild()", () => {
+        it("Keeps trace-id, flags and state and parents to this span", () => {
+            let _trace = TraceContext.parse(MOCK_TRACEPARENT, "mock=state");
+            let _child = _trace.createChild();
+            assert.strictEqual(_child.traceId, _trace.traceId);
+            assert.strictEqual(_child.parentId, _trace.spanId);
+            assert.notStrictEqual(_child.spanId, _trace.spanId);
+            assert.strictEqual(_child.flags, "01");
+            assert.strictEqual(_child.tracestate, "mock=state");
+        });
+    });
+    describe("#setHeaders(headers = {})", () => {
+        it("Sets traceparent and tracestate", () => {
+            let _headers = TraceContext.parse(MOCK_TRACEPARENT, "mock=state").setHeaders({mock: "header"});
+            assert.deepStrictEqual(_headers, {mock: "header", traceparent: MOCK_TRACEPARENT, tracestate: "mock=state"});
+        });
+        it("Omits empty tracestate", () => {
+            assert.deepStrictEqual(TraceContext.parse(MOCK_TRACEPARENT).setHeaders(), {traceparent: MOCK_TRACEPARENT});
+        });
+    });
+    describe("#fromAzureContext(azcontext)", () => {
+        it("Uses the Azure trace context", () => {
+            let _trace = TraceContext.fromAzureContext(new MockAzureFunctionContext());
+            assert.strictEqual(_trace.traceparent, MOCK_TRACEPARENT);
+        });
+        it("Creates a root trace when missing", () => {
+            let _azcontext = new MockAzureFunctionContext();
+            delete _azcontext.traceContext;
+            assert.match(TraceContext.fromAzureContext(_azcontext).traceId, /^[0-9a-f]{32}$/);
+        });
+    });
+});
+describe("Span", () => {
+    describe("#end(error = null)", () => {
+        it("Ends with status ok", () => {
+            let _span = new Span("mock_span", TraceContext.create());
+            assert.strictEqual(_span.status, "unset");
+            _span.end();
+            assert.strictEqual(_span.isEnded, true);
+            assert.strictEqual(_span.status, "ok");
+        });
+        it("Ends with status error", () => {
+            let _span = new Span("mock_span", TraceContext.create());
+            _span.end(CelastrinaError.newError("mock_error"));
+            assert.strictEqual(_span.status, "error");
+        });
+    });
+});
+describe("Context", () => {
+    describe("#startSpan(name), #endSpan(span, error = null)", async () => {
+        let _config = new Configuration("mock_configuration");
+        let _azcontext = new MockAzureFunctionContext();
+        await _config.initialize(_azcontext);
+        it("Nests spans under the active span", async () => {
+            let _context = new Context(_config);
+            await _context.initialize();
+            let _outer = _context.startSpan("outer");
+            let _inner = _context.startSpan("inner");
+            assert.strictEqual(_outer.trace.parentId, "00f067aa0ba902b7");
+            assert.strictEqual(_inner.trace.parentId, _outer.trace.spanId);
+            assert.strictEqual(_context.trace, _inner.trace);
+            _context.endSpan(_inner);
+            assert.strictEqual(_context.span, _outer);
+            _context.endSpan(_outer);
+            assert.strictEqual(_context.span, null);
+            assert.strictEqual(_context.trace.spanId, "00f067aa0ba902b7");
+        });
+    });
+});
+describe("Vault", () => {
+    describe("#getSecret(token, identifier, trace = null)", () => {
+        it("Propagates traceparent", async () => {
+            let _mock = new MockAdapter(axios);
+            let _headers = null;
+            _mock.onGet("https://mock-vault/secrets/mock?api-version=7.1").reply((config) => {
+                _headers = config.headers;
+                return [200, {value: "mock_secret"}];
+            });
+            try {
+                let _trace = TraceContext.parse(MOCK_TRACEPARENT, "mock=state");
+                assert.strictEqual(await new Vault().getSecret("mock_token", "https://mock-vault/secrets/mock", _trace),
+                                   "mock_secret");
+                assert.strictEqual(_headers["traceparent"], MOCK_TRACEPARENT);
+                assert.strictEqual(_headers["tracestate"], "mock=state");
+                assert.strictEqual(_headers["Authorization"], "Bearer mock_token");
+            }
+            finally {
+                _mock.restore();
+            }
+        });
+    });
+});
+describe("ManagedIdentityResource", () => {
+    describe("#getToken(resource, trace = null)", () => {
+        it("Propagates traceparent to the identity endpoint", async () => {
+            let _endpoint = process.env["IDENTITY_ENDPOINT"];
+            process.env["IDENTITY_ENDPOINT"] = "https://mock-identity-endpoint/";
+            let _mock = new MockAdapter(axios);
+            let _headers = null;
+            _mock.onGet("https://mock-identity-endpoint/?api-version=2019-08-01&resource=https://mock-resource").reply((config) => {
+                _headers = config.headers;
+                return [200, {access_token: "mock_token", expires_on: "2200-01-01T00:00:00Z"}];
+            });
+            try {
+                let _trace = TraceContext.parse(MOCK_TRACEPARENT);
+                assert.strictEqual(await new ManagedIdentityResource().getToken("https://mock-resource", _trace),
+                                   "mock_token");
+                assert.strictEqual(_headers["traceparent"], MOCK_TRACEPARENT);
+            }
+            finally {
+                _mock.restore();
+                if(typeof _endpoint === "undefined") delete process.env["IDENTITY_ENDPOINT"];
+                else process.env["IDENTITY_ENDPOINT"] = _endpoint;
+            }
+        });
+    });
+});
+describe("AppConfigPropertyManager", () => {
+    describe("#getProperty(key, defaultValue = null, trace = null)", () => {
+        it("Propagates the traceparent of each call", async () => {
+            let _endpoint = process.env["IDENTITY_ENDPOINT"];
+            process.env["IDENTITY_ENDPOINT"] = "https://mock-identity-endpoint/";
+            let _mock = new MockAdapter(axios);
+            let _traceparents = [];
+            _mock.onGet("https://mock-identity-endpoint/?api-version=2019-08-01&resource=https://mock-app-config.azconfig.io")
+                 .reply(200, {access_token: "mock_token", expires_on: "2200-01-01T00:00:00Z"});
+            _mock.onGet(/^https:\/\/mock-app-config\.azconfig\.io\/kv\//).reply((config) => {
+                _traceparents.push(config.headers["traceparent"]);
+                return [200, {key: "mock_key", content_type: "", value: "{\"mock\":true}"}];
+            });
+            try {
+                let _config = new Configuration("TraceContextTest");
+                let _pm = new AppConfigPropertyManager("mock-app-config");
+                _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+                let _azcontext = new MockAzureFunctionContext();
+                await _config.initialize(_azcontext);
+                let _first = TraceContext.create();
+                let _second = TraceContext.parse(MOCK_TRACEPARENT);
+                assert.strictEqual(await _pm.getProperty("mock_key", null, _first), "{\"mock\":true}");
+                assert.strictEqual(await _pm.getProperty("mock_key", null, _second), "{\"mock\":true}");
+                assert.strictEqual(await _pm.getProperty("mock_key"), "{\"mock\":true}");
+                assert.deepStrictEqual(await new CachedPropertyManager(_pm).getObject("mock_key", null, null, _second),
+                                       {mock: true});
+                assert.deepStrictEqual(_traceparents.slice(-4), [_first.traceparent, MOCK_TRACEPARENT, undefined,
+                                                                 MOCK_TRACEPARENT]);
+            }
+            finally {
+                _mock.restore();
+                if(typeof _endpoint === "undefined") delete process.env["IDENTITY_ENDPOINT"];
+                else process.env["IDENTITY_ENDPOINT"] = _endpoint;
+            }
+        });
+    });
+});
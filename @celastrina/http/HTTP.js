@@ -33,11 +33,17 @@ const moment = require("moment");
 const jwt = require("jsonwebtoken");
 const jwkToPem = require("jwk-to-pem");
 const cookie = require("cookie");
-const {Decipher, Cipher} = require("crypto");
-const {CelastrinaError, CelastrinaValidationError, PropertyManager, ResourceManager, PermissionManager, AddOn,
-       LOG_LEVEL, Configuration, Subject, Sentry, Algorithm, AES256Algorithm, Cryptography, RoleFactory,
+const {Decipher, Cipher, randomBytes, createHash, createHmac, timingSafeEqual} = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {CelastrinaError, CelastrinaValidationError, CelastrinaCompositeValidationError, PropertyManager,
+       ResourceManager, PermissionManager, AddOn, LOG_LEVEL, Configuration, Subject, Sentry, Algorithm, AES256Algorithm,
+       AES256GCMAlgorithm, Keyring, Cryptography, RoleFactory,
        RoleFactoryParser, Context, BaseFunction, ValueMatch, MatchAny, MatchAll, MatchNone,
-       AttributeParser, ConfigParser, Authenticator, instanceOfCelastringType} = require("@celastrina/core");
+       AttributeParser, ConfigParser, Authenticator, TraceContext, MonitorResponse, CelastrinaNotFoundError,
+       CelastrinaPreconditionFailedError, CelastrinaConflictError, CelastrinaTooManyRequestsError, ErrorRegistry,
+       CelastrinaServiceUnavailableError, ManagedIdentityResource,
+       instanceOfCelastringType, toBase64URL} = require("@celastrina/core");
 /**
  * @typedef __AzureRequestBinging
  * @property {string} originalUrl
@@ -101,6 +107,8 @@ const {CelastrinaError, CelastrinaValidationError, PropertyManager, ResourceMana
  */
 /**
  * Cookie
+ * @description A signed cookie is written as its value followed by '.' and an HMAC-SHA256 of its name and value, see
+ *              Cookie.newSignedCookie and CookiePolicy.
  * @author Robert R Murrell
  */
 class Cookie {
@@ -110,24 +118,60 @@ class Cookie {
      * @param {(null|string)} [value=null]
      * @param {Object} [options={}]
      * @param {boolean} [dirty=false]
+     * @param {(null|string)} [secret=null] The secret used to sign the value when written.
      */
-    constructor(name, value = null, options = {}, dirty = false, ) {
+    constructor(name, value = null, options = {}, dirty = false, secret = null) {
         if(typeof name !== "string" || name.trim().length === 0)
             throw CelastrinaValidationError.newValidationError("Invalid String. Attribute 'name' cannot be undefined, null, or zero length.", "cookie.name");
         this._name = name.trim();
         this._value = value;
         this._options = options;
         this._dirty = dirty;
+        this._secret = secret;
         this.__type = Cookie.CELASTRINAJS_TYPE;
     }
     /**@return{boolean}*/get doSetCookie() {return this._dirty};
     /**@return{string}*/get name() {return this._name;}
+    /**@return{boolean}*/get signed() {return this._secret != null;}
     /**@return{string}*/get parseValue() {
         if(this._value == null)
             return "";
+        else if(this._secret != null)
+            return Cookie.signValue(this._name, this._value, this._secret);
         else
             return this._value;
     }
+    /**
+     * @param {string} secret
+     */
+    sign(secret) {
+        if(typeof secret !== "string" || secret.length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[Cookie.sign(secret)][secret]: Invalid string. Argument cannot be null or zero length.", "secret");
+        this._secret = secret;
+        this._dirty = true;
+    }
+    /**
+     * Replaces the value of a cookie read from the request with its verified value, without marking it to be written.
+     * @param {(null|string)} value
+     * @param {(null|string)} [secret=null]
+     */
+    load(value, secret = null) {
+        this._value = value;
+        this._secret = secret;
+    }
+    /**
+     * Validates the '__Secure-' and '__Host-' prefix rules, and that 'SameSite=None' cookies are Secure.
+     */
+    validate() {
+        let _secure = this._options["secure"] === true;
+        if((this._name.startsWith("__Secure-") || this._name.startsWith("__Host-")) && !_secure)
+            throw CelastrinaError.newError("Cookie '" + this._name + "' must be Secure.");
+        if(this._name.startsWith("__Host-") && (this._options["path"] !== "/" || typeof this._options["domain"] !== "undefined"))
+            throw CelastrinaError.newError("Cookie '" + this._name + "' must have Path '/' and no Domain.");
+        if(typeof this._options["sameSite"] === "string" && this._options["sameSite"].toLowerCase() === "none" && !_secure)
+            throw CelastrinaError.newError("Cookie '" + this._name + "' must be Secure with SameSite 'none'.");
+    }
     /**@return{null|string}*/get value() {return this._value;}
     /**@param{null|string}value*/set value(value) {
         this._value = value;
@@ -195,6 +239,45 @@ class Cookie {
     static newCookie(name, value = null, options = {}) {
         return new Cookie(name, value, options, true);
     }
+    /**
+     * @param {string} name
+     * @param {(null|string)} value
+     * @param {string} secret
+     * @param {Object} [options={}]
+     * @returns {Cookie} A new cookie, marked to be written, whose value is signed with the secret.
+     */
+    static newSignedCookie(name, value, secret, options = {}) {
+        let _cookie = new Cookie(name, value, options, true);
+        _cookie.sign(secret);
+        return _cookie;
+    }
+    /**
+     * @param {string} name
+     * @param {string} value
+     * @param {string} secret
+     * @return {string}
+     */
+    static signValue(name, value, secret) {
+        return value + "." + toBase64URL(createHmac("sha256", secret).update(name + "=" + value).digest());
+    }
+    /**
+     * @param {string} name
+     * @param {(null|string)} value The signed value.
+     * @param {(string|Array<string>)} secrets
+     * @return {(null|string)} The value without its signature, or null if no secret matches.
+     */
+    static verifyValue(name, value, secrets) {
+        if(typeof value !== "string") return null;
+        let _index = value.lastIndexOf(".");
+        if(_index < 0) return null;
+        let _value = value.substring(0, _index);
+        let _actual = Buffer.from(value);
+        for(const _secret of (Array.isArray(secrets) ? secrets : [secrets])) {
+            let _expected = Buffer.from(Cookie.signValue(name, _value, _secret));
+            if(_expected.length === _actual.length && timingSafeEqual(_expected, _actual)) return _value;
+        }
+        return null;
+    }
     /**
      * @param {string} name
      * @param {(null|string)} [value=null]
@@ -394,6 +477,7 @@ class Issuer {
                 return {verified: true, assignments: this._roles};
             }
             catch(exception) {
+                if(exception instanceof CelastrinaServiceUnavailableError) throw exception; // Not a bad token.
                 context.log("Exception authenticating JWT: " + exception, LOG_LEVEL.THREAT,
                             "BaseIssuer.verify(context, _jwt)");
                 return {verified: false};
@@ -442,6 +526,7 @@ class LocalJwtIssuer extends Issuer {
  * @author Robert R Murrell
  */
 class OpenIDJwtIssuer extends Issuer {
+    static CACHE_SIZE = 32;
     /**
      * @param {null|string} issuer
      * @param {null|string} configUrl
@@ -449,14 +534,95 @@ class OpenIDJwtIssuer extends Issuer {
      * @param {(Array.<string>|null)} [assignments=[]] The roles to escalate to the subject if the JWT token is
      *        valid for this issuer.
      * @param {boolean} [validateNonce=false]
+     * @param {number} [cacheTTL=3600] Seconds to cache OpenID configurations and JWKS without a Cache-Control max-age.
+     * @param {number} [refreshInterval=300] Minimum seconds between refetches of a JWKS for an unknown key id.
      */
     constructor(issuer = null, configUrl = null, audiences = null,
-                assignments = null, validateNonce = false) {
+                assignments = null, validateNonce = false, cacheTTL = 3600, refreshInterval = 300) {
         super(issuer, audiences, assignments, validateNonce);
         this._configUrl = configUrl;
+        this.cacheTTL = cacheTTL;
+        this.refreshInterval = refreshInterval;
+        /**@type{Map<string, {data: Object, expires: number}>}*/this._cache = new Map();
+        /**@type{Map<string, number>}*/this._refreshed = new Map();
     }
     get configURL() {return this._configUrl;}
     set configURL(url) {this._configUrl = url;}
+    /**@return{number}*/get cacheTTL() {return this._cacheTTL;}
+    /**@param{number}ttl*/set cacheTTL(ttl) {
+        if(typeof ttl !== "number" || ttl < 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[OpenIDJwtIssuer][cacheTTL]: Invalid number. Argument must be zero or greater.", "cacheTTL");
+        this._cacheTTL = ttl;
+    }
+    /**@return{number}*/get refreshInterval() {return this._refreshInterval;}
+    /**@param{number}interval*/set refreshInterval(interval) {
+        if(typeof interval !== "number" || interval < 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[OpenIDJwtIssuer][refreshInterval]: Invalid number. Argument must be zero or greater.", "refreshInterval");
+        this._refreshInterval = interval;
+    }
+    /**
+     * @param {Object} headers The response headers.
+     * @param {number} ttl The seconds to use without a max-age.
+     * @return {number} The seconds a response may be cached, 0 for no-store and no-cache.
+     */
+    static getMaxAge(headers, ttl) {
+        let _control = (headers == null) ? null : headers["cache-control"];
+        if(typeof _control !== "string") return ttl;
+        let _maxAge = null;
+        for(const _directive of _control.toLowerCase().split(",")) {
+            let [_name, _value] = _directive.trim().split("=");
+            if(_name === "no-store" || _name === "no-cache") return 0;
+            if(_name === "max-age") {
+                _maxAge = parseInt(_value, 10);
+                if(isNaN(_maxAge) || _maxAge < 0) _maxAge = null;
+            }
+        }
+        return (_maxAge == null) ? ttl : _maxAge;
+    }
+    /**
+     * Clears the cached OpenID configurations and JWKS.
+     */
+    clearCache() {
+        this._cache.clear();
+        this._refreshed.clear();
+    }
+    /**
+     * Removes the expired entries, then the oldest entries until there is room for one more. Cache keys are built from
+     * claims of tokens not yet verified, so the caches must not grow with them.
+     * @param {Map<string, *>} cache
+     * @param {function(*): boolean} expired
+     * @private
+     */
+    static _prune(cache, expired) {
+        for(const [_key, _entry] of cache) {
+            if(expired(_entry)) cache.delete(_key);
+        }
+        for(const _key of cache.keys()) {
+            if(cache.size < OpenIDJwtIssuer.CACHE_SIZE) break;
+            cache.delete(_key);
+        }
+    }
+    /**
+     * @param {string} url
+     * @param {boolean} [refresh=false] True to ignore the cached document.
+     * @return {Promise<Object>}
+     * @private
+     */
+    async _fetch(url, refresh = false) {
+        let _now = Date.now();
+        let _cached = this._cache.get(url);
+        if(!refresh && _cached != null && _cached.expires > _now) return _cached.data;
+        let _response = await axios.get(url);
+        let _maxAge = OpenIDJwtIssuer.getMaxAge(_response.headers, this._cacheTTL);
+        this._cache.delete(url);
+        if(_maxAge > 0) {
+            OpenIDJwtIssuer._prune(this._cache, (_entry) => _entry.expires <= _now);
+            this._cache.set(url, {data: _response.data, expires: _now + (_maxAge * 1000)});
+        }
+        return _response.data;
+    }
     /**
      * @param {HTTPContext} context
      * @param {JwtSubject} _jwt
@@ -483,33 +649,64 @@ class OpenIDJwtIssuer extends Issuer {
         return url;
     }
     /**
+     * @param {Object} _jwks
+     * @param {string} kid
+     * @return {(null|Object)}
+     * @private
+     */
+    static _findKey(_jwks, kid) {
+        if(_jwks == null || !Array.isArray(_jwks.keys)) return null;
+        for(const key of _jwks.keys) {
+            if(key.kid === kid) return key;
+        }
+        return null;
+    }
+    /**
+     * Gets the signing key from the cached OpenID configuration and JWKS. An unknown key id refetches the JWKS, at
+     * most once every refreshInterval seconds, to pick up rolled over keys. A network error or server error fetching
+     * either document rejects with a CelastrinaServiceUnavailableError, so an unavailable IDP is not reported as an
+     * invalid token. Any other response rejects with a 401, as the URL may be built from claims of a forged token.
      * @param {HTTPContext} context
      * @param {JwtSubject} _jwt
-     * @param {string} configUrl
-     * @return {Promise<(null|JWKS)>}
+     * @return {Promise<JWKS>}
      * @private
      */
-    static async _getKey(context, _jwt, configUrl) {
-        let _endpoint = await OpenIDJwtIssuer._replaceURLEndpoint(context, _jwt, configUrl);
+    async _getKey(context, _jwt) {
+        let _endpoint = await OpenIDJwtIssuer._replaceURLEndpoint(context, _jwt, this._configUrl);
+        let _issuer;
+        /**@type{(null|Object)}*/let _key = null;
         try {
-            let _response = await axios.get(_endpoint);
-            let _issuer = _response.data["issuer"];
-            _endpoint = _response.data["jwks_uri"];
-            _response = await axios.get(_endpoint);
-            /**@type{(null|JWKS)}*/let _key = null;
-            for (const key of _response.data.keys) {
-                if(key.kid === _jwt.header.kid) {
-                    _key = {issuer: _issuer, type: key.kty, key: key};
-                    break;
+            let _config = await this._fetch(_endpoint);
+            _issuer = _config["issuer"];
+            _endpoint = _config["jwks_uri"];
+            _key = OpenIDJwtIssuer._findKey(await this._fetch(_endpoint), _jwt.header.kid);
+            if(_key == null) {
+                let _now = Date.now();
+                let _refreshed = this._refreshed.get(_endpoint);
+                if(_refreshed == null || (_now - _refreshed) >= (this._refreshInterval * 1000)) {
+                    this._refreshed.delete(_endpoint);
+                    OpenIDJwtIssuer._prune(this._refreshed, (_time) => (_now - _time) >= (this._refreshInterval * 1000));
+                    this._refreshed.set(_endpoint, _now);
+                    _key = OpenIDJwtIssuer._findKey(await this._fetch(_endpoint, true), _jwt.header.kid);
                 }
             }
-            return _key;
         }
         catch(exception) {
+            if(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status < 500) {
+                context.log("Exception getting OpenID configuration '" + _endpoint + "' for subject " + _jwt.subject.id +
+                            ": " + exception, LOG_LEVEL.THREAT, "OpenIDJwtIssuer._getKey(context, _jwt)");
+                throw CelastrinaError.newError("Not Authorized.", 401, false, exception);
+            }
             context.log("Exception getting OpenID configuration for subject " + _jwt.subject.id + ": " + exception,
-                                LOG_LEVEL.ERROR, "OpenIDJwtIssuer._getKey(subject, context)");
-            CelastrinaError.newError("Exception authenticating user.", 401);
+                                LOG_LEVEL.ERROR, "OpenIDJwtIssuer._getKey(context, _jwt)");
+            throw new CelastrinaServiceUnavailableError("Exception getting OpenID configuration.", null, exception);
+        }
+        if(_key == null) {
+            context.log("Key '" + _jwt.header.kid + "' not found for subject '" + _jwt.subject.id + "'.", LOG_LEVEL.THREAT,
+                        "OpenIDJwtIssuer._getKey(context, _jwt)");
+            throw CelastrinaError.newError("Not Authorized.", 401);
         }
+        return {issuer: _issuer, type: _key.kty, key: _key};
     }
     /**
      * @param {(null|JWKS)} key
@@ -527,7 +724,7 @@ class OpenIDJwtIssuer extends Issuer {
      * @private
      */
     async getKey(context, _jwt) {
-        /**@type{(null|JWKS)}*/let key = await OpenIDJwtIssuer._getKey(context, _jwt, this._configUrl);
+        /**@type{JWKS}*/let key = await this._getKey(context, _jwt);
         let pem;
         if(typeof key.key.x5c === "undefined" || key.key.x5c == null)
             pem = jwkToPem(key.key);
@@ -626,9 +823,258 @@ class OpenIDJwtIssuerParser extends IssuerParser {
                 "[OpenIDJwtIssuerParser._create(_OpenIDJwtIssuer)][_OpenIDJwtIssuer.configURL]: configURL cannot be null or empty.",
                     "_OpenIDJwtIssuer.configURL");
         _issuer.configURL = _OpenIDJwtIssuer.configURL.trim();
+        if(typeof _OpenIDJwtIssuer.cacheTTL === "number") _issuer.cacheTTL = _OpenIDJwtIssuer.cacheTTL;
+        if(typeof _OpenIDJwtIssuer.refreshInterval === "number") _issuer.refreshInterval = _OpenIDJwtIssuer.refreshInterval;
         return _issuer;
     }
 }
+/**
+ * FormPart
+ * @description A field or file of a multipart/form-data or application/x-www-form-urlencoded request body.
+ * @author Robert R Murrell
+ */
+class FormPart {
+    /**
+     * @param {string} name
+     * @param {Buffer} data
+     * @param {(null|string)} [filename=null] The file name, null for fields.
+     * @param {(null|string)} [contentType=null]
+     * @param {Object<string, string>} [headers={}] The part headers, with lower case names.
+     */
+    constructor(name, data, filename = null, contentType = null, headers = {}) {
+        this._name = name;
+        this._data = data;
+        this._filename = filename;
+        this._contentType = contentType;
+        this._headers = headers;
+    }
+    /**@return{string}*/get name() {return this._name;}
+    /**@return{Buffer}*/get data() {return this._data;}
+    /**@return{(null|string)}*/get filename() {return this._filename;}
+    /**@return{(null|string)}*/get contentType() {return this._contentType;}
+    /**@return{Object<string, string>}*/get headers() {return this._headers;}
+    /**@return{boolean}*/get isFile() {return this._filename != null;}
+    /**@return{number}*/get size() {return this._data.length;}
+    /**@return{string}*/get value() {return this._data.toString("utf8");}
+}
+/**
+ * HTTPForm
+ * @description The parsed form of a request. Repeated names are arrays. Fields and files are objects without a prototype.
+ * @author Robert R Murrell
+ */
+class HTTPForm {
+    /**
+     * @param {Array<FormPart>} [parts=[]]
+     */
+    constructor(parts = []) {
+        /**@type{Array<FormPart>}*/this._parts = parts;
+        /**@type{Object<string, (string|Array<string>)>}*/this._fields = Object.create(null);
+        /**@type{Object<string, (FormPart|Array<FormPart>)>}*/this._files = Object.create(null);
+        for(let _part of parts) {
+            if(_part.isFile) HTTPForm._add(this._files, _part.name, _part);
+            else HTTPForm._add(this._fields, _part.name, _part.value);
+        }
+    }
+    /**
+     * @param {Object} map
+     * @param {string} name
+     * @param {*} value
+     * @private
+     */
+    static _add(map, name, value) {
+        if(!Object.prototype.hasOwnProperty.call(map, name)) map[name] = value;
+        else if(Array.isArray(map[name])) map[name].push(value);
+        else map[name] = [map[name], value];
+    }
+    /**@return{Array<FormPart>}*/get parts() {return this._parts;}
+    /**@return{Object<string, (string|Array<string>)>}*/get fields() {return this._fields;}
+    /**@return{Object<string, (FormPart|Array<FormPart>)>}*/get files() {return this._files;}
+    /**
+     * @param {string} name
+     * @param {*} [defaultValue=null]
+     * @return {(string|Array<string>|*)}
+     */
+    getField(name, defaultValue = null) {
+        return (Object.prototype.hasOwnProperty.call(this._fields, name)) ? this._fields[name] : defaultValue;
+    }
+    /**
+     * @param {string} name
+     * @param {*} [defaultValue=null]
+     * @return {(FormPart|Array<FormPart>|*)}
+     */
+    getFile(name, defaultValue = null) {
+        return (Object.prototype.hasOwnProperty.call(this._files, name)) ? this._files[name] : defaultValue;
+    }
+}
+/**
+ * FormParser
+ * @description Parses multipart/form-data and application/x-www-form-urlencoded request bodies. Exceeding a size or
+ *              count limit is a 413 and a file whose content type is not allowed is a 415.
+ * @author Robert R Murrell
+ */
+class FormParser {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.FormParser";
+    /**
+     * @param {number} [maxSize=10485760] The maximum body size in bytes.
+     * @param {number} [maxParts=100] The maximum number of fields and files.
+     * @param {number} [maxPartSize=5242880] The maximum size of one field or file in bytes.
+     * @param {Array<string>} [allowedTypes=[]] The allowed file content types, such as 'image/png' or 'image/*',
+     *        empty to allow any.
+     */
+    constructor(maxSize = 10485760, maxParts = 100, maxPartSize = 5242880, allowedTypes = []) {
+        this._maxSize = maxSize;
+        this._maxParts = maxParts;
+        this._maxPartSize = maxPartSize;
+        this._allowedTypes = allowedTypes.map((_type) => _type.trim().toLowerCase());
+        this.__type = FormParser.CELASTRINAJS_TYPE;
+    }
+    /**@return{number}*/get maxSize() {return this._maxSize;}
+    /**@return{number}*/get maxParts() {return this._maxParts;}
+    /**@return{number}*/get maxPartSize() {return this._maxPartSize;}
+    /**@return{Array<string>}*/get allowedTypes() {return this._allowedTypes;}
+    /**
+     * @param {(null|string)} contentType
+     * @return {boolean}
+     */
+    isTypeAllowed(contentType) {
+        if(this._allowedTypes.length === 0) return true;
+        let _type = (contentType == null) ? "application/octet-stream" : contentType.split(";")[0].trim().toLowerCase();
+        return this._allowedTypes.some((_allowed) => (_allowed.endsWith("/*")) ?
+                                                         _type.startsWith(_allowed.substring(0, _allowed.length - 1)) :
+                                                         _allowed === _type);
+    }
+    /**
+     * Rejects '__proto__', which would replace the prototype of an object the fields are copied to.
+     * @param {string} name
+     * @return {string}
+     * @private
+     */
+    static _checkName(name) {
+        if(name === "__proto__")
+            throw CelastrinaValidationError.newValidationError("Form field name '" + name + "' is not allowed.", "form");
+        return name;
+    }
+    /**
+     * @param {number} count
+     * @private
+     */
+    _checkParts(count) {
+        if(count > this._maxParts)
+            throw CelastrinaError.newError("Form exceeds the maximum of " + this._maxParts + " parts.", 413);
+    }
+    /**
+     * @param {FormPart} part
+     * @private
+     */
+    _checkPart(part) {
+        if(part.size > this._maxPartSize)
+            throw CelastrinaError.newError("Form part '" + part.name + "' exceeds the maximum size of " +
+                                           this._maxPartSize + " bytes.", 413);
+        if(part.isFile && !this.isTypeAllowed(part.contentType))
+            throw CelastrinaError.newError("Content-Type '" + part.contentType + "' of form file '" + part.name +
+                                           "' is not allowed.", 415);
+    }
+    /**
+     * @param {string} header A Content-Disposition or Content-Type header.
+     * @return {Object<string, string>} The parameters, with lower case names.
+     */
+    static parseParameters(header) {
+        let _params = {};
+        let _regex = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+        let _match;
+        while((_match = _regex.exec(header)) != null) {
+            _params[_match[1].toLowerCase()] = (typeof _match[2] === "string") ? _match[2].replace(/\\(.)/g, "$1") :
+                                                                                _match[3].trim();
+        }
+        return _params;
+    }
+    /**
+     * @param {Buffer} body
+     * @param {string} boundary
+     * @return {HTTPForm}
+     */
+    parseMultipart(body, boundary) {
+        let _delimiter = Buffer.from("--" + boundary);
+        let _parts = [];
+        let _index = body.indexOf(_delimiter);
+        if(_index < 0) throw CelastrinaValidationError.newValidationError("Invalid multipart body. Boundary not found.", "form");
+        while(true) {
+            _index += _delimiter.length;
+            if(body[_index] === 0x2d && body[_index + 1] === 0x2d) break;
+            if(body[_index] === 0x0d && body[_index + 1] === 0x0a) _index += 2;
+            let _headerEnd = body.indexOf("\r\n\r\n", _index);
+            let _next = body.indexOf(Buffer.concat([Buffer.from("\r\n"), _delimiter]), _index);
+            if(_headerEnd < 0 || _next < 0 || _headerEnd > _next)
+                throw CelastrinaValidationError.newValidationError("Invalid multipart body. Part is not terminated.", "form");
+            let _headers = {};
+            body.toString("utf8", _index, _headerEnd).split("\r\n").forEach((_line) => {
+                let _colon = _line.indexOf(":");
+                if(_colon > 0) _headers[_line.substring(0, _colon).trim().toLowerCase()] = _line.substring(_colon + 1).trim();
+            });
+            let _disposition = _headers["content-disposition"];
+            if(typeof _disposition !== "string" || !/^form-data\s*(;|$)/i.test(_disposition))
+                throw CelastrinaValidationError.newValidationError("Invalid multipart body. Part is missing Content-Disposition form-data.", "form");
+            let _params = FormParser.parseParameters(_disposition);
+            if(typeof _params.name !== "string")
+                throw CelastrinaValidationError.newValidationError("Invalid multipart body. Part is missing a name.", "form");
+            let _part = new FormPart(FormParser._checkName(_params.name), body.slice(_headerEnd + 4, _next),
+                                     (typeof _params.filename === "string") ? _params.filename : null,
+                                     (typeof _headers["content-type"] === "string") ? _headers["content-type"] : null, _headers);
+            this._checkPart(_part);
+            _parts.push(_part);
+            this._checkParts(_parts.length);
+            _index = _next + 2;
+        }
+        return new HTTPForm(_parts);
+    }
+    /**
+     * @param {string} body
+     * @return {HTTPForm}
+     */
+    parseURLEncoded(body) {
+        let _parts = [];
+        for(let [_name, _value] of new URLSearchParams(body)) {
+            let _part = new FormPart(FormParser._checkName(_name), Buffer.from(_value, "utf8"));
+            this._checkPart(_part);
+            _parts.push(_part);
+            this._checkParts(_parts.length);
+        }
+        return new HTTPForm(_parts);
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {(null|HTTPForm)} The form, or null if the request body is not a form.
+     */
+    parse(context) {
+        let _contentType = context.getRequestHeader("content-type");
+        if(_contentType == null) return null;
+        let _mediaType = _contentType.split(";")[0].trim().toLowerCase();
+        if(_mediaType !== "multipart/form-data" && _mediaType !== "application/x-www-form-urlencoded") return null;
+        let _body = context.request.body;
+        if(!Buffer.isBuffer(_body)) _body = context.raw;
+        if(typeof _body === "string") _body = Buffer.from(_body, "utf8");
+        if(!Buffer.isBuffer(_body)) return new HTTPForm();
+        if(_body.length > this._maxSize)
+            throw CelastrinaError.newError("Form exceeds the maximum size of " + this._maxSize + " bytes.", 413);
+        if(_mediaType === "application/x-www-form-urlencoded") return this.parseURLEncoded(_body.toString("utf8"));
+        let _boundary = FormParser.parseParameters(_contentType).boundary;
+        if(typeof _boundary !== "string" || _boundary.length === 0)
+            throw CelastrinaValidationError.newValidationError("Invalid multipart body. Content-Type is missing the boundary.", "form");
+        return this.parseMultipart(_body, _boundary);
+    }
+    /**
+     * @param {(boolean|Object)} _Form True for the defaults, or an object with 'maxSize', 'maxParts', 'maxPartSize' and
+     *        'allowedTypes'.
+     * @return {FormParser}
+     */
+    static create(_Form) {
+        if(typeof _Form !== "object" || _Form == null) return new FormParser();
+        return new FormParser((typeof _Form.maxSize === "number") ? _Form.maxSize : 10485760,
+                              (typeof _Form.maxParts === "number") ? _Form.maxParts : 100,
+                              (typeof _Form.maxPartSize === "number") ? _Form.maxPartSize : 5242880,
+                              Array.isArray(_Form.allowedTypes) ? _Form.allowedTypes : []);
+    }
+}
 /**
  * HTTPParameter
  * @abstract
@@ -711,18 +1157,97 @@ class HeaderParameter extends HTTPParameter {
 }
 /**
  * CookieParameter
+ * @description Splits values longer than 'chunkSize' encoded bytes across numbered cookies, 'name.1' to 'name.N', and
+ *              sets the 'name' cookie to 'chunks-N'. Chunks are reassembled on read, and chunks left over from a longer
+ *              value are expired. Values longer than 'maxSize' encoded bytes are rejected.
  * @author Robert R Murrell
  */
 class CookieParameter extends HTTPParameter {
-    constructor(type = "cookie"){super(type);}
+    static CHUNK_PREFIX = "chunks-";
+    /**
+     * @param {string} [type="cookie"]
+     * @param {number} [chunkSize=3800] The maximum encoded length of a cookie value, leaving room within the 4096 byte
+     *                                  browser limit for the name and attributes.
+     * @param {number} [maxSize=16384] The maximum encoded length of a value across all chunks.
+     */
+    constructor(type = "cookie", chunkSize = 3800, maxSize = 16384) {
+        super(type);
+        if(typeof chunkSize !== "number" || chunkSize < 16)
+            throw CelastrinaValidationError.newValidationError(
+                "[CookieParameter][chunkSize]: Invalid number. Argument must be at least 16.", "chunkSize");
+        if(typeof maxSize !== "number" || maxSize < chunkSize)
+            throw CelastrinaValidationError.newValidationError(
+                "[CookieParameter][maxSize]: Invalid number. Argument must be greater than or equal to 'chunkSize'.", "maxSize");
+        this._chunkSize = chunkSize;
+        this._maxSize = maxSize;
+    }
+    /**@return{number}*/get chunkSize() {return this._chunkSize;}
+    /**@return{number}*/get maxSize() {return this._maxSize;}
+    /**
+     * @param {(null|string)} value
+     * @return {number} The number of chunks named by the value, or 0 if the value is not chunked.
+     */
+    static getChunkCount(value) {
+        if(typeof value !== "string" || !value.startsWith(CookieParameter.CHUNK_PREFIX)) return 0;
+        let _count = value.substring(CookieParameter.CHUNK_PREFIX.length);
+        return (/^[1-9]\d{0,2}$/.test(_count)) ? Number(_count) : 0;
+    }
+    /**
+     * @param {string} value
+     * @return {Array<string>} The value split so no chunk is longer than chunkSize once URI encoded.
+     */
+    split(value) {
+        let _chunks = [];
+        let _chunk = "";
+        let _length = 0;
+        for(const _char of value) {
+            let _size = encodeURIComponent(_char).length;
+            if(_length + _size > this._chunkSize) {
+                _chunks.push(_chunk);
+                _chunk = "";
+                _length = 0;
+            }
+            _chunk += _char;
+            _length += _size;
+        }
+        _chunks.push(_chunk);
+        return _chunks;
+    }
     /**
      * @param {HTTPContext} context
      * @param {string} key
-     * @return {Cookie}
+     * @return {(null|string)} The value, or null if a chunk is missing.
      */
     _getParameter(context, key) {
         let cookie = context.getCookie(key, null);
         if(cookie != null) cookie = cookie.value;
+        let _count = CookieParameter.getChunkCount(cookie);
+        if(_count === 0) return cookie;
+        let _value = "";
+        for(let _index = 1; _index <= _count; ++_index) {
+            let _chunk = context.getCookie(key + "." + _index, null);
+            if(_chunk == null || typeof _chunk.value !== "string") return null;
+            _value += _chunk.value;
+        }
+        return _value;
+    }
+    /**
+     * @param {HTTPContext} context
+     * @param {string} name
+     * @param {(null|string)} value
+     * @param {(null|Object)} [options=null] Replaces the options of an existing cookie if set.
+     * @return {Cookie}
+     * @private
+     */
+    _setCookie(context, name, value, options = null) {
+        let cookie = context.getCookie(name, null);
+        if(cookie == null)
+            cookie = Cookie.newCookie(name, value, (options == null) ? {} : options);
+        else {
+            cookie.value = value;
+            if(options != null) cookie.options = options;
+        }
+        context.setCookie(cookie);
         return cookie;
     }
     /**
@@ -731,12 +1256,24 @@ class CookieParameter extends HTTPParameter {
      * @param {null|string} [value = null]
      */
     _setParameter(context, key, value = null) {
-        let cookie = context.getCookie(key, null);
-        if(cookie == null)
-            cookie = Cookie.newCookie(key, value);
-        else
-            cookie.value = value;
-        context.setCookie(cookie);
+        let _chunks = [];
+        if(typeof value === "string") {
+            let _size = encodeURIComponent(value).length;
+            if(_size > this._maxSize)
+                throw CelastrinaError.newError("Cookie '" + key + "' is " + _size + " bytes, exceeding the maximum of " +
+                                               this._maxSize + " bytes.");
+            if(_size > this._chunkSize) _chunks = this.split(value);
+        }
+        let cookie = this._setCookie(context, key, (_chunks.length > 0) ? CookieParameter.CHUNK_PREFIX + _chunks.length : value);
+        for(let _index = 1; _index <= _chunks.length; ++_index)
+            this._setCookie(context, key + "." + _index, _chunks[_index - 1], Object.assign({}, cookie.options));
+        let _index = _chunks.length + 1;
+        let _stale = context.getCookie(key + "." + _index, null);
+        while(_stale != null) {
+            _stale.options = Object.assign({}, cookie.options);
+            _stale.delete();
+            _stale = context.getCookie(key + "." + (++_index), null);
+        }
     }
 }
 /**
@@ -777,6 +1314,7 @@ class BodyParameter extends HTTPParameter {
         let _value = context.requestBody;
         /**@type{Array<string>}*/let _attrs = key.split(".");
         for(const _attr of _attrs) {
+            if(typeof _value !== "object" || _value == null || RequestGuard.PROTOTYPE_KEYS.includes(_attr)) return null;
             _value = _value[_attr];
         }
         return _value;
@@ -789,6 +1327,8 @@ class BodyParameter extends HTTPParameter {
     _setParameter(context, key, value = null) {
         let _value = context.responseBody;
         /**@type{Array<string>}*/let _attrs = key.trim().split(".");
+        if(_attrs.some((_attr) => RequestGuard.PROTOTYPE_KEYS.includes(_attr)))
+            throw CelastrinaValidationError.newValidationError("Invalid object path '" + key + "'.", "key");
         for(let idx = 0; idx < _attrs.length - 2; ++idx) {
             _value = _value[_attrs[idx]];
             if(typeof _value === "undefined" || _value == null)
@@ -797,6 +1337,58 @@ class BodyParameter extends HTTPParameter {
         _value[_attrs[_attrs.length - 1]] = value;
     }
 }
+/**
+ * FormParameter
+ * @description Reads a field of a form request body, see HTTPContext.getForm.
+ * @author Robert R Murrell
+ */
+class FormParameter extends HTTPParameter {
+    constructor(type = "form"){super(type, true);}
+    /**
+     * @param {HTTPContext} context
+     * @param {string} key
+     * @param {*} [defaultValue]
+     * @return {Promise<(string|Array<string>|*)>}
+     */
+    async getParameter(context, key, defaultValue = null) {
+        let _form = await context.getForm();
+        return (_form == null) ? defaultValue : _form.getField(key, defaultValue);
+    }
+    /**
+     * @param {HTTPContext} context
+     * @param {string} key
+     * @param {*} [value = null]
+     */
+    _setParameter(context, key, value = null) {
+        throw CelastrinaError.newError("FormParameter.setParameter not supported.", 501);
+    }
+}
+/**
+ * FileParameter
+ * @description Reads an uploaded file of a multipart/form-data request body, see HTTPContext.getForm.
+ * @author Robert R Murrell
+ */
+class FileParameter extends HTTPParameter {
+    constructor(type = "file"){super(type, true);}
+    /**
+     * @param {HTTPContext} context
+     * @param {string} key
+     * @param {*} [defaultValue]
+     * @return {Promise<(FormPart|Array<FormPart>|*)>}
+     */
+    async getParameter(context, key, defaultValue = null) {
+        let _form = await context.getForm();
+        return (_form == null) ? defaultValue : _form.getFile(key, defaultValue);
+    }
+    /**
+     * @param {HTTPContext} context
+     * @param {string} key
+     * @param {*} [value = null]
+     */
+    _setParameter(context, key, value = null) {
+        throw CelastrinaError.newError("FileParameter.setParameter not supported.", 501);
+    }
+}
 /**
  * Session
  * @author Robert R Murrell
@@ -823,18 +1415,25 @@ class HTTPParameterParser extends AttributeParser {
     }
     /**
      * @param {string} type
+     * @param {(null|{chunkSize:(undefined|number),maxSize:(undefined|number)})} [cookie=null] Options for the 'cookie' type.
      * @return {HTTPParameter}
      */
-    static createHTTPParameter(type) {
+    static createHTTPParameter(type, cookie = null) {
         switch(type) {
             case "header":
                 return new HeaderParameter();
             case "cookie":
-                return new CookieParameter();
+                if(typeof cookie !== "object" || cookie == null) return new CookieParameter();
+                return new CookieParameter("cookie", (typeof cookie.chunkSize === "number") ? cookie.chunkSize : 3800,
+                                           (typeof cookie.maxSize === "number") ? cookie.maxSize : 16384);
             case "query":
                 return new QueryParameter();
             case "body":
                 return new BodyParameter();
+            case "form":
+                return new FormParameter();
+            case "file":
+                return new FileParameter();
             default:
                 throw CelastrinaValidationError.newValidationError(
                     "[HTTPParameterParser.getHTTPParameter(type)][type]: '" + type + "' is not supported.",
@@ -843,57 +1442,390 @@ class HTTPParameterParser extends AttributeParser {
     }
 }
 /**
- * Session
+ * SchemaValidator
+ * @description Validates values against a subset of JSON Schema: type, enum, const, minLength, maxLength, pattern,
+ *              format (email, uuid, date-time, uri), minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ *              multipleOf, items, minItems, maxItems, uniqueItems, properties, required and additionalProperties.
  * @author Robert R Murrell
  */
-class Session {
-    static CELASTRINAJS_TYPE = "celastrinajs.http.Session";
+class SchemaValidator {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.SchemaValidator";
+    static _FORMATS = {
+        "email": /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        "uuid": /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+        "date-time": /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+        "uri": /^[a-z][a-z0-9+.-]*:[^\s]*$/i
+    };
     /**
-     * @param {Object} [values = {}]
-     * @param {boolean} [isNew = false]
-     * @param {(null|string)} [id = null]
+     * @param {Object} schema
      */
-    constructor(values = {}, isNew = false, id = uuidv4()) {
-        if(typeof values.id === "undefined" || values.id == null) values.id = id;
-        this._values = values;
-        /**@type{boolean}*/this._dirty = isNew;
-        /**@type{boolean}*/this._new = isNew;
-        this.__type = Session.CELASTRINAJS_TYPE;
+    constructor(schema) {
+        if(typeof schema !== "object" || schema == null || Array.isArray(schema))
+            throw CelastrinaValidationError.newValidationError(
+                "[SchemaValidator][schema]: Invalid object. Argument cannot be 'undefined', null or an array.", "schema");
+        this._schema = schema;
+        this.__type = SchemaValidator.CELASTRINAJS_TYPE;
     }
-    /**@return{string}*/get id() {return this._values.id;}
-    /**@return{boolean}*/get isNew() {return this._new;}
+    /**@return{Object}*/get schema() {return this._schema;}
     /**
-     * @param {string} name
-     * @param {*} defaultValue
-     * @return {Promise<*>}
+     * @param {*} value
+     * @param {string} [path=""]
+     * @return {Array<{path: string, message: string, code: string}>} The failures, empty if the value is valid.
      */
-    async getProperty(name, defaultValue = null) {
-        let _value = this._values[name];
-        if(typeof _value === "undefined" || _value == null)
-            return defaultValue;
-        else
-            return _value;
+    validate(value, path = "") {
+        let _errors = [];
+        SchemaValidator._validate(this._schema, value, path, _errors);
+        return _errors;
     }
     /**
-     * @param {string} name
      * @param {*} value
-     * @return {Promise<void>}
+     * @return {string}
      */
-    async setProperty(name, value) {
-        this._values[name] = value;
-        this._dirty = true;
+    static getType(value) {
+        if(value === null) return "null";
+        if(Array.isArray(value)) return "array";
+        if(typeof value === "number") return (Number.isInteger(value)) ? "integer" : "number";
+        return typeof value;
     }
     /**
-     * @param {string} name
-     * @return {Promise<void>}
+     * @param {string} type
+     * @param {*} value
+     * @return {boolean}
+     * @private
      */
-    async deleteProperty(name) {delete this._values[name]; this._dirty = true;}
-    /**@type{boolean}*/get doWriteSession() {return this._dirty;}
+    static _isType(type, value) {
+        let _type = SchemaValidator.getType(value);
+        if(type === "number") return (_type === "number" || _type === "integer") && !isNaN(value);
+        return _type === type;
+    }
     /**
-     * @param {Object} values
+     * @param {Object} schema
+     * @param {*} value
+     * @param {string} path
+     * @param {Array<{path: string, message: string, code: string}>} errors
+     * @private
      */
-    static load(values) {
-        return new Session(values);
+    static _validate(schema, value, path, errors) {
+        let _push = (message, code) => {errors.push({path: path, message: message, code: code});};
+        if(schema.hasOwnProperty("type")) {
+            let _types = (Array.isArray(schema.type)) ? schema.type : [schema.type];
+            if(!_types.some((_type) => SchemaValidator._isType(_type, value))) {
+                _push("must be of type '" + _types.join("|") + "'.", "type");
+                return;
+            }
+        }
+        if(Array.isArray(schema.enum) && !schema.enum.some((_value) => SchemaValidator._equals(_value, value)))
+            _push("must be one of " + JSON.stringify(schema.enum) + ".", "enum");
+        if(schema.hasOwnProperty("const") && !SchemaValidator._equals(schema.const, value))
+            _push("must be " + JSON.stringify(schema.const) + ".", "const");
+        switch(SchemaValidator.getType(value)) {
+            case "string":
+                SchemaValidator._validateString(schema, value, _push);
+                break;
+            case "integer":
+            case "number":
+                SchemaValidator._validateNumber(schema, value, _push);
+                break;
+            case "array":
+                SchemaValidator._validateArray(schema, value, path, errors, _push);
+                break;
+            case "object":
+                SchemaValidator._validateObject(schema, value, path, errors);
+                break;
+        }
+    }
+    /**
+     * @param {Object} schema
+     * @param {string} value
+     * @param {function(string, string)} push
+     * @private
+     */
+    static _validateString(schema, value, push) {
+        if(typeof schema.minLength === "number" && value.length < schema.minLength)
+            push("must be at least " + schema.minLength + " characters.", "minLength");
+        if(typeof schema.maxLength === "number" && value.length > schema.maxLength)
+            push("must be at most " + schema.maxLength + " characters.", "maxLength");
+        if(typeof schema.pattern === "string" && !(new RegExp(schema.pattern)).test(value))
+            push("must match pattern '" + schema.pattern + "'.", "pattern");
+        if(typeof schema.format === "string" && SchemaValidator._FORMATS.hasOwnProperty(schema.format) &&
+                !SchemaValidator._FORMATS[schema.format].test(value))
+            push("must be a valid " + schema.format + ".", "format");
+    }
+    /**
+     * @param {Object} schema
+     * @param {number} value
+     * @param {function(string, string)} push
+     * @private
+     */
+    static _validateNumber(schema, value, push) {
+        if(typeof schema.minimum === "number" && value < schema.minimum)
+            push("must be >= " + schema.minimum + ".", "minimum");
+        if(typeof schema.maximum === "number" && value > schema.maximum)
+            push("must be <= " + schema.maximum + ".", "maximum");
+        if(typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum)
+            push("must be > " + schema.exclusiveMinimum + ".", "exclusiveMinimum");
+        if(typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum)
+            push("must be < " + schema.exclusiveMaximum + ".", "exclusiveMaximum");
+        if(typeof schema.multipleOf === "number" && schema.multipleOf > 0 &&
+                !Number.isInteger(Number((value / schema.multipleOf).toFixed(10))))
+            push("must be a multiple of " + schema.multipleOf + ".", "multipleOf");
+    }
+    /**
+     * @param {Object} schema
+     * @param {Array} value
+     * @param {string} path
+     * @param {Array<{path: string, message: string, code: string}>} errors
+     * @param {function(string, string)} push
+     * @private
+     */
+    static _validateArray(schema, value, path, errors, push) {
+        if(typeof schema.minItems === "number" && value.length < schema.minItems)
+            push("must contain at least " + schema.minItems + " items.", "minItems");
+        if(typeof schema.maxItems === "number" && value.length > schema.maxItems)
+            push("must contain at most " + schema.maxItems + " items.", "maxItems");
+        if(schema.uniqueItems === true) {
+            for(let _idx = 1; _idx < value.length; ++_idx) {
+                if(value.slice(0, _idx).some((_item) => SchemaValidator._equals(_item, value[_idx]))) {
+                    push("must contain unique items.", "uniqueItems");
+                    break;
+                }
+            }
+        }
+        if(typeof schema.items === "object" && schema.items != null) {
+            for(let _idx = 0; _idx < value.length; ++_idx) {
+                SchemaValidator._validate(schema.items, value[_idx], path + "[" + _idx + "]", errors);
+            }
+        }
+    }
+    /**
+     * @param {Object} schema
+     * @param {Object} value
+     * @param {string} path
+     * @param {Array<{path: string, message: string, code: string}>} errors
+     * @private
+     */
+    static _validateObject(schema, value, path, errors) {
+        let _prefix = (path.length > 0) ? path + "." : "";
+        let _properties = (typeof schema.properties === "object" && schema.properties != null) ? schema.properties : {};
+        if(Array.isArray(schema.required)) {
+            for(let _name of schema.required) {
+                if(!Object.prototype.hasOwnProperty.call(value, _name) || typeof value[_name] === "undefined")
+                    errors.push({path: _prefix + _name, message: "is required.", code: "required"});
+            }
+        }
+        for(let _name in value) {
+            if(Object.prototype.hasOwnProperty.call(value, _name)) {
+                if(Object.prototype.hasOwnProperty.call(_properties, _name))
+                    SchemaValidator._validate(_properties[_name], value[_name], _prefix + _name, errors);
+                else if(schema.additionalProperties === false)
+                    errors.push({path: _prefix + _name, message: "is not allowed.", code: "additionalProperties"});
+                else if(typeof schema.additionalProperties === "object" && schema.additionalProperties != null)
+                    SchemaValidator._validate(schema.additionalProperties, value[_name], _prefix + _name, errors);
+            }
+        }
+    }
+    /**
+     * @param {*} a
+     * @param {*} b
+     * @return {boolean}
+     * @private
+     */
+    static _equals(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+/**
+ * RequestValidator
+ * @description Validates the parameters and body of a request. Each parameter is resolved through the HTTPParameter
+ *              named by 'in' (header, query, cookie or body) and checked against its schema, for example:
+ *              {"parameters": [{"name": "limit", "in": "query", "required": true, "schema": {"type": "integer"}}],
+ *               "body": {"type": "object", "required": ["name"]}}
+ * @author Robert R Murrell
+ */
+class RequestValidator {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.RequestValidator";
+    /**
+     * @param {Array<{name: string, in: string, required: (undefined|boolean), schema: (undefined|Object)}>} [parameters=[]]
+     * @param {(null|Object)} [body=null] The schema of the entire request body.
+     */
+    constructor(parameters = [], body = null) {
+        if(!Array.isArray(parameters))
+            throw CelastrinaValidationError.newValidationError(
+                "[RequestValidator][parameters]: Invalid array. Argument must be an array.", "parameters");
+        /**@type{Array<{name: string, parameter: HTTPParameter, path: string, required: boolean, schema: (null|SchemaValidator)}>}*/
+        this._parameters = [];
+        for(let _parameter of parameters) {
+            if(typeof _parameter !== "object" || _parameter == null || typeof _parameter.name !== "string" ||
+                    _parameter.name.trim().length === 0)
+                throw CelastrinaValidationError.newValidationError(
+                    "[RequestValidator][parameters.name]: Invalid string. Attribute cannot be null or zero length.",
+                    "parameters.name");
+            let _in = (typeof _parameter.in === "string") ? _parameter.in.trim() : "body";
+            this._parameters.push({
+                name: _parameter.name.trim(),
+                parameter: HTTPParameterParser.createHTTPParameter(_in),
+                path: _in + "." + _parameter.name.trim(),
+                required: (_parameter.required === true),
+                schema: (typeof _parameter.schema === "object" && _parameter.schema != null) ?
+                            new SchemaValidator(_parameter.schema) : null
+            });
+        }
+        /**@type{(null|SchemaValidator)}*/this._body = (body == null) ? null : new SchemaValidator(body);
+        this.__type = RequestValidator.CELASTRINAJS_TYPE;
+    }
+    /**@return{Array<{name: string, parameter: HTTPParameter, path: string, required: boolean, schema: (null|SchemaValidator)}>}*/
+    get parameters() {return this._parameters;}
+    /**@return{(null|SchemaValidator)}*/get body() {return this._body;}
+    /**
+     * @param {Object} schema
+     * @param {string} value
+     * @return {*} The value converted to the primitive type of the schema, if possible.
+     * @private
+     */
+    static _coerce(schema, value) {
+        if(typeof value !== "string" || typeof schema.type !== "string") return value;
+        switch(schema.type) {
+            case "integer":
+            case "number":
+                if(value.trim().length === 0 || isNaN(Number(value))) return value;
+                return Number(value);
+            case "boolean":
+                if(value === "true") return true;
+                if(value === "false") return false;
+                return value;
+            default:
+                return value;
+        }
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {Promise<Array<{path: string, message: string, code: string}>>}
+     */
+    async getErrors(context) {
+        let _errors = [];
+        if(this._body != null) _errors = _errors.concat(this._body.validate(context.requestBody, "body"));
+        for(let _parameter of this._parameters) {
+            let _value = await _parameter.parameter.getParameter(context, _parameter.name);
+            if(_value == null) {
+                if(_parameter.required) _errors.push({path: _parameter.path, message: "is required.", code: "required"});
+            }
+            else if(_parameter.schema != null) {
+                if(_parameter.parameter.type !== "body")
+                    _value = RequestValidator._coerce(_parameter.schema.schema, _value);
+                _errors = _errors.concat(_parameter.schema.validate(_value, _parameter.path));
+            }
+        }
+        return _errors;
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {Promise<void>}
+     * @throws {CelastrinaCompositeValidationError} Holding every failure found.
+     */
+    async validate(context) {
+        let _errors = await this.getErrors(context);
+        if(_errors.length > 0)
+            throw CelastrinaCompositeValidationError.newCompositeValidationError("Invalid request.", _errors);
+    }
+    /**
+     * @param {Object} _RequestValidator
+     * @return {RequestValidator}
+     */
+    static create(_RequestValidator) {
+        if(typeof _RequestValidator !== "object" || _RequestValidator == null)
+            throw CelastrinaValidationError.newValidationError(
+                "[RequestValidator.create(_RequestValidator)][_RequestValidator]: Invalid object. Argument cannot be 'undefined' or null.",
+                "RequestValidator");
+        let _parameters = [];
+        if(_RequestValidator.hasOwnProperty("parameters")) _parameters = _RequestValidator.parameters;
+        let _body = null;
+        if(_RequestValidator.hasOwnProperty("body")) _body = _RequestValidator.body;
+        return new RequestValidator(_parameters, _body);
+    }
+}
+/**
+ * Session
+ * @description Session values include the 'id', and the 'issued' and 'accessed' times in epoch milliseconds used for
+ *              the idle and absolute timeouts of the SessionManager.
+ * @author Robert R Murrell
+ */
+class Session {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.Session";
+    /**
+     * @param {Object} [values = {}]
+     * @param {boolean} [isNew = false]
+     * @param {(null|string)} [id = null]
+     */
+    constructor(values = {}, isNew = false, id = uuidv4()) {
+        if(typeof values.id === "undefined" || values.id == null) values.id = id;
+        let _now = Date.now();
+        if(typeof values.issued !== "number") values.issued = _now;
+        if(typeof values.accessed !== "number") values.accessed = values.issued;
+        this._values = values;
+        /**@type{boolean}*/this._dirty = isNew;
+        /**@type{boolean}*/this._new = isNew;
+        /**@type{(null|string)}*/this._previousId = null;
+        this.__type = Session.CELASTRINAJS_TYPE;
+    }
+    /**@return{string}*/get id() {return this._values.id;}
+    /**@return{boolean}*/get isNew() {return this._new;}
+    /**@return{number}*/get issued() {return this._values.issued;}
+    /**@return{number}*/get accessed() {return this._values.accessed;}
+    /**@return{(null|string)}*/get previousId() {return this._previousId;}
+    /**
+     * @param {number} [now=Date.now()]
+     */
+    access(now = Date.now()) {this._values.accessed = now;}
+    /**
+     * Replaces the session id, keeping the values and issued time, so a session id captured before a privilege change,
+     * such as sign in, cannot be used after it. Use SessionManager.regenerate or HTTPContext.regenerateSession.
+     * @param {string} id
+     */
+    regenerate(id) {
+        if(typeof id !== "string" || id.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[Session.regenerate(id)][id]: Invalid string. Argument cannot be null or zero length.", "id");
+        if(this._previousId == null && !this._new) this._previousId = this._values.id;
+        this._values.id = id;
+        this._dirty = true;
+    }
+    /**
+     * @param {string} name
+     * @param {*} defaultValue
+     * @return {Promise<*>}
+     */
+    async getProperty(name, defaultValue = null) {
+        let _value = this._values[name];
+        if(typeof _value === "undefined" || _value == null)
+            return defaultValue;
+        else
+            return _value;
+    }
+    /**
+     * @param {string} name
+     * @param {*} value
+     * @return {Promise<void>}
+     */
+    async setProperty(name, value) {
+        this._values[name] = value;
+        this._dirty = true;
+    }
+    /**
+     * @param {string} name
+     * @return {Promise<void>}
+     */
+    async deleteProperty(name) {delete this._values[name]; this._dirty = true;}
+    /**
+     * Marks the session to be written by the next saveSession, even if unchanged.
+     */
+    touch() {this._dirty = true;}
+    /**@type{boolean}*/get doWriteSession() {return this._dirty;}
+    /**@return{Object}*/toJSON() {return this._values;}
+    /**
+     * @param {Object} values
+     */
+    static load(values) {
+        return new Session(values);
     }
 }
 /**
@@ -902,24 +1834,37 @@ class Session {
  */
 class SessionManager {
     static CELASTRINAJS_TYPE = "celastrinajs.http.SessionManager";
+    static ACCESS_RESOLUTION = 60;
     /**
      * @param {HTTPParameter} parameter
      * @param {string} [name = "celastrinajs_session"]
      * @param {boolean} [createNew = true]
+     * @param {(null|number)} [idle=null] Idle timeout in seconds, or null for none.
+     * @param {(null|number)} [absolute=null] Absolute timeout in seconds since the session was issued, or null for none.
      */
-    constructor(parameter, name = "celastrinajs_session", createNew = true) {
+    constructor(parameter, name = "celastrinajs_session", createNew = true, idle = null, absolute = null) {
         if(typeof parameter === "undefined" || parameter == null)
             throw CelastrinaValidationError.newValidationError("Argument 'parameter' cannot be null.", "parameter");
         if(typeof name !== "string" || name.trim().length === 0)
             throw CelastrinaValidationError.newValidationError("Argument 'name' cannot be null or empty.", "name");
+        if(idle != null && (typeof idle !== "number" || idle <= 0))
+            throw CelastrinaValidationError.newValidationError(
+                "[SessionManager][idle]: Invalid number. Argument must be null or greater than 0.", "idle");
+        if(absolute != null && (typeof absolute !== "number" || absolute <= 0 || (idle != null && absolute < idle)))
+            throw CelastrinaValidationError.newValidationError(
+                "[SessionManager][absolute]: Invalid number. Argument must be null or greater than or equal to 'idle'.", "absolute");
         this._parameter = parameter;
         this._name = name.trim();
         this._createNew = createNew;
+        this._idle = idle;
+        this._absolute = absolute;
         this.__type = SessionManager.CELASTRINAJS_TYPE;
     }
     /**@return{HTTPParameter}*/get parameter() {return this._parameter;}
     /**@return{string}*/get name() {return this._name;}
     /**@return{boolean}*/get createNew() {return this._createNew;}
+    /**@return{(null|number)}*/get idle() {return this._idle;}
+    /**@return{(null|number)}*/get absolute() {return this._absolute;}
     /**
      * @param azcontext
      * @param pm
@@ -928,15 +1873,50 @@ class SessionManager {
      */
     async initialize(azcontext, pm, rm) {}
     /**
+     * @return {string} A new session id.
+     */
+    createId() {return uuidv4();}
+    /**
+     * @return {Promise<Session>}
+     */
+    async newSession() {this._session = new Session({}, true, this.createId()); return this._session;}
+    /**
+     * Gives the session a new id, written on the next saveSession. Call on privilege changes such as sign in.
+     * @param {Session} session
      * @return {Promise<Session>}
      */
-    async newSession() {this._session = new Session({}, true); return this._session;}
+    async regenerate(session) {
+        session.regenerate(this.createId());
+        return session;
+    }
+    /**
+     * @param {Session} session
+     * @param {number} [now=Date.now()]
+     * @return {boolean}
+     */
+    isExpired(session, now = Date.now()) {
+        if(this._idle != null && now - session.accessed > this._idle * 1000) return true;
+        return this._absolute != null && now - session.issued > this._absolute * 1000;
+    }
+    /**
+     * Called when a loaded session has expired, before a new session is created.
+     * @param {Session} session
+     * @param {HTTPContext} context
+     * @return {Promise<void>}
+     */
+    async _expireSession(session, context) {}
     /**
      * @param {*} session
      * @param {HTTPContext} context
      * @return {(null|string)}
      */
     async _loadSession(session, context) {return session;}
+    /**
+     * @param {*} session The session parameter as loaded by _loadSession.
+     * @param {HTTPContext} context
+     * @return {Promise<boolean>} True if the session should be written again even if unchanged.
+     */
+    async _isStale(session, context) {return false;}
     /**
      * @param {HTTPContext} context
      * @return {Promise<Session>}
@@ -945,7 +1925,7 @@ class SessionManager {
         let _session = await this._parameter.getParameter(context, this._name);
         if((typeof _session === "undefined" || _session == null)) {
             if(this._createNew)
-                _session = this.newSession();
+                _session = await this.newSession();
             else
                 return null;
         }
@@ -957,8 +1937,24 @@ class SessionManager {
                 else
                     return null;
             }
-            else
+            else {
+                let _stale = await this._isStale(_session, context);
                 _session = Session.load(JSON.parse(_obj));
+                let _now = Date.now();
+                if(this.isExpired(_session, _now)) {
+                    context.log("Session expired.", LOG_LEVEL.INFO, "SessionManager.loadSession(context)");
+                    await this._expireSession(_session, context);
+                    if(this._createNew)
+                        return this.newSession();
+                    else
+                        throw CelastrinaError.newError("Session expired.", 401);
+                }
+                // Without an idle timeout access times are not written, otherwise at most once per ACCESS_RESOLUTION.
+                let _touch = this._idle != null &&
+                             _now - _session.accessed >= Math.min(SessionManager.ACCESS_RESOLUTION, this._idle / 2) * 1000;
+                _session.access(_now);
+                if(_stale || _touch) _session.touch();
+            }
         }
         return _session;
     }
@@ -990,9 +1986,11 @@ class SecureSessionManager extends SessionManager {
      * @param {HTTPParameter} parameter
      * @param {string} [name = "celastrinajs_session"]
      * @param {boolean} [createNew = true]
+     * @param {(null|number)} [idle=null] Idle timeout in seconds, or null for none.
+     * @param {(null|number)} [absolute=null] Absolute timeout in seconds, or null for none.
      */
-    constructor(algorithm, parameter, name = "celastrinajs_session", createNew = true) {
-        super(parameter, name, createNew);
+    constructor(algorithm, parameter, name = "celastrinajs_session", createNew = true, idle = null, absolute = null) {
+        super(parameter, name, createNew, idle, absolute);
         this._crypto = new Cryptography(algorithm);
     }
     /**@return{Cryptography}*/get cryptography() {return this._crypto;}
@@ -1004,15 +2002,31 @@ class SecureSessionManager extends SessionManager {
      */
     async initialize(azcontext, pm, rm) {
         await super.initialize(azcontext, pm, rm);
-        await this._crypto.initialize();
+        await this._crypto.initialize(pm, rm);
     }
     /**
      * @param {*} session
      * @param {HTTPContext} context
-     * @return {(null|string)}
+     * @return {(null|string)} The decrypted session, or null if it cannot be decrypted or was modified.
      */
     async _loadSession(session, context) {
-        return this._crypto.decrypt(session);
+        try {
+            return await this._crypto.decrypt(session);
+        }
+        catch(exception) {
+            context.log("Failed to decrypt session: " + exception.message, LOG_LEVEL.THREAT,
+                        "SecureSessionManager._loadSession(session, context)");
+            return null;
+        }
+    }
+    /**
+     * @param {*} session
+     * @param {HTTPContext} context
+     * @return {Promise<boolean>} True if the session was encrypted with a retired or legacy key, so it is encrypted with
+     *         the active key on the next saveSession.
+     */
+    async _isStale(session, context) {
+        return this._crypto.isStale(session);
     }
     /**
      * @param {string} session
@@ -1025,108 +2039,605 @@ class SecureSessionManager extends SessionManager {
 }
 /**
  * AESSessionManager
+ * @description Encrypts sessions with 'aes-256-cbc', the default, or with authenticated 'aes-256-gcm'. Set
+ *              'options.legacy' to the previous key and iv when moving to 'aes-256-gcm' so existing sessions still load.
+ *              Set 'options.keys' instead of 'options.key' to rotate keys with a Keyring, see Keyring.create.
  * @author Robert R Murrell
  */
 class AESSessionManager extends SecureSessionManager {
+    static ALGORITHMS = ["aes-256-cbc", "aes-256-gcm"];
     /**
-     * @param {(undefined|null|{key:string,iv:string})} options
+     * @param {(undefined|null|{key:(undefined|string),iv:(undefined|string),algorithm:(undefined|string),
+     *          legacy:(undefined|null|{key:string,iv:string}),keys:(undefined|Array<Object>),
+     *          untagged:(undefined|null|string)})} options
      * @param {HTTPParameter} parameter
      * @param {string} [name = "celastrinajs_session"]
      * @param {boolean} [createNew = true]
+     * @param {(null|number)} [idle=null] Idle timeout in seconds, or null for none.
+     * @param {(null|number)} [absolute=null] Absolute timeout in seconds, or null for none.
+     */
+    constructor(options, parameter, name = "celastrinajs_session", createNew = true, idle = null, absolute = null) {
+        super(AESSessionManager._createAlgorithm(options), parameter, name, createNew, idle, absolute);
+    }
+    /**
+     * @param {(undefined|null|Object)} options
+     * @return {Algorithm}
+     * @private
      */
-    constructor(options, parameter, name = "celastrinajs_session", createNew = true) {
+    static _createAlgorithm(options) {
         if(typeof options === "undefined" || options == null)
             throw CelastrinaValidationError.newValidationError("Argement 'options' cannot be undefined or null", "options");
+        if(Array.isArray(options.keys)) return Keyring.create(options);
         if(typeof options.key !== "string" || options.key.trim().length === 0)
             throw CelastrinaValidationError.newValidationError("Argement 'key' cannot be undefined, null or zero length.", "options.key");
+        let _algorithm = (typeof options.algorithm === "string") ? options.algorithm.trim().toLowerCase() : "aes-256-cbc";
+        if(!AESSessionManager.ALGORITHMS.includes(_algorithm))
+            throw CelastrinaValidationError.newValidationError("Argument 'algorithm' must be one of '" +
+                                                               AESSessionManager.ALGORITHMS.join("', '") + "'.", "options.algorithm");
+        if(_algorithm === "aes-256-gcm") {
+            if(typeof options.legacy === "object" && options.legacy != null &&
+                    (typeof options.legacy.iv !== "string" || options.legacy.iv.trim().length === 0))
+                throw CelastrinaValidationError.newValidationError("Argement 'iv' cannot be undefined, null or zero length.", "options.legacy.iv");
+            return AES256GCMAlgorithm.create(options);
+        }
         if(typeof options.iv !== "string" || options.iv.trim().length === 0)
             throw CelastrinaValidationError.newValidationError("Argement 'iv' cannot be undefined, null or zero length.", "options.iv");
-        super(AES256Algorithm.create(options), parameter, name, createNew);
+        return AES256Algorithm.create(options);
     }
 }
 /**
- * SessionRoleFactory
+ * SessionStore
+ * @description Persists server side session records for the StoreSessionManager. Records are JSON objects keyed by
+ *              string, 'session:{id}' for session values and 'owner:{owner}' for revocations. A record with an
+ *              'expires' time in epoch milliseconds is not returned once expired, and is removed by sweep, which stores
+ *              run from put at most once per sweep interval.
+ * @abstract
  * @author Robert R Murrell
  */
-class SessionRoleFactory extends RoleFactory {
+class SessionStore {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.SessionStore";
     /**
-     * @param {string} [key="roles"]
+     * @param {number} [sweep=300] The minimum interval in seconds between sweeps of expired records.
      */
-    constructor(key = "roles") {
-        super();
-        this._key = key;
+    constructor(sweep = 300) {
+        if(typeof sweep !== "number" || sweep < 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[SessionStore][sweep]: Invalid number. Argument must be greater than or equal to 0.", "sweep");
+        this._sweep = sweep;
+        /**@type{number}*/this._swept = Date.now();
+        this.__type = SessionStore.CELASTRINAJS_TYPE;
     }
-    /**@return{string}*/get key() {return this._key;}
+    /**@return{number}*/get sweepInterval() {return this._sweep;}
     /**
-     * @param {Context|HTTPContext} context
-     * @param {Subject} subject
-     * @return {Promise<Array.<string>>}
+     * @param azcontext
+     * @param {PropertyManager} pm
+     * @param {ResourceManager} rm
+     * @return {Promise<void>}
      */
-    async getSubjectRoles(context, subject) {
-        let _roles = await context.session.getProperty(this._key, []);
-        if(!Array.isArray(_roles)) throw CelastrinaError.newError("Invalid role assignments for session key '" + this._key + "'.");
-        return _roles;
+    async initialize(azcontext, pm, rm) {}
+    /**
+     * @param {string} key
+     * @return {Promise<(null|Object)>}
+     * @abstract
+     */
+    async get(key) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * @param {string} key
+     * @param {Object} record
+     * @return {Promise<void>}
+     * @abstract
+     */
+    async put(key, record) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * @param {string} key
+     * @return {Promise<void>}
+     * @abstract
+     */
+    async delete(key) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * Removes expired records.
+     * @param {number} [now=Date.now()]
+     * @return {Promise<void>}
+     */
+    async sweep(now = Date.now()) {}
+    /**
+     * @param {number} [now=Date.now()]
+     * @return {boolean} True, once per sweep interval, if the store should sweep.
+     */
+    isSweepDue(now = Date.now()) {
+        if(now - this._swept < this._sweep * 1000) return false;
+        this._swept = now;
+        return true;
+    }
+    /**
+     * @param {(null|Object)} record
+     * @param {number} [now=Date.now()]
+     * @return {boolean}
+     */
+    static isExpired(record, now = Date.now()) {
+        return record != null && typeof record.expires === "number" && record.expires <= now;
+    }
+    /**
+     * @param {(boolean|null|{sweep:(undefined|number),directory:(undefined|string),blob:(undefined|{storage:string,container:string,
+     *          path:(undefined|string),resource:(undefined|string)})})} _Store
+     * @return {SessionStore} An InMemorySessionStore unless a directory or blob is set.
+     */
+    static create(_Store) {
+        if(_Store === true || _Store == null) return new InMemorySessionStore();
+        if(typeof _Store !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[SessionStore.create(_Store)][_Store]: Invalid object. Argument must be a boolean or object.", "store");
+        let _sweep = (_Store.hasOwnProperty("sweep")) ? _Store.sweep : 300;
+        if(typeof _Store.blob === "object" && _Store.blob != null) {
+            let _blob = _Store.blob;
+            return new BlobSessionStore(_blob.storage, _blob.container, _blob.path,
+                                        (typeof _blob.resource === "string") ? _blob.resource :
+                                            ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY);
+        }
+        if(_Store.hasOwnProperty("directory")) return new FileSessionStore(_Store.directory, _sweep);
+        return new InMemorySessionStore(_sweep);
     }
 }
 /**
- * SessionRoleFactoryParser
+ * InMemorySessionStore
+ * @description Keeps records in process memory, suited to tests and single instance functions.
  * @author Robert R Murrell
  */
-class SessionRoleFactoryParser extends RoleFactoryParser {
+class InMemorySessionStore extends SessionStore {
     /**
-     * @param {AttributeParser} link
-     * @param {string} version
+     * @param {number} [sweep=300] The minimum interval in seconds between sweeps of expired records.
      */
-    constructor(link = null, version = "1.0.0") {
-        super("SessionRoleFactory", link, version);
+    constructor(sweep = 300) {
+        super(sweep);
+        /**@type{Map<string, Object>}*/this._records = new Map();
     }
-    /**
-     * @param {Object} _SessionRoleFactory
-     * @return {Promise<SessionRoleFactory>}
-     */
-    async _create(_SessionRoleFactory) {
-        let _key = "roles";
-        if(_SessionRoleFactory.hasOwnProperty("key") && (typeof _SessionRoleFactory.key === "string"))
-            _key = _SessionRoleFactory.key;
-        return new SessionRoleFactory(_key);
+    /**@return{Map<string, Object>}*/get records() {return this._records;}
+    async get(key) {
+        let _record = this._records.get(key);
+        if(typeof _record === "undefined") return null;
+        if(SessionStore.isExpired(_record)) {
+            this._records.delete(key);
+            return null;
+        }
+        return JSON.parse(JSON.stringify(_record));
+    }
+    async put(key, record) {
+        this._records.set(key, JSON.parse(JSON.stringify(record)));
+        if(this.isSweepDue()) await this.sweep();
+    }
+    async delete(key) {this._records.delete(key);}
+    async sweep(now = Date.now()) {
+        for(const [_key, _record] of this._records) {
+            if(SessionStore.isExpired(_record, now)) this._records.delete(_key);
+        }
     }
 }
 /**
- * AESSessionManagerParser
+ * FileSessionStore
+ * @description Keeps records as JSON files in a local directory, named by the SHA-256 hash of the key.
  * @author Robert R Murrell
  */
-class AESSessionManagerParser extends AttributeParser {
+class FileSessionStore extends SessionStore {
     /**
-     * @param {AttributeParser} [link=null]
-     * @param {string} [version="1.0.0"]
+     * @param {string} directory
+     * @param {number} [sweep=300] The minimum interval in seconds between sweeps of expired records.
      */
-    constructor(link = null, version = "1.0.0") {
-        super("AESSessionManager", link, version);
+    constructor(directory, sweep = 300) {
+        super(sweep);
+        if(typeof directory !== "string" || directory.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[FileSessionStore][directory]: Invalid string. Argument cannot be null or zero length.", "directory");
+        this._directory = directory.trim();
+    }
+    /**@return{string}*/get directory() {return this._directory;}
+    async initialize(azcontext, pm, rm) {
+        await fs.promises.mkdir(this._directory, {recursive: true});
     }
     /**
-     * @param {Object} _AESSessionManager
-     * @return {Promise<AESSessionManager>}
+     * @param {string} key
+     * @return {string}
      */
-    async _create(_AESSessionManager) {
-        let _paramtype = "cookie";
-        let _paramname = "celastrinajs_session";
-        if(_AESSessionManager.hasOwnProperty("parameter") && (typeof _AESSessionManager.parameter === "string"))
-            _paramtype = _AESSessionManager.parameter;
-        if(_AESSessionManager.hasOwnProperty("name") && (typeof _AESSessionManager.name === "string"))
-            _paramname = _AESSessionManager.name;
-        let _createnew = true;
-        if(_AESSessionManager.hasOwnProperty("createNew") && (typeof _AESSessionManager.createNew === "boolean"))
-            _createnew = _AESSessionManager.createNew;
-        let _options = null;
-        if(_AESSessionManager.hasOwnProperty("options") && (typeof _AESSessionManager.options === "object") &&
-                _AESSessionManager.options != null)
+    getFile(key) {
+        return path.join(this._directory, createHash("sha256").update(key).digest("hex") + ".json");
+    }
+    async get(key) {
+        let _record = null;
+        try {
+            _record = JSON.parse(await fs.promises.readFile(this.getFile(key), "utf8"));
+        }
+        catch(exception) {
+            if(exception.code === "ENOENT") return null;
+            throw CelastrinaError.newError("Exception getting session record '" + this.getFile(key) + "'.", 500, false, exception);
+        }
+        if(SessionStore.isExpired(_record)) {
+            await this.delete(key);
+            return null;
+        }
+        return _record;
+    }
+    async put(key, record) {
+        let _file = this.getFile(key);
+        let _temp = _file + "." + randomBytes(4).toString("hex") + ".tmp";
+        await fs.promises.writeFile(_temp, JSON.stringify(record), "utf8");
+        await fs.promises.rename(_temp, _file);
+        if(this.isSweepDue()) await this.sweep();
+    }
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.getFile(key));
+        }
+        catch(exception) {
+            if(exception.code !== "ENOENT")
+                throw CelastrinaError.newError("Exception deleting session record '" + this.getFile(key) + "'.", 500, false, exception);
+        }
+    }
+    async sweep(now = Date.now()) {
+        for(const _name of await fs.promises.readdir(this._directory)) {
+            if(!_name.endsWith(".json")) continue;
+            let _file = path.join(this._directory, _name);
+            try {
+                if(SessionStore.isExpired(JSON.parse(await fs.promises.readFile(_file, "utf8")), now))
+                    await fs.promises.unlink(_file);
+            }
+            catch(exception) {
+                if(exception.code !== "ENOENT" && !(exception instanceof SyntaxError))
+                    throw CelastrinaError.newError("Exception sweeping session record '" + _file + "'.", 500, false, exception);
+            }
+        }
+    }
+}
+/**
+ * BlobSessionStore
+ * @description Keeps records as JSON block blobs in Azure Storage, authorized with a managed identity resource. Blob
+ *              names are the SHA-256 hash of the key. Expired records are deleted when read but not swept, so add a
+ *              lifecycle management rule to the container deleting blobs not modified within the absolute expiry.
+ * @author Robert R Murrell
+ */
+class BlobSessionStore extends SessionStore {
+    /**
+     * @param {string} storage The storage account name.
+     * @param {string} container
+     * @param {(null|string)} [path=null] A path within the container.
+     * @param {string} [resource=ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY] The resource authorization id.
+     */
+    constructor(storage, container, path = null, resource = ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY) {
+        super();
+        if(typeof storage !== "string" || storage.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[BlobSessionStore][storage]: Invalid string. Argument cannot be null or zero length.", "storage");
+        if(typeof container !== "string" || container.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[BlobSessionStore][container]: Invalid string. Argument cannot be null or zero length.", "container");
+        this._storage = storage.trim();
+        this._container = container.trim();
+        this._path = (typeof path === "string" && path.trim().length > 0) ? path.trim().replace(/^\/+|\/+$/g, "") : null;
+        this._resource = resource;
+        /**@type{ResourceManager}*/this._rm = null;
+        /**@type{ErrorRegistry}*/this._errors = new ErrorRegistry();
+    }
+    /**@return{string}*/get storage() {return this._storage;}
+    /**@return{string}*/get container() {return this._container;}
+    /**@return{(null|string)}*/get path() {return this._path;}
+    async initialize(azcontext, pm, rm) {
+        this._rm = rm;
+    }
+    /**
+     * @param {string} key
+     * @return {string}
+     */
+    getEndpoint(key) {
+        let _blob = createHash("sha256").update(key).digest("hex") + ".json";
+        if(this._path != null) _blob = this._path + "/" + _blob;
+        return "https://" + this._storage + ".blob.core.windows.net/" + this._container + "/" + _blob;
+    }
+    /**
+     * @param {Object} [headers={}]
+     * @return {Promise<Object>}
+     * @private
+     */
+    async _headers(headers = {}) {
+        let _token = await this._rm.getToken("https://storage.azure.com/", this._resource);
+        return Object.assign({"Authorization": "Bearer " + _token, "x-ms-version": "2020-06-12"}, headers);
+    }
+    async get(key) {
+        let _endpoint = this.getEndpoint(key);
+        let _record = null;
+        try {
+            let _response = await axios.get(_endpoint, {headers: await this._headers()});
+            _record = _response.data;
+        }
+        catch(exception) {
+            if(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status === 404)
+                return null;
+            throw this._errors.mapDependency(exception, "Exception getting session record '" + _endpoint + "'");
+        }
+        if(SessionStore.isExpired(_record)) {
+            await this.delete(key);
+            return null;
+        }
+        return _record;
+    }
+    async put(key, record) {
+        try {
+            await axios.put(this.getEndpoint(key), JSON.stringify(record),
+                            {headers: await this._headers({"Content-Type": "application/json",
+                                                           "x-ms-blob-content-type": "application/json",
+                                                           "x-ms-blob-type": "BlockBlob"})});
+        }
+        catch(exception) {
+            throw this._errors.mapDependency(exception, "Exception saving session record '" + this.getEndpoint(key) + "'");
+        }
+    }
+    async delete(key) {
+        try {
+            await axios.delete(this.getEndpoint(key), {headers: await this._headers()});
+        }
+        catch(exception) {
+            if(!(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status === 404))
+                throw this._errors.mapDependency(exception, "Exception deleting session record '" + this.getEndpoint(key) + "'");
+        }
+    }
+}
+/**
+ * StoreSessionManager
+ * @description Keeps session values in a SessionStore and sends only a random session id, signed with HMAC-SHA256, in
+ *              the session parameter. Records expire with the idle and absolute expiry of the session, and new
+ *              sessions are not stored until they hold a value. Set the 'ownerProperty' of a session, usually to the
+ *              subject id at sign in after regenerating the session, so invalidateAll can revoke every session of that
+ *              owner.
+ * @author Robert R Murrell
+ */
+class StoreSessionManager extends SessionManager {
+    /**
+     * @param {SessionStore} store
+     * @param {string} secret The HMAC secret used to sign session ids.
+     * @param {HTTPParameter} parameter
+     * @param {string} [name = "celastrinajs_session"]
+     * @param {boolean} [createNew = true]
+     * @param {number} [idle=1800] Idle expiry in seconds.
+     * @param {number} [absolute=86400] Absolute expiry in seconds.
+     * @param {string} [ownerProperty="owner"] The session property identifying the owner of the session.
+     */
+    constructor(store, secret, parameter, name = "celastrinajs_session", createNew = true, idle = 1800,
+                absolute = 86400, ownerProperty = "owner") {
+        super(parameter, name, createNew, idle, absolute);
+        if(!instanceOfCelastringType(SessionStore.CELASTRINAJS_TYPE, store))
+            throw CelastrinaValidationError.newValidationError(
+                "[StoreSessionManager][store]: Invalid object. Argument must be of type '" + SessionStore.CELASTRINAJS_TYPE + "'.",
+                "store");
+        if(typeof secret !== "string" || secret.trim().length < 16)
+            throw CelastrinaValidationError.newValidationError(
+                "[StoreSessionManager][secret]: Invalid string. Argument must be at least 16 characters.", "secret");
+        this._store = store;
+        this._secret = secret;
+        this._ownerProperty = ownerProperty;
+    }
+    /**@return{SessionStore}*/get store() {return this._store;}
+    /**@return{string}*/get ownerProperty() {return this._ownerProperty;}
+    async initialize(azcontext, pm, rm) {
+        await super.initialize(azcontext, pm, rm);
+        await this._store.initialize(azcontext, pm, rm);
+    }
+    /**
+     * @return {string} 32 random bytes, base64url encoded.
+     */
+    createId() {return toBase64URL(randomBytes(32));}
+    /**
+     * @return {Promise<Session>}
+     */
+    async newSession() {
+        return new Session({}, true, this.createId());
+    }
+    /**
+     * @param {string} id
+     * @return {string} The session id followed by '.' and its signature.
+     */
+    sign(id) {
+        return id + "." + toBase64URL(createHmac("sha256", this._secret).update(id).digest());
+    }
+    /**
+     * @param {string} value
+     * @return {(null|string)} The session id, or null if the signature does not match.
+     */
+    verify(value) {
+        if(typeof value !== "string") return null;
+        let _index = value.lastIndexOf(".");
+        if(_index <= 0) return null;
+        let _expected = Buffer.from(this.sign(value.substring(0, _index)));
+        let _actual = Buffer.from(value);
+        if(_expected.length !== _actual.length || !timingSafeEqual(_expected, _actual)) return null;
+        return value.substring(0, _index);
+    }
+    /**
+     * @param {Object} record
+     * @return {Promise<boolean>}
+     * @private
+     */
+    async _isRevoked(record) {
+        if(typeof record.owner !== "string") return false;
+        let _owner = await this._store.get("owner:" + record.owner);
+        return _owner != null && _owner.revoked >= record.created;
+    }
+    /**
+     * @param {*} session
+     * @param {HTTPContext} context
+     * @return {(null|string)} The stored session values, or null if the id is not signed, unknown or revoked.
+     */
+    async _loadSession(session, context) {
+        let _id = this.verify(session);
+        if(_id == null) {
+            context.log("Invalid session id signature.", LOG_LEVEL.THREAT, "StoreSessionManager._loadSession(session, context)");
+            return null;
+        }
+        let _record = await this._store.get("session:" + _id);
+        if(_record == null) return null;
+        if(await this._isRevoked(_record)) {
+            await this._store.delete("session:" + _id);
+            return null;
+        }
+        return JSON.stringify(Object.assign({}, _record.values, {id: _id}));
+    }
+    /**
+     * @param {Session} session
+     * @param {HTTPContext} context
+     * @return {Promise<void>}
+     */
+    async _expireSession(session, context) {
+        await this._store.delete("session:" + session.id);
+    }
+    /**
+     * @param {Session} session
+     * @return {(null|number)} The time in epoch milliseconds the session expires, or null if it does not.
+     */
+    getExpires(session) {
+        let _expires = null;
+        if(this._idle != null) _expires = session.accessed + this._idle * 1000;
+        if(this._absolute != null) {
+            let _absolute = session.issued + this._absolute * 1000;
+            if(_expires == null || _absolute < _expires) _expires = _absolute;
+        }
+        return _expires;
+    }
+    /**
+     * @param {Session} [session = null]
+     * @param {HTTPContext} context
+     * @return {Promise<void>}
+     */
+    async saveSession(session = null, context) {
+        if(!instanceOfCelastringType(Session.CELASTRINAJS_TYPE, session) || !session.doWriteSession) return;
+        let _values = JSON.parse(JSON.stringify(session));
+        delete _values.id;
+        if(session.isNew && Object.keys(_values).every((_name) => _name === "issued" || _name === "accessed")) return;
+        let _key = "session:" + ((session.previousId != null) ? session.previousId : session.id);
+        let _record = await this._store.get(_key);
+        if(_record == null) {
+            if(!session.isNew) return; // Invalidated while the request was processed.
+            _record = {created: Date.now()};
+        }
+        if(session.previousId != null) {
+            await this._store.delete(_key);
+            _record.created = Date.now();
+        }
+        _record.values = _values;
+        _record.expires = this.getExpires(session);
+        _record.owner = (typeof _values[this._ownerProperty] === "string") ? _values[this._ownerProperty] : null;
+        await this._store.put("session:" + session.id, _record);
+        if((session.isNew || session.previousId != null) && !this._parameter.readOnly)
+            await this._parameter.setParameter(context, this._name, this.sign(session.id));
+    }
+    /**
+     * Removes the session from the store, signing the current request out.
+     * @param {Session} session
+     * @return {Promise<void>}
+     */
+    async invalidate(session) {
+        if(instanceOfCelastringType(Session.CELASTRINAJS_TYPE, session))
+            await this._store.delete("session:" + session.id);
+    }
+    /**
+     * Revokes every session of the owner created before now, signing the owner out everywhere.
+     * @param {string} owner
+     * @return {Promise<void>}
+     */
+    async invalidateAll(owner) {
+        if(typeof owner !== "string" || owner.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[StoreSessionManager.invalidateAll(owner)][owner]: Invalid string. Argument cannot be null or zero length.", "owner");
+        let _now = Date.now();
+        // Sessions created before the revocation expire within the absolute expiry, and the revocation with them.
+        await this._store.put("owner:" + owner, {revoked: _now,
+                                                 expires: (this._absolute != null) ? _now + this._absolute * 1000 : null});
+    }
+}
+/**
+ * SessionRoleFactory
+ * @author Robert R Murrell
+ */
+class SessionRoleFactory extends RoleFactory {
+    /**
+     * @param {string} [key="roles"]
+     */
+    constructor(key = "roles") {
+        super();
+        this._key = key;
+    }
+    /**@return{string}*/get key() {return this._key;}
+    /**
+     * @param {Context|HTTPContext} context
+     * @param {Subject} subject
+     * @return {Promise<Array.<string>>}
+     */
+    async getSubjectRoles(context, subject) {
+        let _roles = await context.session.getProperty(this._key, []);
+        if(!Array.isArray(_roles)) throw CelastrinaError.newError("Invalid role assignments for session key '" + this._key + "'.");
+        return _roles;
+    }
+}
+/**
+ * SessionRoleFactoryParser
+ * @author Robert R Murrell
+ */
+class SessionRoleFactoryParser extends RoleFactoryParser {
+    /**
+     * @param {AttributeParser} link
+     * @param {string} version
+     */
+    constructor(link = null, version = "1.0.0") {
+        super("SessionRoleFactory", link, version);
+    }
+    /**
+     * @param {Object} _SessionRoleFactory
+     * @return {Promise<SessionRoleFactory>}
+     */
+    async _create(_SessionRoleFactory) {
+        let _key = "roles";
+        if(_SessionRoleFactory.hasOwnProperty("key") && (typeof _SessionRoleFactory.key === "string"))
+            _key = _SessionRoleFactory.key;
+        return new SessionRoleFactory(_key);
+    }
+}
+/**
+ * AESSessionManagerParser
+ * @author Robert R Murrell
+ */
+class AESSessionManagerParser extends AttributeParser {
+    /**
+     * @param {AttributeParser} [link=null]
+     * @param {string} [version="1.0.0"]
+     */
+    constructor(link = null, version = "1.0.0") {
+        super("AESSessionManager", link, version);
+    }
+    /**
+     * @param {Object} _AESSessionManager
+     * @return {Promise<AESSessionManager>}
+     */
+    async _create(_AESSessionManager) {
+        let _paramtype = "cookie";
+        let _paramname = "celastrinajs_session";
+        if(_AESSessionManager.hasOwnProperty("parameter") && (typeof _AESSessionManager.parameter === "string"))
+            _paramtype = _AESSessionManager.parameter;
+        if(_AESSessionManager.hasOwnProperty("name") && (typeof _AESSessionManager.name === "string"))
+            _paramname = _AESSessionManager.name;
+        let _createnew = true;
+        if(_AESSessionManager.hasOwnProperty("createNew") && (typeof _AESSessionManager.createNew === "boolean"))
+            _createnew = _AESSessionManager.createNew;
+        let _idle = (typeof _AESSessionManager.idle === "number") ? _AESSessionManager.idle : null;
+        let _absolute = (typeof _AESSessionManager.absolute === "number") ? _AESSessionManager.absolute : null;
+        let _options = null;
+        if(_AESSessionManager.hasOwnProperty("options") && (typeof _AESSessionManager.options === "object") &&
+                _AESSessionManager.options != null)
             _options = _AESSessionManager.options;
         else {
             throw CelastrinaValidationError.newValidationError(
                 "[AESSessionManagerParser._create(_AESSessionManager)][AESSessionManager.options]: Argument 'optiosn' cannot be null or undefined.",
                 "AESSessionManager.options");
         }
-        if(!(_options.hasOwnProperty("iv")) || (typeof _options.iv !== "string") || _options.iv.trim().length === 0)
+        let _parameter = HTTPParameterParser.createHTTPParameter(_paramtype, _AESSessionManager.cookie);
+        if(Array.isArray(_options.keys))
+            return new AESSessionManager(_options, _parameter, _paramname, _createnew, _idle, _absolute);
+        let _gcm = (typeof _options.algorithm === "string" && _options.algorithm.trim().toLowerCase() === "aes-256-gcm");
+        if(!_gcm && (!(_options.hasOwnProperty("iv")) || (typeof _options.iv !== "string") || _options.iv.trim().length === 0))
             throw CelastrinaValidationError.newValidationError(
                 "[AESSessionManagerParser._create(_AESSessionManager)][AESSessionManager.options.iv]: Aregument 'iv' cannot be null or empty.",
                 "AESSessionManager.options.iv");
@@ -1134,62 +2645,2548 @@ class AESSessionManagerParser extends AttributeParser {
             throw CelastrinaValidationError.newValidationError(
                 "[AESSessionManagerParser._create(_AESSessionManager)][AESSessionManager.options.key]: Argument 'key' cannot be null or empty.",
                 "AESSessionManager.options.key");
-        return new AESSessionManager(_options, HTTPParameterParser.createHTTPParameter(_paramtype), _paramname, _createnew);
+        return new AESSessionManager(_options, _parameter, _paramname, _createnew, _idle, _absolute);
+    }
+}
+/**
+ * StoreSessionManagerParser
+ * @author Robert R Murrell
+ */
+class StoreSessionManagerParser extends AttributeParser {
+    /**
+     * @param {AttributeParser} [link=null]
+     * @param {string} [version="1.0.0"]
+     */
+    constructor(link = null, version = "1.0.0") {
+        super("StoreSessionManager", link, version);
+    }
+    /**
+     * @param {Object} _StoreSessionManager
+     * @return {Promise<StoreSessionManager>}
+     */
+    async _create(_StoreSessionManager) {
+        let _paramtype = "cookie";
+        let _paramname = "celastrinajs_session";
+        if(_StoreSessionManager.hasOwnProperty("parameter") && (typeof _StoreSessionManager.parameter === "string"))
+            _paramtype = _StoreSessionManager.parameter;
+        if(_StoreSessionManager.hasOwnProperty("name") && (typeof _StoreSessionManager.name === "string"))
+            _paramname = _StoreSessionManager.name;
+        let _createnew = true;
+        if(_StoreSessionManager.hasOwnProperty("createNew") && (typeof _StoreSessionManager.createNew === "boolean"))
+            _createnew = _StoreSessionManager.createNew;
+        if(!(_StoreSessionManager.hasOwnProperty("secret")) || (typeof _StoreSessionManager.secret !== "string") ||
+                _StoreSessionManager.secret.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[StoreSessionManagerParser._create(_StoreSessionManager)][StoreSessionManager.secret]: Argument 'secret' cannot be null or empty.",
+                "StoreSessionManager.secret");
+        return new StoreSessionManager(SessionStore.create(_StoreSessionManager.store), _StoreSessionManager.secret,
+                                       HTTPParameterParser.createHTTPParameter(_paramtype, _StoreSessionManager.cookie), _paramname, _createnew,
+                                       (typeof _StoreSessionManager.idle === "number") ? _StoreSessionManager.idle : 1800,
+                                       (typeof _StoreSessionManager.absolute === "number") ? _StoreSessionManager.absolute : 86400,
+                                       (typeof _StoreSessionManager.ownerProperty === "string") ? _StoreSessionManager.ownerProperty : "owner");
+    }
+}
+/**
+ * BodySerializer
+ * @description Serializes response bodies to, and parses request bodies from, a media type. Subclasses override
+ *              serialize and parse.
+ * @abstract
+ * @author Robert R Murrell
+ */
+class BodySerializer {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.BodySerializer";
+    /**
+     * @param {string} mediaType The media type used for the Content-Type header, for example 'application/json'.
+     * @param {Array<string>} [aliases=[]] Other media types this serializer accepts, for example 'text/json'.
+     */
+    constructor(mediaType, aliases = []) {
+        if(typeof mediaType !== "string" || mediaType.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[BodySerializer][mediaType]: Invalid string. Argument cannot be null or zero length.", "mediaType");
+        this._mediaType = mediaType.trim().toLowerCase();
+        /**@type{Array<string>}*/this._mediaTypes = [this._mediaType].concat(aliases.map((_alias) => _alias.trim().toLowerCase()));
+        this.__type = BodySerializer.CELASTRINAJS_TYPE;
+    }
+    /**@return{string}*/get mediaType() {return this._mediaType;}
+    /**@return{Array<string>}*/get mediaTypes() {return this._mediaTypes;}
+    /**@return{string}*/get contentType() {return this._mediaType + "; charset=utf-8";}
+    /**
+     * @param {string} mediaType A media type without parameters.
+     * @return {boolean}
+     */
+    supports(mediaType) {
+        return this._mediaTypes.includes(mediaType.trim().toLowerCase());
+    }
+    /**
+     * @param {*} body
+     * @return {*} The response body.
+     * @abstract
+     */
+    serialize(body) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * @param {string} raw
+     * @return {*} The request body.
+     * @abstract
+     */
+    parse(raw) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * @param {string} message
+     * @param {*} [cause=null]
+     * @return {CelastrinaValidationError}
+     * @protected
+     */
+    _parseError(message, cause = null) {
+        return CelastrinaValidationError.newValidationError("Invalid " + this._mediaType + " request body. " + message,
+                                                            "body", false, 400, cause);
+    }
+    /**
+     * @param {string} name A property name read from the request body.
+     * @return {string}
+     * @protected
+     */
+    _checkName(name) {
+        if(name === "__proto__" || name === "constructor" || name === "prototype")
+            throw this._parseError("Property name '" + name + "' is not allowed.");
+        return name;
+    }
+}
+/**
+ * JSONBodySerializer
+ * @description Serializes 'application/json'. Objects are left for the Azure Functions runtime to serialize.
+ * @author Robert R Murrell
+ */
+class JSONBodySerializer extends BodySerializer {
+    constructor() {
+        super("application/json", ["text/json"]);
+    }
+    /**
+     * @param {*} body
+     * @return {*}
+     */
+    serialize(body) {return body;}
+    /**
+     * @param {string} raw
+     * @return {*}
+     */
+    parse(raw) {
+        try {
+            return JSON.parse(raw);
+        }
+        catch(exception) {
+            throw this._parseError(exception.message, exception);
+        }
+    }
+}
+/**
+ * XMLBodySerializer
+ * @description Serializes 'application/xml'. Object properties become child elements and array items repeat the
+ *              element. Parsing returns the content of the root element, with repeated elements as arrays and all
+ *              values as strings. Attributes are ignored, DOCTYPE declarations and elements nested deeper than
+ *              maxDepth are rejected.
+ * @author Robert R Murrell
+ */
+class XMLBodySerializer extends BodySerializer {
+    /**
+     * @param {string} [root="response"] The root element name for serialized bodies.
+     * @param {number} [maxDepth=64] The maximum nesting of elements in parsed bodies, including the root element.
+     */
+    constructor(root = "response", maxDepth = 64) {
+        super("application/xml", ["text/xml"]);
+        if(!XMLBodySerializer.isName(root))
+            throw CelastrinaValidationError.newValidationError(
+                "[XMLBodySerializer][root]: Invalid string. Argument must be an XML element name.", "root");
+        if(!Number.isInteger(maxDepth) || maxDepth < 1)
+            throw CelastrinaValidationError.newValidationError(
+                "[XMLBodySerializer][maxDepth]: Invalid number. Argument must be an integer greater than 0.", "maxDepth");
+        this._root = root;
+        this._maxDepth = maxDepth;
+    }
+    /**@return{string}*/get root() {return this._root;}
+    /**@return{number}*/get maxDepth() {return this._maxDepth;}
+    /**
+     * @param {*} name
+     * @return {boolean}
+     */
+    static isName(name) {
+        return typeof name === "string" && /^[A-Za-z_][\w.\-]*$/.test(name);
+    }
+    /**
+     * @param {*} value
+     * @return {string}
+     */
+    static escape(value) {
+        return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+                            .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+    }
+    /**
+     * @param {string} value
+     * @return {string}
+     * @throws {RangeError} If a character reference is not a Unicode code point.
+     */
+    static unescape(value) {
+        return value.replace(/&(lt|gt|quot|apos|#x[0-9a-fA-F]+|#\d+|amp);/g, (_entity, _name) => {
+            switch(_name) {
+                case "lt": return "<";
+                case "gt": return ">";
+                case "quot": return "\"";
+                case "apos": return "'";
+                case "amp": return "&";
+                default: {
+                    let _code = (_name.startsWith("#x")) ? parseInt(_name.substring(2), 16) : parseInt(_name.substring(1), 10);
+                    if(_code > 0x10FFFF) throw new RangeError("Invalid character reference '" + _entity + "'.");
+                    return String.fromCodePoint(_code);
+                }
+            }
+        });
+    }
+    /**
+     * @param {string} name
+     * @param {*} value
+     * @return {string}
+     * @private
+     */
+    _element(name, value) {
+        if(!XMLBodySerializer.isName(name)) name = "item";
+        if(value == null) return "<" + name + "/>";
+        if(Array.isArray(value)) return value.map((_item) => this._element(name, _item)).join("");
+        if(typeof value === "object") {
+            let _children = "";
+            for(let _name in value) {
+                if(Object.prototype.hasOwnProperty.call(value, _name) && typeof value[_name] !== "undefined")
+                    _children += this._element(_name, value[_name]);
+            }
+            return "<" + name + ">" + _children + "</" + name + ">";
+        }
+        return "<" + name + ">" + XMLBodySerializer.escape(value) + "</" + name + ">";
+    }
+    /**
+     * @param {*} body
+     * @return {string}
+     */
+    serialize(body) {
+        let _body = body;
+        if(Array.isArray(_body)) _body = {item: _body};
+        return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" + this._element(this._root, _body);
+    }
+    /**
+     * @param {string} raw
+     * @return {*}
+     */
+    parse(raw) {
+        if(/<!(DOCTYPE|ENTITY)/i.test(raw)) throw this._parseError("DOCTYPE and ENTITY declarations are not allowed.");
+        let _xml = raw.replace(/<\?[\s\S]*?\?>/g, "").replace(/<!--[\s\S]*?-->/g, "").trim();
+        let _state = {xml: _xml, pos: 0, depth: 0};
+        let _value = this._parseElement(_state);
+        if(_state.xml.substring(_state.pos).trim().length > 0) throw this._parseError("Unexpected content after root element.");
+        return _value.value;
+    }
+    /**
+     * @param {{xml: string, pos: number, depth: number}} state
+     * @return {{name: string, value: *}}
+     * @private
+     */
+    _parseElement(state) {
+        if(++state.depth > this._maxDepth)
+            throw this._parseError("Elements exceed the maximum depth of " + this._maxDepth + ".");
+        let _open = /^<([A-Za-z_][\w.\-:]*)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(state.xml.substring(state.pos));
+        if(_open == null) throw this._parseError("Expected element at position " + state.pos + ".");
+        state.pos += _open[0].length;
+        let _name = this._checkName(_open[1]);
+        if(_open[3] === "/") {
+            --state.depth;
+            return {name: _name, value: ""};
+        }
+        let _text = "";
+        /**@type{(null|Object)}*/let _children = null;
+        while(state.pos < state.xml.length) {
+            let _next = state.xml.indexOf("<", state.pos);
+            if(_next < 0) break;
+            try {
+                _text += XMLBodySerializer.unescape(state.xml.substring(state.pos, _next));
+            }
+            catch(exception) {
+                throw this._parseError(exception.message, exception);
+            }
+            state.pos = _next;
+            if(state.xml.startsWith("<![CDATA[", state.pos)) {
+                let _end = state.xml.indexOf("]]>", state.pos);
+                if(_end < 0) throw this._parseError("Unterminated CDATA section.");
+                _text += state.xml.substring(state.pos + 9, _end);
+                state.pos = _end + 3;
+            }
+            else if(state.xml.startsWith("</", state.pos)) {
+                let _close = /^<\/([A-Za-z_][\w.\-:]*)\s*>/.exec(state.xml.substring(state.pos));
+                if(_close == null || _close[1] !== _name) throw this._parseError("Expected closing tag for '" + _name + "'.");
+                state.pos += _close[0].length;
+                --state.depth;
+                return {name: _name, value: (_children != null) ? _children : _text};
+            }
+            else {
+                let _child = this._parseElement(state);
+                if(_children == null) _children = {};
+                if(!Object.prototype.hasOwnProperty.call(_children, _child.name)) _children[_child.name] = _child.value;
+                else if(Array.isArray(_children[_child.name])) _children[_child.name].push(_child.value);
+                else _children[_child.name] = [_children[_child.name], _child.value];
+            }
+        }
+        throw this._parseError("Unterminated element '" + _name + "'.");
+    }
+}
+/**
+ * CSVBodySerializer
+ * @description Serializes 'text/csv' as described by RFC 4180, with a header row. Response bodies are an array of
+ *              objects, or an object for a single row. Parsing returns an array of objects keyed by the header row.
+ * @author Robert R Murrell
+ */
+class CSVBodySerializer extends BodySerializer {
+    constructor() {
+        super("text/csv");
+    }
+    /**
+     * @param {*} value
+     * @return {string}
+     */
+    static escape(value) {
+        if(value == null) return "";
+        let _value = (typeof value === "object") ? JSON.stringify(value) : String(value);
+        if(/[",\r\n]/.test(_value)) return "\"" + _value.replace(/"/g, "\"\"") + "\"";
+        return _value;
+    }
+    /**
+     * @param {*} body
+     * @return {string}
+     */
+    serialize(body) {
+        let _rows = Array.isArray(body) ? body : [body];
+        let _header = [];
+        for(let _row of _rows) {
+            if(typeof _row === "object" && _row != null) {
+                for(let _name in _row) {
+                    if(Object.prototype.hasOwnProperty.call(_row, _name) && !_header.includes(_name)) _header.push(_name);
+                }
+            }
+        }
+        if(_header.length === 0) return _rows.map((_row) => CSVBodySerializer.escape(_row)).join("\r\n") + "\r\n";
+        let _lines = [_header.map((_name) => CSVBodySerializer.escape(_name)).join(",")];
+        for(let _row of _rows) {
+            if(typeof _row !== "object" || _row == null) _row = {};
+            _lines.push(_header.map((_name) => CSVBodySerializer.escape(_row[_name])).join(","));
+        }
+        return _lines.join("\r\n") + "\r\n";
+    }
+    /**
+     * @param {string} raw
+     * @return {Array<Array<string>>}
+     * @private
+     */
+    _records(raw) {
+        let _records = [];
+        let _record = [];
+        let _field = "";
+        let _quoted = false;
+        for(let _index = 0; _index < raw.length; ++_index) {
+            let _char = raw[_index];
+            if(_quoted) {
+                if(_char === "\"") {
+                    if(raw[_index + 1] === "\"") {
+                        _field += "\"";
+                        ++_index;
+                    }
+                    else _quoted = false;
+                }
+                else _field += _char;
+            }
+            else if(_char === "\"") {
+                if(_field.length > 0) throw this._parseError("Unexpected quote in unquoted field.");
+                _quoted = true;
+            }
+            else if(_char === ",") {
+                _record.push(_field);
+                _field = "";
+            }
+            else if(_char === "\r" || _char === "\n") {
+                if(_char === "\r" && raw[_index + 1] === "\n") ++_index;
+                _record.push(_field);
+                _records.push(_record);
+                _record = [];
+                _field = "";
+            }
+            else _field += _char;
+        }
+        if(_quoted) throw this._parseError("Unterminated quoted field.");
+        if(_field.length > 0 || _record.length > 0) {
+            _record.push(_field);
+            _records.push(_record);
+        }
+        return _records;
+    }
+    /**
+     * @param {string} raw
+     * @return {Array<Object>}
+     */
+    parse(raw) {
+        let _records = this._records(raw);
+        if(_records.length === 0) return [];
+        let _header = _records[0].map((_name) => this._checkName(_name));
+        return _records.slice(1).map((_record, _index) => {
+            if(_record.length !== _header.length)
+                throw this._parseError("Record " + (_index + 1) + " has " + _record.length + " fields, expected " +
+                                       _header.length + ".");
+            let _row = {};
+            _header.forEach((_name, _field) => {_row[_name] = _record[_field];});
+            return _row;
+        });
+    }
+}
+/**
+ * TextBodySerializer
+ * @description Serializes 'text/plain'. Strings are sent as-is and other values as JSON.
+ * @author Robert R Murrell
+ */
+class TextBodySerializer extends BodySerializer {
+    constructor() {
+        super("text/plain");
+    }
+    /**
+     * @param {*} body
+     * @return {string}
+     */
+    serialize(body) {
+        if(typeof body === "string") return body;
+        return JSON.stringify(body);
+    }
+    /**
+     * @param {string} raw
+     * @return {string}
+     */
+    parse(raw) {return raw;}
+}
+/**
+ * NDJSONBodySerializer
+ * @description Serializes newline delimited JSON, one line per array item. Parsing returns an array.
+ * @author Robert R Murrell
+ */
+class NDJSONBodySerializer extends BodySerializer {
+    constructor() {
+        super("application/x-ndjson", ["application/ndjson"]);
+    }
+    /**
+     * @param {*} body
+     * @return {string}
+     */
+    serialize(body) {
+        let _items = Array.isArray(body) ? body : [body];
+        return _items.map((_item) => JSON.stringify(_item)).join("\n") + "\n";
+    }
+    /**
+     * @param {string} raw
+     * @return {Array<*>}
+     */
+    parse(raw) {
+        return raw.split(/\r?\n/).filter((_line) => _line.trim().length > 0).map((_line, _index) => {
+            try {
+                return JSON.parse(_line);
+            }
+            catch(exception) {
+                throw this._parseError("Line " + (_index + 1) + ": " + exception.message, exception);
+            }
+        });
+    }
+}
+/**
+ * FormBodySerializer
+ * @description Serializes 'application/x-www-form-urlencoded'. Arrays repeat the key and nested objects are sent as
+ *              JSON. Parsing returns an object, with repeated keys as arrays.
+ * @author Robert R Murrell
+ */
+class FormBodySerializer extends BodySerializer {
+    constructor() {
+        super("application/x-www-form-urlencoded");
+    }
+    /**@return{string}*/get contentType() {return this._mediaType;}
+    /**
+     * @param {*} value
+     * @return {string}
+     * @private
+     */
+    static _value(value) {
+        if(value == null) return "";
+        if(typeof value === "object") return JSON.stringify(value);
+        return String(value);
+    }
+    /**
+     * @param {*} body
+     * @return {string}
+     */
+    serialize(body) {
+        let _params = new URLSearchParams();
+        if(typeof body === "object" && body != null) {
+            for(let _name in body) {
+                if(Object.prototype.hasOwnProperty.call(body, _name)) {
+                    let _value = body[_name];
+                    if(Array.isArray(_value)) _value.forEach((_item) => _params.append(_name, FormBodySerializer._value(_item)));
+                    else _params.append(_name, FormBodySerializer._value(_value));
+                }
+            }
+        }
+        return _params.toString();
+    }
+    /**
+     * @param {string} raw
+     * @return {Object}
+     */
+    parse(raw) {
+        let _body = {};
+        for(let [_name, _value] of new URLSearchParams(raw)) {
+            this._checkName(_name);
+            if(!Object.prototype.hasOwnProperty.call(_body, _name)) _body[_name] = _value;
+            else if(Array.isArray(_body[_name])) _body[_name].push(_value);
+            else _body[_name] = [_body[_name], _value];
+        }
+        return _body;
+    }
+}
+/**
+ * ContentNegotiator
+ * @description Selects the response serializer from the Accept header and the request parser from the Content-Type
+ *              header. The first serializer is the default, used when the request has no Accept header.
+ * @author Robert R Murrell
+ */
+class ContentNegotiator {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.ContentNegotiator";
+    static SERIALIZERS = {
+        "json": () => new JSONBodySerializer(),
+        "xml": () => new XMLBodySerializer(),
+        "csv": () => new CSVBodySerializer(),
+        "text": () => new TextBodySerializer(),
+        "ndjson": () => new NDJSONBodySerializer(),
+        "form": () => new FormBodySerializer()
+    };
+    /**
+     * @param {Array<BodySerializer>} [serializers] Defaults to JSON, XML, CSV, text, NDJSON and form serializers.
+     */
+    constructor(serializers = Object.keys(ContentNegotiator.SERIALIZERS).map((_name) => ContentNegotiator.SERIALIZERS[_name]())) {
+        /**@type{Array<BodySerializer>}*/this._serializers = [];
+        serializers.forEach((_serializer) => this.addSerializer(_serializer));
+        this.__type = ContentNegotiator.CELASTRINAJS_TYPE;
+    }
+    /**@return{Array<BodySerializer>}*/get serializers() {return this._serializers;}
+    /**@return{(null|BodySerializer)}*/get defaultSerializer() {return (this._serializers.length > 0) ? this._serializers[0] : null;}
+    /**
+     * @param {BodySerializer} serializer
+     * @return {ContentNegotiator}
+     */
+    addSerializer(serializer) {
+        if(!instanceOfCelastringType(BodySerializer.CELASTRINAJS_TYPE, serializer))
+            throw CelastrinaValidationError.newValidationError("Argument 'serializer' is required and must be of type '" +
+                                                               BodySerializer.CELASTRINAJS_TYPE + "'.", "serializer");
+        this._serializers.push(serializer);
+        return this;
+    }
+    /**
+     * @param {(undefined|null|string)} accept
+     * @return {Array<{mediaType: string, q: number}>} The media ranges, most preferred first.
+     */
+    static parseAccept(accept) {
+        if(typeof accept !== "string") return [];
+        let _ranges = [];
+        accept.split(",").forEach((_range) => {
+            let _params = _range.split(";");
+            let _mediaType = _params[0].trim().toLowerCase();
+            if(_mediaType.length === 0) return;
+            let _q = 1;
+            for(let _param of _params.slice(1)) {
+                let _pair = _param.split("=");
+                if(_pair[0].trim().toLowerCase() === "q") {
+                    _q = parseFloat(_pair[1]);
+                    if(isNaN(_q) || _q < 0) _q = 0;
+                    else if(_q > 1) _q = 1;
+                }
+            }
+            _ranges.push({mediaType: _mediaType, q: _q});
+        });
+        let _specificity = (_mediaType) => (_mediaType === "*/*") ? 0 : (_mediaType.endsWith("/*") ? 1 : 2);
+        return _ranges.map((_range, _index) => ({range: _range, index: _index}))
+                      .sort((_a, _b) => (_b.range.q - _a.range.q) ||
+                                        (_specificity(_b.range.mediaType) - _specificity(_a.range.mediaType)) ||
+                                        (_a.index - _b.index))
+                      .map((_entry) => _entry.range);
+    }
+    /**
+     * @param {(undefined|null|string)} accept The Accept header.
+     * @return {(null|BodySerializer)} The serializer, or null if no serializer is acceptable.
+     */
+    getSerializer(accept) {
+        let _ranges = ContentNegotiator.parseAccept(accept);
+        if(_ranges.length === 0) return this.defaultSerializer;
+        let _excluded = _ranges.filter((_range) => _range.q === 0).map((_range) => _range.mediaType);
+        let _allowed = this._serializers.filter((_serializer) => !_excluded.includes(_serializer.mediaType));
+        for(let _range of _ranges) {
+            if(_range.q === 0) continue;
+            if(_range.mediaType === "*/*") {
+                if(_allowed.length > 0) return _allowed[0];
+                continue;
+            }
+            if(_range.mediaType.endsWith("/*")) {
+                let _prefix = _range.mediaType.substring(0, _range.mediaType.length - 1);
+                let _serializer = _allowed.find((_serializer) => _serializer.mediaType.startsWith(_prefix));
+                if(typeof _serializer !== "undefined") return _serializer;
+                continue;
+            }
+            let _serializer = this._serializers.find((_serializer) => _serializer.supports(_range.mediaType));
+            if(typeof _serializer !== "undefined") return _serializer;
+        }
+        return null;
+    }
+    /**
+     * @param {string} contentType The Content-Type header.
+     * @return {(null|BodySerializer)} The parser, or null if the content type is not supported.
+     */
+    getParser(contentType) {
+        let _mediaType = contentType.split(";")[0].trim().toLowerCase();
+        let _serializer = this._serializers.find((_serializer) => _serializer.supports(_mediaType));
+        return (typeof _serializer === "undefined") ? null : _serializer;
+    }
+    /**
+     * @param {(boolean|Object)} _ContentNegotiation True to enable all serializers, or an object with 'serializers', an
+     *        array of serializer names where the first is the default.
+     * @return {(null|ContentNegotiator)}
+     */
+    static create(_ContentNegotiation) {
+        if(_ContentNegotiation === true) return new ContentNegotiator();
+        if(_ContentNegotiation === false || _ContentNegotiation == null) return null;
+        if(typeof _ContentNegotiation !== "object" || !Array.isArray(_ContentNegotiation.serializers))
+            throw CelastrinaValidationError.newValidationError(
+                "[ContentNegotiator.create(_ContentNegotiation)][serializers]: Invalid array. Attribute cannot be 'undefined' or null.",
+                "contentNegotiation.serializers");
+        return new ContentNegotiator(_ContentNegotiation.serializers.map((_name) => {
+            let _key = String(_name).toLowerCase();
+            if(!ContentNegotiator.SERIALIZERS.hasOwnProperty(_key))
+                throw CelastrinaValidationError.newValidationError(
+                    "[ContentNegotiator.create(_ContentNegotiation)][serializers]: Invalid serializer '" + _name + "'.",
+                    "contentNegotiation.serializers");
+            return ContentNegotiator.SERIALIZERS[_key]();
+        }));
+    }
+}
+/**
+ * ProblemDetails
+ * @description Renders errors as RFC 7807 problem details. Errors are mapped to a problem type by name, walking up the
+ *              class hierarchy so a mapping for a base error also applies to its subclasses. Unmapped errors use
+ *              'about:blank' with the HTTP status phrase as the title.
+ * @author Robert R Murrell
+ */
+class ProblemDetails {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.ProblemDetails";
+    static CONTENT_TYPE = "application/problem+json; charset=utf-8";
+    static STATUS_TITLES = {
+        400: "Bad Request", 401: "Unauthorized", 403: "Forbidden", 404: "Not Found", 405: "Method Not Allowed",
+        406: "Not Acceptable", 409: "Conflict", 410: "Gone", 412: "Precondition Failed", 413: "Payload Too Large",
+        415: "Unsupported Media Type", 422: "Unprocessable Entity", 428: "Precondition Required",
+        429: "Too Many Requests", 500: "Internal Server Error", 501: "Not Implemented", 502: "Bad Gateway",
+        503: "Service Unavailable", 504: "Gateway Timeout"
+    };
+    /**
+     * @param {Object<string, {type: string, title: (undefined|null|string)}>} [types={}] Problem types keyed by error
+     *        name.
+     */
+    constructor(types = {}) {
+        /**@type{Object<string, {type: string, title: (null|string)}>}*/this._types = {};
+        for(let _name in types) {
+            if(types.hasOwnProperty(_name)) {
+                let _type = types[_name];
+                if(typeof _type !== "object" || _type == null)
+                    throw CelastrinaValidationError.newValidationError(
+                        "[ProblemDetails][types." + _name + "]: Invalid object. Attribute cannot be 'undefined' or null.",
+                        "types." + _name);
+                this.addProblemType(_name, _type.type, _type.title);
+            }
+        }
+        this.__type = ProblemDetails.CELASTRINAJS_TYPE;
+    }
+    /**@return{Object<string, {type: string, title: (null|string)}>}*/get types() {return this._types;}
+    /**
+     * @param {string} name The error name, which is the class name for CelastrinaError and its subclasses.
+     * @param {string} type A URI reference identifying the problem type.
+     * @param {(null|string)} [title=null] A summary of the problem type, defaults to the HTTP status phrase.
+     * @return {ProblemDetails}
+     */
+    addProblemType(name, type, title = null) {
+        if(typeof name !== "string" || name.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[ProblemDetails.addProblemType(name, type, title)][name]: Invalid string. Argument cannot be null or zero length.",
+                "name");
+        if(typeof type !== "string" || type.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[ProblemDetails.addProblemType(name, type, title)][type]: Invalid string. Argument cannot be null or zero length.",
+                "type");
+        this._types[name.trim()] = {type: type.trim(), title: (typeof title === "string") ? title : null};
+        return this;
+    }
+    /**
+     * @param {*} error
+     * @return {(null|{type: string, title: (null|string)})}
+     */
+    getProblemType(error) {
+        if(typeof error !== "object" || error == null) return null;
+        if(typeof error.name === "string" && this._types.hasOwnProperty(error.name)) return this._types[error.name];
+        let _proto = Object.getPrototypeOf(error);
+        while(_proto != null && _proto !== Object.prototype) {
+            let _name = _proto.constructor.name;
+            if(this._types.hasOwnProperty(_name)) return this._types[_name];
+            _proto = Object.getPrototypeOf(_proto);
+        }
+        return null;
+    }
+    /**
+     * @param {HTTPContext} context
+     * @param {CelastrinaError|CelastrinaValidationError|*} error
+     * @param {number} status
+     * @return {Object} The problem details object, including the errorCode, the traceId and, for validation errors,
+     *         the failing fields as extension members.
+     */
+    create(context, error, status) {
+        let _type = this.getProblemType(error);
+        let _title = ProblemDetails.STATUS_TITLES[status];
+        if(typeof _title === "undefined") _title = "Error";
+        let _problem = {type: "about:blank", title: _title, status: status, detail: error.message,
+                        instance: context.requestId};
+        if(_type != null) {
+            _problem.type = _type.type;
+            if(_type.title != null) _problem.title = _type.title;
+        }
+        if(typeof error.errorCode === "string") _problem.errorCode = error.errorCode;
+        if(context.traceId != null) _problem.traceId = context.traceId;
+        if(CelastrinaCompositeValidationError.isComposite(error))
+            _problem.errors = error.toJSON().errors;
+        else if(instanceOfCelastringType(CelastrinaValidationError.CELASTRINAJS_VALIDATION_ERROR_TYPE, error) &&
+                typeof error.tag === "string" && error.tag.trim().length > 0)
+            _problem.errors = [{path: error.tag, message: error.message, code: "invalid"}];
+        return _problem;
+    }
+    /**
+     * @param {(boolean|Object)} _ProblemDetails True to enable with no mappings, or an object with 'types'.
+     * @return {(null|ProblemDetails)}
+     */
+    static create(_ProblemDetails) {
+        if(_ProblemDetails === true) return new ProblemDetails();
+        if(_ProblemDetails === false || _ProblemDetails == null) return null;
+        if(typeof _ProblemDetails !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[ProblemDetails.create(_ProblemDetails)][_ProblemDetails]: Invalid object. Argument must be a boolean or object.",
+                "problemDetails");
+        let _types = {};
+        if(_ProblemDetails.hasOwnProperty("types") && typeof _ProblemDetails.types === "object" &&
+                _ProblemDetails.types != null)
+            _types = _ProblemDetails.types;
+        return new ProblemDetails(_types);
+    }
+}
+/**
+ * CORSPolicy
+ * @description Cross-origin resource sharing for browser clients. Origins are exact, '*' for any origin, patterns using
+ *              '*' as a wildcard such as 'https://*.example.com', or regular expressions. Preflight requests are
+ *              answered by HTTPFunction before authentication and actual responses are decorated when the context
+ *              terminates. With credentials, origins must be listed and '*' patterns may only match a subdomain.
+ * @author Robert R Murrell
+ */
+class CORSPolicy {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.CORSPolicy";
+    /**
+     * @param {Array<(string|RegExp)>} [origins=["*"]]
+     * @param {Array<string>} [methods=["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"]]
+     * @param {Array<string>} [headers=[]] The allowed request headers, empty to allow the headers a preflight requests.
+     * @param {boolean} [credentials=false] True to allow credentials, which cannot be combined with '*'.
+     * @param {(null|number)} [maxAge=null] Seconds a preflight may be cached, null to omit Access-Control-Max-Age.
+     * @param {Array<string>} [exposedHeaders=[]]
+     */
+    constructor(origins = ["*"], methods = ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"], headers = [],
+                credentials = false, maxAge = null, exposedHeaders = []) {
+        if(!Array.isArray(origins) || origins.length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[CORSPolicy][origins]: Invalid array. Argument cannot be null or zero length.", "origins");
+        if(maxAge != null && (typeof maxAge !== "number" || maxAge < 0))
+            throw CelastrinaValidationError.newValidationError(
+                "[CORSPolicy][maxAge]: Invalid number. Argument must be zero or greater.", "maxAge");
+        this._any = false;
+        this._credentials = credentials === true;
+        /**@type{Array<(string|RegExp)>}*/this._origins = [];
+        origins.forEach((_origin) => this.addOrigin(_origin));
+        this._methods = methods.map((_method) => _method.trim().toUpperCase());
+        this._headers = headers.map((_header) => _header.trim().toLowerCase());
+        this._maxAge = maxAge;
+        this._exposedHeaders = exposedHeaders.map((_header) => _header.trim());
+        this.__type = CORSPolicy.CELASTRINAJS_TYPE;
+    }
+    /**@return{Array<(string|RegExp)>}*/get origins() {return this._origins;}
+    /**@return{Array<string>}*/get methods() {return this._methods;}
+    /**@return{Array<string>}*/get headers() {return this._headers;}
+    /**@return{boolean}*/get credentials() {return this._credentials;}
+    /**@return{(null|number)}*/get maxAge() {return this._maxAge;}
+    /**@return{Array<string>}*/get exposedHeaders() {return this._exposedHeaders;}
+    /**
+     * @param {(string|RegExp)} origin
+     * @return {CORSPolicy}
+     */
+    addOrigin(origin) {
+        if(origin instanceof RegExp) this._origins.push(origin);
+        else if(typeof origin === "string" && origin.trim().length > 0) {
+            let _origin = origin.trim().toLowerCase();
+            if(this._credentials && _origin.includes("*") && !(/^[a-z][a-z0-9+.-]*:\/\/\*\.[^*]+$/.test(_origin)))
+                throw CelastrinaValidationError.newValidationError(
+                    "[CORSPolicy.addOrigin(origin)][origin]: Invalid string. Origin '" + _origin +
+                    "' would allow credentials from any origin.", "origin");
+            if(_origin === "*") this._any = true;
+            else if(_origin.includes("*"))
+                _origin = new RegExp("^" + _origin.split("*").map((_part) => _part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+                                                  .join("[^/]*") + "$");
+            this._origins.push(_origin);
+        }
+        else
+            throw CelastrinaValidationError.newValidationError(
+                "[CORSPolicy.addOrigin(origin)][origin]: Invalid string. Argument cannot be null or zero length.", "origin");
+        return this;
+    }
+    /**
+     * @param {(null|string)} origin
+     * @return {boolean}
+     */
+    isOriginAllowed(origin) {
+        if(typeof origin !== "string" || origin.length === 0) return false;
+        if(this._any) return true;
+        let _origin = origin.toLowerCase();
+        return this._origins.some((_allowed) => (_allowed instanceof RegExp) ? _allowed.test(_origin) : _allowed === _origin);
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {boolean}
+     */
+    isPreflight(context) {
+        return context.method === "options" && context.getRequestHeader("origin") != null &&
+               context.getRequestHeader("access-control-request-method") != null;
+    }
+    /**
+     * @param {HTTPContext} context
+     * @param {string} value
+     * @private
+     */
+    static _vary(context, value) {
+        let _vary = context.getResponseHeader("Vary");
+        if(_vary == null) context.setResponseHeader("Vary", value);
+        else if(!_vary.split(",").some((_item) => _item.trim().toLowerCase() === value.toLowerCase()))
+            context.setResponseHeader("Vary", _vary + ", " + value);
+    }
+    /**
+     * @param {HTTPContext} context
+     * @param {string} origin
+     * @private
+     */
+    _setOrigin(context, origin) {
+        if(this._any && !this._credentials)
+            context.setResponseHeader("Access-Control-Allow-Origin", "*");
+        else {
+            context.setResponseHeader("Access-Control-Allow-Origin", origin);
+            CORSPolicy._vary(context, "Origin");
+        }
+        if(this._credentials) context.setResponseHeader("Access-Control-Allow-Credentials", "true");
+    }
+    /**
+     * Answers a preflight request, 204 if the origin, method and headers are allowed, otherwise 403.
+     * @param {HTTPContext} context
+     */
+    preflight(context) {
+        let _origin = context.getRequestHeader("origin");
+        let _method = context.getRequestHeader("access-control-request-method").trim().toUpperCase();
+        let _headers = context.getRequestHeader("access-control-request-headers", "").split(",")
+                              .map((_header) => _header.trim().toLowerCase()).filter((_header) => _header.length > 0);
+        if(!this.isOriginAllowed(_origin))
+            context.sendForbiddenError(CelastrinaError.newError("Origin '" + _origin + "' is not allowed.", 403));
+        else if(!this._methods.includes(_method))
+            context.sendForbiddenError(CelastrinaError.newError("Method '" + _method + "' is not allowed from origin '" +
+                                                                _origin + "'.", 403));
+        else if(this._headers.length > 0 && !_headers.every((_header) => this._headers.includes(_header)))
+            context.sendForbiddenError(CelastrinaError.newError("Headers '" + _headers.join(", ") +
+                                                                "' are not allowed from origin '" + _origin + "'.", 403));
+        else {
+            this._setOrigin(context, _origin);
+            context.setResponseHeader("Access-Control-Allow-Methods", this._methods.join(", "));
+            let _allowed = (this._headers.length > 0) ? this._headers : _headers;
+            if(_allowed.length > 0) context.setResponseHeader("Access-Control-Allow-Headers", _allowed.join(", "));
+            if(this._maxAge != null) context.setResponseHeader("Access-Control-Max-Age", this._maxAge.toString());
+            context.send(null, 204);
+        }
+    }
+    /**
+     * Adds the CORS headers to an actual response from an allowed origin. Unless any origin is allowed, the response
+     * varies by Origin whether or not the origin is allowed.
+     * @param {HTTPContext} context
+     */
+    decorate(context) {
+        if(this.isPreflight(context)) return;
+        if(!this._any) CORSPolicy._vary(context, "Origin");
+        let _origin = context.getRequestHeader("origin");
+        if(!this.isOriginAllowed(_origin)) return;
+        this._setOrigin(context, _origin);
+        if(this._exposedHeaders.length > 0)
+            context.setResponseHeader("Access-Control-Expose-Headers", this._exposedHeaders.join(", "));
+    }
+    /**
+     * @param {(boolean|Object)} _CORS True to allow any origin, or an object with 'origins', 'methods', 'headers',
+     *        'credentials', 'maxAge' and 'exposedHeaders'.
+     * @return {(null|CORSPolicy)}
+     */
+    static create(_CORS) {
+        if(_CORS === true) return new CORSPolicy();
+        if(_CORS === false || _CORS == null) return null;
+        if(typeof _CORS !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[CORSPolicy.create(_CORS)][_CORS]: Invalid object. Argument must be a boolean or object.", "cors");
+        let _array = (name, value) => {
+            if(typeof _CORS[name] === "undefined") return value;
+            if(!Array.isArray(_CORS[name]) || !_CORS[name].every((_item) => typeof _item === "string"))
+                throw CelastrinaValidationError.newValidationError(
+                    "[CORSPolicy.create(_CORS)][" + name + "]: Invalid array. Attribute must be an array of strings.",
+                    "cors." + name);
+            return _CORS[name];
+        };
+        if(typeof _CORS.credentials !== "undefined" && typeof _CORS.credentials !== "boolean")
+            throw CelastrinaValidationError.newValidationError(
+                "[CORSPolicy.create(_CORS)][credentials]: Invalid boolean.", "cors.credentials");
+        return new CORSPolicy(_array("origins", ["*"]), _array("methods", ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"]),
+                              _array("headers", []), _CORS.credentials === true,
+                              (typeof _CORS.maxAge === "undefined") ? null : _CORS.maxAge, _array("exposedHeaders", []));
+    }
+}
+/**
+ * SecurityHeaderPolicy
+ * @description Security response headers applied to every response of an HTTPContext, including error responses. The
+ *              defaults are suited to APIs: HSTS for one year, a Content-Security-Policy of "default-src 'none'" with
+ *              "frame-ancestors 'none'", nosniff, 'no-referrer' and 'no-store' for authenticated responses. When the
+ *              CSP nonce is enabled, a nonce is created per request, exposed as HTTPContext.cspNonce and added to the
+ *              'script-src' and 'style-src' directives, which are seeded from 'default-src' if not set. A nonce
+ *              replaces a 'none' source.
+ * @author Robert R Murrell
+ */
+class SecurityHeaderPolicy {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.SecurityHeaderPolicy";
+    constructor() {
+        /**@type{(null|string)}*/this._hsts = "max-age=31536000; includeSubDomains";
+        /**@type{(null|Object<string, Array<string>>)}*/this._directives = {"default-src": ["'none'"]};
+        /**@type{boolean}*/this._nonce = false;
+        /**@type{(null|Array<string>)}*/this._frameAncestors = ["'none'"];
+        /**@type{boolean}*/this._noSniff = true;
+        /**@type{(null|string)}*/this._referrerPolicy = "no-referrer";
+        /**@type{(null|Object<string, Array<string>>)}*/this._permissionsPolicy = null;
+        /**@type{(null|string)}*/this._cacheControl = "no-store";
+        this.__type = SecurityHeaderPolicy.CELASTRINAJS_TYPE;
+    }
+    /**@return{(null|string)}*/get hsts() {return this._hsts;}
+    /**@return{(null|Object<string, Array<string>>)}*/get directives() {return this._directives;}
+    /**@return{boolean}*/get nonce() {return this._nonce;}
+    /**@return{(null|Array<string>)}*/get frameAncestors() {return this._frameAncestors;}
+    /**@return{boolean}*/get noSniff() {return this._noSniff;}
+    /**@return{(null|string)}*/get referrerPolicy() {return this._referrerPolicy;}
+    /**@return{(null|Object<string, Array<string>>)}*/get permissionsPolicy() {return this._permissionsPolicy;}
+    /**@return{(null|string)}*/get cacheControl() {return this._cacheControl;}
+    /**
+     * @param {(null|number)} [maxAge=31536000] Seconds, null to omit Strict-Transport-Security.
+     * @param {boolean} [includeSubDomains=true]
+     * @param {boolean} [preload=false]
+     * @return {SecurityHeaderPolicy}
+     */
+    setHSTS(maxAge = 31536000, includeSubDomains = true, preload = false) {
+        if(maxAge == null) {
+            this._hsts = null;
+            return this;
+        }
+        if(typeof maxAge !== "number" || maxAge < 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[SecurityHeaderPolicy.setHSTS(maxAge, includeSubDomains, preload)][maxAge]: Invalid number. Argument must be zero or greater.",
+                "maxAge");
+        this._hsts = "max-age=" + Math.floor(maxAge) + ((includeSubDomains) ? "; includeSubDomains" : "") +
+                     ((preload) ? "; preload" : "");
+        return this;
+    }
+    /**
+     * @param {(null|Object<string, (string|Array<string>)>)} [directives=null] Sources keyed by directive, null to omit
+     *        the directives. Frame ancestors are set with setFrameAncestors.
+     * @param {boolean} [nonce=false] Create a nonce per request for 'script-src' and 'style-src'.
+     * @return {SecurityHeaderPolicy}
+     */
+    setContentSecurityPolicy(directives = null, nonce = false) {
+        this._directives = null;
+        if(directives != null) {
+            if(typeof directives !== "object")
+                throw CelastrinaValidationError.newValidationError(
+                    "[SecurityHeaderPolicy.setContentSecurityPolicy(directives, nonce)][directives]: Invalid object.",
+                    "directives");
+            this._directives = {};
+            for(let _directive in directives) {
+                if(directives.hasOwnProperty(_directive)) {
+                    let _sources = directives[_directive];
+                    this._directives[_directive.trim().toLowerCase()] = Array.isArray(_sources) ? _sources : [_sources];
+                }
+            }
+        }
+        this._nonce = nonce === true;
+        return this;
+    }
+    /**
+     * @param {(null|Array<string>)} [ancestors=["'none'"]] The frame-ancestors sources, null to omit.
+     * @return {SecurityHeaderPolicy}
+     */
+    setFrameAncestors(ancestors = ["'none'"]) {
+        this._frameAncestors = ancestors;
+        return this;
+    }
+    /**
+     * @param {boolean} [noSniff=true]
+     * @return {SecurityHeaderPolicy}
+     */
+    setNoSniff(noSniff = true) {
+        this._noSniff = noSniff;
+        return this;
+    }
+    /**
+     * @param {(null|string)} [policy="no-referrer"]
+     * @return {SecurityHeaderPolicy}
+     */
+    setReferrerPolicy(policy = "no-referrer") {
+        this._referrerPolicy = policy;
+        return this;
+    }
+    /**
+     * @param {(null|Object<string, Array<string>>)} [features=null] Allow lists keyed by feature, for example
+     *        {camera: [], geolocation: ["self"]}.
+     * @return {SecurityHeaderPolicy}
+     */
+    setPermissionsPolicy(features = null) {
+        this._permissionsPolicy = features;
+        return this;
+    }
+    /**
+     * @param {(null|string)} [cacheControl="no-store"] The Cache-Control for authenticated responses, null to omit.
+     * @return {SecurityHeaderPolicy}
+     */
+    setAuthenticatedCacheControl(cacheControl = "no-store") {
+        this._cacheControl = cacheControl;
+        return this;
+    }
+    /**
+     * @return {string} A base64 nonce.
+     */
+    createNonce() {
+        return randomBytes(16).toString("base64");
+    }
+    /**
+     * @param {(null|string)} [nonce=null]
+     * @return {(null|string)} The Content-Security-Policy header, or null if there is nothing to send.
+     */
+    getContentSecurityPolicy(nonce = null) {
+        let _directives = {};
+        if(this._directives != null) Object.assign(_directives, this._directives);
+        if(nonce != null) {
+            for(let _directive of ["script-src", "style-src"]) {
+                let _sources = _directives[_directive];
+                if(!Object.prototype.hasOwnProperty.call(_directives, _directive)) {
+                    // Without default-src either, the sources are not restricted and need no nonce.
+                    if(!Object.prototype.hasOwnProperty.call(_directives, "default-src")) continue;
+                    _sources = _directives["default-src"];
+                }
+                _directives[_directive] = _sources.filter((_source) => _source !== "'none'").concat(["'nonce-" + nonce + "'"]);
+            }
+        }
+        if(this._frameAncestors != null) _directives["frame-ancestors"] = this._frameAncestors;
+        let _policy = Object.keys(_directives).map((_directive) => [_directive].concat(_directives[_directive]).join(" "));
+        return (_policy.length > 0) ? _policy.join("; ") : null;
+    }
+    /**
+     * @return {(null|string)}
+     * @private
+     */
+    _getFrameOptions() {
+        if(this._frameAncestors == null || this._frameAncestors.length !== 1) return null;
+        if(this._frameAncestors[0] === "'none'") return "DENY";
+        if(this._frameAncestors[0] === "'self'") return "SAMEORIGIN";
+        return null;
+    }
+    /**
+     * @return {(null|string)}
+     * @private
+     */
+    _getPermissionsPolicy() {
+        if(this._permissionsPolicy == null) return null;
+        let _features = Object.keys(this._permissionsPolicy).map((_feature) => {
+            let _allow = this._permissionsPolicy[_feature].map((_origin) => (_origin === "self" || _origin === "*") ? _origin :
+                                                                             "\"" + _origin + "\"");
+            return _feature + "=(" + _allow.join(" ") + ")";
+        });
+        return (_features.length > 0) ? _features.join(", ") : null;
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {boolean} True if the request carries credentials, an Authorization header or an existing session.
+     */
+    isAuthenticated(context) {
+        return context.getRequestHeader("authorization") != null || (context.session != null && !context.session.isNew);
+    }
+    /**
+     * @param {HTTPContext} context
+     */
+    apply(context) {
+        let _headers = {"Strict-Transport-Security": this._hsts,
+                        "Content-Security-Policy": this.getContentSecurityPolicy(context.cspNonce),
+                        "X-Frame-Options": this._getFrameOptions(),
+                        "X-Content-Type-Options": (this._noSniff) ? "nosniff" : null,
+                        "Referrer-Policy": this._referrerPolicy,
+                        "Permissions-Policy": this._getPermissionsPolicy()};
+        for(let _name in _headers) {
+            if(_headers.hasOwnProperty(_name) && _headers[_name] != null) context.setResponseHeader(_name, _headers[_name]);
+        }
+        if(this._cacheControl != null && context.getResponseHeader("Cache-Control") == null && this.isAuthenticated(context))
+            context.setResponseHeader("Cache-Control", this._cacheControl);
+    }
+    /**
+     * @param {(boolean|Object)} _SecurityHeaders True for the defaults, or an object with 'hsts', 'contentSecurityPolicy',
+     *        'frameAncestors', 'noSniff', 'referrerPolicy', 'permissionsPolicy' and 'cacheControl'. Set an attribute to
+     *        false to omit the header.
+     * @return {(null|SecurityHeaderPolicy)}
+     */
+    static create(_SecurityHeaders) {
+        if(_SecurityHeaders === true) return new SecurityHeaderPolicy();
+        if(_SecurityHeaders === false || _SecurityHeaders == null) return null;
+        if(typeof _SecurityHeaders !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[SecurityHeaderPolicy.create(_SecurityHeaders)][_SecurityHeaders]: Invalid object. Argument must be a boolean or object.",
+                "securityHeaders");
+        let _policy = new SecurityHeaderPolicy();
+        let _value = (name) => (_SecurityHeaders[name] === false) ? null : _SecurityHeaders[name];
+        if(_SecurityHeaders.hasOwnProperty("hsts")) {
+            let _hsts = _value("hsts");
+            if(_hsts == null) _policy.setHSTS(null);
+            else _policy.setHSTS((typeof _hsts.maxAge === "number") ? _hsts.maxAge : 31536000, _hsts.includeSubDomains !== false,
+                                 _hsts.preload === true);
+        }
+        if(_SecurityHeaders.hasOwnProperty("contentSecurityPolicy")) {
+            let _csp = _value("contentSecurityPolicy");
+            if(_csp == null) _policy.setContentSecurityPolicy(null);
+            else _policy.setContentSecurityPolicy((typeof _csp.directives === "undefined") ? _policy.directives : _csp.directives,
+                                                  _csp.nonce === true);
+        }
+        if(_SecurityHeaders.hasOwnProperty("frameAncestors")) _policy.setFrameAncestors(_value("frameAncestors"));
+        if(_SecurityHeaders.hasOwnProperty("noSniff")) _policy.setNoSniff(_SecurityHeaders.noSniff !== false);
+        if(_SecurityHeaders.hasOwnProperty("referrerPolicy")) _policy.setReferrerPolicy(_value("referrerPolicy"));
+        if(_SecurityHeaders.hasOwnProperty("permissionsPolicy")) _policy.setPermissionsPolicy(_value("permissionsPolicy"));
+        if(_SecurityHeaders.hasOwnProperty("cacheControl")) _policy.setAuthenticatedCacheControl(_value("cacheControl"));
+        return _policy;
+    }
+}
+/**
+ * EntityTag
+ * @description Creates and compares entity tags (ETags) for conditional requests.
+ * @author Robert R Murrell
+ */
+class EntityTag {
+    /**
+     * @param {string} etag An opaque tag, or a quoted entity tag such as '"abc"' or 'W/"abc"'.
+     * @param {boolean} [weak=false] Make an opaque tag weak.
+     * @return {string} The entity tag.
+     */
+    static format(etag, weak = false) {
+        if(/^(W\/)?"[^"]*"$/.test(etag)) return etag;
+        return ((weak) ? "W/" : "") + "\"" + etag.replace(/"/g, "") + "\"";
+    }
+    /**
+     * @param {*} body
+     * @param {boolean} [weak=false]
+     * @return {string} An entity tag from the SHA-1 hash of the body.
+     */
+    static compute(body, weak = false) {
+        let _content = body;
+        if(typeof _content !== "string" && !Buffer.isBuffer(_content)) _content = JSON.stringify(_content);
+        return EntityTag.format(createHash("sha1").update(_content).digest("base64").replace(/=+$/, ""), weak);
+    }
+    /**
+     * @param {(null|string)} header An If-Match or If-None-Match header.
+     * @return {Array<string>} The entity tags, or ["*"].
+     */
+    static parse(header) {
+        if(typeof header !== "string") return [];
+        if(header.trim() === "*") return ["*"];
+        let _tags = header.match(/(W\/)?"[^"]*"/g);
+        return (_tags == null) ? [] : _tags;
+    }
+    /**
+     * @param {(null|string)} etag The current entity tag.
+     * @param {(null|string)} header An If-Match or If-None-Match header.
+     * @param {boolean} [weak=false] Use the weak comparison, otherwise weak tags never match.
+     * @return {boolean}
+     */
+    static matches(etag, header, weak = false) {
+        if(etag == null) return false;
+        let _weak = etag.startsWith("W/");
+        let _opaque = (_weak) ? etag.substring(2) : etag;
+        return EntityTag.parse(header).some((_tag) => {
+            if(_tag === "*") return true;
+            let _tagWeak = _tag.startsWith("W/");
+            if(!weak && (_weak || _tagWeak)) return false;
+            return ((_tagWeak) ? _tag.substring(2) : _tag) === _opaque;
+        });
+    }
+    /**
+     * @param {(null|string)} header An HTTP date.
+     * @return {(null|number)} The time in whole seconds, or null if the date is invalid.
+     */
+    static parseDate(header) {
+        if(typeof header !== "string") return null;
+        let _time = Date.parse(header);
+        return isNaN(_time) ? null : Math.floor(_time / 1000);
+    }
+}
+/**
+ * IdempotencyStore
+ * @description Stores idempotency records by key. A record is
+ *              {fingerprint: string, state: ("in-flight"|"complete"), created: number, expires: number,
+ *               response: (null|{status: number, headers: Object, body: *})}, with times in epoch milliseconds.
+ * @abstract
+ * @author Robert R Murrell
+ */
+class IdempotencyStore {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.IdempotencyStore";
+    constructor() {
+        this.__type = IdempotencyStore.CELASTRINAJS_TYPE;
+    }
+    /**
+     * @param azcontext
+     * @param {PropertyManager} pm
+     * @param {ResourceManager} rm
+     * @return {Promise<void>}
+     */
+    async initialize(azcontext, pm, rm) {}
+    /**
+     * @param {string} key
+     * @return {Promise<(null|Object)>}
+     * @abstract
+     */
+    async get(key) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * @param {string} key
+     * @param {Object} record
+     * @return {Promise<boolean>} False if a record already exists for the key.
+     * @abstract
+     */
+    async create(key, record) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * @param {string} key
+     * @param {Object} record
+     * @return {Promise<void>}
+     * @abstract
+     */
+    async put(key, record) {throw CelastrinaError.newError("Not Implemented.", 501);}
+    /**
+     * @param {string} key
+     * @return {Promise<void>}
+     * @abstract
+     */
+    async delete(key) {throw CelastrinaError.newError("Not Implemented.", 501);}
+}
+/**
+ * InMemoryIdempotencyStore
+ * @description Keeps records in process memory, suited to tests and single instance functions.
+ * @author Robert R Murrell
+ */
+class InMemoryIdempotencyStore extends IdempotencyStore {
+    constructor() {
+        super();
+        /**@type{Map<string, Object>}*/this._records = new Map();
+    }
+    /**@return{Map<string, Object>}*/get records() {return this._records;}
+    async get(key) {
+        let _record = this._records.get(key);
+        return (typeof _record === "undefined") ? null : JSON.parse(JSON.stringify(_record));
+    }
+    async create(key, record) {
+        if(this._records.has(key)) return false;
+        this._records.set(key, JSON.parse(JSON.stringify(record)));
+        return true;
+    }
+    async put(key, record) {this._records.set(key, JSON.parse(JSON.stringify(record)));}
+    async delete(key) {this._records.delete(key);}
+}
+/**
+ * BlobIdempotencyStore
+ * @description Keeps records as JSON block blobs in Azure Storage, authorized with a managed identity resource. Blob
+ *              names are the SHA-256 hash of the key, and records are created with 'If-None-Match: *' so concurrent
+ *              requests with the same key cannot both create a record.
+ * @author Robert R Murrell
+ */
+class BlobIdempotencyStore extends IdempotencyStore {
+    /**
+     * @param {string} storage The storage account name.
+     * @param {string} container
+     * @param {(null|string)} [path=null] A path within the container.
+     * @param {string} [resource=ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY] The resource authorization id.
+     */
+    constructor(storage, container, path = null, resource = ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY) {
+        super();
+        if(typeof storage !== "string" || storage.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[BlobIdempotencyStore][storage]: Invalid string. Argument cannot be null or zero length.", "storage");
+        if(typeof container !== "string" || container.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[BlobIdempotencyStore][container]: Invalid string. Argument cannot be null or zero length.", "container");
+        this._storage = storage.trim();
+        this._container = container.trim();
+        this._path = (typeof path === "string" && path.trim().length > 0) ? path.trim().replace(/^\/+|\/+$/g, "") : null;
+        this._resource = resource;
+        /**@type{ResourceManager}*/this._rm = null;
+        /**@type{ErrorRegistry}*/this._errors = new ErrorRegistry();
+    }
+    /**@return{string}*/get storage() {return this._storage;}
+    /**@return{string}*/get container() {return this._container;}
+    /**@return{(null|string)}*/get path() {return this._path;}
+    async initialize(azcontext, pm, rm) {
+        this._rm = rm;
+    }
+    /**
+     * @param {string} key
+     * @return {string}
+     */
+    getEndpoint(key) {
+        let _blob = createHash("sha256").update(key).digest("hex") + ".json";
+        if(this._path != null) _blob = this._path + "/" + _blob;
+        return "https://" + this._storage + ".blob.core.windows.net/" + this._container + "/" + _blob;
+    }
+    /**
+     * @param {Object} [headers={}]
+     * @return {Promise<Object>}
+     * @private
+     */
+    async _headers(headers = {}) {
+        let _token = await this._rm.getToken("https://storage.azure.com/", this._resource);
+        return Object.assign({"Authorization": "Bearer " + _token, "x-ms-version": "2020-06-12"}, headers);
+    }
+    async get(key) {
+        let _endpoint = this.getEndpoint(key);
+        try {
+            let _response = await axios.get(_endpoint, {headers: await this._headers()});
+            return _response.data;
+        }
+        catch(exception) {
+            if(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status === 404)
+                return null;
+            throw this._errors.mapDependency(exception, "Exception getting idempotency record '" + _endpoint + "'");
+        }
+    }
+    /**
+     * @param {string} key
+     * @param {Object} record
+     * @param {Object} [headers={}]
+     * @return {Promise<void>}
+     * @private
+     */
+    async _put(key, record, headers = {}) {
+        await axios.put(this.getEndpoint(key), JSON.stringify(record),
+                        {headers: await this._headers(Object.assign({"Content-Type": "application/json",
+                                                                     "x-ms-blob-content-type": "application/json",
+                                                                     "x-ms-blob-type": "BlockBlob"}, headers))});
+    }
+    async create(key, record) {
+        try {
+            await this._put(key, record, {"If-None-Match": "*"});
+            return true;
+        }
+        catch(exception) {
+            if(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status === 409)
+                return false;
+            throw this._errors.mapDependency(exception, "Exception creating idempotency record '" + this.getEndpoint(key) + "'");
+        }
+    }
+    async put(key, record) {
+        try {
+            await this._put(key, record);
+        }
+        catch(exception) {
+            throw this._errors.mapDependency(exception, "Exception saving idempotency record '" + this.getEndpoint(key) + "'");
+        }
+    }
+    async delete(key) {
+        try {
+            await axios.delete(this.getEndpoint(key), {headers: await this._headers()});
+        }
+        catch(exception) {
+            if(!(ErrorRegistry.isAxiosError(exception) && exception.response != null && exception.response.status === 404))
+                throw this._errors.mapDependency(exception, "Exception deleting idempotency record '" + this.getEndpoint(key) + "'");
+        }
+    }
+}
+/**
+ * IdempotencyPolicy
+ * @description Makes unsafe requests carrying an Idempotency-Key header safe to retry. The first request records its
+ *              fingerprint, a hash of the method, path and body, and then its final response. A retry with the same key
+ *              replays the recorded response, a retry while the first request is in flight is a 409 and reusing the
+ *              key for a different request is a 422. Server errors are not recorded so the request may be retried.
+ *              Keys are scoped to the function name and the caller, see getOwner.
+ * @author Robert R Murrell
+ */
+class IdempotencyPolicy {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.IdempotencyPolicy";
+    /**
+     * @param {IdempotencyStore} [store=new InMemoryIdempotencyStore()]
+     * @param {Array<string>} [methods=["post", "patch"]]
+     * @param {number} [ttl=86400] Seconds a completed response is replayed.
+     * @param {number} [lockTimeout=60] Seconds after which an in-flight request is considered abandoned.
+     * @param {string} [header="idempotency-key"]
+     */
+    constructor(store = new InMemoryIdempotencyStore(), methods = ["post", "patch"], ttl = 86400, lockTimeout = 60,
+                header = "idempotency-key") {
+        if(!instanceOfCelastringType(IdempotencyStore.CELASTRINAJS_TYPE, store))
+            throw CelastrinaValidationError.newValidationError("Argument 'store' is required and must be of type '" +
+                                                               IdempotencyStore.CELASTRINAJS_TYPE + "'.", "store");
+        this._store = store;
+        this._methods = methods.map((_method) => _method.trim().toLowerCase());
+        this._ttl = ttl;
+        this._lockTimeout = lockTimeout;
+        this._header = header.trim().toLowerCase();
+        this.__type = IdempotencyPolicy.CELASTRINAJS_TYPE;
+    }
+    /**@return{IdempotencyStore}*/get store() {return this._store;}
+    /**@return{Array<string>}*/get methods() {return this._methods;}
+    /**@return{number}*/get ttl() {return this._ttl;}
+    /**@return{number}*/get lockTimeout() {return this._lockTimeout;}
+    /**@return{string}*/get header() {return this._header;}
+    /**
+     * @param azcontext
+     * @param {PropertyManager} pm
+     * @param {ResourceManager} rm
+     * @return {Promise<void>}
+     */
+    async initialize(azcontext, pm, rm) {
+        await this._store.initialize(azcontext, pm, rm);
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {string}
+     */
+    fingerprint(context) {
+        let _body = context.raw;
+        if(typeof _body !== "string" && !Buffer.isBuffer(_body)) _body = JSON.stringify(context.requestBody);
+        let _path = new URL(context.url, "http://localhost").pathname;
+        return createHash("sha256").update(context.method + " " + _path + "\n").update((_body == null) ? "" : _body)
+                                   .digest("base64");
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {string} The caller a key is scoped to: the authenticated subject, else the session the request carries,
+     *                  else 'anonymous' for requests with neither.
+     */
+    getOwner(context) {
+        if(context.subject != null && context.subject.id != null && context.subject.id !== context.requestId)
+            return "subject:" + context.subject.id;
+        if(context.session != null && !context.session.isNew) return "session:" + context.session.id;
+        return "anonymous";
+    }
+    /**
+     * @param {HTTPContext} context
+     * @param {Object} record
+     * @private
+     */
+    _replay(context, record) {
+        let _response = context.response;
+        _response.status = record.response.status;
+        _response.headers = Object.assign({}, record.response.headers);
+        _response.headers["X-celastrina-request-uuid"] = context.requestId;
+        _response.headers["Idempotent-Replayed"] = "true";
+        _response.body = record.response.body;
+    }
+    /**
+     * Starts an idempotent request.
+     * @param {HTTPContext} context
+     * @return {Promise<boolean>} True if a recorded response was replayed and the request must not be processed.
+     * @throws {CelastrinaError} A 409 if the original request is in flight, 422 if the key was used for a different
+     *         request, or 400 if the key is invalid.
+     */
+    async begin(context) {
+        if(!this._methods.includes(context.method)) return false;
+        let _key = context.getRequestHeader(this._header);
+        if(_key == null) return false;
+        if(_key.trim().length === 0 || _key.length > 255)
+            throw CelastrinaValidationError.newValidationError("Invalid idempotency key.", "header." + this._header);
+        let _id = context.config.name + ":" + this.getOwner(context) + ":" + _key;
+        let _fingerprint = this.fingerprint(context);
+        let _now = Date.now();
+        let _record = {fingerprint: _fingerprint, state: "in-flight", created: _now, expires: _now + (this._ttl * 1000),
+                       response: null};
+        if(!(await this._store.create(_id, _record))) {
+            let _existing = await this._store.get(_id);
+            let _abandoned = _existing != null && _existing.state === "in-flight" &&
+                             _existing.created + (this._lockTimeout * 1000) <= _now;
+            if(_existing != null && _existing.expires > _now && !_abandoned) {
+                if(_existing.fingerprint !== _fingerprint)
+                    throw CelastrinaError.newError("Idempotency key '" + _key + "' was used for a different request.", 422);
+                if(_existing.state === "in-flight")
+                    throw new CelastrinaConflictError("Request with idempotency key '" + _key + "' is in progress.");
+                this._replay(context, _existing);
+                return true;
+            }
+            await this._store.put(_id, _record);
+        }
+        context.setIdempotencyKey(_id);
+        return false;
+    }
+    /**
+     * Records the final response of an idempotent request, or removes the record for a server error.
+     * @param {HTTPContext} context
+     * @return {Promise<void>}
+     */
+    async complete(context) {
+        let _id = context.idempotencyKey;
+        if(_id == null) return;
+        let _response = context.response;
+        if(_response.status >= 500)
+            await this._store.delete(_id);
+        else {
+            let _headers = Object.assign({}, _response.headers);
+            delete _headers["Set-Cookie"];
+            let _now = Date.now();
+            await this._store.put(_id, {fingerprint: this.fingerprint(context), state: "complete", created: _now,
+                                        expires: _now + (this._ttl * 1000),
+                                        response: {status: _response.status, headers: _headers, body: _response.body}});
+        }
+    }
+    /**
+     * @param {(boolean|Object)} _Idempotency True for an in-memory store, or an object with 'methods', 'ttl',
+     *        'lockTimeout', 'header' and 'blob' {storage, container, path, resource} for a blob store.
+     * @return {(null|IdempotencyPolicy)}
+     */
+    static create(_Idempotency) {
+        if(_Idempotency === true) return new IdempotencyPolicy();
+        if(_Idempotency === false || _Idempotency == null) return null;
+        if(typeof _Idempotency !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[IdempotencyPolicy.create(_Idempotency)][_Idempotency]: Invalid object. Argument must be a boolean or object.",
+                "idempotency");
+        let _store = new InMemoryIdempotencyStore();
+        if(typeof _Idempotency.blob === "object" && _Idempotency.blob != null) {
+            let _blob = _Idempotency.blob;
+            _store = new BlobIdempotencyStore(_blob.storage, _blob.container, _blob.path,
+                                              (typeof _blob.resource === "string") ? _blob.resource :
+                                                  ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY);
+        }
+        return new IdempotencyPolicy(_store, Array.isArray(_Idempotency.methods) ? _Idempotency.methods : ["post", "patch"],
+                                     (typeof _Idempotency.ttl === "number") ? _Idempotency.ttl : 86400,
+                                     (typeof _Idempotency.lockTimeout === "number") ? _Idempotency.lockTimeout : 60,
+                                     (typeof _Idempotency.header === "string") ? _Idempotency.header : "idempotency-key");
+    }
+}
+/**
+ * OpenAPIGenerator
+ * @description Builds an OpenAPI 3 document from an HTTPFunction: its routes or method handlers, the request validators
+ *              of the HTTPAddOn, the Permission of each operation and the JwtAddOn issuers as security schemes. Set on
+ *              the HTTPAddOn to serve the document for 'GET ?openapi=true' after authentication and authorization of
+ *              the 'openapi' action, or call generate from a script. Without a Permission for the action, the document
+ *              is only served if authorization is optimistic. Without routes, operations are documented at the base
+ *              path of the Router followed by the Configuration name, the default route of an Azure Function.
+ * @author Robert R Murrell
+ */
+class OpenAPIGenerator {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.OpenAPIGenerator";
+    static VERSION = "3.0.3";
+    static METHODS = ["get", "put", "post", "delete", "options", "head", "patch"];
+    static PATH_TYPES = {
+        "string": {type: "string"},
+        "int": {type: "integer"},
+        "number": {type: "number"},
+        "bool": {type: "boolean"},
+        "uuid": {type: "string", format: "uuid"}
+    };
+    /**
+     * @param {(null|string)} [title=null] The document title, null for the Configuration name.
+     * @param {string} [version="1.0.0"] The API version.
+     * @param {Array<string>} [servers=[]] The server URLs.
+     * @param {(null|string)} [description=null]
+     * @param {string} [parameter="openapi"] The query parameter requesting the document.
+     * @param {string} [action="openapi"] The Sentry action authorized to read the document.
+     * @param {boolean} [roles=false] True to list the roles of each operation in 'x-celastrina-roles'.
+     */
+    constructor(title = null, version = "1.0.0", servers = [], description = null,
+                parameter = "openapi", action = "openapi", roles = false) {
+        if(typeof version !== "string" || version.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[OpenAPIGenerator][version]: Invalid string. Argument cannot be null or zero length.", "version");
+        if(!Array.isArray(servers))
+            throw CelastrinaValidationError.newValidationError(
+                "[OpenAPIGenerator][servers]: Invalid array. Argument must be an array.", "servers");
+        if(typeof parameter !== "string" || parameter.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[OpenAPIGenerator][parameter]: Invalid string. Argument cannot be null or zero length.", "parameter");
+        if(typeof action !== "string" || action.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[OpenAPIGenerator][action]: Invalid string. Argument cannot be null or zero length.", "action");
+        this._title = title;
+        this._version = version.trim();
+        this._servers = servers;
+        this._description = description;
+        this._parameter = parameter.trim();
+        this._action = action.trim().toLowerCase();
+        this._roles = roles === true;
+        this.__type = OpenAPIGenerator.CELASTRINAJS_TYPE;
+    }
+    /**@return{(null|string)}*/get title() {return this._title;}
+    /**@return{string}*/get version() {return this._version;}
+    /**@return{Array<string>}*/get servers() {return this._servers;}
+    /**@return{(null|string)}*/get description() {return this._description;}
+    /**@return{string}*/get parameter() {return this._parameter;}
+    /**@return{string}*/get action() {return this._action;}
+    /**@return{boolean}*/get roles() {return this._roles;}
+    /**
+     * @param {HTTPContext} context
+     * @return {boolean}
+     */
+    isDocumentRequest(context) {
+        return context.method === "get" && context.getQuery(this._parameter) === "true";
+    }
+    /**
+     * @param {HTTPFunction} func
+     * @return {Array<{method: string, path: string, action: string, permission: (null|Permission),
+     *          parameters: Array<{name: string, type: string}>}>}
+     */
+    getOperations(func) {
+        let _router = func.router;
+        let _base = (_router.basePath === "/") ? "" : _router.basePath;
+        if(_router.isEmpty) {
+            let _path = _base + "/" + func.configuration.name;
+            return OpenAPIGenerator.METHODS.filter((_method) => typeof func["_" + _method] === "function")
+                .map((_method) => {return {method: _method, path: _path, action: _method, permission: null, parameters: []};});
+        }
+        return _router.routes.map((_route) => {
+            let _template = _route.template.replace(/{\*?([A-Za-z_$][\w$]*)(?::\w+)?}/g, "{$1}");
+            if(!_template.startsWith("/")) _template = "/" + _template;
+            return {method: _route.method, path: _base + _template,
+                    action: (_route.action == null) ? _route.method : _route.action, permission: _route.permission,
+                    parameters: _route.segments.filter((_segment) => _segment.name != null)};
+        });
+    }
+    /**
+     * @param {(null|HTTPAddOn)} addon
+     * @return {Object<string, Object>} The security schemes, keyed by issuer.
+     */
+    getSecuritySchemes(addon) {
+        let _schemes = {};
+        if(!(addon instanceof JwtAddOn)) return _schemes;
+        let _type = (addon.parameter != null) ? addon.parameter.type : "header";
+        let _token = (typeof addon.token === "string") ? addon.token : "authorization";
+        for(let _issuer of addon.issuers) {
+            let _name = String(_issuer.issuer).replace(/[^A-Za-z0-9._-]+/g, "_");
+            if(_issuer instanceof OpenIDJwtIssuer && typeof _issuer.configURL === "string")
+                _schemes[_name] = {type: "openIdConnect", openIdConnectUrl: _issuer.configURL, description: _issuer.issuer};
+            else if((_type === "header" && _token.toLowerCase() === "authorization") ||
+                    !["header", "query", "cookie"].includes(_type))
+                _schemes[_name] = {type: "http", scheme: "bearer", bearerFormat: "JWT", description: _issuer.issuer};
+            else
+                _schemes[_name] = {type: "apiKey", in: _type, name: _token, description: _issuer.issuer};
+        }
+        return _schemes;
+    }
+    /**
+     * @param {(null|RequestValidator)} validator
+     * @param {Array<string>} mediaTypes
+     * @return {(null|Object)}
+     * @private
+     */
+    static _getRequestBody(validator, mediaTypes) {
+        if(validator == null) return null;
+        let _body = {type: "object", properties: {}, required: []};
+        let _form = {type: "object", properties: {}, required: []};
+        for(let _parameter of validator.parameters) {
+            let _type = _parameter.parameter.type;
+            let _target = (_type === "body") ? _body : ((_type === "form" || _type === "file") ? _form : null);
+            if(_target == null) continue;
+            _target.properties[_parameter.name] = (_type === "file") ? {type: "string", format: "binary"} :
+                                                  ((_parameter.schema != null) ? _parameter.schema.schema : {});
+            if(_parameter.required) _target.required.push(_parameter.name);
+        }
+        let _content = {};
+        let _schema = null;
+        if(validator.body != null) _schema = validator.body.schema;
+        else if(Object.keys(_body.properties).length > 0) {
+            if(_body.required.length === 0) delete _body.required;
+            _schema = _body;
+        }
+        if(_schema != null) {
+            for(let _mediaType of mediaTypes) _content[_mediaType] = {schema: _schema};
+        }
+        if(Object.keys(_form.properties).length > 0) {
+            if(_form.required.length === 0) delete _form.required;
+            _content["multipart/form-data"] = {schema: _form};
+        }
+        if(Object.keys(_content).length === 0) return null;
+        return {required: true, content: _content};
+    }
+    /**
+     * @param {{method: string, path: string, action: string, permission: (null|Permission),
+     *          parameters: Array<{name: string, type: string}>}} operation
+     * @param {Configuration} config
+     * @param {(null|HTTPAddOn)} addon
+     * @param {Array<string>} schemes The security scheme names.
+     * @return {Object}
+     */
+    createOperation(operation, config, addon, schemes) {
+        let _mediaTypes = (addon != null && addon.contentNegotiator != null) ?
+                              addon.contentNegotiator.serializers.map((_serializer) => _serializer.mediaType) :
+                              ["application/json"];
+        let _errorType = (addon != null && addon.problemDetails != null) ? "application/problem+json" : "application/json";
+        let _operation = {
+            operationId: (operation.method + operation.path).replace(/[^A-Za-z0-9]+/g, "_").replace(/_+$/, ""),
+            parameters: operation.parameters.map((_segment) => {
+                return {name: _segment.name, in: "path", required: true,
+                        schema: Object.assign({}, OpenAPIGenerator.PATH_TYPES[_segment.type])};
+            }),
+            responses: {}
+        };
+        let _validator = (addon != null) ? addon.getRequestValidator(operation.method) : null;
+        if(_validator != null) {
+            for(let _parameter of _validator.parameters) {
+                let _in = _parameter.parameter.type;
+                if(!["header", "query", "cookie"].includes(_in)) continue;
+                let _param = {name: _parameter.name, in: _in, required: _parameter.required};
+                if(_parameter.schema != null) _param.schema = _parameter.schema.schema;
+                _operation.parameters.push(_param);
+            }
+            let _body = OpenAPIGenerator._getRequestBody(_validator, _mediaTypes);
+            if(_body != null) _operation.requestBody = _body;
+        }
+        if(_operation.parameters.length === 0) delete _operation.parameters;
+        let _content = {};
+        for(let _mediaType of _mediaTypes) _content[_mediaType] = {};
+        _operation.responses["200"] = {description: "Success.", content: _content};
+        if(_validator != null) _operation.responses["400"] = {description: "Invalid request.", content: {[_errorType]: {}}};
+        /**@type{Permission}*/let _permission = (operation.permission != null) ? operation.permission :
+                                                    config.permissions.getPermission(operation.action);
+        if(_permission != null) {
+            _operation.responses["401"] = {description: "Not authenticated.", content: {[_errorType]: {}}};
+            _operation.responses["403"] = {description: "Not authorized.", content: {[_errorType]: {}}};
+            if(schemes.length > 0) _operation.security = schemes.map((_scheme) => {return {[_scheme]: []};});
+            if(this._roles) _operation["x-celastrina-roles"] = [..._permission.roles];
+        }
+        _operation.responses["default"] = {description: "Error.", content: {[_errorType]: {}}};
+        return _operation;
+    }
+    /**
+     * Generates the document. The Configuration must be initialized if any of its settings are loaded from properties.
+     * @param {HTTPFunction} func
+     * @return {Promise<Object>} The OpenAPI document.
+     */
+    async generate(func) {
+        /**@type{Configuration}*/let _config = func.configuration;
+        /**@type{HTTPAddOn}*/let _addon = await _config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(typeof _addon === "undefined") _addon = null;
+        let _document = {openapi: OpenAPIGenerator.VERSION,
+                         info: {title: (this._title == null) ? _config.name : this._title, version: this._version},
+                         paths: {}};
+        if(this._description != null) _document.info.description = this._description;
+        if(this._servers.length > 0) _document.servers = this._servers.map((_url) => {return {url: _url};});
+        let _schemes = this.getSecuritySchemes(_addon);
+        if(Object.keys(_schemes).length > 0) _document.components = {securitySchemes: _schemes};
+        for(let _operation of this.getOperations(func)) {
+            if(!_document.paths.hasOwnProperty(_operation.path)) _document.paths[_operation.path] = {};
+            _document.paths[_operation.path][_operation.method] = this.createOperation(_operation, _config, _addon,
+                                                                                       Object.keys(_schemes));
+        }
+        return _document;
+    }
+    /**
+     * @param {(boolean|Object)} _OpenAPI True for the defaults, false or null to disable, or an object with 'title',
+     *        'version', 'servers', 'description', 'parameter', 'action' and 'roles'.
+     * @return {(null|OpenAPIGenerator)}
+     */
+    static create(_OpenAPI) {
+        if(_OpenAPI === true) return new OpenAPIGenerator();
+        if(_OpenAPI === false || _OpenAPI == null) return null;
+        if(typeof _OpenAPI !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[OpenAPIGenerator.create(_OpenAPI)][_OpenAPI]: Invalid object. Argument must be a boolean or object.",
+                "openAPI");
+        return new OpenAPIGenerator((typeof _OpenAPI.title === "string") ? _OpenAPI.title : null,
+                                    (_OpenAPI.hasOwnProperty("version")) ? _OpenAPI.version : "1.0.0",
+                                    (_OpenAPI.hasOwnProperty("servers")) ? _OpenAPI.servers : [],
+                                    (typeof _OpenAPI.description === "string") ? _OpenAPI.description : null,
+                                    (_OpenAPI.hasOwnProperty("parameter")) ? _OpenAPI.parameter : "openapi",
+                                    (_OpenAPI.hasOwnProperty("action")) ? _OpenAPI.action : "openapi",
+                                    _OpenAPI.roles === true);
+    }
+}
+/**
+ * RequestGuard
+ * @description Rejects requests before authentication: raw bodies larger than the maximum size (413), parsed bodies
+ *              deeper or wider than the limits or holding prototype keys such as '__proto__' (400), and clients
+ *              exceeding the rate limit (429). The rate and size limits are checked before cookies and sessions are
+ *              loaded. Depth and width are checked on the parsed body, limiting what handlers receive but not the
+ *              parsing work: JSON is parsed by the Azure Functions runtime, and XML, CSV and NDJSON are parsed in full
+ *              by the content negotiator first, bounded only by the maximum size and, for XML, the maxDepth of the
+ *              XMLBodySerializer. The rate limit is per function instance and keyed by the client address the trusted
+ *              front end appended to 'x-forwarded-for', see getClient. Requests without that address share a single
+ *              'unknown' client, so rate limits require a front end that sets 'x-forwarded-for'.
+ * @author Robert R Murrell
+ */
+class RequestGuard {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.RequestGuard";
+    static PROTOTYPE_KEYS = ["__proto__", "constructor", "prototype"];
+    /**
+     * @param {(null|number)} [maxSize=1048576] The maximum raw body size in bytes, null for no limit.
+     * @param {(null|number)} [maxDepth=32] The maximum nesting of objects and arrays, null for no limit.
+     * @param {(null|number)} [maxWidth=1000] The maximum keys of an object or elements of an array, null for no limit.
+     * @param {(null|number)} [rateLimit=null] The maximum requests per client per window, null for no limit.
+     * @param {number} [rateWindow=60] The rate window in seconds.
+     * @param {number} [trustedProxies=1] The number of trusted proxies appending to 'x-forwarded-for', 0 to ignore it.
+     */
+    constructor(maxSize = 1048576, maxDepth = 32, maxWidth = 1000, rateLimit = null,
+                rateWindow = 60, trustedProxies = 1) {
+        this._maxSize = RequestGuard._checkLimit(maxSize, "maxSize");
+        this._maxDepth = RequestGuard._checkLimit(maxDepth, "maxDepth");
+        this._maxWidth = RequestGuard._checkLimit(maxWidth, "maxWidth");
+        this._rateLimit = RequestGuard._checkLimit(rateLimit, "rateLimit");
+        if(typeof rateWindow !== "number" || rateWindow <= 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[RequestGuard][rateWindow]: Invalid number. Argument must be greater than 0.", "rateWindow");
+        this._rateWindow = rateWindow;
+        if(typeof trustedProxies !== "number" || trustedProxies < 0 || !Number.isInteger(trustedProxies))
+            throw CelastrinaValidationError.newValidationError(
+                "[RequestGuard][trustedProxies]: Invalid number. Argument must be an integer 0 or greater.", "trustedProxies");
+        this._trustedProxies = trustedProxies;
+        /**@type{Map<string, {count: number, reset: number}>}*/this._clients = new Map();
+        this.__type = RequestGuard.CELASTRINAJS_TYPE;
+    }
+    /**
+     * @param {(null|number)} limit
+     * @param {string} name
+     * @return {(null|number)}
+     * @private
+     */
+    static _checkLimit(limit, name) {
+        if(limit != null && (typeof limit !== "number" || limit < 0))
+            throw CelastrinaValidationError.newValidationError(
+                "[RequestGuard][" + name + "]: Invalid number. Argument must be null or 0 or greater.", name);
+        return limit;
+    }
+    /**@return{(null|number)}*/get maxSize() {return this._maxSize;}
+    /**@return{(null|number)}*/get maxDepth() {return this._maxDepth;}
+    /**@return{(null|number)}*/get maxWidth() {return this._maxWidth;}
+    /**@return{(null|number)}*/get rateLimit() {return this._rateLimit;}
+    /**@return{number}*/get rateWindow() {return this._rateWindow;}
+    /**@return{number}*/get trustedProxies() {return this._trustedProxies;}
+    /**
+     * Entries before those appended by trusted proxies are set by the client and are ignored.
+     * @param {HTTPContext} context
+     * @return {string} The address the outermost trusted proxy appended to 'x-forwarded-for', without an IPv4 port,
+     *                  or 'unknown'.
+     */
+    getClient(context) {
+        let _forwarded = context.getRequestHeader("x-forwarded-for");
+        if(this._trustedProxies === 0 || typeof _forwarded !== "string") return "unknown";
+        let _addresses = _forwarded.split(",").map((_address) => _address.trim()).filter((_address) => _address.length > 0);
+        if(_addresses.length === 0) return "unknown";
+        let _client = _addresses[Math.max(0, _addresses.length - this._trustedProxies)];
+        if(/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(_client)) _client = _client.substring(0, _client.lastIndexOf(":"));
+        return _client;
+    }
+    /**
+     * @param {HTTPContext} context
+     * @throws {CelastrinaTooManyRequestsError}
+     */
+    checkRate(context) {
+        if(this._rateLimit == null) return;
+        let _now = Date.now();
+        if(this._clients.size > 10000) {
+            for(let [_client, _entry] of this._clients) {
+                if(_entry.reset <= _now) this._clients.delete(_client);
+            }
+        }
+        let _client = this.getClient(context);
+        let _entry = this._clients.get(_client);
+        if(typeof _entry === "undefined" || _entry.reset <= _now) {
+            _entry = {count: 0, reset: _now + (this._rateWindow * 1000)};
+            this._clients.set(_client, _entry);
+        }
+        _entry.count += 1;
+        if(_entry.count > this._rateLimit)
+            throw new CelastrinaTooManyRequestsError("Rate limit of " + this._rateLimit + " requests per " +
+                                                     this._rateWindow + " seconds exceeded.",
+                                                     Math.ceil((_entry.reset - _now) / 1000));
+    }
+    /**
+     * @param {HTTPContext} context
+     * @throws {CelastrinaError}
+     */
+    checkSize(context) {
+        if(this._maxSize == null) return;
+        let _raw = context.raw;
+        if(typeof _raw === "undefined" || _raw == null) _raw = context.request.body;
+        let _size = 0;
+        if(Buffer.isBuffer(_raw)) _size = _raw.length;
+        else if(typeof _raw === "string") _size = Buffer.byteLength(_raw, "utf8");
+        else {
+            let _length = parseInt(context.getRequestHeader("content-length", "0"), 10);
+            if(!isNaN(_length)) _size = _length;
+        }
+        if(_size > this._maxSize)
+            throw CelastrinaError.newError("Request body exceeds the maximum size of " + this._maxSize + " bytes.", 413);
+    }
+    /**
+     * @param {*} body The parsed request body.
+     * @throws {CelastrinaValidationError}
+     */
+    checkStructure(body) {
+        /**@type{Array<{value: *, depth: number}>}*/let _stack = [{value: body, depth: 0}];
+        while(_stack.length > 0) {
+            let {value: _value, depth: _depth} = _stack.pop();
+            if(typeof _value !== "object" || _value == null || Buffer.isBuffer(_value)) continue;
+            if(this._maxDepth != null && _depth >= this._maxDepth)
+                throw CelastrinaValidationError.newValidationError("Request body exceeds the maximum depth of " +
+                                                                   this._maxDepth + ".", "body");
+            let _keys = Object.keys(_value);
+            if(this._maxWidth != null && _keys.length > this._maxWidth)
+                throw CelastrinaValidationError.newValidationError("Request body exceeds the maximum width of " +
+                                                                   this._maxWidth + ".", "body");
+            for(let _key of _keys) {
+                if(!Array.isArray(_value) && RequestGuard.PROTOTYPE_KEYS.includes(_key))
+                    throw CelastrinaValidationError.newValidationError("Request body key '" + _key + "' is not allowed.",
+                                                                       "body");
+                _stack.push({value: _value[_key], depth: _depth + 1});
+            }
+        }
+    }
+    /**
+     * @param {(boolean|Object)} _RequestGuard True for the defaults, false or null to disable, or an object with
+     *        'maxSize', 'maxDepth', 'maxWidth', 'rateLimit' and 'rateWindow'.
+     * @return {(null|RequestGuard)}
+     */
+    static create(_RequestGuard) {
+        if(_RequestGuard === true) return new RequestGuard();
+        if(_RequestGuard === false || _RequestGuard == null) return null;
+        if(typeof _RequestGuard !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[RequestGuard.create(_RequestGuard)][_RequestGuard]: Invalid object. Argument must be a boolean or object.",
+                "requestGuard");
+        return new RequestGuard((_RequestGuard.hasOwnProperty("maxSize")) ? _RequestGuard.maxSize : 1048576,
+                                (_RequestGuard.hasOwnProperty("maxDepth")) ? _RequestGuard.maxDepth : 32,
+                                (_RequestGuard.hasOwnProperty("maxWidth")) ? _RequestGuard.maxWidth : 1000,
+                                (_RequestGuard.hasOwnProperty("rateLimit")) ? _RequestGuard.rateLimit : null,
+                                (_RequestGuard.hasOwnProperty("rateWindow")) ? _RequestGuard.rateWindow : 60,
+                                (_RequestGuard.hasOwnProperty("trustedProxies")) ? _RequestGuard.trustedProxies : 1);
+    }
+}
+/**
+ * CookiePolicy
+ * @description Applies Secure, HttpOnly, SameSite and Path defaults to every cookie an HTTPContext writes, without
+ *              replacing options set on the cookie. Cookies named in 'signed' are signed with the first secret when
+ *              written, and verified against all secrets when read so secrets can be rotated. A signed cookie that
+ *              fails verification is dropped from the request.
+ * @author Robert R Murrell
+ */
+class CookiePolicy {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.CookiePolicy";
+    static SAME_SITE = ["strict", "lax", "none"];
+    /**
+     * @param {boolean} [secure=true]
+     * @param {boolean} [httpOnly=true]
+     * @param {(null|"strict"|"lax"|"none")} [sameSite="lax"]
+     * @param {(null|string)} [path="/"]
+     * @param {(null|string|Array<string>)} [secret=null] The signing secret, or secrets with the signing secret first.
+     * @param {Array<string>} [signed=[]] The names of the cookies to sign and verify.
+     */
+    constructor(secure = true, httpOnly = true, sameSite = "lax", path = "/", secret = null, signed = []) {
+        if(sameSite != null && !CookiePolicy.SAME_SITE.includes(sameSite))
+            throw CelastrinaValidationError.newValidationError(
+                "[CookiePolicy][sameSite]: Invalid string. Argument must be one of '" + CookiePolicy.SAME_SITE.join("', '") + "'.",
+                "sameSite");
+        let _secrets = (secret == null) ? [] : ((Array.isArray(secret)) ? secret : [secret]);
+        for(const _secret of _secrets) {
+            if(typeof _secret !== "string" || _secret.length < 16)
+                throw CelastrinaValidationError.newValidationError(
+                    "[CookiePolicy][secret]: Invalid string. Secrets must be at least 16 characters.", "secret");
+        }
+        if(!Array.isArray(signed))
+            throw CelastrinaValidationError.newValidationError("[CookiePolicy][signed]: Invalid array.", "signed");
+        if(signed.length > 0 && _secrets.length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[CookiePolicy][secret]: Invalid string. A secret is required to sign cookies.", "secret");
+        this._secure = secure;
+        this._httpOnly = httpOnly;
+        this._sameSite = sameSite;
+        this._path = path;
+        /**@type{Array<string>}*/this._secrets = _secrets;
+        /**@type{Array<string>}*/this._signed = signed;
+        this.__type = CookiePolicy.CELASTRINAJS_TYPE;
+    }
+    /**@return{boolean}*/get secure() {return this._secure;}
+    /**@return{boolean}*/get httpOnly() {return this._httpOnly;}
+    /**@return{(null|string)}*/get sameSite() {return this._sameSite;}
+    /**@return{(null|string)}*/get path() {return this._path;}
+    /**@return{Array<string>}*/get signed() {return this._signed;}
+    /**
+     * @param {string} name
+     * @return {boolean}
+     */
+    isSigned(name) {return this._signed.includes(name);}
+    /**
+     * Verifies a cookie read from the request. A verified cookie is signed with the first secret if it is written again.
+     * @param {Cookie} cookie A cookie read from the request.
+     * @return {boolean} False if the cookie must be signed and the signature does not match.
+     */
+    verify(cookie) {
+        if(!this.isSigned(cookie.name)) return true;
+        let _value = Cookie.verifyValue(cookie.name, cookie.value, this._secrets);
+        if(_value == null) return false;
+        cookie.load(_value, this._secrets[0]);
+        return true;
+    }
+    /**
+     * @param {Cookie} cookie A cookie to write.
+     */
+    apply(cookie) {
+        let _default = (name, value) => {
+            if(value != null && typeof cookie.options[name] === "undefined") cookie.setOption(name, value);
+        };
+        _default("secure", this._secure || cookie.name.startsWith("__Secure-") || cookie.name.startsWith("__Host-") ||
+                           this._sameSite === "none" || null);
+        _default("httpOnly", this._httpOnly || null);
+        _default("sameSite", this._sameSite);
+        _default("path", this._path);
+        if(this.isSigned(cookie.name) && !cookie.signed) cookie.sign(this._secrets[0]);
+    }
+    /**
+     * @param {(boolean|null|{secure:(undefined|boolean),httpOnly:(undefined|boolean),sameSite:(undefined|null|string),
+     *          path:(undefined|null|string),secret:(undefined|string|Array<string>),signed:(undefined|Array<string>)})} _Cookies
+     * @return {(null|CookiePolicy)}
+     */
+    static create(_Cookies) {
+        if(_Cookies === true) return new CookiePolicy();
+        if(_Cookies === false || _Cookies == null) return null;
+        if(typeof _Cookies !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[CookiePolicy.create(_Cookies)][_Cookies]: Invalid object. Argument must be a boolean or object.", "cookies");
+        return new CookiePolicy(_Cookies.secure !== false, _Cookies.httpOnly !== false,
+                                (typeof _Cookies.sameSite === "undefined") ? "lax" : _Cookies.sameSite,
+                                (typeof _Cookies.path === "undefined") ? "/" : _Cookies.path,
+                                (typeof _Cookies.secret === "undefined") ? null : _Cookies.secret,
+                                Array.isArray(_Cookies.signed) ? _Cookies.signed : []);
+    }
+}
+/**
+ * CSRFPolicy
+ * @description Protects unsafe requests from cross-site request forgery. The Origin header, or the origin of the Referer
+ *              header, must be the origin of the request or one of 'origins'. With the 'session' mode the request must
+ *              also carry the synchronizer token stored in the Session, and with the 'cookie' mode the signed
+ *              double-submit token from the CSRF cookie, in the token header or the token form field. A request with
+ *              neither header, such as from a non-browser client or a page with 'Referrer-Policy: no-referrer', is
+ *              accepted on a valid token alone, and rejected if the mode is null. Requests without cookies are not
+ *              checked, as a forged request carries the cookies of the user.
+ * @author Robert R Murrell
+ */
+class CSRFPolicy {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.CSRFPolicy";
+    static MODES = ["session", "cookie"];
+    /**
+     * @param {(null|"session"|"cookie")} [mode="session"] The token pattern, or null to verify origins only.
+     * @param {(null|string|Array<string>)} [secret=null] The signing secret for the 'cookie' mode, or secrets with the
+     *                                                    signing secret first.
+     * @param {Array<string>} [origins=[]] Origins allowed in addition to the origin of the request.
+     * @param {Array<string>} [methods=["post", "put", "patch", "delete"]] The methods to protect.
+     * @param {string} [header="x-csrf-token"]
+     * @param {string} [field="_csrf"] The form field carrying the token.
+     * @param {string} [name="csrf"] The session property or cookie name.
+     */
+    constructor(mode = "session", secret = null, origins = [], methods = ["post", "put", "patch", "delete"],
+                header = "x-csrf-token", field = "_csrf", name = "csrf") {
+        if(mode != null && !CSRFPolicy.MODES.includes(mode))
+            throw CelastrinaValidationError.newValidationError(
+                "[CSRFPolicy][mode]: Invalid string. Argument must be one of '" + CSRFPolicy.MODES.join("', '") + "'.", "mode");
+        let _secrets = (secret == null) ? [] : ((Array.isArray(secret)) ? secret : [secret]);
+        for(const _secret of _secrets) {
+            if(typeof _secret !== "string" || _secret.length < 16)
+                throw CelastrinaValidationError.newValidationError(
+                    "[CSRFPolicy][secret]: Invalid string. Secrets must be at least 16 characters.", "secret");
+        }
+        if(mode === "cookie" && _secrets.length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[CSRFPolicy][secret]: Invalid string. A secret is required for the 'cookie' mode.", "secret");
+        if(!Array.isArray(origins))
+            throw CelastrinaValidationError.newValidationError("[CSRFPolicy][origins]: Invalid array.", "origins");
+        if(!Array.isArray(methods))
+            throw CelastrinaValidationError.newValidationError("[CSRFPolicy][methods]: Invalid array.", "methods");
+        this._mode = mode;
+        /**@type{Array<string>}*/this._secrets = _secrets;
+        /**@type{Array<string>}*/this._origins = origins.map((_origin) => _origin.trim().toLowerCase().replace(/\/+$/, ""));
+        /**@type{Array<string>}*/this._methods = methods.map((_method) => _method.trim().toLowerCase());
+        this._header = header.toLowerCase();
+        this._field = field;
+        this._name = name;
+        this.__type = CSRFPolicy.CELASTRINAJS_TYPE;
+    }
+    /**@return{(null|string)}*/get mode() {return this._mode;}
+    /**@return{Array<string>}*/get origins() {return this._origins;}
+    /**@return{Array<string>}*/get methods() {return this._methods;}
+    /**@return{string}*/get header() {return this._header;}
+    /**@return{string}*/get field() {return this._field;}
+    /**@return{string}*/get name() {return this._name;}
+    /**
+     * @param {string} method
+     * @return {boolean}
+     */
+    isProtected(method) {return this._methods.includes(method.toLowerCase());}
+    /**
+     * @param {HTTPContext} context
+     * @return {(null|string)} The origin of the Origin header, or of the Referer header if there is no Origin header.
+     */
+    getOrigin(context) {
+        let _origin = context.getRequestHeader("origin", null);
+        if(_origin == null || _origin === "null") {
+            let _referer = context.getRequestHeader("referer", null);
+            if(_referer == null) return _origin;
+            try {
+                _origin = new URL(_referer).origin;
+            }
+            catch(exception) {
+                return "null";
+            }
+        }
+        return _origin.trim().toLowerCase().replace(/\/+$/, "");
+    }
+    /**
+     * @param {HTTPContext} context
+     * @param {(null|string)} origin
+     * @return {boolean}
+     */
+    isOriginAllowed(context, origin) {
+        if(origin == null) return false;
+        if(this._origins.includes(origin)) return true;
+        try {
+            return new URL(context.url).origin.toLowerCase() === origin;
+        }
+        catch(exception) {
+            return false;
+        }
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {string} The cookie name the signature is bound to, including the session id if there is a session.
+     * @private
+     */
+    _binding(context) {
+        return (context.session != null) ? this._name + "|" + context.session.id : this._name;
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {(null|string)} The signed double-submit cookie value, if present and signed for this session.
+     * @private
+     */
+    _getCookieToken(context) {
+        let _cookie = context.getCookie(this._name, null);
+        if(_cookie == null || typeof _cookie.value !== "string" || _cookie.value.length === 0) return null;
+        return (Cookie.verifyValue(this._binding(context), _cookie.value, this._secrets) == null) ? null : _cookie.value;
+    }
+    /**
+     * Returns the token to send with unsafe requests, creating it if required. With the 'cookie' mode a new token is
+     * also set as a readable cookie.
+     * @param {HTTPContext} context
+     * @return {Promise<(null|string)>} The token, or null if the mode is null.
+     */
+    async getToken(context) {
+        if(this._mode === "session") {
+            if(context.session == null) throw CelastrinaError.newError("A session is required for CSRF tokens.");
+            let _token = await context.session.getProperty(this._name, null);
+            if(_token == null) {
+                _token = toBase64URL(randomBytes(32));
+                await context.session.setProperty(this._name, _token);
+            }
+            return _token;
+        }
+        if(this._mode === "cookie") {
+            let _token = this._getCookieToken(context);
+            if(_token == null) {
+                _token = Cookie.signValue(this._binding(context), toBase64URL(randomBytes(32)), this._secrets[0]);
+                context.setCookie(Cookie.newCookie(this._name, _token, {httpOnly: false, sameSite: "strict", path: "/"}));
+            }
+            return _token;
+        }
+        return null;
+    }
+    /**
+     * @param {HTTPContext} context
+     * @return {Promise<(null|string)>} The token from the token header or form field.
+     * @private
+     */
+    async _getRequestToken(context) {
+        let _token = context.getRequestHeader(this._header, null);
+        if(_token != null) return _token;
+        let _form = await context.getForm();
+        if(_form == null) return null;
+        _token = _form.getField(this._field, null);
+        return (typeof _token === "string") ? _token : null;
+    }
+    /**
+     * @param {(null|string)} expected
+     * @param {(null|string)} actual
+     * @return {boolean}
+     * @private
+     */
+    static _matches(expected, actual) {
+        if(typeof expected !== "string" || typeof actual !== "string") return false;
+        let _expected = Buffer.from(expected);
+        let _actual = Buffer.from(actual);
+        return _expected.length === _actual.length && timingSafeEqual(_expected, _actual);
+    }
+    /**
+     * Rejects forged requests with 403. For other methods, issues the double-submit cookie with the 'cookie' mode.
+     * @param {HTTPContext} context
+     * @return {Promise<void>}
+     */
+    async check(context) {
+        if(!this.isProtected(context.method)) {
+            if(this._mode === "cookie") await this.getToken(context);
+            return;
+        }
+        if(context.getRequestHeader("cookie", "").trim().length === 0) return;
+        let _origin = this.getOrigin(context);
+        if((_origin != null || this._mode == null) && !this.isOriginAllowed(context, _origin))
+            throw CelastrinaError.newError("Cross-site request from origin '" + _origin + "' rejected.", 403);
+        if(this._mode == null) return;
+        let _expected = null;
+        if(this._mode === "session")
+            _expected = (context.session == null) ? null : await context.session.getProperty(this._name, null);
+        else
+            _expected = this._getCookieToken(context);
+        if(!CSRFPolicy._matches(_expected, await this._getRequestToken(context)))
+            throw CelastrinaError.newError("CSRF token missing or invalid.", 403);
+    }
+    /**
+     * @param {(boolean|null|{mode:(undefined|null|string),secret:(undefined|string|Array<string>),
+     *          origins:(undefined|Array<string>),methods:(undefined|Array<string>),exempt:(undefined|Array<string>),
+     *          header:(undefined|string),field:(undefined|string),name:(undefined|string)})} _CSRF
+     * @return {(null|CSRFPolicy)}
+     */
+    static create(_CSRF) {
+        if(_CSRF === true) return new CSRFPolicy();
+        if(_CSRF === false || _CSRF == null) return null;
+        if(typeof _CSRF !== "object")
+            throw CelastrinaValidationError.newValidationError(
+                "[CSRFPolicy.create(_CSRF)][_CSRF]: Invalid object. Argument must be a boolean or object.", "csrf");
+        let _methods = Array.isArray(_CSRF.methods) ? _CSRF.methods : ["post", "put", "patch", "delete"];
+        if(Array.isArray(_CSRF.exempt)) {
+            let _exempt = _CSRF.exempt.map((_method) => _method.trim().toLowerCase());
+            _methods = _methods.filter((_method) => !_exempt.includes(_method.trim().toLowerCase()));
+        }
+        return new CSRFPolicy((typeof _CSRF.mode === "undefined") ? "session" : _CSRF.mode,
+                              (typeof _CSRF.secret === "undefined") ? null : _CSRF.secret,
+                              Array.isArray(_CSRF.origins) ? _CSRF.origins : [], _methods,
+                              (typeof _CSRF.header === "string") ? _CSRF.header : "x-csrf-token",
+                              (typeof _CSRF.field === "string") ? _CSRF.field : "_csrf",
+                              (typeof _CSRF.name === "string") ? _CSRF.name : "csrf");
+    }
+}
+/**
+ * HTTPConfigurationParser
+ * @author Robert R Murrell
+ */
+class HTTPConfigurationParser extends ConfigParser {
+    /**
+     * @param {ConfigParser} [link=null]
+     * @param {string} [version="1.0.0"]
+     */
+    constructor(link = null, version = "1.0.0") {
+        super("HTTP", link, version);
+    }
+    /**
+     * @param _Object
+     * @return {Promise<void>}
+     * @private
+     */
+    async _create(_Object) {
+        if(_Object.hasOwnProperty("session") && (typeof _Object.session === "object") && _Object.session != null) {
+            let _session = _Object.session;
+            if(_session.hasOwnProperty("manager") && (instanceOfCelastringType(SessionManager.CELASTRINAJS_TYPE, _session.manager)))
+                this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER] = _session.manager;
+        }
+        if(_Object.hasOwnProperty("problemDetails"))
+            this._config[HTTPAddOn.CONFIG_HTTP_PROBLEM_DETAILS] = ProblemDetails.create(_Object.problemDetails);
+        if(_Object.hasOwnProperty("contentNegotiation"))
+            this._config[HTTPAddOn.CONFIG_HTTP_CONTENT_NEGOTIATOR] = ContentNegotiator.create(_Object.contentNegotiation);
+        if(_Object.hasOwnProperty("cors"))
+            this._config[HTTPAddOn.CONFIG_HTTP_CORS] = CORSPolicy.create(_Object.cors);
+        if(_Object.hasOwnProperty("securityHeaders"))
+            this._config[HTTPAddOn.CONFIG_HTTP_SECURITY_HEADERS] = SecurityHeaderPolicy.create(_Object.securityHeaders);
+        if(_Object.hasOwnProperty("cookies"))
+            this._config[HTTPAddOn.CONFIG_HTTP_COOKIE_POLICY] = CookiePolicy.create(_Object.cookies);
+        if(_Object.hasOwnProperty("csrf"))
+            this._config[HTTPAddOn.CONFIG_HTTP_CSRF] = CSRFPolicy.create(_Object.csrf);
+        if(_Object.hasOwnProperty("etag")) {
+            let _etag = _Object.etag;
+            if(_etag === true) _etag = "strong";
+            else if(_etag === false) _etag = null;
+            this._config[HTTPAddOn.CONFIG_HTTP_ETAG] = HTTPAddOn._checkETagMode(_etag);
+        }
+        if(_Object.hasOwnProperty("idempotency"))
+            this._config[HTTPAddOn.CONFIG_HTTP_IDEMPOTENCY] = IdempotencyPolicy.create(_Object.idempotency);
+        if(_Object.hasOwnProperty("form"))
+            this._config[HTTPAddOn.CONFIG_HTTP_FORM_PARSER] = FormParser.create(_Object.form);
+        if(_Object.hasOwnProperty("openAPI"))
+            this._config[HTTPAddOn.CONFIG_HTTP_OPENAPI] = OpenAPIGenerator.create(_Object.openAPI);
+        if(_Object.hasOwnProperty("requestGuard"))
+            this._config[HTTPAddOn.CONFIG_HTTP_REQUEST_GUARD] = RequestGuard.create(_Object.requestGuard);
+    }
+}
+/**
+ * ValidationConfigParser
+ * @description Parses request validators per HTTP method, for example:
+ *              {"_content": {"type": "application/vnd.celastrinajs.config+json;Validation"},
+ *               "methods": {"post": {"parameters": [...], "body": {...}}}}
+ * @author Robert R Murrell
+ */
+class ValidationConfigParser extends ConfigParser {
+    /**
+     * @param {ConfigParser} [link=null]
+     * @param {string} [version="1.0.0"]
+     */
+    constructor(link = null, version = "1.0.0") {
+        super("Validation", link, version);
+    }
+    /**
+     * @param _Object
+     * @return {Promise<void>}
+     * @private
+     */
+    async _create(_Object) {
+        if(!_Object.hasOwnProperty("methods") || (typeof _Object.methods !== "object") || _Object.methods == null)
+            throw CelastrinaValidationError.newValidationError(
+                "[ValidationConfigParser._create(_Object)][methods]: Invalid object. Attribute cannot be 'undefined' or null.",
+                "Validation.methods");
+        let _validators = this._config[HTTPAddOn.CONFIG_HTTP_VALIDATORS];
+        for(let _method in _Object.methods) {
+            if(_Object.methods.hasOwnProperty(_method))
+                _validators[_method.trim().toLowerCase()] = RequestValidator.create(_Object.methods[_method]);
+        }
+    }
+}
+/**
+ * HTTPAddOn
+ * @author Robert R Murrell
+ */
+class HTTPAddOn extends AddOn {
+    static CONFIG_ADDON_HTTP = "celastrinajs.addon.http";
+    static CONFIG_HTTP_SESSION_MANAGER = "celastrinajs.http.session";
+    static CONFIG_HTTP_VALIDATORS = "celastrinajs.http.validators";
+    static CONFIG_HTTP_PROBLEM_DETAILS = "celastrinajs.http.problemDetails";
+    static CONFIG_HTTP_CONTENT_NEGOTIATOR = "celastrinajs.http.contentNegotiator";
+    static CONFIG_HTTP_CORS = "celastrinajs.http.cors";
+    static CONFIG_HTTP_SECURITY_HEADERS = "celastrinajs.http.securityHeaders";
+    static CONFIG_HTTP_COOKIE_POLICY = "celastrinajs.http.cookies";
+    static CONFIG_HTTP_CSRF = "celastrinajs.http.csrf";
+    static CONFIG_HTTP_ETAG = "celastrinajs.http.etag";
+    static CONFIG_HTTP_IDEMPOTENCY = "celastrinajs.http.idempotency";
+    static CONFIG_HTTP_FORM_PARSER = "celastrinajs.http.form";
+    static CONFIG_HTTP_OPENAPI = "celastrinajs.http.openAPI";
+    static CONFIG_HTTP_REQUEST_GUARD = "celastrinajs.http.requestGuard";
+    constructor() {
+        super(HTTPAddOn.CONFIG_ADDON_HTTP);
+    }
+    /**@return {ConfigParser}*/getConfigParser() {return new HTTPConfigurationParser(new ValidationConfigParser());}
+    /**@return {AttributeParser}*/getAttributeParser() {return new AESSessionManagerParser(new StoreSessionManagerParser(new SessionRoleFactoryParser()))}
+    wrap(config) {
+        super.wrap(config);
+        this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_VALIDATORS] = {};
+        this._config[HTTPAddOn.CONFIG_HTTP_PROBLEM_DETAILS] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_CONTENT_NEGOTIATOR] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_CORS] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_SECURITY_HEADERS] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_COOKIE_POLICY] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_CSRF] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_ETAG] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_IDEMPOTENCY] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_FORM_PARSER] = new FormParser();
+        this._config[HTTPAddOn.CONFIG_HTTP_OPENAPI] = null;
+        this._config[HTTPAddOn.CONFIG_HTTP_REQUEST_GUARD] = null;
+    }
+    async initialize(azcontext, pm, rm, prm) {
+        /**@type{SessionManager}*/let _sm = this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER];
+        if(instanceOfCelastringType(SessionManager.CELASTRINAJS_TYPE, _sm))
+            await _sm.initialize(azcontext, pm, rm);
+        /**@type{IdempotencyPolicy}*/let _idempotency = this._config[HTTPAddOn.CONFIG_HTTP_IDEMPOTENCY];
+        if(_idempotency != null) await _idempotency.initialize(azcontext, pm, rm);
+    }
+    /**@return{SessionManager}*/get sessionManager() {return this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER];}
+    /**
+     * @param {SessionManager} [sm=null]
+     * @return {HTTPAddOn}
+     */
+    setSessionManager(sm = null) {
+        this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER] = sm;
+        return this;
+    }
+    /**@return{Object<string, RequestValidator>}*/get requestValidators() {return this._config[HTTPAddOn.CONFIG_HTTP_VALIDATORS];}
+    /**
+     * @param {string} method
+     * @return {(null|RequestValidator)}
+     */
+    getRequestValidator(method) {
+        let _validator = this._config[HTTPAddOn.CONFIG_HTTP_VALIDATORS][method.toLowerCase()];
+        if(typeof _validator === "undefined") _validator = null;
+        return _validator;
+    }
+    /**
+     * @param {string} method
+     * @param {RequestValidator} validator
+     * @return {HTTPAddOn}
+     */
+    setRequestValidator(method, validator) {
+        if(!instanceOfCelastringType(RequestValidator.CELASTRINAJS_TYPE, validator))
+            throw CelastrinaValidationError.newValidationError("Argument 'validator' is required and must be of type '" +
+                                                               RequestValidator.CELASTRINAJS_TYPE + "'.", "validator");
+        this._config[HTTPAddOn.CONFIG_HTTP_VALIDATORS][method.trim().toLowerCase()] = validator;
+        return this;
+    }
+    /**@return{(null|ProblemDetails)}*/get problemDetails() {return this._config[HTTPAddOn.CONFIG_HTTP_PROBLEM_DETAILS];}
+    /**
+     * Enables RFC 7807 problem details for JSONHTTPContext errors, null to disable.
+     * @param {(null|ProblemDetails)} [problemDetails=null]
+     * @return {HTTPAddOn}
+     */
+    setProblemDetails(problemDetails = null) {
+        if(problemDetails != null && !instanceOfCelastringType(ProblemDetails.CELASTRINAJS_TYPE, problemDetails))
+            throw CelastrinaValidationError.newValidationError("Argument 'problemDetails' must be of type '" +
+                                                               ProblemDetails.CELASTRINAJS_TYPE + "'.", "problemDetails");
+        this._config[HTTPAddOn.CONFIG_HTTP_PROBLEM_DETAILS] = problemDetails;
+        return this;
+    }
+    /**@return{(null|ContentNegotiator)}*/get contentNegotiator() {return this._config[HTTPAddOn.CONFIG_HTTP_CONTENT_NEGOTIATOR];}
+    /**
+     * Enables content negotiation of request and response bodies, null to disable.
+     * @param {(null|ContentNegotiator)} [negotiator=null]
+     * @return {HTTPAddOn}
+     */
+    setContentNegotiator(negotiator = null) {
+        if(negotiator != null && !instanceOfCelastringType(ContentNegotiator.CELASTRINAJS_TYPE, negotiator))
+            throw CelastrinaValidationError.newValidationError("Argument 'negotiator' must be of type '" +
+                                                               ContentNegotiator.CELASTRINAJS_TYPE + "'.", "negotiator");
+        this._config[HTTPAddOn.CONFIG_HTTP_CONTENT_NEGOTIATOR] = negotiator;
+        return this;
+    }
+    /**@return{(null|CORSPolicy)}*/get corsPolicy() {return this._config[HTTPAddOn.CONFIG_HTTP_CORS];}
+    /**
+     * @param {(null|CORSPolicy)} [policy=null]
+     * @return {HTTPAddOn}
+     */
+    setCORSPolicy(policy = null) {
+        if(policy != null && !instanceOfCelastringType(CORSPolicy.CELASTRINAJS_TYPE, policy))
+            throw CelastrinaValidationError.newValidationError("Argument 'policy' must be of type '" +
+                                                               CORSPolicy.CELASTRINAJS_TYPE + "'.", "policy");
+        this._config[HTTPAddOn.CONFIG_HTTP_CORS] = policy;
+        return this;
+    }
+    /**@return{(null|SecurityHeaderPolicy)}*/get securityHeaders() {return this._config[HTTPAddOn.CONFIG_HTTP_SECURITY_HEADERS];}
+    /**
+     * @param {(null|SecurityHeaderPolicy)} [policy=null]
+     * @return {HTTPAddOn}
+     */
+    setSecurityHeaders(policy = null) {
+        if(policy != null && !instanceOfCelastringType(SecurityHeaderPolicy.CELASTRINAJS_TYPE, policy))
+            throw CelastrinaValidationError.newValidationError("Argument 'policy' must be of type '" +
+                                                               SecurityHeaderPolicy.CELASTRINAJS_TYPE + "'.", "policy");
+        this._config[HTTPAddOn.CONFIG_HTTP_SECURITY_HEADERS] = policy;
+        return this;
+    }
+    /**@return{(null|CookiePolicy)}*/get cookiePolicy() {return this._config[HTTPAddOn.CONFIG_HTTP_COOKIE_POLICY];}
+    /**
+     * @param {(null|CookiePolicy)} [policy=null]
+     * @return {HTTPAddOn}
+     */
+    setCookiePolicy(policy = null) {
+        if(policy != null && !instanceOfCelastringType(CookiePolicy.CELASTRINAJS_TYPE, policy))
+            throw CelastrinaValidationError.newValidationError("Argument 'policy' must be of type '" +
+                                                               CookiePolicy.CELASTRINAJS_TYPE + "'.", "policy");
+        this._config[HTTPAddOn.CONFIG_HTTP_COOKIE_POLICY] = policy;
+        return this;
     }
-}
-/**
- * HTTPConfigurationParser
- * @author Robert R Murrell
- */
-class HTTPConfigurationParser extends ConfigParser {
+    /**@return{(null|CSRFPolicy)}*/get csrfPolicy() {return this._config[HTTPAddOn.CONFIG_HTTP_CSRF];}
     /**
-     * @param {ConfigParser} [link=null]
-     * @param {string} [version="1.0.0"]
+     * @param {(null|CSRFPolicy)} [policy=null]
+     * @return {HTTPAddOn}
      */
-    constructor(link = null, version = "1.0.0") {
-        super("HTTP", link, version);
+    setCSRFPolicy(policy = null) {
+        if(policy != null && !instanceOfCelastringType(CSRFPolicy.CELASTRINAJS_TYPE, policy))
+            throw CelastrinaValidationError.newValidationError("Argument 'policy' must be of type '" +
+                                                               CSRFPolicy.CELASTRINAJS_TYPE + "'.", "policy");
+        this._config[HTTPAddOn.CONFIG_HTTP_CSRF] = policy;
+        return this;
     }
     /**
-     * @param _Object
-     * @return {Promise<void>}
+     * @param {*} mode
+     * @return {(null|string)}
      * @private
      */
-    async _create(_Object) {
-        if(_Object.hasOwnProperty("session") && (typeof _Object.session === "object") && _Object.session != null) {
-            let _session = _Object.session;
-            if(_session.hasOwnProperty("manager") && (instanceOfCelastringType(SessionManager.CELASTRINAJS_TYPE, _session.manager)))
-                this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER] = _session.manager;
-        }
+    static _checkETagMode(mode) {
+        if(mode != null && mode !== "strong" && mode !== "weak")
+            throw CelastrinaValidationError.newValidationError("Argument 'mode' must be 'strong', 'weak' or null.", "etag");
+        return mode;
     }
-}
-/**
- * HTTPAddOn
- * @author Robert R Murrell
- */
-class HTTPAddOn extends AddOn {
-    static CONFIG_ADDON_HTTP = "celastrinajs.addon.http";
-    static CONFIG_HTTP_SESSION_MANAGER = "celastrinajs.http.session";
-    constructor() {
-        super(HTTPAddOn.CONFIG_ADDON_HTTP);
+    /**@return{(null|string)}*/get etagMode() {return this._config[HTTPAddOn.CONFIG_HTTP_ETAG];}
+    /**
+     * Computes an ETag for 200 responses to GET and HEAD requests that do not set one, null to disable.
+     * @param {(null|string)} [mode=null] 'strong' or 'weak'.
+     * @return {HTTPAddOn}
+     */
+    setETagMode(mode = null) {
+        this._config[HTTPAddOn.CONFIG_HTTP_ETAG] = HTTPAddOn._checkETagMode(mode);
+        return this;
     }
-    /**@return {ConfigParser}*/getConfigParser() {return new HTTPConfigurationParser();}
-    /**@return {AttributeParser}*/getAttributeParser() {return new AESSessionManagerParser(new SessionRoleFactoryParser())}
-    wrap(config) {
-        super.wrap(config);
-        this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER] = null;
+    /**@return{(null|IdempotencyPolicy)}*/get idempotency() {return this._config[HTTPAddOn.CONFIG_HTTP_IDEMPOTENCY];}
+    /**
+     * @param {(null|IdempotencyPolicy)} [policy=null]
+     * @return {HTTPAddOn}
+     */
+    setIdempotency(policy = null) {
+        if(policy != null && !instanceOfCelastringType(IdempotencyPolicy.CELASTRINAJS_TYPE, policy))
+            throw CelastrinaValidationError.newValidationError("Argument 'policy' must be of type '" +
+                                                               IdempotencyPolicy.CELASTRINAJS_TYPE + "'.", "policy");
+        this._config[HTTPAddOn.CONFIG_HTTP_IDEMPOTENCY] = policy;
+        return this;
     }
-    async initialize(azcontext, pm, rm, prm) {
-        /**@type{SessionManager}*/let _sm = this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER];
-        if(instanceOfCelastringType(SessionManager.CELASTRINAJS_TYPE, _sm))
-            return _sm.initialize(azcontext, pm, rm);
+    /**@return{FormParser}*/get formParser() {return this._config[HTTPAddOn.CONFIG_HTTP_FORM_PARSER];}
+    /**
+     * @param {FormParser} parser
+     * @return {HTTPAddOn}
+     */
+    setFormParser(parser) {
+        if(!instanceOfCelastringType(FormParser.CELASTRINAJS_TYPE, parser))
+            throw CelastrinaValidationError.newValidationError("Argument 'parser' is required and must be of type '" +
+                                                               FormParser.CELASTRINAJS_TYPE + "'.", "parser");
+        this._config[HTTPAddOn.CONFIG_HTTP_FORM_PARSER] = parser;
+        return this;
     }
-    /**@return{SessionManager}*/get sessionManager() {return this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER];}
+    /**@return{(null|OpenAPIGenerator)}*/get openAPI() {return this._config[HTTPAddOn.CONFIG_HTTP_OPENAPI];}
     /**
-     * @param {SessionManager} [sm=null]
+     * Serves the OpenAPI document of the function, null to disable.
+     * @param {(null|OpenAPIGenerator)} [generator=null]
      * @return {HTTPAddOn}
      */
-    setSessionManager(sm = null) {
-        this._config[HTTPAddOn.CONFIG_HTTP_SESSION_MANAGER] = sm;
+    setOpenAPI(generator = null) {
+        if(generator != null && !instanceOfCelastringType(OpenAPIGenerator.CELASTRINAJS_TYPE, generator))
+            throw CelastrinaValidationError.newValidationError("Argument 'generator' must be of type '" +
+                                                               OpenAPIGenerator.CELASTRINAJS_TYPE + "'.", "generator");
+        this._config[HTTPAddOn.CONFIG_HTTP_OPENAPI] = generator;
+        return this;
+    }
+    /**@return{(null|RequestGuard)}*/get requestGuard() {return this._config[HTTPAddOn.CONFIG_HTTP_REQUEST_GUARD];}
+    /**
+     * @param {(null|RequestGuard)} [guard=null]
+     * @return {HTTPAddOn}
+     */
+    setRequestGuard(guard = null) {
+        if(guard != null && !instanceOfCelastringType(RequestGuard.CELASTRINAJS_TYPE, guard))
+            throw CelastrinaValidationError.newValidationError("Argument 'guard' must be of type '" +
+                                                               RequestGuard.CELASTRINAJS_TYPE + "'.", "guard");
+        this._config[HTTPAddOn.CONFIG_HTTP_REQUEST_GUARD] = guard;
         return this;
     }
 }
@@ -1319,18 +5316,60 @@ class HTTPContext extends Context {
         super(config);
         /**@type{Object}*/this._cookies = {};
         /**@type{Session}*/this._session = null;
+        /**@type{(null|CelastrinaError)}*/this._sessionError = null;
+        /**@type{(null|CelastrinaError)}*/this._guardError = null;
+        /**@type{string}*/this._method = null;
+        /**@type{(null|Route)}*/this._route = null;
+        /**@type{Object}*/this._routeParams = {};
+        /**@type{(null|BodySerializer)}*/this._serializer = null;
+        /**@type{*}*/this._requestBody = undefined;
+        /**@type{(null|SecurityHeaderPolicy)}*/this._securityHeaders = null;
+        /**@type{(null|string)}*/this._cspNonce = null;
+        /**@type{(null|string)}*/this._etagMode = null;
+        /**@type{(null|string)}*/this._idempotencyKey = null;
+        /**@type{(undefined|null|HTTPForm)}*/this._form = undefined;
     }
     /**@return{Object}*/get cookies() {return this._cookies;}
-    /**@return{string}*/get method(){return this._action;}
+    /**@return{string}*/get method(){return this._method;}
+    /**@return{(null|Route)}*/get route(){return this._route;}
+    /**@return{Object}*/get routeParams(){return this._routeParams;}
     /**@return{string}*/get url(){return this._config.context.req.originalUrl;}
     /**@return{Object}*/get request(){return this._config.context.req;}
     /**@return{Object}*/get response(){return this._config.context.res;}
     /**@return{Object}*/get params(){return this._config.context.req.params;}
     /**@return{Object}*/get query(){return this._config.context.req.query;}
     /**@return{string}*/get raw(){return this._config.context.req.rawBody;}
-    /**@return{Object}*/get requestBody(){return this._config.context.req.body;}
+    /**@return{Object}*/get requestBody(){
+        if(typeof this._requestBody !== "undefined") return this._requestBody;
+        return this._config.context.req.body;
+    }
+    /**@return{(null|BodySerializer)}*/get serializer(){return this._serializer;}
     /**@return{Object}*/get responseBody(){return this._config.context.res.body;}
     /**@return{Session}*/get session(){return this._session;}
+    /**@return{(null|CelastrinaError)}*/get sessionError(){return this._sessionError;}
+    /**@return{(null|CelastrinaError)}*/get guardError(){return this._guardError;}
+    /**
+     * Gives the session a new id, see SessionManager.regenerate.
+     * @return {Promise<Session>}
+     */
+    async regenerateSession() {
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon == null || !instanceOfCelastringType(SessionManager.CELASTRINAJS_TYPE, _addon.sessionManager) || this._session == null)
+            throw CelastrinaError.newError("No session to regenerate.");
+        return _addon.sessionManager.regenerate(this._session);
+    }
+    /**@return{(null|string)}*/get cspNonce(){return this._cspNonce;}
+    /**@return{(null|string)}*/get idempotencyKey(){return this._idempotencyKey;}
+    /**@param{(null|string)}key*/setIdempotencyKey(key){this._idempotencyKey = key;}
+    /**
+     * @return {Promise<TraceContext>}
+     * @protected
+     */
+    async _createTraceContext() {
+        let _trace = TraceContext.parse(this.getRequestHeader("traceparent"), this.getRequestHeader("tracestate"));
+        if(_trace == null) _trace = await super._createTraceContext();
+        return _trace;
+    }
     /**
      * @return {Promise<void>}
      * @private
@@ -1359,15 +5398,39 @@ class HTTPContext extends Context {
      * @private
      */
     async _parseCookies() {
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        /**@type{(null|CookiePolicy)}*/let _policy = (_addon != null) ? _addon.cookiePolicy : null;
         let cookies = cookie.parse(this.getRequestHeader("cookie", ""), "");
         for(let prop in cookies) {
             if(cookies.hasOwnProperty(prop)) {
                 let local = cookies[prop];
-                if(typeof local !== "undefined" && local != null)
-                    this._cookies[prop] = new Cookie(prop, local);
+                if(typeof local !== "undefined" && local != null) {
+                    let _cookie = new Cookie(prop, local);
+                    if(_policy != null && !_policy.verify(_cookie))
+                        this.log("Invalid signature for cookie '" + prop + "'.", LOG_LEVEL.THREAT, "HTTPContext._parseCookies()");
+                    else
+                        this._cookies[prop] = _cookie;
+                }
             }
         }
     }
+    /**
+     * Applies the rate and size limits of the request guard, if enabled, before any cookie or session work.
+     * @return {Promise<void>}
+     * @private
+     */
+    async _guardRequest() {
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon == null || _addon.requestGuard == null) return;
+        try {
+            _addon.requestGuard.checkRate(this);
+            _addon.requestGuard.checkSize(this);
+        }
+        catch(exception) {
+            // Raised by HTTPFunction.initialize, where the error can be sent.
+            this._guardError = exception;
+        }
+    }
     /**
      * @return {Promise<void>}
      * @private
@@ -1376,10 +5439,39 @@ class HTTPContext extends Context {
         /**@type{HTTPAddOn}*/let _lconfig = /**@type{HTTPAddOn}*/await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
         if(instanceOfCelastringType(AddOn.CELASTRINAJS_TYPE, _lconfig)) {
             let _sm = _lconfig.sessionManager;
-            if (instanceOfCelastringType(SessionManager.CELASTRINAJS_TYPE, _sm))
-                this._session = await _sm.loadSession(this);
+            if (instanceOfCelastringType(SessionManager.CELASTRINAJS_TYPE, _sm)) {
+                try {
+                    this._session = await _sm.loadSession(this);
+                }
+                catch(exception) {
+                    // Raised by HTTPFunction.initialize, where the error can be sent.
+                    if(instanceOfCelastringType(CelastrinaError.CELASTRINAJS_ERROR_TYPE, exception) && exception.code === 401)
+                        this._sessionError = exception;
+                    else throw exception;
+                }
+            }
+        }
+    }
+    /**
+     * @return {Promise<void>}
+     * @private
+     */
+    async _setSecurityHeaders() {
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon != null && _addon.securityHeaders != null) {
+            this._securityHeaders = _addon.securityHeaders;
+            if(this._securityHeaders.nonce) this._cspNonce = this._securityHeaders.createNonce();
+            this._securityHeaders.apply(this);
         }
     }
+    /**
+     * @return {Promise<void>}
+     * @private
+     */
+    async _setETagMode() {
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon != null) this._etagMode = _addon.etagMode;
+    }
     /**
      * @return {Promise<void>}
      */
@@ -1388,18 +5480,25 @@ class HTTPContext extends Context {
         this._config.context.res.status = 200;
         this._config.context.res.headers["Content-Type"] = "text/html; charset=ISO-8859-1";
         this._config.context.res.body = "<html lang=\"en\"><head><title>" + this._config.name + "</title></head><body>200, Success</body></html>";
-        /**@type{string}*/this._action = this._config.context.req.method.toLowerCase();
+        this._method = this._config.context.req.method.toLowerCase();
+        /**@type{string}*/this._action = this._method;
         await this._setMonitorMode();
+        if(this._monitor && this._monitorResponse == null) this._monitorResponse = new MonitorResponse();
         await this._setRequestId();
-        await this._parseCookies();
-        await this._setSession();
+        await this._guardRequest();
+        if(this._guardError == null) {
+            await this._parseCookies();
+            await this._setSession();
+        }
+        await this._setSecurityHeaders();
+        await this._setETagMode();
     }
     /**
      * @return {Promise<void>}
      * @private
      */
     async _rewriteSession() {
-        /**@type{HTTPAddOn}*/let _lconfig = /**@type{HTTPAddOn}*/this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        /**@type{HTTPAddOn}*/let _lconfig = /**@type{HTTPAddOn}*/await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
         if(instanceOfCelastringType(AddOn.CELASTRINAJS_TYPE, _lconfig)) {
             let _sm = _lconfig.sessionManager;
             if (instanceOfCelastringType(SessionManager.CELASTRINAJS_TYPE, _sm)) {
@@ -1408,18 +5507,31 @@ class HTTPContext extends Context {
             }
         }
     }
+    /**
+     * @return {Promise<void>}
+     * @private
+     */
+    async _setCORSHeaders() {
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon != null && _addon.corsPolicy != null) _addon.corsPolicy.decorate(this);
+    }
     /**
      * @return {Promise<void>}
      * @private
      */
     async _setCookies() {
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        /**@type{(null|CookiePolicy)}*/let _policy = (_addon != null) ? _addon.cookiePolicy : null;
         let _cookies = this.cookies;
         let _setcookies = [];
         for(/**@type{Cookie}*/const _param in _cookies) {
             if(_cookies.hasOwnProperty(_param)) {
                 let _cookie = _cookies[_param];
-                if(instanceOfCelastringType(Cookie.CELASTRINAJS_TYPE, _cookie))
+                if(instanceOfCelastringType(Cookie.CELASTRINAJS_TYPE, _cookie) && _cookie.doSetCookie) {
+                    if(_policy != null) _policy.apply(_cookie);
+                    _cookie.validate();
                     _setcookies.unshift(_cookie.toAzureCookie());
+                }
             }
         }
         _setcookies = await Promise.all(_setcookies);
@@ -1431,6 +5543,8 @@ class HTTPContext extends Context {
      */
     async terminate() {
         await this._rewriteSession();
+        await this._setCORSHeaders();
+        if(this._securityHeaders != null) this._securityHeaders.apply(this);
         await this._setCookies();
     }
     /**
@@ -1439,10 +5553,142 @@ class HTTPContext extends Context {
      * @return {null|string}
      */
     getURIBinding(name, defaultValue = null) {
+        if(this._routeParams.hasOwnProperty(name)) return this._routeParams[name];
         let uirbinding = this._config.context.bindingData[name];
         if(typeof uirbinding === "undefined" || uirbinding == null) return defaultValue
         else return uirbinding;
     }
+    /**
+     * Selects the response serializer from the Accept header and parses the request body by its Content-Type.
+     * @param {ContentNegotiator} negotiator
+     */
+    negotiate(negotiator) {
+        let _serializer = negotiator.getSerializer(this.getRequestHeader("accept"));
+        this._serializer = (_serializer == null) ? negotiator.defaultSerializer : _serializer;
+        this.setResponseHeader("Vary", "Accept");
+        if(this._serializer != null) {
+            this.setResponseHeader("Content-Type", this._serializer.contentType);
+            this._config.context.res.body = this._serializer.serialize({name: this._config.name, code: 200,
+                                                                        message: "Success! Welcome to celastrinajs."});
+        }
+        if(_serializer == null)
+            throw CelastrinaError.newError("None of the media types in '" + this.getRequestHeader("accept") +
+                                           "' are supported.", 406);
+        let _contentType = this.getRequestHeader("content-type");
+        let _raw = this.raw;
+        if(typeof _raw === "undefined" || _raw == null) _raw = this._config.context.req.body;
+        if(Buffer.isBuffer(_raw)) _raw = _raw.toString("utf8");
+        if(_contentType == null || typeof _raw !== "string" || _raw.length === 0) return;
+        if(_contentType.split(";")[0].trim().toLowerCase() === "multipart/form-data") return; // See getForm.
+        let _parser = negotiator.getParser(_contentType);
+        if(_parser == null)
+            throw CelastrinaError.newError("Content-Type '" + _contentType + "' is not supported.", 415);
+        this._requestBody = _parser.parse(_raw);
+    }
+    /**
+     * Parses a multipart/form-data or application/x-www-form-urlencoded request body once, with the FormParser of the
+     * HTTPAddOn or the default limits.
+     * @return {Promise<(null|HTTPForm)>} The form, or null if the request body is not a form.
+     */
+    async getForm() {
+        if(typeof this._form === "undefined") {
+            /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+            let _parser = (_addon != null) ? _addon.formParser : new FormParser();
+            this._form = _parser.parse(this);
+        }
+        return this._form;
+    }
+    /**
+     * @return {Promise<(null|string)>} The CSRF token to send with unsafe requests, see CSRFPolicy.getToken.
+     */
+    async getCSRFToken() {
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon == null || _addon.csrfPolicy == null) return null;
+        return _addon.csrfPolicy.getToken(this);
+    }
+    /**
+     * @param {string} etag An opaque tag, or a quoted entity tag.
+     * @param {boolean} [weak=false]
+     */
+    setETag(etag, weak = false) {
+        this.setResponseHeader("ETag", EntityTag.format(etag, weak));
+    }
+    /**
+     * @param {Date} date
+     */
+    setLastModified(date) {
+        this.setResponseHeader("Last-Modified", date.toUTCString());
+    }
+    /**
+     * @return {boolean} True if the If-None-Match or If-Modified-Since request header matches the ETag or Last-Modified
+     *         response header.
+     */
+    isNotModified() {
+        let _ifNoneMatch = this.getRequestHeader("if-none-match");
+        if(_ifNoneMatch != null) return EntityTag.matches(this.getResponseHeader("ETag"), _ifNoneMatch, true);
+        let _since = EntityTag.parseDate(this.getRequestHeader("if-modified-since"));
+        let _lastModified = EntityTag.parseDate(this.getResponseHeader("Last-Modified"));
+        return _since != null && _lastModified != null && _lastModified <= _since;
+    }
+    /**
+     * Evaluates the conditional request headers against the current state of the resource. GET and HEAD requests that
+     * are not modified are sent 304 and false is returned. Other requests that fail If-Match, If-Unmodified-Since or
+     * If-None-Match throw a CelastrinaPreconditionFailedError, a 412. The resource exists if either the entity tag or
+     * the last modified time is known, which is all '*' requires. If-Match listing entity tags is not evaluated when
+     * the entity tag is not known.
+     * @param {(null|string)} [etag=null] The current entity tag of the resource.
+     * @param {(null|Date)} [lastModified=null] The time the resource was last modified.
+     * @return {boolean} True to continue processing the request.
+     */
+    checkPreconditions(etag = null, lastModified = null) {
+        let _etag = (etag == null) ? null : EntityTag.format(etag);
+        let _lastModified = (lastModified == null) ? null : Math.floor(lastModified.getTime() / 1000);
+        let _exists = _etag != null || _lastModified != null;
+        let _matches = (header, weak) => (_exists && EntityTag.parse(header).includes("*")) ||
+                                         EntityTag.matches(_etag, header, weak);
+        let _safe = this._method === "get" || this._method === "head";
+        let _ifMatch = this.getRequestHeader("if-match");
+        if(_ifMatch != null && (_etag != null || EntityTag.parse(_ifMatch).includes("*"))) {
+            if(!_matches(_ifMatch, false))
+                throw new CelastrinaPreconditionFailedError("If-Match '" + _ifMatch + "' does not match the current entity.");
+        }
+        else {
+            let _since = EntityTag.parseDate(this.getRequestHeader("if-unmodified-since"));
+            if(_since != null && _lastModified != null && _lastModified > _since)
+                throw new CelastrinaPreconditionFailedError("Entity was modified since '" +
+                                                            this.getRequestHeader("if-unmodified-since") + "'.");
+        }
+        if(_safe) {
+            if(_etag != null) this.setResponseHeader("ETag", _etag);
+            if(lastModified != null) this.setLastModified(lastModified);
+        }
+        let _ifNoneMatch = this.getRequestHeader("if-none-match");
+        let _notModified = false;
+        if(_ifNoneMatch != null) _notModified = _matches(_ifNoneMatch, true);
+        else if(_safe) {
+            let _since = EntityTag.parseDate(this.getRequestHeader("if-modified-since"));
+            _notModified = _since != null && _lastModified != null && _lastModified <= _since;
+        }
+        if(!_notModified) return true;
+        if(!_safe)
+            throw new CelastrinaPreconditionFailedError("If-None-Match '" + _ifNoneMatch + "' matches the current entity.");
+        this.send(null, 304);
+        return false;
+    }
+    /**
+     * Replaces the Sentry action, the method by default.
+     * @param {string} action
+     */
+    setAction(action) {this._action = action.toLowerCase();}
+    /**
+     * @param {Route} route
+     * @param {Object} [params={}] The typed path parameters, available through getURIBinding.
+     */
+    setRoute(route, params = {}) {
+        this._route = route;
+        this._routeParams = params;
+        if(route.action != null) this._action = route.action;
+    }
     /**
      * @param {string} name
      * @param {Cookie} [defaultValue=null]
@@ -1516,16 +5762,43 @@ class HTTPContext extends Context {
      */
     send(body = null, status = 200) {
         if((status >= 200 && status <= 299) && (body == null || (typeof body === "string" && body.length === 0))) status = 204;
+        if(this._serializer != null && body != null && typeof body !== "string" && !Buffer.isBuffer(body))
+            body = this._serializer.serialize(body);
+        if(status === 200 && (this._method === "get" || this._method === "head")) {
+            if(this._etagMode != null && this.getResponseHeader("ETag") == null)
+                this.setResponseHeader("ETag", EntityTag.compute(body, this._etagMode === "weak"));
+            if(this.isNotModified()) {
+                status = 304;
+                body = null;
+            }
+        }
+        if(this._securityHeaders != null) this._securityHeaders.apply(this);
         this._config.context.res.status = status;
         this._config.context.res.headers["X-celastrina-request-uuid"] = this._requestId;
         this._config.context.res.body = body;
     }
+    /**
+     * @param {*} error
+     * @param {number} code
+     * @return {Object} The error as a response body, for serializers and JSON.
+     * @protected
+     */
+    _createErrorBody(error, code) {
+        if(CelastrinaCompositeValidationError.isComposite(error)) return error.toJSON();
+        let _tag = null;
+        if(typeof error.tag === "string" && error.tag.trim().length > 0) _tag = error.tag;
+        let _causeMessage = null;
+        if(error.cause instanceof Error) _causeMessage = error.cause.message;
+        return {name: error.name, message: error.message, tag: _tag, code: code, cause: _causeMessage,
+                drop: error.drop};
+    }
     /**
      * @param {CelastrinaValidationError} [error=null]
      * @param {*} [body=null]
      */
     sendValidationError(error = null, body = null) {
         if(error == null) error = CelastrinaValidationError.newValidationError("bad request");
+        if(body == null && this._serializer != null) body = this._createErrorBody(error, error.code);
         if(body == null) body = "<html lang=\"en\"><head><title>" + this._config.name + "</title></head><body><header>400 - Bad Request</header><main><p><h2>" + error.message + "</h2><br />" + error.tag + "</p></main><footer>celastrinajs</footer></body></html>";
         this.send(body, error.code);
     }
@@ -1535,6 +5808,7 @@ class HTTPContext extends Context {
      */
     sendRedirect(url, body = null) {
         this._config.context.res.headers["Location"] = url;
+        if(body == null && this._serializer != null) body = {code: 302, url: url};
         if(body == null) body = "<html lang=\"en\"><head><title>" + this._config.name + "</title></head><body><header>302 - Redirect</header><main><p><h2>" + url + "</h2></main><footer>celastrinajs</footer></body></html>";
         this.send(body, 302);
     }
@@ -1558,10 +5832,21 @@ class HTTPContext extends Context {
                 this.sendValidationError(error);
                 break;
             default:
+                this._setRetryAfter(error);
+                if(body == null && this._serializer != null) body = this._createErrorBody(error, error.code);
                 if(body == null) body = "<html lang=\"en\"><head><title>" + this._config.name + "</title></head><body><header>" + error.code + " - Internal Server Error</header><main><p><h2>" + error.message + "</h2></main><footer>celastrinajs</footer></body></html>";
                 this.send(body, error.code);
         }
     }
+    /**
+     * Sets the Retry-After header for errors, such as CelastrinaTooManyRequestsError, that carry a retry delay.
+     * @param {*} error
+     * @private
+     */
+    _setRetryAfter(error) {
+        if(typeof error.retryAfter === "number" && error.retryAfter >= 0)
+            this.setResponseHeader("Retry-After", error.retryAfter.toString());
+    }
     /**
      * @param {*} [error=null]
      * @param {*} [body=null]
@@ -1569,6 +5854,7 @@ class HTTPContext extends Context {
     sendNotAuthorizedError(error= null, body = null) {
         if(error == null) error = CelastrinaError.newError("Not Authorized.", 401);
         else if(!instanceOfCelastringType(CelastrinaError.CELASTRINAJS_ERROR_TYPE, error)) error = CelastrinaError.wrapError(error, 401);
+        if(body == null && this._serializer != null) body = this._createErrorBody(error, 401);
         if(body == null) body = "<html lang=\"en\"><head><title>" + this._config.name + "</title></head><body><header>401 - Not Authorized</header><main><p><h2>" + error.message + "</h2></main><footer>celastrinajs</footer></body></html>";
         this.send(body, 401);
     }
@@ -1579,6 +5865,7 @@ class HTTPContext extends Context {
     sendForbiddenError(error = null, body = null) {
         if(error == null) error = CelastrinaError.newError("Forbidden.", 403);
         else if(!instanceOfCelastringType(CelastrinaError.CELASTRINAJS_ERROR_TYPE, error)) error = CelastrinaError.wrapError(error, 403);
+        if(body == null && this._serializer != null) body = this._createErrorBody(error, 403);
         if(body == null) body = "<html lang=\"en\"><head><title>" + this._config.name + "</title></head><body><header>403 - Forbidden</header><main><p><h2>" + error.message + "</h2></main><footer>celastrinajs</footer></body></html>";
         this.send(body, 403);
     }
@@ -1593,26 +5880,40 @@ class JSONHTTPContext extends HTTPContext {
      */
     constructor(config) {
         super(config);
+        /**@type{(null|ProblemDetails)}*/this._problemDetails = null;
     }
     async initialize() {
         await super.initialize();
         this._config.context.res.status = 200;
         this._config.context.res.headers["Content-Type"] = "application/json; charset=utf-8";
         this._config.context.res.body = {name: this._config.name, code: 200, message: "Success! Welcome to celastrinajs."};
+        /**@type{HTTPAddOn}*/let _addon = await this._config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon != null) this._problemDetails = _addon.problemDetails;
+    }
+    /**@return{(null|ProblemDetails)}*/get problemDetails() {return this._problemDetails;}
+    /**
+     * @param {*} error
+     * @param {number} status
+     */
+    sendProblem(error, status) {
+        let _problemDetails = this._problemDetails;
+        if(_problemDetails == null) _problemDetails = new ProblemDetails();
+        if(this._serializer == null || this._serializer.mediaType === "application/json")
+            this._config.context.res.headers["Content-Type"] = ProblemDetails.CONTENT_TYPE;
+        this.send(_problemDetails.create(this, error, status), status);
     }
     /**
      * @param {*} error
      * @param {(null|number)} code
      */
     sendCelastrinaError(error, code = null) {
-        let _tag = null;
-        if(typeof error.tag === "string" && error.tag.trim().length > 0) _tag = error.tag;
-        let _causeMessage = null;
-        if(error.cause instanceof Error) _causeMessage = error.cause.message;
+        if(this._problemDetails != null) {
+            this.sendProblem(error, (code != null) ? code : error.code);
+            return;
+        }
         let _code = error.code;
         if(code != null) _code = code;
-        this.send({name: error.name, message: error.message, tag: _tag, code: _code, cause: _causeMessage,
-                        drop: error.drop}, _code);
+        this.send(this._createErrorBody(error, _code), _code);
     }
     /**
      * @param {CelastrinaValidationError} [error=null]
@@ -1620,7 +5921,9 @@ class JSONHTTPContext extends HTTPContext {
      */
     sendValidationError(error = null, body = null) {
         if(error == null) error = CelastrinaValidationError.newValidationError("bad request");
-        if(body == null)
+        if(body == null && this._problemDetails == null && CelastrinaCompositeValidationError.isComposite(error))
+            this.send(error.toJSON(), 400);
+        else if(body == null)
             this.sendCelastrinaError(error, 400);
         else
             this.send(body, 400);
@@ -1641,6 +5944,7 @@ class JSONHTTPContext extends HTTPContext {
     sendServerError(error = null, body = null) {
         if(error == null) error = CelastrinaError.newError("Internal Server Error.");
         else if(!instanceOfCelastringType(CelastrinaError.CELASTRINAJS_ERROR_TYPE, error)) error = CelastrinaError.wrapError(error, 500);
+        this._setRetryAfter(error);
         if(body == null)
             this.sendCelastrinaError(error);
         else
@@ -1747,12 +6051,222 @@ class JwtAuthenticator extends Authenticator {
         }
     }
 }
+/**
+ * Route
+ * @description A handler for a method and path template. Templates are matched segment by segment, where '{name}'
+ *              captures a segment, '{name:type}' captures a typed segment (string, int, number, bool or uuid) and a
+ *              trailing '{*name}' captures the remainder of the path, for example '/orders/{id:int}/items'.
+ * @author Robert R Murrell
+ */
+class Route {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.Route";
+    static TYPES = {
+        "string": (value) => value,
+        "int": (value) => /^-?\d+$/.test(value) ? parseInt(value, 10) : undefined,
+        "number": (value) => (value.trim().length > 0 && !isNaN(Number(value))) ? Number(value) : undefined,
+        "bool": (value) => (value === "true") ? true : ((value === "false") ? false : undefined),
+        "uuid": (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value) ? value : undefined
+    };
+    /**
+     * @param {string} method
+     * @param {string} template
+     * @param {function(HTTPContext): Promise<void>} handler Invoked with 'this' bound to the HTTPFunction.
+     * @param {(null|string|Permission)} [permission=null] The Sentry action for this route, or a Permission whose action
+     *        is used.
+     */
+    constructor(method, template, handler, permission = null) {
+        if(typeof method !== "string" || method.trim().length === 0)
+            throw CelastrinaValidationError.newValidationError(
+                "[Route][method]: Invalid string. Argument cannot be null or zero length.", "method");
+        if(typeof template !== "string")
+            throw CelastrinaValidationError.newValidationError(
+                "[Route][template]: Invalid string. Argument cannot be 'undefined' or null.", "template");
+        if(typeof handler !== "function")
+            throw CelastrinaValidationError.newValidationError(
+                "[Route][handler]: Invalid function. Argument cannot be 'undefined' or null.", "handler");
+        this._method = method.trim().toLowerCase();
+        this._template = template.trim();
+        this._handler = handler;
+        /**@type{(null|Permission)}*/this._permission = null;
+        /**@type{(null|string)}*/this._action = null;
+        if(typeof permission === "string" && permission.trim().length > 0)
+            this._action = permission.trim().toLowerCase();
+        else if(typeof permission === "object" && permission != null) {
+            this._permission = permission;
+            this._action = permission.action;
+        }
+        /**@type{Array<{name: (null|string), type: string, literal: (null|string), rest: boolean}>}*/
+        this._segments = Route._parse(this._template);
+        this.__type = Route.CELASTRINAJS_TYPE;
+    }
+    /**@return{string}*/get method() {return this._method;}
+    /**@return{string}*/get template() {return this._template;}
+    /**@return{function(HTTPContext): Promise<void>}*/get handler() {return this._handler;}
+    /**@return{(null|string)}*/get action() {return this._action;}
+    /**@return{(null|Permission)}*/get permission() {return this._permission;}
+    /**@return{Array<{name: (null|string), type: string, literal: (null|string), rest: boolean}>}*/get segments() {return this._segments;}
+    /**
+     * @param {string} path
+     * @return {Array<string>}
+     * @private
+     */
+    static _split(path) {
+        return path.split("/").filter((_segment) => _segment.length > 0);
+    }
+    /**
+     * @param {string} template
+     * @return {Array<{name: (null|string), type: string, literal: (null|string), rest: boolean}>}
+     * @private
+     */
+    static _parse(template) {
+        let _segments = Route._split(template);
+        return _segments.map((_segment, _index) => {
+            let _match = /^{(\*)?([A-Za-z_$][\w$]*)(?::(\w+))?}$/.exec(_segment);
+            if(_match == null) return {name: null, type: "string", literal: _segment.toLowerCase(), rest: false};
+            let _type = (typeof _match[3] === "string") ? _match[3].toLowerCase() : "string";
+            if(!Route.TYPES.hasOwnProperty(_type))
+                throw CelastrinaValidationError.newValidationError(
+                    "[Route][template]: Invalid parameter type '" + _type + "' in '" + template + "'.", "template");
+            let _rest = (_match[1] === "*");
+            if(_rest && _index !== _segments.length - 1)
+                throw CelastrinaValidationError.newValidationError(
+                    "[Route][template]: Catch-all parameter must be the last segment of '" + template + "'.", "template");
+            return {name: _match[2], type: _type, literal: null, rest: _rest};
+        });
+    }
+    /**
+     * @param {string} value
+     * @return {(null|string)} The decoded value, null if it is not valid URI encoding.
+     * @private
+     */
+    static _decode(value) {
+        try {
+            return decodeURIComponent(value);
+        }
+        catch(exception) {
+            return null;
+        }
+    }
+    /**
+     * @param {string} path
+     * @return {(null|Object)} The typed path parameters, or null if the path does not match.
+     */
+    match(path) {
+        let _path = Route._split(path).map((_part) => Route._decode(_part));
+        if(_path.includes(null)) return null;
+        let _params = {};
+        for(let _index = 0; _index < this._segments.length; ++_index) {
+            let _segment = this._segments[_index];
+            if(_segment.rest) {
+                _params[_segment.name] = _path.slice(_index).join("/");
+                return _params;
+            }
+            if(_index >= _path.length) return null;
+            let _value = _path[_index];
+            if(_segment.literal != null) {
+                if(_segment.literal !== _value.toLowerCase()) return null;
+            }
+            else {
+                let _typed = Route.TYPES[_segment.type](_value);
+                if(typeof _typed === "undefined") return null;
+                _params[_segment.name] = _typed;
+            }
+        }
+        return (_path.length === this._segments.length) ? _params : null;
+    }
+}
+/**
+ * Router
+ * @description Resolves a request to a Route by method and path. The path is the request URL path with the base path
+ *              removed, so with the default base path of '/api' the URL 'https://host/api/orders/1' resolves against
+ *              '/orders/1'.
+ * @author Robert R Murrell
+ */
+class Router {
+    static CELASTRINAJS_TYPE = "celastrinajs.http.Router";
+    /**
+     * @param {string} [basePath="/api"]
+     */
+    constructor(basePath = "/api") {
+        /**@type{Array<Route>}*/this._routes = [];
+        this._basePath = "/" + Route._split(basePath).join("/");
+        this.__type = Router.CELASTRINAJS_TYPE;
+    }
+    /**@return{Array<Route>}*/get routes() {return this._routes;}
+    /**@return{string}*/get basePath() {return this._basePath;}
+    /**@return{boolean}*/get isEmpty() {return this._routes.length === 0;}
+    /**
+     * @param {(Route|string)} method A Route, or the method of a new route.
+     * @param {string} [template]
+     * @param {function(HTTPContext): Promise<void>} [handler]
+     * @param {(null|string|Permission)} [permission=null]
+     * @return {Router}
+     */
+    addRoute(method, template, handler, permission = null) {
+        let _route = method;
+        if(!instanceOfCelastringType(Route.CELASTRINAJS_TYPE, _route))
+            _route = new Route(method, template, handler, permission);
+        this._routes.push(_route);
+        return this;
+    }
+    /**
+     * @param {string} url
+     * @return {string} The path of the URL relative to the base path.
+     */
+    getPath(url) {
+        let _path = new URL(url, "http://localhost").pathname;
+        if(this._basePath.length > 1) {
+            let _lower = _path.toLowerCase();
+            let _base = this._basePath.toLowerCase();
+            if(_lower === _base) return "/";
+            if(_lower.startsWith(_base + "/")) return _path.substring(_base.length);
+        }
+        return _path;
+    }
+    /**
+     * @param {string} method
+     * @param {string} url
+     * @return {{route: (null|Route), params: Object, allow: Array<string>}} The first matching route and its path
+     *         parameters. If no route matches, route is null and allow lists the methods of routes matching the path.
+     */
+    resolve(method, url) {
+        let _method = method.toLowerCase();
+        let _path = this.getPath(url);
+        let _allow = [];
+        for(let _route of this._routes) {
+            let _params = _route.match(_path);
+            if(_params != null) {
+                if(_route.method === _method) return {route: _route, params: _params, allow: []};
+                let _upper = _route.method.toUpperCase();
+                if(!_allow.includes(_upper)) _allow.push(_upper);
+            }
+        }
+        return {route: null, params: {}, allow: _allow};
+    }
+}
 /**
  * @type {BaseFunction}
  */
 class HTTPFunction extends BaseFunction {
     /**@param{Configuration}configuration*/
-    constructor(configuration) {super(configuration);}
+    constructor(configuration) {
+        super(configuration);
+        /**@type{Router}*/this._router = new Router();
+        /**@type{boolean}*/this._routePermissions = false;
+    }
+    /**@return{Router}*/get router() {return this._router;}
+    /**
+     * @param {Router} router
+     * @return {HTTPFunction}
+     */
+    setRouter(router) {
+        if(!instanceOfCelastringType(Router.CELASTRINAJS_TYPE, router))
+            throw CelastrinaValidationError.newValidationError("Argument 'router' is required and must be of type '" +
+                                                               Router.CELASTRINAJS_TYPE + "'.", "router");
+        this._router = router;
+        this._routePermissions = false;
+        return this;
+    }
     /**
      * @param {Configuration} config
      * @return {Promise<Context & HTTPContext>}
@@ -1765,8 +6279,9 @@ class HTTPFunction extends BaseFunction {
      * @return {Promise<void>}
      */
     async monitor(context) {
+        await this._collectMetrics(context);
         let response = [{test: context.name, passed: context.monitorResponse.passed, failed: context.monitorResponse.failed,
-                         result: context.monitorResponse.result}];
+                         result: context.monitorResponse.result, metrics: context.metrics.toJSON()}];
         context.send(response, 200);
         context.done();
     }
@@ -1782,7 +6297,7 @@ class HTTPFunction extends BaseFunction {
         else if(instanceOfCelastringType(CelastrinaError.CELASTRINAJS_ERROR_TYPE, ex))
             context.sendServerError(ex);
         else if(ex instanceof Error) {
-            ex = CelastrinaError.wrapError(ex);
+            ex = context.config.errorRegistry.map(ex);
             context.sendServerError(ex);
         }
         else if(typeof ex === "undefined" || ex == null) {
@@ -1793,8 +6308,103 @@ class HTTPFunction extends BaseFunction {
             ex = CelastrinaError.wrapError(ex);
             context.sendServerError(ex);
         }
+        let _fields = null;
+        if(CelastrinaCompositeValidationError.isComposite(ex)) _fields = {errors: ex.toJSON().errors};
         context.log("Request failed to process. \r\n (MESSAGE: " + ex.message + ") \r\n (STACK: " + ex.stack + ")" + " \r\n (CAUSE: " + ex.cause + ")", LOG_LEVEL.ERROR,
-                     "HTTP.exception(context, exception)");
+                     "HTTP.exception(context, exception)", _fields);
+    }
+    /**
+     * Serves authorized OpenAPI document requests, skipping all remaining phases. Otherwise rejects cross-site request
+     * forgery, validates the request with the request validator for its method, evaluates conditional request headers
+     * against getEntityTag and getLastModified, then starts or replays idempotent requests.
+     * @param {Context | HTTPContext} context
+     * @return {Promise<void>}
+     */
+    async validate(context) {
+        /**@type{HTTPAddOn}*/let _addon = await context.config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon != null && _addon.openAPI != null && _addon.openAPI.isDocumentRequest(context)) {
+            context.setResponseHeader("Content-Type", "application/json; charset=utf-8");
+            context.send(await _addon.openAPI.generate(this), 200);
+            context.shortCircuit();
+            return;
+        }
+        if(_addon != null && _addon.csrfPolicy != null) await _addon.csrfPolicy.check(context);
+        if(_addon != null) {
+            let _validator = _addon.getRequestValidator(context.method);
+            if(_validator != null) await _validator.validate(context);
+        }
+        let _etag = await this.getEntityTag(context);
+        let _lastModified = await this.getLastModified(context);
+        if((_etag != null || _lastModified != null) && !context.checkPreconditions(_etag, _lastModified)) {
+            context.shortCircuit();
+            return;
+        }
+        if(_addon != null && _addon.idempotency != null && await _addon.idempotency.begin(context))
+            context.shortCircuit();
+    }
+    /**
+     * Override to return the current entity tag of the requested resource, enabling conditional requests before the
+     * request is processed. See HTTPContext.checkPreconditions.
+     * @param {Context | HTTPContext} context
+     * @return {Promise<(null|string)>}
+     */
+    async getEntityTag(context) {return null;}
+    /**
+     * Override to return the time the requested resource was last modified, see getEntityTag.
+     * @param {Context | HTTPContext} context
+     * @return {Promise<(null|Date)>}
+     */
+    async getLastModified(context) {return null;}
+    /**
+     * Initializes the request in the following order:
+     * <ol>
+     *     <li>Rejects requests over the rate or size limits of the request guard, checked by HTTPContext.initialize
+     *         before cookies and sessions are loaded.</li>
+     *     <li>Answers CORS preflight requests, skipping all remaining phases.</li>
+     *     <li>Sets the action of OpenAPI document requests, served by validate once authorized.</li>
+     *     <li>Rejects expired sessions and negotiates the request and response bodies, except for monitor requests.</li>
+     *     <li>Applies the structure limits of the request guard to the parsed request body, if enabled.</li>
+     *     <li>Resolves the route of the request, except for monitor requests, if any routes are registered. The route
+     *         action, if set, replaces the method as the Sentry action so permissions can be assigned per route.</li>
+     * </ol>
+     * @param {Context | HTTPContext} context
+     * @return {Promise<void>}
+     */
+    async initialize(context) {
+        await super.initialize(context);
+        /**@type{HTTPAddOn}*/let _addon = await context.config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        /**@type{RequestGuard}*/let _guard = (_addon != null) ? _addon.requestGuard : null;
+        if(context.guardError != null) throw context.guardError;
+        if(_addon != null && _addon.corsPolicy != null && _addon.corsPolicy.isPreflight(context)) {
+            _addon.corsPolicy.preflight(context);
+            context.shortCircuit();
+            return;
+        }
+        if(_addon != null && _addon.openAPI != null && _addon.openAPI.isDocumentRequest(context)) {
+            context.setAction(_addon.openAPI.action);
+            return;
+        }
+        if(!context.isMonitorInvocation) {
+            if(context.sessionError != null) throw context.sessionError;
+            if(_addon != null && _addon.contentNegotiator != null) context.negotiate(_addon.contentNegotiator);
+        }
+        if(_guard != null) _guard.checkStructure(context.requestBody);
+        if(context.isMonitorInvocation || this._router.isEmpty) return;
+        if(!this._routePermissions) {
+            for(let _route of this._router.routes) {
+                if(_route.permission != null) context.config.permissions.addPermission(_route.permission);
+            }
+            this._routePermissions = true;
+        }
+        let _resolved = this._router.resolve(context.method, context.url);
+        if(_resolved.route == null) {
+            if(_resolved.allow.length > 0) {
+                context.setResponseHeader("Allow", _resolved.allow.join(", "));
+                throw CelastrinaError.newError("HTTP Method '" + context.method + "' not allowed.", 405);
+            }
+            throw new CelastrinaNotFoundError("Resource '" + this._router.getPath(context.url) + "' not found.");
+        }
+        context.setRoute(_resolved.route, _resolved.params);
     }
     /**
      * @param {Context & HTTPContext} context
@@ -1808,11 +6418,15 @@ class HTTPFunction extends BaseFunction {
      * @return {Promise<void>}
      */
     async process(context) {
+        if(context.route != null) {
+            await context.route.handler.call(this, context);
+            return;
+        }
         let _handler = this["_" + context.method];
         if(typeof _handler === "undefined" || _handler == null)
             await this.unhandledRequestMethod(context);
         else
-            await _handler(context);
+            await _handler.call(this, context);
     }
 
     /**
@@ -1820,6 +6434,8 @@ class HTTPFunction extends BaseFunction {
      * @return {Promise<void>}
      */
     async terminate(context) {
+        /**@type{HTTPAddOn}*/let _addon = await context.config.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+        if(_addon != null && _addon.idempotency != null) await _addon.idempotency.complete(context);
         await context.terminate();
     }
 }
@@ -1871,19 +6487,56 @@ module.exports = {
     HeaderParameter: HeaderParameter,
     QueryParameter: QueryParameter,
     BodyParameter: BodyParameter,
+    FormParameter: FormParameter,
+    FileParameter: FileParameter,
+    FormPart: FormPart,
+    HTTPForm: HTTPForm,
+    FormParser: FormParser,
     CookieParameter: CookieParameter,
+    HTTPParameterParser: HTTPParameterParser,
+    SchemaValidator: SchemaValidator,
+    RequestValidator: RequestValidator,
     Session: Session,
     SessionManager: SessionManager,
     SecureSessionManager: SecureSessionManager,
     AESSessionManager: AESSessionManager,
     AESSessionManagerParser: AESSessionManagerParser,
+    SessionStore: SessionStore,
+    InMemorySessionStore: InMemorySessionStore,
+    FileSessionStore: FileSessionStore,
+    BlobSessionStore: BlobSessionStore,
+    StoreSessionManager: StoreSessionManager,
+    StoreSessionManagerParser: StoreSessionManagerParser,
     SessionRoleFactory: SessionRoleFactory,
     SessionRoleFactoryParser: SessionRoleFactoryParser,
+    BodySerializer: BodySerializer,
+    JSONBodySerializer: JSONBodySerializer,
+    XMLBodySerializer: XMLBodySerializer,
+    CSVBodySerializer: CSVBodySerializer,
+    TextBodySerializer: TextBodySerializer,
+    NDJSONBodySerializer: NDJSONBodySerializer,
+    FormBodySerializer: FormBodySerializer,
+    ContentNegotiator: ContentNegotiator,
+    ProblemDetails: ProblemDetails,
+    CORSPolicy: CORSPolicy,
+    SecurityHeaderPolicy: SecurityHeaderPolicy,
+    CookiePolicy: CookiePolicy,
+    CSRFPolicy: CSRFPolicy,
+    EntityTag: EntityTag,
+    IdempotencyStore: IdempotencyStore,
+    InMemoryIdempotencyStore: InMemoryIdempotencyStore,
+    BlobIdempotencyStore: BlobIdempotencyStore,
+    IdempotencyPolicy: IdempotencyPolicy,
+    OpenAPIGenerator: OpenAPIGenerator,
+    RequestGuard: RequestGuard,
     HTTPConfigurationParser: HTTPConfigurationParser,
+    ValidationConfigParser: ValidationConfigParser,
     HTTPAddOn: HTTPAddOn,
     JwtAuthenticator: JwtAuthenticator,
     JwtConfigurationParser: JwtConfigurationParser,
     JwtAddOn: JwtAddOn,
+    Route: Route,
+    Router: Router,
     HTTPFunction: HTTPFunction,
     JSONHTTPFunction: JSONHTTPFunction
 };
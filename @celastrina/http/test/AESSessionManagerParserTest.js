@@ -47,6 +47,29 @@ describe("AESSessionManagerParser", () => {
             /**@type{SessionManager}*/let _sm = await _parser._create(_AESSessionManager);
             assert.strictEqual(_sm.parameter instanceof BodyParameter, true, "Expected BodyParameter.");
         });
+        it("creates valid SessionManager using aes-256-gcm without iv", async () => {
+            let _parser = new AESSessionManagerParser();
+            let _AESSessionManager = {_content: {type: "application/vnd.celastrinajs.attribute+json;AESSessionManager"},
+                parameter: "cookie",
+                name: "celastrinajs_session",
+                options: {algorithm: "aes-256-gcm", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a",
+                          legacy: {key: "c2f9dab0ceae47d99c7bf4537fbb0c3a", iv: "1234567890123456"}},
+                createNew:  true};
+            /**@type{AESSessionManager}*/let _sm = await _parser._create(_AESSessionManager);
+            assert.strictEqual(_sm.cryptography.algorithm.name, "aes-256-gcm", "Expected aes-256-gcm.");
+            assert.strictEqual(_sm.cryptography.algorithm.legacy.name, "aes-256-cbc", "Expected aes-256-cbc legacy.");
+        });
+        it("creates valid SessionManager using a keyring", async () => {
+            let _parser = new AESSessionManagerParser();
+            let _AESSessionManager = {_content: {type: "application/vnd.celastrinajs.attribute+json;AESSessionManager"},
+                parameter: "cookie",
+                name: "celastrinajs_session",
+                options: {keys: [{id: "a", property: "mock-session-key-a"}, {id: "b", property: "mock-session-key-b", active: true}]},
+                createNew:  true};
+            /**@type{AESSessionManager}*/let _sm = await _parser._create(_AESSessionManager);
+            assert.strictEqual(_sm.cryptography.algorithm.name, "keyring", "Expected keyring.");
+            assert.strictEqual(_sm.cryptography.algorithm.activeKey, "b", "Expected active key 'b'.");
+        });
         it("fails missing iv", async () => {
             let _parser = new AESSessionManagerParser();
             let _AESSessionManager = {_content: {type: "application/vnd.celastrinajs.attribute+json;AESSessionManager"},
@@ -90,6 +90,9 @@ class MockMicrosoftOpenIDIDPServer {
             .join(this._tenant).split("{version}").join(this._version);
     }
     set tenant(tenant) {this._tenant = tenant;}
+    get kid() {return this._kid;}
+    set kid(kid) {this._kid = kid;}
+    get mock() {return this._mock;}
     get domain() {return this._domain;}
     get tenant() {return this._tenant;}
     get version() {return this._version;}
@@ -127,16 +130,17 @@ class MockMicrosoftOpenIDIDPServer {
         return {token_type: "Bearer", expires_in: diff, ext_expires_in: diff, access_token: _token, iss: this._issuer,
                 sub: sub, aud: aud};
     }
-    async start(useX5T = false) {
+    async start(useX5T = false, headers = {}) {
         let _this = this;
         this._mock = new MockAdapter(axios);
-        let _localjwks = JSON.parse(JSON.stringify(_this._jwkToken));
-        if(!useX5T) delete _localjwks.x5c;
         this._mock.onGet(this._configurl).reply((config) => {
-            return [200, {issuer: _this._issuer, jwks_uri: _this._jwksUri}];
+            return [200, {issuer: _this._issuer, jwks_uri: _this._jwksUri}, headers];
         });
         this._mock.onGet(this._jwksUri).reply((config) => {
-            return [200, {keys: [_localjwks]}];
+            let _localjwks = JSON.parse(JSON.stringify(_this._jwkToken));
+            _localjwks.kid = _this._kid;
+            if(!useX5T) delete _localjwks.x5c;
+            return [200, {keys: [_localjwks]}, headers];
         });
     }
     async stop() {
@@ -37,6 +37,18 @@ describe("BodyParameter", () => {
             let body = await _fetch.getParameter(_context, "xCelastringjsSettings.xCelastringjsSession.value");
             assert.deepStrictEqual(body, "This is a deep test; utf-8", "Expected body 'This is a deep test; utf-8'.");
         });
+        it("Rertieve the default for a missing nested path", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.bindings.req.body = {xCelastringjsValue: "This is a test; utf-8"};
+            let _fetch = new BodyParameter();
+            let _config = new Configuration("BodyParameter");
+            await _config.initialize(_azcontext);
+            await _config.ready();
+            let _context = new MockHTTPContext(_config);
+            await _context.initialize();
+            let body = await _fetch.getParameter(_context, "xCelastringjsSettings.xCelastringjsSession.value", "default");
+            assert.deepStrictEqual(body, "default", "Expected default 'default'.");
+        });
         it("Rertieve the default", async () => {
             let _azcontext = new MockAzureFunctionContext();
             _azcontext.bindings.req.body = {xCelastringjsValue: "This is a test; utf-8", xCelastringjsSettings: {xCelastringjsSession: {value: "This is a deep test; utf-8"}}};
@@ -49,5 +61,19 @@ describe("BodyParameter", () => {
             let body = await _fetch.getParameter(_context, "xCelastringjsValue2", "This is a test 2; utf-8");
             assert.deepStrictEqual(body, "This is a test 2; utf-8", "Expected default 'This is a test 2; utf-8'.");
         });
+        it("Does not walk prototype keys", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.bindings.req.body = {xCelastringjsValue: "This is a test; utf-8"};
+            let _fetch = new BodyParameter();
+            let _config = new Configuration("BodyParameter");
+            await _config.initialize(_azcontext);
+            await _config.ready();
+            let _context = new MockHTTPContext(_config);
+            await _context.initialize();
+            assert.deepStrictEqual(await _fetch.getParameter(_context, "constructor.name", "default"), "default");
+            assert.deepStrictEqual(await _fetch.getParameter(_context, "__proto__", "default"), "default");
+            await assert.rejects(_fetch.setParameter(_context, "__proto__.polluted", true), CelastrinaValidationError);
+            assert.strictEqual({}.polluted, undefined);
+        });
     });
 });
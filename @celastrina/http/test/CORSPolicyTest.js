@@ -0,0 +1,180 @@
+const {Configuration} = require("../../core/Core");
+const {CORSPolicy, HTTPAddOn, HTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+/**
+ * @param {string} method
+ * @param {Object} [headers={}]
+ * @return {MockAzureFunctionContext}
+ */
+function createAzureContext(method, headers = {}) {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.req.method = method;
+    delete _azcontext.req.headers["origin"];
+    Object.assign(_azcontext.req.headers, headers);
+    return _azcontext;
+}
+/**
+ * @param {MockAzureFunctionContext} azcontext
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(azcontext) {
+    return createHTTPContext("CORSPolicyTest", azcontext);
+}
+
+describe("CORSPolicy", () => {
+    describe("#isOriginAllowed(origin)", () => {
+        it("Matches exact origins and patterns", () => {
+            let _policy = new CORSPolicy(["https://app.example.com", "https://*.mock.com", /^http:\/\/localhost:\d+$/]);
+            assert.strictEqual(_policy.isOriginAllowed("https://APP.example.com"), true);
+            assert.strictEqual(_policy.isOriginAllowed("https://a.mock.com"), true);
+            assert.strictEqual(_policy.isOriginAllowed("http://localhost:3000"), true);
+            assert.strictEqual(_policy.isOriginAllowed("https://mock.com.evil.com"), false);
+            assert.strictEqual(_policy.isOriginAllowed("https://evil.com"), false);
+            assert.strictEqual(_policy.isOriginAllowed(null), false);
+        });
+        it("Allows any origin with '*'", () => {
+            assert.strictEqual(new CORSPolicy().isOriginAllowed("https://any.com"), true);
+        });
+    });
+    describe("#preflight(context)", () => {
+        it("Answers allowed preflights", async () => {
+            let _azcontext = createAzureContext("OPTIONS", {"origin": "https://app.example.com",
+                                                            "access-control-request-method": "PUT",
+                                                            "access-control-request-headers": "Content-Type, X-Mock"});
+            let _context = await createContext(_azcontext);
+            let _policy = new CORSPolicy(["https://app.example.com"], ["GET", "PUT"], [], true, 600);
+            assert.strictEqual(_policy.isPreflight(_context), true);
+            _policy.preflight(_context);
+            assert.strictEqual(_azcontext.res.status, 204);
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Origin"], "https://app.example.com");
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Credentials"], "true");
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Methods"], "GET, PUT");
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Headers"], "content-type, x-mock");
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Max-Age"], "600");
+            assert.strictEqual(_azcontext.res.headers["Vary"], "Origin");
+        });
+        it("Rejects disallowed origins, methods and headers", async () => {
+            let _preflight = async (policy, headers) => {
+                let _azcontext = createAzureContext("OPTIONS", Object.assign({"origin": "https://app.example.com",
+                                                                              "access-control-request-method": "GET"}, headers));
+                policy.preflight(await createContext(_azcontext));
+                assert.strictEqual(_azcontext.res.status, 403);
+                assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Origin"], undefined);
+            };
+            await _preflight(new CORSPolicy(["https://other.com"]), {});
+            await _preflight(new CORSPolicy(), {"access-control-request-method": "TRACE"});
+            await _preflight(new CORSPolicy(["*"], ["GET"], ["content-type"]), {"access-control-request-headers": "X-Mock"});
+        });
+    });
+    describe("#decorate(context)", () => {
+        it("Decorates responses from allowed origins", async () => {
+            let _azcontext = createAzureContext("GET", {"origin": "https://app.example.com"});
+            let _context = await createContext(_azcontext);
+            _context.setResponseHeader("Vary", "Accept");
+            new CORSPolicy(["https://app.example.com"], undefined, undefined, false, null, ["X-Mock-Total"]).decorate(_context);
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Origin"], "https://app.example.com");
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Expose-Headers"], "X-Mock-Total");
+            assert.strictEqual(_azcontext.res.headers["Vary"], "Accept, Origin");
+        });
+        it("Uses '*' for any origin without credentials", async () => {
+            let _azcontext = createAzureContext("GET", {"origin": "https://app.example.com"});
+            new CORSPolicy().decorate(await createContext(_azcontext));
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Origin"], "*");
+            assert.strictEqual(_azcontext.res.headers["Vary"], undefined);
+        });
+        it("Skips disallowed origins", async () => {
+            let _azcontext = createAzureContext("GET", {"origin": "https://evil.com"});
+            new CORSPolicy(["https://app.example.com"]).decorate(await createContext(_azcontext));
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Origin"], undefined);
+            assert.strictEqual(_azcontext.res.headers["Vary"], "Origin");
+        });
+    });
+    describe("#create(_CORS)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(CORSPolicy.create(false), null);
+            assert.strictEqual(CORSPolicy.create(true).isOriginAllowed("https://any.com"), true);
+            let _policy = CORSPolicy.create({origins: ["https://*.mock.com"], methods: ["get"], credentials: true, maxAge: 60});
+            assert.deepStrictEqual(_policy.methods, ["GET"]);
+            assert.strictEqual(_policy.maxAge, 60);
+            assert.throws(() => {CORSPolicy.create({origins: "https://mock.com"});});
+            assert.throws(() => {CORSPolicy.create({maxAge: -1});});
+        });
+        it("Rejects any origin with credentials", () => {
+            assert.throws(() => {CORSPolicy.create({credentials: true});});
+            assert.throws(() => {new CORSPolicy(["*"], undefined, undefined, true);});
+            assert.throws(() => {new CORSPolicy(["https://*"], undefined, undefined, true);});
+            assert.throws(() => {new CORSPolicy(["https://app.example.com"], undefined, undefined, true).addOrigin("*");});
+            assert.strictEqual(new CORSPolicy(["https://*.mock.com"], undefined, undefined, true).credentials, true);
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), CORS", () => {
+        class MockFunction extends HTTPFunction {
+            constructor(config) {
+                super(config);
+                this.authenticated = false;
+                this.invoked = false;
+            }
+            async authenticate(context) {
+                this.authenticated = true;
+                return super.authenticate(context);
+            }
+            async _get(context) {
+                this.invoked = true;
+                context.send("mock");
+            }
+        }
+        /**
+         * @return {MockFunction}
+         */
+        function createFunction() {
+            let _config = new Configuration("CORSPolicyTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(true);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setCORSPolicy(new CORSPolicy(["https://app.example.com"]));
+            return new MockFunction(_config);
+        }
+        it("Answers preflights before authentication", async () => {
+            let _function = createFunction();
+            let _azcontext = createAzureContext("OPTIONS", {"origin": "https://app.example.com",
+                                                            "access-control-request-method": "GET"});
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 204);
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Origin"], "https://app.example.com");
+            assert.strictEqual(_function.authenticated, false);
+            assert.strictEqual(_function.invoked, false);
+        });
+        it("Decorates actual responses on terminate", async () => {
+            let _function = createFunction();
+            let _azcontext = createAzureContext("GET", {"origin": "https://app.example.com"});
+            await _function.execute(_azcontext);
+            assert.strictEqual(_function.invoked, true);
+            assert.strictEqual(_azcontext.res.status, 200);
+            assert.strictEqual(_azcontext.res.headers["Access-Control-Allow-Origin"], "https://app.example.com");
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), cors", () => {
+        it("Creates the CORS policy", async () => {
+            let _config = new Configuration("CORSPolicyTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"},
+                    cors: {origins: ["https://app.example.com"], exposedHeaders: ["X-Mock-Total"]}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.corsPolicy.isOriginAllowed("https://app.example.com"), true);
+            assert.deepStrictEqual(_addon.corsPolicy.exposedHeaders, ["X-Mock-Total"]);
+        });
+    });
+});
@@ -0,0 +1,179 @@
+const {Configuration} = require("../../core/Core");
+const {Cookie, CookieParameter, CSRFPolicy, AESSessionManager, HTTPAddOn, HTTPContext, HTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+const SECRET = "c2f9dab0ceae47d99c7bf4537fbb0c3a";
+const ORIGIN = "http://original-azure-function-url";
+
+/**
+ * @param {CSRFPolicy} policy
+ * @param {string} method
+ * @param {Object} [headers={}]
+ * @param {(null|string)} [body=null]
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(policy, method, headers = {}, body = null) {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.req.method = method;
+    if(body != null) {
+        _azcontext.req.body = body;
+        _azcontext.req.rawBody = body;
+    }
+    delete _azcontext.req.headers["origin"];
+    Object.assign(_azcontext.req.headers, headers);
+    return createHTTPContext("CSRFPolicyTest", _azcontext, (addon) => addon.setCSRFPolicy(policy));
+}
+
+describe("CSRFPolicy", () => {
+    describe("#constructor(mode, secret, origins, methods, header, field, name)", () => {
+        it("Validates the arguments", () => {
+            assert.throws(() => {new CSRFPolicy("token");});
+            assert.throws(() => {new CSRFPolicy("cookie");});
+            assert.throws(() => {new CSRFPolicy("cookie", "short");});
+            assert.strictEqual(new CSRFPolicy("cookie", SECRET).mode, "cookie");
+            assert.deepStrictEqual(new CSRFPolicy(null, null, ["https://App.example.com/"]).origins, ["https://app.example.com"]);
+        });
+    });
+    describe("#check(context), origin", () => {
+        let _policy = new CSRFPolicy(null, null, ["https://app.example.com"]);
+        it("Skips safe methods and requests without cookies", async () => {
+            await _policy.check(await createContext(_policy, "GET", {cookie: "mock=1", origin: "https://evil.example.com"}));
+            await _policy.check(await createContext(_policy, "POST", {origin: "https://evil.example.com"}));
+        });
+        it("Accepts the request origin and allowed origins", async () => {
+            await _policy.check(await createContext(_policy, "POST", {cookie: "mock=1", origin: ORIGIN}));
+            await _policy.check(await createContext(_policy, "DELETE", {cookie: "mock=1", origin: "https://app.example.com"}));
+            await _policy.check(await createContext(_policy, "PUT", {cookie: "mock=1", referer: "https://app.example.com/page?q=1"}));
+        });
+        it("Rejects other or missing origins", async () => {
+            await assert.rejects(_policy.check(await createContext(_policy, "POST", {cookie: "mock=1", origin: "https://evil.example.com"})),
+                                 (error) => error.code === 403);
+            await assert.rejects(_policy.check(await createContext(_policy, "PATCH", {cookie: "mock=1", referer: "https://evil.example.com/"})),
+                                 (error) => error.code === 403);
+            await assert.rejects(_policy.check(await createContext(_policy, "POST", {cookie: "mock=1"})),
+                                 (error) => error.code === 403);
+            await assert.rejects(_policy.check(await createContext(_policy, "POST", {cookie: "mock=1", origin: "null"})),
+                                 (error) => error.code === 403);
+        });
+    });
+    describe("#check(context), cookie", () => {
+        let _policy = new CSRFPolicy("cookie", SECRET);
+        it("Issues a signed readable cookie on safe methods", async () => {
+            let _context = await createContext(_policy, "GET");
+            await _policy.check(_context);
+            let _cookie = _context.getCookie("csrf");
+            assert.notStrictEqual(_cookie, null);
+            assert.strictEqual(_cookie.httpOnly, false);
+            assert.strictEqual(_cookie.sameSite, "strict");
+            assert.notStrictEqual(Cookie.verifyValue("csrf", _cookie.value, [SECRET]), null);
+            assert.strictEqual(await _context.getCSRFToken(), _cookie.value);
+        });
+        it("Requires the cookie value in the header or form field", async () => {
+            let _token = Cookie.signValue("csrf", "mock-token", SECRET);
+            await _policy.check(await createContext(_policy, "POST", {cookie: "csrf=" + _token, origin: ORIGIN, "x-csrf-token": _token}));
+            await _policy.check(await createContext(_policy, "POST", {cookie: "csrf=" + _token, origin: ORIGIN,
+                                                                      "content-type": "application/x-www-form-urlencoded"},
+                                                    "_csrf=" + encodeURIComponent(_token)));
+            await assert.rejects(_policy.check(await createContext(_policy, "POST", {cookie: "csrf=" + _token, origin: ORIGIN})),
+                                 /CSRF token missing or invalid\./);
+            await assert.rejects(_policy.check(await createContext(_policy, "POST", {cookie: "csrf=mock-token", origin: ORIGIN,
+                                                                                     "x-csrf-token": "mock-token"})),
+                                 /CSRF token missing or invalid\./);
+            let _other = Cookie.signValue("csrf", "other-token", SECRET);
+            await assert.rejects(_policy.check(await createContext(_policy, "POST", {cookie: "csrf=" + _token, origin: ORIGIN,
+                                                                                     "x-csrf-token": _other})),
+                                 /CSRF token missing or invalid\./);
+        });
+        it("Accepts requests without an origin on a valid token", async () => {
+            let _token = Cookie.signValue("csrf", "mock-token", SECRET);
+            await _policy.check(await createContext(_policy, "POST", {cookie: "csrf=" + _token, "x-csrf-token": _token}));
+            await assert.rejects(_policy.check(await createContext(_policy, "POST", {cookie: "csrf=" + _token})),
+                                 /CSRF token missing or invalid\./);
+            await assert.rejects(_policy.check(await createContext(_policy, "POST", {cookie: "csrf=" + _token,
+                                                                                     origin: "https://evil.example.com",
+                                                                                     "x-csrf-token": _token})),
+                                 /Cross-site request from origin 'https:\/\/evil\.example\.com' rejected\./);
+        });
+    });
+    describe("#check(context), session", () => {
+        it("Requires the synchronizer token from the session", async () => {
+            let _sm = new AESSessionManager({algorithm: "aes-256-gcm", key: SECRET}, new CookieParameter());
+            let _policy = new CSRFPolicy();
+            let _session = await _sm.cryptography.encrypt(JSON.stringify({id: "mock-id", accessed: Date.now(), csrf: "mock-token"}));
+            let _create = async (token) => {
+                let _azcontext = new MockAzureFunctionContext();
+                _azcontext.req.method = "POST";
+                _azcontext.req.headers["origin"] = ORIGIN;
+                _azcontext.req.headers["cookie"] = "celastrinajs_session=" + _session;
+                if(token != null) _azcontext.req.headers["x-csrf-token"] = token;
+                let _config = new Configuration("CSRFPolicyTest");
+                let _addon = new HTTPAddOn();
+                _config.addOn(_addon);
+                _addon.setSessionManager(_sm).setCSRFPolicy(_policy);
+                await _config.initialize(_azcontext);
+                await _config.ready();
+                let _context = new HTTPContext(_config);
+                await _context.initialize();
+                return _context;
+            };
+            let _context = await _create("mock-token");
+            await _policy.check(_context);
+            assert.strictEqual(await _context.getCSRFToken(), "mock-token");
+            await assert.rejects(_policy.check(await _create("other-token")), (error) => error.code === 403);
+            await assert.rejects(_policy.check(await _create(null)), (error) => error.code === 403);
+        });
+        it("Creates a token for new sessions", async () => {
+            let _sm = new AESSessionManager({algorithm: "aes-256-gcm", key: SECRET}, new CookieParameter());
+            let _policy = new CSRFPolicy();
+            let _azcontext = new MockAzureFunctionContext();
+            let _config = new Configuration("CSRFPolicyTest");
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setSessionManager(_sm).setCSRFPolicy(_policy);
+            await _config.initialize(_azcontext);
+            await _config.ready();
+            let _context = new HTTPContext(_config);
+            await _context.initialize();
+            let _token = await _context.getCSRFToken();
+            assert.match(_token, /^[A-Za-z0-9_-]{43}$/);
+            assert.strictEqual(await _context.session.getProperty("csrf"), _token);
+            assert.strictEqual(await _context.getCSRFToken(), _token);
+        });
+    });
+    describe("#create(_CSRF)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(CSRFPolicy.create(true).mode, "session");
+            assert.strictEqual(CSRFPolicy.create(false), null);
+            let _policy = CSRFPolicy.create({mode: "cookie", secret: [SECRET], exempt: ["DELETE"], header: "X-XSRF-Token"});
+            assert.deepStrictEqual(_policy.methods, ["post", "put", "patch"]);
+            assert.strictEqual(_policy.header, "x-xsrf-token");
+            assert.throws(() => {CSRFPolicy.create("session");});
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), CSRF", () => {
+        it("Responds 403 before processing forged requests", async () => {
+            let _config = new Configuration("CSRFPolicyTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(true);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setCSRFPolicy(new CSRFPolicy("cookie", SECRET));
+            let _invoked = false;
+            let _function = new (class extends HTTPFunction {
+                async _post(context) {_invoked = true; context.send("mock");}
+            })(_config);
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.req.method = "POST";
+            _azcontext.req.headers["cookie"] = "csrf=" + Cookie.signValue("csrf", "mock-token", SECRET);
+            _azcontext.req.headers["origin"] = ORIGIN;
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 403);
+            assert.strictEqual(_invoked, false);
+        });
+    });
+});
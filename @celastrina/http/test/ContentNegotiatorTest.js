@@ -0,0 +1,245 @@
+const {CelastrinaError, CelastrinaValidationError, Configuration} = require("../../core/Core");
+const {JSONBodySerializer, XMLBodySerializer, CSVBodySerializer, TextBodySerializer, NDJSONBodySerializer,
+       FormBodySerializer, ContentNegotiator, HTTPAddOn, HTTPContext, HTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+/**
+ * @param {(undefined|string)} accept
+ * @param {(undefined|string)} [contentType]
+ * @param {*} [raw]
+ * @return {MockAzureFunctionContext}
+ */
+function createAzureContext(accept, contentType = undefined, raw = undefined) {
+    let _azcontext = new MockAzureFunctionContext();
+    if(typeof accept === "undefined") delete _azcontext.req.headers["accept"];
+    else _azcontext.req.headers["accept"] = accept;
+    if(typeof contentType === "string") _azcontext.req.headers["content-type"] = contentType;
+    if(typeof raw !== "undefined") _azcontext.req.rawBody = raw;
+    return _azcontext;
+}
+/**
+ * @param {MockAzureFunctionContext} azcontext
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(azcontext) {
+    return createHTTPContext("ContentNegotiatorTest", azcontext);
+}
+
+describe("BodySerializer", () => {
+    describe("XMLBodySerializer", () => {
+        let _xml = new XMLBodySerializer("order");
+        it("Serializes objects and arrays", () => {
+            assert.strictEqual(_xml.serialize({id: 1, name: "a<b", tags: ["x", "y"], note: null}),
+                "<?xml version=\"1.0\" encoding=\"UTF-8\"?><order><id>1</id><name>a&lt;b</name><tags>x</tags><tags>y</tags><note/></order>");
+        });
+        it("Parses the root element content", () => {
+            assert.deepStrictEqual(_xml.parse("<?xml version=\"1.0\"?><order id=\"1\"><id>1</id><name>a&amp;b</name>" +
+                                              "<tags>x</tags><tags><![CDATA[<y>]]></tags><note/></order>"),
+                                   {id: "1", name: "a&b", tags: ["x", "<y>"], note: ""});
+        });
+        it("Rejects DOCTYPE and malformed documents", () => {
+            assert.throws(() => {_xml.parse("<!DOCTYPE x [<!ENTITY e \"e\">]><order>&e;</order>");},
+                          (error) => error.code === 400 && error.tag === "body");
+            assert.throws(() => {_xml.parse("<order><id>1</order>");});
+            assert.throws(() => {_xml.parse("<order><__proto__>1</__proto__></order>");});
+            assert.throws(() => {_xml.parse("<order>&#x110000;</order>");}, (error) => error.code === 400 && error.tag === "body");
+            assert.strictEqual(_xml.parse("<order>&#x10FFFF;&#65;</order>"), "\u{10FFFF}A");
+        });
+        it("Parses repeated elements named after Object.prototype methods", () => {
+            assert.deepStrictEqual(_xml.parse("<order><hasOwnProperty>1</hasOwnProperty><a>1</a><a>2</a></order>"),
+                                   {hasOwnProperty: "1", a: ["1", "2"]});
+        });
+        it("Rejects elements nested deeper than maxDepth", () => {
+            assert.throws(() => {new XMLBodySerializer("order", 0);});
+            let _shallow = new XMLBodySerializer("order", 3);
+            assert.deepStrictEqual(_shallow.parse("<order><a><b/></a><c><d>1</d></c></order>"), {a: {b: ""}, c: {d: "1"}});
+            assert.throws(() => {_shallow.parse("<order><a><b><c/></b></a></order>");},
+                          (error) => error.code === 400 && error.tag === "body");
+            assert.throws(() => {_xml.parse("<a>".repeat(100000) + "</a>".repeat(100000));},
+                          (error) => error.code === 400 && /maximum depth of 64/.test(error.message));
+        });
+    });
+    describe("CSVBodySerializer", () => {
+        let _csv = new CSVBodySerializer();
+        it("Serializes rows with a header and quoting", () => {
+            assert.strictEqual(_csv.serialize([{id: 1, name: "a, \"b\""}, {id: 2, note: "line\nbreak"}]),
+                               "id,name,note\r\n1,\"a, \"\"b\"\"\",\r\n2,,\"line\nbreak\"\r\n");
+        });
+        it("Parses rows by header", () => {
+            assert.deepStrictEqual(_csv.parse("id,name\r\n1,\"a, \"\"b\"\"\"\r\n2,\"line\nbreak\"\r\n"),
+                                   [{id: "1", name: "a, \"b\""}, {id: "2", name: "line\nbreak"}]);
+        });
+        it("Rejects mismatched records", () => {
+            assert.throws(() => {_csv.parse("id,name\r\n1\r\n");}, CelastrinaValidationError);
+        });
+    });
+    describe("NDJSONBodySerializer", () => {
+        it("Serializes and parses lines", () => {
+            let _ndjson = new NDJSONBodySerializer();
+            assert.strictEqual(_ndjson.serialize([{id: 1}, {id: 2}]), "{\"id\":1}\n{\"id\":2}\n");
+            assert.deepStrictEqual(_ndjson.parse("{\"id\":1}\r\n\n{\"id\":2}\n"), [{id: 1}, {id: 2}]);
+            assert.throws(() => {_ndjson.parse("{\"id\":1}\n{id}");});
+        });
+    });
+    describe("FormBodySerializer", () => {
+        it("Serializes and parses repeated keys", () => {
+            let _form = new FormBodySerializer();
+            assert.strictEqual(_form.serialize({name: "a b", tag: ["x", "y"]}), "name=a+b&tag=x&tag=y");
+            assert.deepStrictEqual(_form.parse("name=a+b&tag=x&tag=y"), {name: "a b", tag: ["x", "y"]});
+            assert.deepStrictEqual(_form.parse("hasOwnProperty=1&a=1&a=2"), {hasOwnProperty: "1", a: ["1", "2"]});
+            assert.strictEqual(_form.serialize({hasOwnProperty: "1", a: "2"}), "hasOwnProperty=1&a=2");
+            assert.strictEqual(_form.contentType, "application/x-www-form-urlencoded");
+        });
+    });
+    describe("TextBodySerializer", () => {
+        it("Sends strings as-is", () => {
+            assert.strictEqual(new TextBodySerializer().serialize("mock"), "mock");
+            assert.strictEqual(new TextBodySerializer().serialize({id: 1}), "{\"id\":1}");
+        });
+    });
+});
+describe("ContentNegotiator", () => {
+    describe("#parseAccept(accept)", () => {
+        it("Orders by quality then specificity", () => {
+            assert.deepStrictEqual(ContentNegotiator.parseAccept("*/*;q=0.1, text/*, application/xml;q=0.9, text/csv"),
+                                   [{mediaType: "text/csv", q: 1}, {mediaType: "text/*", q: 1},
+                                    {mediaType: "application/xml", q: 0.9}, {mediaType: "*/*", q: 0.1}]);
+        });
+    });
+    describe("#getSerializer(accept)", () => {
+        let _negotiator = new ContentNegotiator();
+        it("Defaults to the first serializer", () => {
+            assert.strictEqual(_negotiator.getSerializer(undefined) instanceof JSONBodySerializer, true);
+            assert.strictEqual(_negotiator.getSerializer("*/*") instanceof JSONBodySerializer, true);
+        });
+        it("Selects by preference", () => {
+            assert.strictEqual(_negotiator.getSerializer("application/json;q=0.5, text/xml").mediaType, "application/xml");
+            assert.strictEqual(_negotiator.getSerializer("text/*").mediaType, "text/csv");
+        });
+        it("Excludes q=0 from wildcards", () => {
+            assert.strictEqual(_negotiator.getSerializer("application/json;q=0, */*").mediaType, "application/xml");
+        });
+        it("Returns null when nothing is acceptable", () => {
+            assert.strictEqual(_negotiator.getSerializer("image/png"), null);
+        });
+    });
+    describe("#getParser(contentType)", () => {
+        it("Ignores parameters", () => {
+            assert.strictEqual(new ContentNegotiator().getParser("Application/XML; charset=utf-8").mediaType, "application/xml");
+            assert.strictEqual(new ContentNegotiator().getParser("image/png"), null);
+        });
+    });
+    describe("#create(_ContentNegotiation)", () => {
+        it("Creates from boolean or names", () => {
+            assert.strictEqual(ContentNegotiator.create(false), null);
+            assert.strictEqual(ContentNegotiator.create(true).serializers.length, 6);
+            let _negotiator = ContentNegotiator.create({serializers: ["xml", "json"]});
+            assert.strictEqual(_negotiator.defaultSerializer.mediaType, "application/xml");
+            assert.throws(() => {ContentNegotiator.create({serializers: ["yaml"]});});
+            assert.throws(() => {ContentNegotiator.create({serializers: ["constructor"]});});
+        });
+    });
+});
+describe("HTTPContext", () => {
+    describe("#negotiate(negotiator)", () => {
+        it("Serializes responses by Accept", async () => {
+            let _azcontext = createAzureContext("text/csv");
+            let _context = await createContext(_azcontext);
+            _context.negotiate(new ContentNegotiator());
+            _context.send([{id: 1}]);
+            assert.strictEqual(_azcontext.res.headers["Content-Type"], "text/csv; charset=utf-8");
+            assert.strictEqual(_azcontext.res.headers["Vary"], "Accept");
+            assert.strictEqual(_azcontext.res.body, "id\r\n1\r\n");
+        });
+        it("Parses the request body by Content-Type", async () => {
+            let _azcontext = createAzureContext("application/json", "application/x-www-form-urlencoded", Buffer.from("id=1"));
+            let _context = await createContext(_azcontext);
+            _context.negotiate(new ContentNegotiator());
+            assert.deepStrictEqual(_context.requestBody, {id: "1"});
+        });
+        it("Throws 406 and uses the default serializer", async () => {
+            let _azcontext = createAzureContext("image/png");
+            let _context = await createContext(_azcontext);
+            assert.throws(() => {_context.negotiate(new ContentNegotiator());}, (error) => error.code === 406);
+            assert.strictEqual(_context.serializer instanceof JSONBodySerializer, true);
+        });
+        it("Throws 415 for unsupported request bodies", async () => {
+            let _context = await createContext(createAzureContext("application/json", "image/png", "mock"));
+            assert.throws(() => {_context.negotiate(new ContentNegotiator());}, (error) => error.code === 415);
+        });
+        it("Throws 400 for malformed request bodies", async () => {
+            let _context = await createContext(createAzureContext("application/json", "application/json", "{id"));
+            assert.throws(() => {_context.negotiate(new ContentNegotiator());},
+                          (error) => error.code === 400 && error.tag === "body");
+        });
+        it("Sends serialized errors instead of HTML", async () => {
+            let _azcontext = createAzureContext("application/xml");
+            let _context = await createContext(_azcontext);
+            _context.negotiate(new ContentNegotiator());
+            _context.sendServerError(CelastrinaError.newError("mock_error", 502));
+            assert.strictEqual(_azcontext.res.status, 502);
+            assert.strictEqual(_azcontext.res.body, "<?xml version=\"1.0\" encoding=\"UTF-8\"?><response><name>CelastrinaError</name>" +
+                                                    "<message>mock_error</message><tag/><code>502</code><cause/><drop>false</drop></response>");
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), content negotiation", () => {
+        class MockFunction extends HTTPFunction {
+            async _post(context) {context.send({received: context.requestBody});}
+        }
+        /**
+         * @return {MockFunction}
+         */
+        function createFunction() {
+            let _config = new Configuration("ContentNegotiatorTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(true);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setContentNegotiator(new ContentNegotiator());
+            return new MockFunction(_config);
+        }
+        it("Parses and serializes per request", async () => {
+            let _azcontext = createAzureContext("application/x-ndjson", "text/csv", "id\r\n1\r\n");
+            _azcontext.req.method = "POST";
+            await createFunction().execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 200);
+            assert.strictEqual(_azcontext.res.body, "{\"received\":[{\"id\":\"1\"}]}\n");
+        });
+        it("Responds 406", async () => {
+            let _azcontext = createAzureContext("image/png");
+            _azcontext.req.method = "POST";
+            await createFunction().execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 406);
+            assert.strictEqual(_azcontext.res.headers["Content-Type"], "application/json; charset=utf-8");
+            assert.strictEqual(_azcontext.res.body.code, 406);
+        });
+        it("Responds 415", async () => {
+            let _azcontext = createAzureContext("application/json", "application/octet-stream", "mock");
+            _azcontext.req.method = "POST";
+            await createFunction().execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 415);
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), contentNegotiation", () => {
+        it("Enables content negotiation", async () => {
+            let _config = new Configuration("ContentNegotiatorTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"},
+                    contentNegotiation: {serializers: ["json", "csv"]}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.deepStrictEqual(_addon.contentNegotiator.serializers.map((_serializer) => _serializer.mediaType),
+                                   ["application/json", "text/csv"]);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const {CookieParameter, HTTPParameterParser, AESSessionManagerParser} = require("../HTTP");
+const {MockHTTPContext} = require("./HTTPContextTest");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const assert = require("assert");
+
+/**
+ * @param {(null|string)} [cookies=null] The request Cookie header.
+ * @return {Promise<MockHTTPContext>}
+ */
+async function createContext(cookies = null) {
+    let _azcontext = new MockAzureFunctionContext();
+    if(cookies != null) _azcontext.req.headers["cookie"] = cookies;
+    return createHTTPContext("CookieParameterTest", _azcontext, null, (config) => new MockHTTPContext(config));
+}
+
+describe("CookieParameter", () => {
+    describe("#constructor(type, chunkSize, maxSize)", () => {
+        it("Validates the sizes", () => {
+            assert.strictEqual(new CookieParameter().chunkSize, 3800);
+            assert.throws(() => {new CookieParameter("cookie", 8);});
+            assert.throws(() => {new CookieParameter("cookie", 100, 50);});
+        });
+    });
+    describe("#split(value)", () => {
+        it("Splits by encoded length", () => {
+            let _param = new CookieParameter("cookie", 16, 64);
+            assert.deepStrictEqual(_param.split("abcdefghijklmnopqrst"), ["abcdefghijklmnop", "qrst"]);
+            assert.deepStrictEqual(_param.split("a+b+c+d+e"), ["a+b+c+d+", "e"]);
+        });
+    });
+    describe("#setParameter(context, key, value)", () => {
+        it("Writes small values to a single cookie", async () => {
+            let _context = await createContext();
+            await new CookieParameter("cookie", 16, 64).setParameter(_context, "mock", "small");
+            assert.strictEqual(_context.getCookie("mock").value, "small");
+            assert.strictEqual(_context.getCookie("mock.1"), null);
+        });
+        it("Chunks large values and reads them back", async () => {
+            let _param = new CookieParameter("cookie", 16, 64);
+            let _context = await createContext();
+            let _value = "0123456789abcdefghijklmnopqrstuvwxyz";
+            await _param.setParameter(_context, "mock", _value);
+            assert.strictEqual(_context.getCookie("mock").value, "chunks-3");
+            assert.strictEqual(_context.getCookie("mock.1").value, "0123456789abcdef");
+            assert.strictEqual(_context.getCookie("mock.3").value, "wxyz");
+            assert.strictEqual(await _param.getParameter(_context, "mock"), _value);
+            let _request = await createContext("mock=chunks-2; mock.1=0123456789abcdef; mock.2=ghij");
+            assert.strictEqual(await _param.getParameter(_request, "mock"), "0123456789abcdefghij");
+        });
+        it("Expires stale chunks", async () => {
+            let _context = await createContext("mock=chunks-3; mock.1=0123456789abcdef; mock.2=ghijklmnopqrstuv; mock.3=wxyz");
+            await new CookieParameter("cookie", 16, 64).setParameter(_context, "mock", "0123456789abcdefghij");
+            assert.strictEqual(_context.getCookie("mock").value, "chunks-2");
+            assert.strictEqual(_context.getCookie("mock.2").value, "ghij");
+            assert.strictEqual(_context.getCookie("mock.3").value, null);
+            assert.strictEqual(_context.getCookie("mock.3").expires.getTime(), 0);
+            await new CookieParameter("cookie", 16, 64).setParameter(_context, "mock", "small");
+            assert.strictEqual(_context.getCookie("mock").value, "small");
+            assert.strictEqual(_context.getCookie("mock.1").value, null);
+            assert.strictEqual(_context.getCookie("mock.2").value, null);
+        });
+        it("Rejects values over the maximum size", async () => {
+            let _context = await createContext();
+            await assert.rejects(new CookieParameter("cookie", 16, 64).setParameter(_context, "mock", "x".repeat(65)),
+                                 /Cookie 'mock' is 65 bytes, exceeding the maximum of 64 bytes\./);
+        });
+    });
+    describe("#getParameter(context, key, defaultValue)", () => {
+        it("Returns the default when a chunk is missing", async () => {
+            let _context = await createContext("mock=chunks-3; mock.1=0123456789abcdef; mock.3=wxyz");
+            assert.strictEqual(await new CookieParameter().getParameter(_context, "mock", "default"), "default");
+        });
+    });
+});
+describe("HTTPParameterParser", () => {
+    describe("#createHTTPParameter(type, cookie)", () => {
+        it("Sets the cookie sizes", async () => {
+            let _param = HTTPParameterParser.createHTTPParameter("cookie", {chunkSize: 2000, maxSize: 8000});
+            assert.strictEqual(_param.chunkSize, 2000);
+            assert.strictEqual(_param.maxSize, 8000);
+            let _sm = await new AESSessionManagerParser()._create({parameter: "cookie", cookie: {maxSize: 32768},
+                                                                   options: {algorithm: "aes-256-gcm", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a"}});
+            assert.strictEqual(_sm.parameter.maxSize, 32768);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const {Configuration} = require("../../core/Core");
+const {Cookie, CookiePolicy, HTTPAddOn, HTTPContext} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+const SECRET = "c2f9dab0ceae47d99c7bf4537fbb0c3a";
+
+/**
+ * @param {(null|CookiePolicy)} policy
+ * @param {MockAzureFunctionContext} azcontext
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(policy, azcontext) {
+    return createHTTPContext("CookiePolicyTest", azcontext, (addon) => addon.setCookiePolicy(policy));
+}
+
+describe("CookiePolicy", () => {
+    describe("#constructor(secure, httpOnly, sameSite, path, secret, signed)", () => {
+        it("Validates the arguments", () => {
+            assert.throws(() => {new CookiePolicy(true, true, "loose");});
+            assert.throws(() => {new CookiePolicy(true, true, "lax", "/", "short");});
+            assert.throws(() => {new CookiePolicy(true, true, "lax", "/", null, ["prefs"]);});
+        });
+    });
+    describe("#apply(cookie)", () => {
+        it("Sets defaults without replacing options", () => {
+            let _policy = new CookiePolicy();
+            let _cookie = Cookie.newCookie("mock", "a");
+            _policy.apply(_cookie);
+            assert.deepStrictEqual(_cookie.options, {secure: true, httpOnly: true, sameSite: "lax", path: "/"});
+            _cookie = Cookie.newCookie("mock", "a", {sameSite: "strict", path: "/api"});
+            _policy.apply(_cookie);
+            assert.strictEqual(_cookie.sameSite, "strict");
+            assert.strictEqual(_cookie.path, "/api");
+        });
+        it("Keeps prefixed cookies Secure", () => {
+            let _cookie = Cookie.newCookie("__Host-mock", "a");
+            new CookiePolicy(false, false, null).apply(_cookie);
+            assert.deepStrictEqual(_cookie.options, {secure: true, path: "/"});
+            _cookie.validate();
+        });
+        it("Signs listed cookies", () => {
+            let _cookie = Cookie.newCookie("prefs", "theme=dark");
+            new CookiePolicy(true, true, "lax", "/", SECRET, ["prefs"]).apply(_cookie);
+            assert.strictEqual(_cookie.signed, true);
+        });
+    });
+    describe("#create(_Cookies)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(CookiePolicy.create(false), null);
+            assert.strictEqual(CookiePolicy.create(true).sameSite, "lax");
+            let _policy = CookiePolicy.create({httpOnly: false, sameSite: "strict", secret: [SECRET], signed: ["prefs"]});
+            assert.strictEqual(_policy.httpOnly, false);
+            assert.strictEqual(_policy.secure, true);
+            assert.strictEqual(_policy.sameSite, "strict");
+            assert.strictEqual(_policy.isSigned("prefs"), true);
+            assert.throws(() => {CookiePolicy.create("strict");});
+        });
+    });
+});
+describe("HTTPContext", () => {
+    describe("#_parseCookies(), signed", () => {
+        it("Verifies signed cookies and drops tampered ones", async () => {
+            let _policy = new CookiePolicy(true, true, "lax", "/", ["d2f9dab0ceae47d99c7bf4537fbb0c3a", SECRET], ["prefs", "other"]);
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.req.headers["cookie"] = "prefs=" + encodeURIComponent(Cookie.signValue("prefs", "theme=dark", SECRET)) +
+                                               "; other=" + encodeURIComponent("theme=dark.forged") + "; plain=mock";
+            let _context = await createContext(_policy, _azcontext);
+            assert.strictEqual(_context.getCookie("prefs").value, "theme=dark");
+            assert.strictEqual(_context.getCookie("other"), null);
+            assert.strictEqual(_context.getCookie("plain").value, "mock");
+        });
+    });
+    describe("#terminate(), cookie policy", () => {
+        it("Applies the policy and signs cookies when written", async () => {
+            let _policy = new CookiePolicy(true, true, "lax", "/", ["d2f9dab0ceae47d99c7bf4537fbb0c3a", SECRET], ["prefs"]);
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.req.headers["cookie"] = "prefs=" + encodeURIComponent(Cookie.signValue("prefs", "theme=dark", SECRET));
+            let _context = await createContext(_policy, _azcontext);
+            _context.setCookie(Cookie.newCookie("mock", "a"));
+            _context.getCookie("prefs").value = "theme=light";
+            await _context.terminate();
+            let _prefs = _azcontext.res.cookies.find((_cookie) => _cookie.name === "prefs");
+            assert.strictEqual(_prefs.value, Cookie.signValue("prefs", "theme=light", "d2f9dab0ceae47d99c7bf4537fbb0c3a"));
+            let _mock = _azcontext.res.cookies.find((_cookie) => _cookie.name === "mock");
+            assert.strictEqual(_mock.secure, true);
+            assert.strictEqual(_mock.httpOnly, true);
+            assert.strictEqual(_mock.sameSite, "lax");
+        });
+        it("Does not write unchanged request cookies", async () => {
+            let _policy = new CookiePolicy(true, true, "lax", "/", SECRET, ["prefs"]);
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.req.headers["cookie"] = "prefs=" + encodeURIComponent(Cookie.signValue("prefs", "theme=dark", SECRET)) +
+                                               "; theme=dark";
+            let _context = await createContext(_policy, _azcontext);
+            await _context.terminate();
+            assert.strictEqual(_azcontext.res.cookies, null);
+            assert.strictEqual(_context.getCookie("theme").httpOnly, undefined);
+        });
+        it("Rejects cookies breaking prefix rules", async () => {
+            let _context = await createContext(null, new MockAzureFunctionContext());
+            _context.setCookie(Cookie.newCookie("__Host-mock", "a", {path: "/"}));
+            await assert.rejects(_context.terminate(), /must be Secure/);
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), cookies", () => {
+        it("Creates the cookie policy", async () => {
+            let _config = new Configuration("CookiePolicyTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"},
+                    cookies: {sameSite: "strict", secret: SECRET, signed: ["prefs"]}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.cookiePolicy.sameSite, "strict");
+            assert.strictEqual(_addon.cookiePolicy.isSigned("prefs"), true);
+        });
+    });
+});
@@ -187,6 +187,38 @@ describe("Cookie", () => {
             assert.deepStrictEqual(_cookie.serialize(), _result, "parseValue should return empty string.");
         });
     });
+    describe("Signing", () => {
+        describe("Cookie#newSignedCookie(name, value, secret, options = {})", () => {
+            it("Writes the signed value", () => {
+                let _cookie = Cookie.newSignedCookie("prefs", "theme=dark", "c2f9dab0ceae47d99c7bf4537fbb0c3a");
+                assert.strictEqual(_cookie.signed, true);
+                assert.strictEqual(_cookie.doSetCookie, true);
+                assert.strictEqual(_cookie.value, "theme=dark");
+                assert.strictEqual(_cookie.parseValue, Cookie.signValue("prefs", "theme=dark", "c2f9dab0ceae47d99c7bf4537fbb0c3a"));
+                assert.strictEqual(_cookie.parseValue.startsWith("theme=dark."), true);
+            });
+        });
+        describe("Cookie#verifyValue(name, value, secrets)", () => {
+            it("Verifies against any secret", () => {
+                let _signed = Cookie.signValue("prefs", "theme=dark", "c2f9dab0ceae47d99c7bf4537fbb0c3a");
+                assert.strictEqual(Cookie.verifyValue("prefs", _signed, ["d2f9dab0ceae47d99c7bf4537fbb0c3a",
+                                                                         "c2f9dab0ceae47d99c7bf4537fbb0c3a"]), "theme=dark");
+                assert.strictEqual(Cookie.verifyValue("other", _signed, "c2f9dab0ceae47d99c7bf4537fbb0c3a"), null);
+                assert.strictEqual(Cookie.verifyValue("prefs", "theme=light" + _signed.substring(10), "c2f9dab0ceae47d99c7bf4537fbb0c3a"), null);
+                assert.strictEqual(Cookie.verifyValue("prefs", "theme=dark", "c2f9dab0ceae47d99c7bf4537fbb0c3a"), null);
+            });
+        });
+    });
+    describe("#validate()", () => {
+        it("Enforces prefix rules", () => {
+            assert.throws(() => {Cookie.newCookie("__Secure-mock", "a").validate();}, /must be Secure/);
+            assert.throws(() => {Cookie.newCookie("__Host-mock", "a", {secure: true, path: "/api"}).validate();}, /Path/);
+            assert.throws(() => {Cookie.newCookie("__Host-mock", "a", {secure: true, path: "/", domain: "mock.com"}).validate();}, /Domain/);
+            assert.throws(() => {Cookie.newCookie("mock", "a", {sameSite: "none"}).validate();}, /SameSite/);
+            Cookie.newCookie("__Host-mock", "a", {secure: true, path: "/"}).validate();
+            Cookie.newCookie("__Secure-mock", "a", {secure: true, domain: "mock.com"}).validate();
+        });
+    });
     describe("Static Initializers", () => {
         describe("Cookie#newCookie(name, value = null, options = {})", () => {
             it("Creates new from static initializer", async () => {
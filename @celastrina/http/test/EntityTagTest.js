@@ -0,0 +1,200 @@
+const {CelastrinaPreconditionFailedError, Configuration} = require("../../core/Core");
+const {EntityTag, HTTPAddOn, HTTPContext, JSONHTTPContext, JSONHTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+/**
+ * @param {string} method
+ * @param {Object} [headers={}]
+ * @return {MockAzureFunctionContext}
+ */
+function createAzureContext(method, headers = {}) {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.req.method = method;
+    Object.assign(_azcontext.req.headers, headers);
+    return _azcontext;
+}
+/**
+ * @param {MockAzureFunctionContext} azcontext
+ * @param {(null|string)} [mode=null]
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(azcontext, mode = null) {
+    return createHTTPContext("EntityTagTest", azcontext, (addon) => addon.setETagMode(mode),
+                             (config) => new JSONHTTPContext(config));
+}
+
+describe("EntityTag", () => {
+    describe("#format(etag, weak = false)", () => {
+        it("Quotes opaque tags", () => {
+            assert.strictEqual(EntityTag.format("abc"), "\"abc\"");
+            assert.strictEqual(EntityTag.format("abc", true), "W/\"abc\"");
+            assert.strictEqual(EntityTag.format("W/\"abc\""), "W/\"abc\"");
+        });
+    });
+    describe("#compute(body, weak = false)", () => {
+        it("Hashes the body", () => {
+            assert.strictEqual(EntityTag.compute({id: 1}), EntityTag.compute("{\"id\":1}"));
+            assert.notStrictEqual(EntityTag.compute({id: 1}), EntityTag.compute({id: 2}));
+            assert.strictEqual(EntityTag.compute("mock", true).startsWith("W/\""), true);
+        });
+    });
+    describe("#matches(etag, header, weak = false)", () => {
+        it("Compares strong and weak tags", () => {
+            assert.strictEqual(EntityTag.matches("\"a\"", "\"b\", \"a\""), true);
+            assert.strictEqual(EntityTag.matches("W/\"a\"", "\"a\""), false);
+            assert.strictEqual(EntityTag.matches("W/\"a\"", "\"a\"", true), true);
+            assert.strictEqual(EntityTag.matches("\"a\"", "*"), true);
+            assert.strictEqual(EntityTag.matches(null, "*"), false);
+        });
+    });
+});
+describe("HTTPContext", () => {
+    describe("#send(body = null, status = 200), conditional", () => {
+        it("Computes the ETag when enabled", async () => {
+            let _azcontext = createAzureContext("GET");
+            let _context = await createContext(_azcontext, "weak");
+            _context.send({id: 1});
+            assert.strictEqual(_azcontext.res.headers["ETag"], EntityTag.compute({id: 1}, true));
+            assert.strictEqual(_azcontext.res.status, 200);
+        });
+        it("Does not compute the ETag when disabled", async () => {
+            let _azcontext = createAzureContext("GET");
+            (await createContext(_azcontext)).send({id: 1});
+            assert.strictEqual(_azcontext.res.headers["ETag"], undefined);
+        });
+        it("Sends 304 when the ETag matches", async () => {
+            let _azcontext = createAzureContext("GET", {"if-none-match": EntityTag.compute({id: 1})});
+            (await createContext(_azcontext, "strong")).send({id: 1});
+            assert.strictEqual(_azcontext.res.status, 304);
+            assert.strictEqual(_azcontext.res.body, null);
+        });
+        it("Sends 304 for a handler ETag or Last-Modified", async () => {
+            let _azcontext = createAzureContext("GET", {"if-none-match": "W/\"v1\""});
+            let _context = await createContext(_azcontext);
+            _context.setETag("v1");
+            _context.send({id: 1});
+            assert.strictEqual(_azcontext.res.status, 304);
+            _azcontext = createAzureContext("GET", {"if-modified-since": "Tue, 01 Sep 2026 00:00:00 GMT"});
+            _context = await createContext(_azcontext);
+            _context.setLastModified(new Date("2026-08-01T00:00:00Z"));
+            _context.send({id: 1});
+            assert.strictEqual(_azcontext.res.status, 304);
+        });
+        it("Does not send 304 for other methods", async () => {
+            let _azcontext = createAzureContext("POST", {"if-none-match": "*"});
+            let _context = await createContext(_azcontext, "strong");
+            _context.setETag("v1");
+            _context.send({id: 1});
+            assert.strictEqual(_azcontext.res.status, 200);
+        });
+    });
+    describe("#checkPreconditions(etag = null, lastModified = null)", () => {
+        it("Rejects mismatched If-Match", async () => {
+            let _context = await createContext(createAzureContext("PUT", {"if-match": "\"v1\""}));
+            assert.throws(() => {_context.checkPreconditions("v2");}, CelastrinaPreconditionFailedError);
+            assert.strictEqual(_context.checkPreconditions("v1"), true);
+        });
+        it("Matches If-Match '*' for resources known by last modified time", async () => {
+            let _modified = new Date("2026-08-01T00:00:00Z");
+            let _context = await createContext(createAzureContext("PUT", {"if-match": "*"}));
+            assert.strictEqual(_context.checkPreconditions(null, _modified), true, "Expected '*' to match.");
+            assert.throws(() => {_context.checkPreconditions(null, null);}, CelastrinaPreconditionFailedError);
+            _context = await createContext(createAzureContext("PUT", {"if-match": "\"v1\"",
+                                                                      "if-unmodified-since": "Tue, 01 Sep 2026 00:00:00 GMT"}));
+            assert.strictEqual(_context.checkPreconditions(null, _modified), true, "Expected If-Match to be skipped.");
+            assert.throws(() => {_context.checkPreconditions(null, new Date("2026-09-02T00:00:00Z"));},
+                          CelastrinaPreconditionFailedError);
+            _context = await createContext(createAzureContext("PUT", {"if-none-match": "*"}));
+            assert.throws(() => {_context.checkPreconditions(null, _modified);}, CelastrinaPreconditionFailedError);
+        });
+        it("Rejects weak tags for If-Match", async () => {
+            let _context = await createContext(createAzureContext("DELETE", {"if-match": "W/\"v1\""}));
+            assert.throws(() => {_context.checkPreconditions("W/\"v1\"");}, (error) => error.code === 412);
+        });
+        it("Rejects If-Unmodified-Since", async () => {
+            let _context = await createContext(createAzureContext("PATCH", {"if-unmodified-since": "Tue, 01 Sep 2026 00:00:00 GMT"}));
+            assert.throws(() => {_context.checkPreconditions(null, new Date("2026-09-02T00:00:00Z"));}, CelastrinaPreconditionFailedError);
+            assert.strictEqual(_context.checkPreconditions(null, new Date("2026-08-01T00:00:00Z")), true);
+        });
+        it("Rejects If-None-Match '*' for existing resources", async () => {
+            let _context = await createContext(createAzureContext("PUT", {"if-none-match": "*"}));
+            assert.throws(() => {_context.checkPreconditions("v1");}, CelastrinaPreconditionFailedError);
+            assert.strictEqual(_context.checkPreconditions(null), true);
+        });
+        it("Sends 304 for GET", async () => {
+            let _azcontext = createAzureContext("GET", {"if-none-match": "\"v1\""});
+            let _context = await createContext(_azcontext);
+            assert.strictEqual(_context.checkPreconditions("v1"), false);
+            assert.strictEqual(_azcontext.res.status, 304);
+            assert.strictEqual(_azcontext.res.headers["ETag"], "\"v1\"");
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), conditional", () => {
+        class MockFunction extends JSONHTTPFunction {
+            constructor(config) {
+                super(config);
+                this.invoked = false;
+            }
+            async getEntityTag(context) {return "v1";}
+            async _get(context) {
+                this.invoked = true;
+                context.send({id: 1});
+            }
+            async _put(context) {
+                this.invoked = true;
+                context.send({id: 1});
+            }
+        }
+        /**
+         * @return {MockFunction}
+         */
+        function createFunction() {
+            let _config = new Configuration("EntityTagTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(true);
+            return new MockFunction(_config);
+        }
+        it("Short-circuits GET with 304", async () => {
+            let _function = createFunction();
+            let _azcontext = createAzureContext("GET", {"if-none-match": "\"v1\""});
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 304);
+            assert.strictEqual(_function.invoked, false);
+        });
+        it("Responds 412 for PUT", async () => {
+            let _function = createFunction();
+            let _azcontext = createAzureContext("PUT", {"if-match": "\"v0\""});
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 412);
+            assert.strictEqual(_function.invoked, false);
+        });
+        it("Processes matching PUT", async () => {
+            let _function = createFunction();
+            let _azcontext = createAzureContext("PUT", {"if-match": "\"v1\""});
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 200);
+            assert.strictEqual(_function.invoked, true);
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), etag", () => {
+        it("Sets the ETag mode", async () => {
+            let _config = new Configuration("EntityTagTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"}, etag: "weak"}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.etagMode, "weak");
+            assert.throws(() => {_addon.setETagMode("medium");});
+        });
+    });
+});
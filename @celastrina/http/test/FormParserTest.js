@@ -0,0 +1,129 @@
+const {FormParser, FormParameter, FileParameter, HTTPParameterParser} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const assert = require("assert");
+
+const BOUNDARY = "----mockboundary";
+/**
+ * @param {Array<{name: string, value: string, filename?: string, type?: string}>} parts
+ * @return {string}
+ */
+function createMultipart(parts) {
+    let _body = "";
+    for(let _part of parts) {
+        _body += "--" + BOUNDARY + "\r\nContent-Disposition: form-data; name=\"" + _part.name + "\"";
+        if(typeof _part.filename === "string") _body += "; filename=\"" + _part.filename + "\"";
+        _body += "\r\n";
+        if(typeof _part.type === "string") _body += "Content-Type: " + _part.type + "\r\n";
+        _body += "\r\n" + _part.value + "\r\n";
+    }
+    return _body + "--" + BOUNDARY + "--\r\n";
+}
+/**
+ * @param {string} contentType
+ * @param {(string|Buffer)} body
+ * @param {(null|FormParser)} [parser=null]
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(contentType, body, parser = null) {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.req.method = "POST";
+    _azcontext.req.headers["content-type"] = contentType;
+    _azcontext.req.body = body;
+    _azcontext.req.rawBody = body;
+    return createHTTPContext("FormParserTest", _azcontext, (addon) => {if(parser != null) addon.setFormParser(parser);});
+}
+
+describe("FormParser", () => {
+    describe("#parse(context)", () => {
+        it("Parses multipart fields and files", async () => {
+            let _context = await createContext("multipart/form-data; boundary=" + BOUNDARY, createMultipart([
+                {name: "title", value: "mock"},
+                {name: "tag", value: "a"},
+                {name: "tag", value: "b"},
+                {name: "avatar", value: "\x89PNG mock", filename: "avatar.png", type: "image/png"}]));
+            let _form = await _context.getForm();
+            assert.strictEqual(_form.getField("title"), "mock");
+            assert.deepStrictEqual(_form.getField("tag"), ["a", "b"]);
+            let _file = _form.getFile("avatar");
+            assert.strictEqual(_file.filename, "avatar.png");
+            assert.strictEqual(_file.contentType, "image/png");
+            assert.strictEqual(_file.headers["content-type"], "image/png");
+            assert.strictEqual(_file.isFile, true);
+            assert.strictEqual(_file.data.toString("utf8"), "\x89PNG mock");
+            assert.strictEqual(_form.parts.length, 4);
+            assert.strictEqual(await _context.getForm(), _form);
+        });
+        it("Parses urlencoded fields", async () => {
+            let _form = await (await createContext("application/x-www-form-urlencoded", "a=1&b=two+words&a=3")).getForm();
+            assert.deepStrictEqual({..._form.fields}, {a: ["1", "3"], b: "two words"});
+            assert.deepStrictEqual({..._form.files}, {});
+        });
+        it("Parses fields named like object members", async () => {
+            let _form = await (await createContext("application/x-www-form-urlencoded",
+                                                   "hasOwnProperty=1&constructor=2&toString=3&a=4")).getForm();
+            assert.strictEqual(_form.getField("hasOwnProperty"), "1");
+            assert.strictEqual(_form.getField("constructor"), "2");
+            assert.strictEqual(_form.getField("toString"), "3");
+            assert.strictEqual(_form.getField("valueOf"), null);
+            assert.strictEqual(_form.getFile("constructor"), null);
+        });
+        it("Returns null for other content types", async () => {
+            assert.strictEqual(await (await createContext("application/json", "{}")).getForm(), null);
+        });
+        it("Enforces size and count limits", async () => {
+            let _body = createMultipart([{name: "a", value: "1234"}, {name: "b", value: "5"}]);
+            let _contentType = "multipart/form-data; boundary=" + BOUNDARY;
+            await assert.rejects((await createContext(_contentType, _body, new FormParser(16))).getForm(),
+                                 (error) => error.code === 413);
+            await assert.rejects((await createContext(_contentType, _body, new FormParser(undefined, 1))).getForm(),
+                                 (error) => error.code === 413);
+            await assert.rejects((await createContext(_contentType, _body, new FormParser(undefined, undefined, 3))).getForm(),
+                                 (error) => error.code === 413);
+        });
+        it("Rejects file types outside the allowlist", async () => {
+            let _parser = new FormParser(undefined, undefined, undefined, ["image/*"]);
+            let _contentType = "multipart/form-data; boundary=" + BOUNDARY;
+            let _form = await (await createContext(_contentType, createMultipart([{name: "f", value: "x", filename: "f.png", type: "image/png"}]),
+                                                   _parser)).getForm();
+            assert.strictEqual(_form.getFile("f").size, 1);
+            await assert.rejects((await createContext(_contentType, createMultipart([{name: "f", value: "x", filename: "f.sh",
+                                                                                      type: "application/x-sh"}]), _parser)).getForm(),
+                                 (error) => error.code === 415);
+        });
+        it("Rejects malformed bodies and reserved names", async () => {
+            await assert.rejects((await createContext("multipart/form-data", createMultipart([{name: "a", value: "1"}]))).getForm(),
+                                 (error) => error.code === 400);
+            await assert.rejects((await createContext("multipart/form-data; boundary=" + BOUNDARY,
+                                                      "--" + BOUNDARY + "\r\nContent-Disposition: form-data; name=\"a\"\r\n\r\n1")).getForm(),
+                                 (error) => error.code === 400);
+            await assert.rejects((await createContext("application/x-www-form-urlencoded", "__proto__=1")).getForm(),
+                                 (error) => error.code === 400);
+        });
+    });
+    describe("#create(_Form)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(FormParser.create(true).maxParts, 100);
+            let _parser = FormParser.create({maxSize: 1024, allowedTypes: ["Image/PNG"]});
+            assert.strictEqual(_parser.maxSize, 1024);
+            assert.strictEqual(_parser.isTypeAllowed("image/png"), true);
+            assert.strictEqual(_parser.isTypeAllowed("text/plain"), false);
+        });
+    });
+});
+describe("HTTPParameterParser", () => {
+    describe("#createHTTPParameter(type)", () => {
+        it("Reads form fields and files", async () => {
+            let _context = await createContext("multipart/form-data; boundary=" + BOUNDARY, createMultipart([
+                {name: "title", value: "mock"}, {name: "doc", value: "text", filename: "doc.txt", type: "text/plain"}]));
+            let _form = HTTPParameterParser.createHTTPParameter("form");
+            let _file = HTTPParameterParser.createHTTPParameter("file");
+            assert.strictEqual(_form instanceof FormParameter, true);
+            assert.strictEqual(_file instanceof FileParameter, true);
+            assert.strictEqual(_form.readOnly, true);
+            assert.strictEqual(await _form.getParameter(_context, "title"), "mock");
+            assert.strictEqual(await _form.getParameter(_context, "missing", "default"), "default");
+            assert.strictEqual((await _file.getParameter(_context, "doc")).filename, "doc.txt");
+        });
+    });
+});
@@ -242,6 +242,31 @@ describe("HTTPContext", () => {
             assert.strictEqual(_context.getResponseHeader("header4"), null, "Expected null.");
         });
     });
+    describe("Trace Context", () => {
+        it("Prefers the incoming traceparent header", async () => {
+            let _lazcontext = new MockAzureFunctionContext();
+            _lazcontext.req.headers["traceparent"] = "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01";
+            _lazcontext.req.headers["tracestate"] = "mock=header";
+            let _config = new Configuration("MockHTTPContext");
+            await _config.initialize(_lazcontext);
+            await _config.ready();
+            let _context = new HTTPContext(_config);
+            await _context.initialize();
+            assert.strictEqual(_context.traceId, "0af7651916cd43dd8448eb211c80319c");
+            assert.strictEqual(_context.trace.spanId, "b7ad6b7169203331");
+            assert.strictEqual(_context.trace.tracestate, "mock=header");
+        });
+        it("Falls back to the Azure trace context", async () => {
+            let _lazcontext = new MockAzureFunctionContext();
+            _lazcontext.req.headers["traceparent"] = "invalid";
+            let _config = new Configuration("MockHTTPContext");
+            await _config.initialize(_lazcontext);
+            await _config.ready();
+            let _context = new HTTPContext(_config);
+            await _context.initialize();
+            assert.strictEqual(_context.traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+        });
+    });
     describe("Cookies", () => {
         let _azcontext = new MockAzureFunctionContext();
         _azcontext.req.method = "POST";
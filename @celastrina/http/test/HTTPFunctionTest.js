@@ -160,6 +160,23 @@ describe("HTTPFunction", () => {
             assert.strictEqual(_azctx.res.status, 200, "Expected 200.");
             assert.strictEqual(_azctx.res.body, "<html lang=\"en\"><head><title>HTTPFunctionTest</title></head><body>200, Success</body></html>", "Expected default HTML.");
         });
+        it("should include metrics in monitor response", async () => {
+            let _azctx  = new MockAzureFunctionContext();
+            let _config = new Configuration("HTTPFunctionTest");
+            let _httpconfig = new HTTPAddOn();
+            let _pm = new MockPropertyManager();
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            _config.setAuthorizationOptimistic(true);
+            _config.addOn(_httpconfig);
+            let _function = new MockHTTPFunction(_config);
+            _azctx.req.headers["x-celastrina-monitor"] = "true";
+            _azctx.req.method = "get";
+            await _function.execute(_azctx);
+            assert.strictEqual(_azctx.res.status, 200, "Expected 200.");
+            let _metrics = _azctx.res.body[0].metrics;
+            assert.strictEqual(_metrics.coldStart, true, "Expected cold start.");
+            assert.deepStrictEqual(Object.keys(_metrics.timings), ["bootstrap", "initialize", "authenticate", "authorize", "validate", "load"], "Expected phases before monitor.");
+        });
         it("should responed read existing session", async () => {
             let _azctx  = new MockAzureFunctionContext();
             let _config = new Configuration("HTTPFunctionTest");
@@ -278,7 +295,7 @@ describe("HTTPFunction", () => {
             assert.strictEqual(_azctx.res.status, 403, "Expected 403.");
             assert.strictEqual(_azctx.res.body, "<html lang=\"en\"><head><title>HTTPFunctionTest</title></head><body><header>403 - Forbidden</header><main><p><h2>Forbidden.</h2></main><footer>celastrinajs</footer></body></html>", "Expected 403 HTML.");
         });
-        it("should set cookie with new session", async () => {
+        it("should not set cookie for an unchanged session", async () => {
             let _azctx  = new MockAzureFunctionContext();
             let _config = new Configuration("HTTPFunctionTest");
             let _httpconfig = new HTTPAddOn();
@@ -299,7 +316,7 @@ describe("HTTPFunction", () => {
             _azctx.req.originalUrl = "https://api.celastrinajs.com";
             await _function.execute(_azctx);
             assert.strictEqual(_azctx.res.status, 200, "Expected 200.");
-            assert.deepStrictEqual(_azctx.res.cookies.length, 1, "Expected session cookie");
+            assert.strictEqual(_azctx.res.cookies, null, "Expected no cookie for an unchanged session.");
             assert.strictEqual(_azctx.res.body, "<html lang=\"en\"><head><title>HTTPFunctionTest</title></head><body><p>mockA=valueA<br />mockB=valueB</p></body></html>", "Expected default HTML.");
         });
     });
@@ -460,4 +477,21 @@ describe("HTTPFunction", () => {
             assert.strictEqual(_azctx.res.body, "<html lang=\"en\"><head><title>HTTPFunctionTest</title></head><body><header>403 - Forbidden</header><main><p><h2>Forbidden.</h2></main><footer>celastrinajs</footer></body></html>", "Expected default HTML.");
         });
     });
+    describe("#exception(context, exception), upstream errors", () => {
+        it("Maps an upstream 429 to 429 with Retry-After", async () => {
+            class MockUpstreamFunction extends HTTPFunction {
+                async _get(context) {
+                    throw Object.assign(new Error("Request failed with status code 429"), {isAxiosError: true,
+                        response: {status: 429, statusText: "Too Many Requests", headers: {"retry-after": "30"}}});
+                }
+            }
+            let _azctx = new MockAzureFunctionContext();
+            _azctx.req.method = "GET";
+            let _config = new Configuration("HTTPFunctionTest");
+            _config.setAuthorizationOptimistic(true);
+            await new MockUpstreamFunction(_config).execute(_azctx);
+            assert.strictEqual(_azctx.res.status, 429, "Expected 429.");
+            assert.strictEqual(_azctx.res.headers["Retry-After"], "30", "Expected Retry-After.");
+        });
+    });
 });
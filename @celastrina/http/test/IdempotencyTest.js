@@ -0,0 +1,247 @@
+const {Configuration, ResourceManager, ManagedIdentityResource, Subject} = require("../../core/Core");
+const {IdempotencyPolicy, InMemoryIdempotencyStore, BlobIdempotencyStore, HTTPAddOn, JSONHTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const {MockResourceAuthorization} = require("../../core/test/ResourceAuthorizationTest");
+const MockAdapter = require("axios-mock-adapter");
+const assert = require("assert");
+const axios = require("axios");
+
+class MockOrderFunction extends JSONHTTPFunction {
+    constructor(config) {
+        super(config);
+        this.created = 0;
+        this.fail = false;
+        this.onPost = null;
+        this.subjectId = null;
+    }
+    async authenticate(context) {
+        let _subject = await super.authenticate(context);
+        return (this.subjectId == null) ? _subject : new Subject(this.subjectId, Array.from(_subject.roles));
+    }
+    async _post(context) {
+        if(this.onPost != null) await this.onPost(context);
+        if(this.fail) throw new Error("mock_error");
+        this.created += 1;
+        context.setResponseHeader("Location", "/orders/" + this.created);
+        context.send({id: this.created}, 201);
+    }
+}
+/**
+ * @param {(null|string)} key
+ * @param {Object} [body={item: "mock"}]
+ * @param {string} [method="POST"]
+ * @return {MockAzureFunctionContext}
+ */
+function createAzureContext(key, body = {item: "mock"}, method = "POST") {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.req.method = method;
+    _azcontext.req.originalUrl = "https://mock-host/api/orders";
+    _azcontext.req.body = body;
+    _azcontext.req.rawBody = JSON.stringify(body);
+    if(key != null) _azcontext.req.headers["idempotency-key"] = key;
+    return _azcontext;
+}
+/**
+ * @param {IdempotencyPolicy} policy
+ * @return {MockOrderFunction}
+ */
+function createFunction(policy) {
+    let _config = new Configuration("IdempotencyTest");
+    _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+    _config.setAuthorizationOptimistic(true);
+    let _addon = new HTTPAddOn();
+    _config.addOn(_addon);
+    _addon.setIdempotency(policy);
+    return new MockOrderFunction(_config);
+}
+
+describe("IdempotencyPolicy", () => {
+    describe("#constructor(store, methods, ttl, lockTimeout, header)", () => {
+        it("Requires a store", () => {
+            assert.throws(() => {new IdempotencyPolicy({});});
+        });
+    });
+    describe("#create(_Idempotency)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(IdempotencyPolicy.create(false), null);
+            assert.strictEqual(IdempotencyPolicy.create(true).store instanceof InMemoryIdempotencyStore, true);
+            let _policy = IdempotencyPolicy.create({methods: ["POST", "PUT"], ttl: 60, blob: {storage: "mockstorage", container: "mock"}});
+            assert.deepStrictEqual(_policy.methods, ["post", "put"]);
+            assert.strictEqual(_policy.ttl, 60);
+            assert.strictEqual(_policy.store instanceof BlobIdempotencyStore, true);
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), idempotency", () => {
+        it("Replays the recorded response", async () => {
+            let _function = createFunction(new IdempotencyPolicy());
+            let _first = createAzureContext("mock-key");
+            await _function.execute(_first);
+            assert.strictEqual(_first.res.status, 201);
+            let _retry = createAzureContext("mock-key");
+            await _function.execute(_retry);
+            assert.strictEqual(_function.created, 1);
+            assert.strictEqual(_retry.res.status, 201);
+            assert.deepStrictEqual(_retry.res.body, {id: 1});
+            assert.strictEqual(_retry.res.headers["Location"], "/orders/1");
+            assert.strictEqual(_retry.res.headers["Idempotent-Replayed"], "true");
+        });
+        it("Does not replay responses to other subjects", async () => {
+            let _function = createFunction(new IdempotencyPolicy());
+            _function.subjectId = "mock-user-a";
+            await _function.execute(createAzureContext("mock-key"));
+            _function.subjectId = "mock-user-b";
+            let _other = createAzureContext("mock-key");
+            await _function.execute(_other);
+            assert.strictEqual(_function.created, 2);
+            assert.deepStrictEqual(_other.res.body, {id: 2});
+            assert.strictEqual(_other.res.headers["Idempotent-Replayed"], undefined);
+            _function.subjectId = "mock-user-a";
+            let _retry = createAzureContext("mock-key");
+            await _function.execute(_retry);
+            assert.strictEqual(_function.created, 2);
+            assert.deepStrictEqual(_retry.res.body, {id: 1});
+        });
+        it("Processes requests without a key", async () => {
+            let _function = createFunction(new IdempotencyPolicy());
+            await _function.execute(createAzureContext(null));
+            await _function.execute(createAzureContext(null));
+            assert.strictEqual(_function.created, 2);
+        });
+        it("Responds 422 when the key is reused with a different payload", async () => {
+            let _function = createFunction(new IdempotencyPolicy());
+            await _function.execute(createAzureContext("mock-key"));
+            let _azcontext = createAzureContext("mock-key", {item: "other"});
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 422);
+            assert.strictEqual(_function.created, 1);
+        });
+        it("Responds 409 while the original is in flight", async () => {
+            let _function = createFunction(new IdempotencyPolicy());
+            let _retry = createAzureContext("mock-key");
+            _function.onPost = async () => {
+                _function.onPost = null;
+                await createFunction(_function.configuration.getValue(HTTPAddOn.CONFIG_HTTP_IDEMPOTENCY)).execute(_retry);
+            };
+            await _function.execute(createAzureContext("mock-key"));
+            assert.strictEqual(_retry.res.status, 409);
+            assert.strictEqual(_function.created, 1);
+        });
+        it("Does not record server errors", async () => {
+            let _function = createFunction(new IdempotencyPolicy());
+            _function.fail = true;
+            let _failed = createAzureContext("mock-key");
+            await _function.execute(_failed);
+            assert.strictEqual(_failed.res.status, 500);
+            _function.fail = false;
+            let _retry = createAzureContext("mock-key");
+            await _function.execute(_retry);
+            assert.strictEqual(_retry.res.status, 201);
+            assert.strictEqual(_function.created, 1);
+        });
+        it("Takes over abandoned in-flight requests", async () => {
+            let _store = new InMemoryIdempotencyStore();
+            let _policy = new IdempotencyPolicy(_store, ["post"], 86400, 0);
+            await _store.create("IdempotencyTest:anonymous:mock-key", {fingerprint: "mock", state: "in-flight", created: Date.now(),
+                                                             expires: Date.now() + 60000, response: null});
+            let _function = createFunction(_policy);
+            let _azcontext = createAzureContext("mock-key");
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 201);
+        });
+        it("Ignores other methods", async () => {
+            let _function = createFunction(new IdempotencyPolicy(new InMemoryIdempotencyStore(), ["patch"]));
+            await _function.execute(createAzureContext("mock-key"));
+            await _function.execute(createAzureContext("mock-key"));
+            assert.strictEqual(_function.created, 2);
+        });
+    });
+});
+describe("BlobIdempotencyStore", () => {
+    /**
+     * @return {Promise<BlobIdempotencyStore>}
+     */
+    async function createStore() {
+        let _auth = new MockResourceAuthorization(ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY);
+        _auth.mockToken("https://storage.azure.com/");
+        let _rm = new ResourceManager();
+        await _rm.addResource(_auth);
+        let _store = new BlobIdempotencyStore("mockstorage", "mockcontainer", "/idempotency/");
+        await _store.initialize(new MockAzureFunctionContext(), null, _rm);
+        return _store;
+    }
+    describe("#getEndpoint(key)", () => {
+        it("Hashes the key into the path", async () => {
+            let _store = await createStore();
+            assert.match(_store.getEndpoint("mock:key"),
+                         /^https:\/\/mockstorage\.blob\.core\.windows\.net\/mockcontainer\/idempotency\/[0-9a-f]{64}\.json$/);
+        });
+    });
+    describe("#create(key, record)", () => {
+        it("Creates with If-None-Match and reports existing records", async () => {
+            let _store = await createStore();
+            let _endpoint = _store.getEndpoint("mock:key");
+            let _mock = new MockAdapter(axios);
+            try {
+                _mock.onPut(_endpoint).replyOnce((config) => {
+                    assert.strictEqual(config.headers["If-None-Match"], "*");
+                    assert.strictEqual(config.headers["Authorization"], "Bearer mock-token-https://storage.azure.com/");
+                    assert.strictEqual(config.headers["x-ms-blob-type"], "BlockBlob");
+                    return [201];
+                }).onPut(_endpoint).replyOnce(409);
+                assert.strictEqual(await _store.create("mock:key", {state: "in-flight"}), true);
+                assert.strictEqual(await _store.create("mock:key", {state: "in-flight"}), false);
+            }
+            finally {
+                _mock.restore();
+            }
+        });
+    });
+    describe("#get(key)", () => {
+        it("Returns the record or null", async () => {
+            let _store = await createStore();
+            let _mock = new MockAdapter(axios);
+            try {
+                _mock.onGet(_store.getEndpoint("mock:key")).reply(200, {state: "complete"})
+                     .onGet(_store.getEndpoint("mock:missing")).reply(404)
+                     .onGet(_store.getEndpoint("mock:error")).reply(503);
+                assert.deepStrictEqual(await _store.get("mock:key"), {state: "complete"});
+                assert.strictEqual(await _store.get("mock:missing"), null);
+                await assert.rejects(_store.get("mock:error"), (error) => error.code === 503);
+            }
+            finally {
+                _mock.restore();
+            }
+        });
+    });
+    describe("#delete(key)", () => {
+        it("Ignores missing records", async () => {
+            let _store = await createStore();
+            let _mock = new MockAdapter(axios);
+            try {
+                _mock.onDelete(_store.getEndpoint("mock:key")).reply(404);
+                await _store.delete("mock:key");
+            }
+            finally {
+                _mock.restore();
+            }
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), idempotency", () => {
+        it("Creates the idempotency policy", async () => {
+            let _config = new Configuration("IdempotencyTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"}, idempotency: {ttl: 3600}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.idempotency.ttl, 3600);
+        });
+    });
+});
@@ -1,4 +1,4 @@
-const {CelastrinaError, CelastrinaValidationError, LOG_LEVEL, Configuration} = require("../../core/Core");
+const {CelastrinaError, CelastrinaValidationError, CelastrinaCompositeValidationError, LOG_LEVEL, Configuration} = require("../../core/Core");
 const {JSONHTTPContext, Cookie} = require("../HTTP");
 const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
 const assert = require("assert");
@@ -732,6 +732,24 @@ describe("JSONHTTPContext", () => {
             assert.strictEqual(_azcontext.res.status, 400, "Expected status code 400.");
             assert.deepStrictEqual(_azcontext.res.body, {cause: null, code: 400, drop: false, message: "Invalid Message", name: "CelastrinaValidationError", tag: "test.message"}, "Expected _response body.");
         });
+        it("Sends composite validation error with every failure", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.req.method = "POST";
+            let _config = new Configuration("MockJSONHTTPContext");
+            await _config.initialize(_azcontext);
+            await _config.ready();
+            let _context = new JSONHTTPContext(_config);
+            await _context.initialize();
+
+            let _response = CelastrinaCompositeValidationError.newCompositeValidationError("Invalid request.",
+                [{path: "body.name", message: "is required.", code: "required"}, {path: "query.limit", message: "must be <= 100."}]);
+            _context.sendValidationError(_response);
+            assert.strictEqual(_azcontext.res.status, 400, "Expected status code 400.");
+            assert.deepStrictEqual(_azcontext.res.body, {name: "CelastrinaCompositeValidationError", message: "Invalid request.",
+                tag: "body.name,query.limit", code: 400, cause: null, drop: false,
+                errors: [{path: "body.name", message: "is required.", code: "required"},
+                         {path: "query.limit", message: "must be <= 100.", code: "invalid"}]}, "Expected _response body.");
+        });
         it("Sends validation error, null error", async () => {
             let _azcontext = new MockAzureFunctionContext();
             _azcontext.req.method = "POST";
@@ -0,0 +1,155 @@
+const {Configuration, Permission, MatchAny, MatchNone} = require("../../core/Core");
+const {OpenAPIGenerator, RequestValidator, ContentNegotiator, LocalJwtIssuer, OpenIDJwtIssuer, HTTPAddOn, JwtAddOn,
+       HTTPFunction, JSONHTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+class MockOrderFunction extends JSONHTTPFunction {
+    constructor(config) {
+        super(config);
+        this.router.addRoute("GET", "/orders/{id:int}", this.getOrder, "read-order")
+                   .addRoute("DELETE", "/orders/{id:uuid}", this.getOrder,
+                             new Permission("delete-order", ["admin"], new MatchAny()))
+                   .addRoute("POST", "/orders", this.getOrder);
+    }
+    async getOrder(context) {context.send({id: 1});}
+}
+class MockFunction extends HTTPFunction {
+    async _get(context) {context.send("mock");}
+    async _post(context) {context.send("mock");}
+}
+
+describe("OpenAPIGenerator", () => {
+    describe("#constructor(title, version, servers, description, parameter, action, roles)", () => {
+        it("Requires a version, servers array and action", () => {
+            assert.throws(() => {new OpenAPIGenerator(null, "");});
+            assert.throws(() => {new OpenAPIGenerator(null, "1.0.0", "https://mock.com");});
+            assert.throws(() => {new OpenAPIGenerator(null, "1.0.0", [], null, "openapi", "");});
+        });
+    });
+    describe("#generate(func)", () => {
+        it("Documents method handlers", async () => {
+            let _config = new Configuration("OpenAPIGeneratorTest");
+            _config.addOn(new HTTPAddOn());
+            let _document = await new OpenAPIGenerator("Mock API", "2.0.0", ["https://mock.com"]).generate(new MockFunction(_config));
+            assert.strictEqual(_document.openapi, "3.0.3");
+            assert.deepStrictEqual(_document.info, {title: "Mock API", version: "2.0.0"});
+            assert.deepStrictEqual(_document.servers, [{url: "https://mock.com"}]);
+            assert.deepStrictEqual(Object.keys(_document.paths), ["/api/OpenAPIGeneratorTest"]);
+            assert.deepStrictEqual(Object.keys(_document.paths["/api/OpenAPIGeneratorTest"]), ["get", "post"]);
+            assert.strictEqual(_document.paths["/api/OpenAPIGeneratorTest"].get.operationId, "get_api_OpenAPIGeneratorTest");
+            assert.strictEqual(_document.components, undefined);
+        });
+        it("Documents routes, validators, permissions and issuers", async () => {
+            let _config = new Configuration("OpenAPIGeneratorTest");
+            _config.permissions.addPermission(new Permission("read-order", ["reader"]));
+            let _addon = new JwtAddOn();
+            _config.addOn(_addon);
+            _addon.addIssuer(new LocalJwtIssuer("@celastrinajs/issuer/mock", "mock-key"))
+                  .addIssuer(new OpenIDJwtIssuer("https://login.mock.com/v2.0", "https://login.mock.com/.well-known/openid-configuration"));
+            _addon.setContentNegotiator(ContentNegotiator.create({serializers: ["json", "xml"]}));
+            _addon.setRequestValidator("get", new RequestValidator([{name: "expand", in: "query", schema: {type: "boolean"}}]));
+            _addon.setRequestValidator("post", new RequestValidator([{name: "item", in: "body", required: true, schema: {type: "string"}},
+                                                                      {name: "receipt", in: "file"}]));
+            let _document = await new OpenAPIGenerator(null, "1.0.0", [], null, "openapi", "openapi", true)
+                .generate(new MockOrderFunction(_config));
+            assert.strictEqual(_document.info.title, "OpenAPIGeneratorTest");
+            assert.deepStrictEqual(_document.components.securitySchemes, {
+                "https_login.mock.com_v2.0": {type: "openIdConnect", openIdConnectUrl: "https://login.mock.com/.well-known/openid-configuration",
+                                              description: "https://login.mock.com/v2.0"},
+                "_celastrinajs_issuer_mock": {type: "http", scheme: "bearer", bearerFormat: "JWT", description: "@celastrinajs/issuer/mock"}});
+            let _get = _document.paths["/api/orders/{id}"].get;
+            assert.deepStrictEqual(_get.parameters, [{name: "id", in: "path", required: true, schema: {type: "integer"}},
+                                                     {name: "expand", in: "query", required: false, schema: {type: "boolean"}}]);
+            assert.deepStrictEqual(Object.keys(_get.responses["200"].content), ["application/json", "application/xml"]);
+            assert.deepStrictEqual(_get.security, [{"https_login.mock.com_v2.0": []}, {"_celastrinajs_issuer_mock": []}]);
+            assert.deepStrictEqual(_get["x-celastrina-roles"], ["reader"]);
+            let _delete = _document.paths["/api/orders/{id}"].delete;
+            assert.deepStrictEqual(_delete.parameters[0].schema, {type: "string", format: "uuid"});
+            assert.deepStrictEqual(_delete["x-celastrina-roles"], ["admin"]);
+            let _post = _document.paths["/api/orders"].post;
+            assert.strictEqual(_post.security, undefined);
+            assert.deepStrictEqual(_post.requestBody.content["application/json"].schema,
+                                   {type: "object", properties: {item: {type: "string"}}, required: ["item"]});
+            assert.deepStrictEqual(_post.requestBody.content["multipart/form-data"].schema,
+                                   {type: "object", properties: {receipt: {type: "string", format: "binary"}}});
+            assert.strictEqual(_post.responses["400"].description, "Invalid request.");
+        });
+        it("Omits roles by default", async () => {
+            let _config = new Configuration("OpenAPIGeneratorTest");
+            _config.permissions.addPermission(new Permission("read-order", ["reader"]));
+            _config.addOn(new HTTPAddOn());
+            let _document = await new OpenAPIGenerator().generate(new MockOrderFunction(_config));
+            let _get = _document.paths["/api/orders/{id}"].get;
+            assert.strictEqual(_get.responses["403"].description, "Not authorized.");
+            assert.strictEqual(_get["x-celastrina-roles"], undefined);
+        });
+    });
+    describe("#create(_OpenAPI)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(OpenAPIGenerator.create(false), null);
+            assert.strictEqual(OpenAPIGenerator.create(true).parameter, "openapi");
+            let _generator = OpenAPIGenerator.create({title: "Mock", version: "3.1.0", parameter: "spec"});
+            assert.strictEqual(_generator.title, "Mock");
+            assert.strictEqual(_generator.version, "3.1.0");
+            assert.strictEqual(_generator.parameter, "spec");
+            assert.strictEqual(_generator.action, "openapi");
+            assert.strictEqual(_generator.roles, false);
+            _generator = OpenAPIGenerator.create({action: "Read-Spec", roles: true});
+            assert.strictEqual(_generator.action, "read-spec");
+            assert.strictEqual(_generator.roles, true);
+            assert.throws(() => {OpenAPIGenerator.create("yes");});
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), OpenAPI", () => {
+        /**
+         * @param {(null|Permission)} permission
+         * @param {boolean} optimistic
+         * @return {Promise<MockAzureFunctionContext>}
+         */
+        async function requestDocument(permission, optimistic) {
+            let _config = new Configuration("OpenAPIGeneratorTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(optimistic);
+            if(permission != null) _config.permissions.addPermission(permission);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setOpenAPI(new OpenAPIGenerator());
+            let _function = new MockFunction(_config);
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.req.method = "GET";
+            _azcontext.req.query["openapi"] = "true";
+            await _function.execute(_azcontext);
+            return _azcontext;
+        }
+        it("Serves the document once authorized", async () => {
+            let _azcontext = await requestDocument(null, true);
+            assert.strictEqual(_azcontext.res.status, 200);
+            assert.strictEqual(_azcontext.res.headers["Content-Type"], "application/json; charset=utf-8");
+            assert.strictEqual(_azcontext.res.body.openapi, "3.0.3");
+            assert.strictEqual((await requestDocument(new Permission("openapi", ["banned"], new MatchNone()), false)).res.status, 200);
+        });
+        it("Rejects unauthorized document requests", async () => {
+            assert.strictEqual((await requestDocument(null, false)).res.status, 403);
+            assert.strictEqual((await requestDocument(new Permission("openapi", ["admin"], new MatchAny()), false)).res.status, 403);
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), openAPI", () => {
+        it("Creates the OpenAPI generator", async () => {
+            let _config = new Configuration("OpenAPIGeneratorTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"}, openAPI: {title: "Mock API"}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.openAPI.title, "Mock API");
+        });
+    });
+});
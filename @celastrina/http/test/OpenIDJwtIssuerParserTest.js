@@ -11,13 +11,15 @@ describe("OpenIDJwtIssuerParser", () => {
                 audiences: ["celastrinajs_mock_aud"],
                 assignments: ["assignment_a"],
                 configURL: "https://www.configurl.com/some/uri",
-                validateNonce: true};
+                validateNonce: true, cacheTTL: 600, refreshInterval: 30};
             let _issuer = await _parser._create(_OpenIDJwtIssuer);
             assert.strictEqual(_issuer.issuer, "@celastrinajs/issuer/mock", "Expected '@celastrinajs/issuer/mock'.");
             assert.strictEqual(_issuer.configURL, "https://www.configurl.com/some/uri", "Expected 'https://www.configurl.com/some/uri'.");
             assert.deepStrictEqual(_issuer.audiences, ["celastrinajs_mock_aud"], "Expected ['celastrinajs_mock_aud'].");
             assert.deepStrictEqual(_issuer.assignments, ["assignment_a"], "Expected ['assignment_a'].");
             assert.strictEqual(_issuer.validateNonce, true, "Expected true.");
+            assert.strictEqual(_issuer.cacheTTL, 600, "Expected 600.");
+            assert.strictEqual(_issuer.refreshInterval, 30, "Expected 30.");
         });
         it("creates a default OpenIDJwtIssuer", async () => {
             let _parser = new OpenIDJwtIssuerParser();
@@ -31,6 +33,8 @@ describe("OpenIDJwtIssuerParser", () => {
             assert.deepStrictEqual(_issuer.audiences, ["celastrinajs_mock_aud"], "Expected ['celastrinajs_mock_aud'].");
             assert.deepStrictEqual(_issuer.assignments, [], "Expected [].");
             assert.strictEqual(_issuer.validateNonce, false, "Expected false.");
+            assert.strictEqual(_issuer.cacheTTL, 3600, "Expected 3600.");
+            assert.strictEqual(_issuer.refreshInterval, 300, "Expected 300.");
         });
     });
 });
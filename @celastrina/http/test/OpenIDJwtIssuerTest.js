@@ -1,4 +1,5 @@
-const {CelastrinaError, CelastrinaValidationError, LOG_LEVEL, Configuration} = require("../../core/Core");
+const {CelastrinaError, CelastrinaValidationError, CelastrinaServiceUnavailableError, LOG_LEVEL,
+       Configuration} = require("../../core/Core");
 const {OpenIDJwtIssuer, HTTPContext, Cookie, JwtSubject, JwtAddOn, JwtSentry} = require("../HTTP");
 const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
 const {MockHTTPContext} = require("./HTTPContextTest");
@@ -139,4 +140,164 @@ describe("OpenIDJwtIssuer", () => {
             await _mockopenid.stop();
         });
     });
+    describe("#_fetch(url, refresh)", () => {
+        it("Prunes expired entries and bounds the cache", async () => {
+            let _mockopenid = new MockMicrosoftOpenIDIDPServer();
+            await _mockopenid.start();
+            _mockopenid.mock.onGet(/^https:\/\/mock\.example\.com\//).reply(200, {}, {"cache-control": "max-age=60"});
+            try {
+                let _openidjwt = new OpenIDJwtIssuer("@celastrinajs/issuer/mock", "https://mock.example.com/{tid}");
+                _openidjwt._cache.set("https://mock.example.com/expired", {data: {}, expires: Date.now() - 1000});
+                await _openidjwt._fetch("https://mock.example.com/0");
+                assert.strictEqual(_openidjwt._cache.has("https://mock.example.com/expired"), false);
+                for(let _index = 1; _index <= OpenIDJwtIssuer.CACHE_SIZE; ++_index)
+                    await _openidjwt._fetch("https://mock.example.com/" + _index);
+                assert.strictEqual(_openidjwt._cache.size, OpenIDJwtIssuer.CACHE_SIZE);
+                assert.strictEqual(_openidjwt._cache.has("https://mock.example.com/0"), false);
+                assert.strictEqual(_openidjwt._cache.has("https://mock.example.com/" + OpenIDJwtIssuer.CACHE_SIZE), true);
+            }
+            finally {
+                await _mockopenid.stop();
+            }
+        });
+    });
+    describe("#getMaxAge(headers, ttl)", () => {
+        it("Honors Cache-Control", () => {
+            assert.strictEqual(OpenIDJwtIssuer.getMaxAge({"cache-control": "public, max-age=120"}, 3600), 120);
+            assert.strictEqual(OpenIDJwtIssuer.getMaxAge({"cache-control": "max-age=120, no-cache"}, 3600), 0);
+            assert.strictEqual(OpenIDJwtIssuer.getMaxAge({"cache-control": "no-store"}, 3600), 0);
+            assert.strictEqual(OpenIDJwtIssuer.getMaxAge({"cache-control": "max-age=bad"}, 3600), 3600);
+            assert.strictEqual(OpenIDJwtIssuer.getMaxAge({}, 3600), 3600);
+            assert.strictEqual(OpenIDJwtIssuer.getMaxAge(null, 60), 60);
+        });
+    });
+    describe("#_getKey(context, _jwt)", () => {
+        /**
+         * @return {Promise<MockHTTPContext>}
+         */
+        async function createContext() {
+            let _config = new Configuration("OpenIDJwtIssuerTest");
+            _config.addOn(new JwtAddOn());
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            await _config.initialize(new MockAzureFunctionContext());
+            await _config.ready();
+            let _context = new MockHTTPContext(_config);
+            await _context.initialize();
+            return _context;
+        }
+        it("Caches the configuration and keys", async () => {
+            let _context = await createContext();
+            let _mockopenid = new MockMicrosoftOpenIDIDPServer();
+            let _response = await _mockopenid.issueJWT();
+            await _mockopenid.start();
+            try {
+                let _openidjwt = await _mockopenid.createOpenIDIssuer([_response.aud]);
+                let _jwtsubject = await JwtSubject.decode(new Subject("1234567890"), _response.access_token);
+                assert.strictEqual((await _openidjwt.verify(_context, _jwtsubject)).verified, true);
+                assert.strictEqual((await _openidjwt.verify(_context, _jwtsubject)).verified, true);
+                assert.strictEqual(_mockopenid.mock.history.get.length, 2);
+                _openidjwt.clearCache();
+                assert.strictEqual((await _openidjwt.verify(_context, _jwtsubject)).verified, true);
+                assert.strictEqual(_mockopenid.mock.history.get.length, 4);
+            }
+            finally {
+                await _mockopenid.stop();
+            }
+        });
+        it("Does not cache no-store responses", async () => {
+            let _context = await createContext();
+            let _mockopenid = new MockMicrosoftOpenIDIDPServer();
+            let _response = await _mockopenid.issueJWT();
+            await _mockopenid.start(false, {"cache-control": "no-store"});
+            try {
+                let _openidjwt = await _mockopenid.createOpenIDIssuer([_response.aud]);
+                let _jwtsubject = await JwtSubject.decode(new Subject("1234567890"), _response.access_token);
+                await _openidjwt._getKey(_context, _jwtsubject);
+                await _openidjwt._getKey(_context, _jwtsubject);
+                assert.strictEqual(_mockopenid.mock.history.get.length, 4);
+            }
+            finally {
+                await _mockopenid.stop();
+            }
+        });
+        it("Refetches keys once for an unknown key id", async () => {
+            let _context = await createContext();
+            let _mockopenid = new MockMicrosoftOpenIDIDPServer();
+            let _first = await _mockopenid.issueJWT();
+            await _mockopenid.start();
+            try {
+                let _openidjwt = await _mockopenid.createOpenIDIssuer([_first.aud]);
+                let _subject = new Subject("1234567890");
+                await _openidjwt._getKey(_context, await JwtSubject.decode(_subject, _first.access_token));
+                let _rolled = _mockopenid.kid;
+                _mockopenid.kid = "rolled-kid";
+                let _second = await _mockopenid.issueJWT();
+                assert.strictEqual((await _openidjwt._getKey(_context, await JwtSubject.decode(_subject, _second.access_token))).key.kid,
+                                   "rolled-kid");
+                assert.strictEqual(_mockopenid.mock.history.get.length, 3);
+                _mockopenid.kid = "unknown-kid";
+                let _unknown = await _mockopenid.issueJWT();
+                _mockopenid.kid = _rolled;
+                await assert.rejects(_openidjwt._getKey(_context, await JwtSubject.decode(_subject, _unknown.access_token)),
+                                     (error) => error instanceof CelastrinaError && error.code === 401);
+                assert.strictEqual(_mockopenid.mock.history.get.length, 3);
+            }
+            finally {
+                await _mockopenid.stop();
+            }
+        });
+        it("Rejects with 503 when the configuration cannot be fetched", async () => {
+            let _context = await createContext();
+            let _mockopenid = new MockMicrosoftOpenIDIDPServer();
+            let _response = await _mockopenid.issueJWT();
+            await _mockopenid.start();
+            _mockopenid.mock.onGet(_mockopenid.configPath).reply(503);
+            try {
+                let _openidjwt = await _mockopenid.createOpenIDIssuer([_response.aud]);
+                let _jwtsubject = await JwtSubject.decode(new Subject("1234567890"), _response.access_token);
+                await assert.rejects(_openidjwt._getKey(_context, _jwtsubject), (error) => {
+                    return error instanceof CelastrinaServiceUnavailableError && error.code === 503 && error.cause != null;
+                });
+                await assert.rejects(_openidjwt.verify(_context, _jwtsubject), (error) => error.code === 503);
+            }
+            finally {
+                await _mockopenid.stop();
+            }
+        });
+        it("Rejects with 503 on network errors", async () => {
+            let _context = await createContext();
+            let _mockopenid = new MockMicrosoftOpenIDIDPServer();
+            let _response = await _mockopenid.issueJWT();
+            await _mockopenid.start();
+            _mockopenid.mock.onGet(_mockopenid.configPath).networkError();
+            try {
+                let _openidjwt = await _mockopenid.createOpenIDIssuer([_response.aud]);
+                let _jwtsubject = await JwtSubject.decode(new Subject("1234567890"), _response.access_token);
+                await assert.rejects(_openidjwt._getKey(_context, _jwtsubject), (error) => error.code === 503);
+            }
+            finally {
+                await _mockopenid.stop();
+            }
+        });
+        it("Rejects with 401 when the IDP responds with a client error", async () => {
+            let _context = await createContext();
+            let _mockopenid = new MockMicrosoftOpenIDIDPServer();
+            let _response = await _mockopenid.issueJWT();
+            await _mockopenid.start();
+            _mockopenid.mock.onGet(_mockopenid.configPath).reply(404);
+            try {
+                let _openidjwt = await _mockopenid.createOpenIDIssuer([_response.aud]);
+                let _jwtsubject = await JwtSubject.decode(new Subject("1234567890"), _response.access_token);
+                await assert.rejects(_openidjwt._getKey(_context, _jwtsubject), (error) => {
+                    return error instanceof CelastrinaError && !(error instanceof CelastrinaServiceUnavailableError) &&
+                           error.code === 401 && error.cause != null;
+                });
+                assert.strictEqual((await _openidjwt.verify(_context, _jwtsubject)).verified, false,
+                                   "Forged IDP URL is an invalid token.");
+            }
+            finally {
+                await _mockopenid.stop();
+            }
+        });
+    });
 });
@@ -0,0 +1,161 @@
+const {CelastrinaError, CelastrinaValidationError, CelastrinaCompositeValidationError, Configuration} = require("../../core/Core");
+const {ProblemDetails, HTTPAddOn, JSONHTTPContext, JSONHTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+class MockThrottleError extends CelastrinaError {
+    constructor(message) {
+        super(message, 429);
+    }
+}
+class MockQuotaError extends MockThrottleError {}
+
+/**
+ * @param {(null|ProblemDetails)} problemDetails
+ * @param {MockAzureFunctionContext} [azcontext=new MockAzureFunctionContext()]
+ * @return {Promise<JSONHTTPContext>}
+ */
+async function createContext(problemDetails, azcontext = new MockAzureFunctionContext()) {
+    return createHTTPContext("ProblemDetailsTest", azcontext, (addon) => addon.setProblemDetails(problemDetails),
+                             (config) => new JSONHTTPContext(config));
+}
+
+describe("ProblemDetails", () => {
+    describe("#addProblemType(name, type, title = null)", () => {
+        it("Requires name and type", () => {
+            assert.throws(() => {new ProblemDetails().addProblemType(" ", "urn:mock");});
+            assert.throws(() => {new ProblemDetails().addProblemType("MockError", null);});
+        });
+    });
+    describe("#getProblemType(error)", () => {
+        let _problemDetails = new ProblemDetails({MockThrottleError: {type: "https://mock/problems/throttled", title: "Throttled"}});
+        it("Maps by error name", () => {
+            assert.deepStrictEqual(_problemDetails.getProblemType(new MockThrottleError("mock")),
+                                   {type: "https://mock/problems/throttled", title: "Throttled"});
+        });
+        it("Maps subclasses to the nearest mapped class", () => {
+            assert.strictEqual(_problemDetails.getProblemType(new MockQuotaError("mock")).type, "https://mock/problems/throttled");
+        });
+        it("Returns null when unmapped", () => {
+            assert.strictEqual(_problemDetails.getProblemType(CelastrinaError.newError("mock")), null);
+        });
+    });
+    describe("#create(context, error, status)", () => {
+        it("Creates about:blank problem", async () => {
+            let _context = await createContext(new ProblemDetails());
+            let _problem = new ProblemDetails().create(_context, CelastrinaError.newError("mock_error"), 500);
+            assert.deepStrictEqual(_problem, {type: "about:blank", title: "Internal Server Error", status: 500,
+                                              detail: "mock_error", instance: _context.requestId,
+                                              traceId: "4bf92f3577b34da6a3ce929d0e0e4736"});
+        });
+        it("Adds validation fields", async () => {
+            let _context = await createContext(new ProblemDetails());
+            let _problem = new ProblemDetails().create(_context, CelastrinaValidationError.newValidationError("mock_error", "body.name"), 400);
+            assert.deepStrictEqual(_problem.errors, [{path: "body.name", message: "mock_error", code: "invalid"}]);
+        });
+    });
+    describe("#create(_ProblemDetails)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(ProblemDetails.create(false), null);
+            assert.strictEqual(ProblemDetails.create(true) instanceof ProblemDetails, true);
+            assert.strictEqual(ProblemDetails.create({types: {MockError: {type: "urn:mock"}}}).types.MockError.type, "urn:mock");
+            assert.throws(() => {ProblemDetails.create("yes");});
+        });
+    });
+});
+describe("HTTPAddOn", () => {
+    describe("#setProblemDetails(problemDetails = null)", () => {
+        it("Defaults to null", () => {
+            let _config = new Configuration("ProblemDetailsTest");
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            assert.strictEqual(_addon.problemDetails, null);
+        });
+        it("Rejects non-ProblemDetails", () => {
+            let _addon = new HTTPAddOn();
+            new Configuration("ProblemDetailsTest").addOn(_addon);
+            assert.throws(() => {_addon.setProblemDetails({});});
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), problemDetails", () => {
+        it("Enables problem details", async () => {
+            let _config = new Configuration("ProblemDetailsTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"},
+                    problemDetails: {types: {MockThrottleError: {type: "https://mock/problems/throttled"}}}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.problemDetails.types.MockThrottleError.type, "https://mock/problems/throttled");
+        });
+    });
+});
+describe("JSONHTTPContext", () => {
+    describe("#sendCelastrinaError(error, code = null), problem details", () => {
+        it("Keeps the legacy shape when disabled", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            let _context = await createContext(null, _azcontext);
+            _context.sendServerError(CelastrinaError.newError("mock_error"));
+            assert.strictEqual(_azcontext.res.headers["Content-Type"], "application/json; charset=utf-8");
+            assert.deepStrictEqual(_azcontext.res.body, {name: "CelastrinaError", message: "mock_error", tag: null, code: 500,
+                                                         cause: null, drop: false});
+        });
+        it("Sends mapped problem", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            let _context = await createContext(new ProblemDetails().addProblemType("MockThrottleError", "https://mock/problems/throttled"),
+                                               _azcontext);
+            _context.sendServerError(new MockQuotaError("Slow down."));
+            assert.strictEqual(_azcontext.res.status, 429);
+            assert.strictEqual(_azcontext.res.headers["Content-Type"], "application/problem+json; charset=utf-8");
+            assert.deepStrictEqual(_azcontext.res.body, {type: "https://mock/problems/throttled", title: "Too Many Requests",
+                                                         status: 429, detail: "Slow down.", instance: _context.requestId,
+                                                         traceId: "4bf92f3577b34da6a3ce929d0e0e4736"});
+        });
+        it("Sends not authorized and forbidden problems", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            let _context = await createContext(new ProblemDetails(), _azcontext);
+            _context.sendNotAuthorizedError();
+            assert.strictEqual(_azcontext.res.body.status, 401);
+            assert.strictEqual(_azcontext.res.body.title, "Unauthorized");
+            _context.sendForbiddenError();
+            assert.strictEqual(_azcontext.res.body.status, 403);
+            assert.strictEqual(_azcontext.res.body.detail, "Forbidden.");
+        });
+        it("Sends composite validation problem", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            let _context = await createContext(new ProblemDetails(), _azcontext);
+            _context.sendValidationError(CelastrinaCompositeValidationError.newCompositeValidationError("Invalid request.",
+                [{path: "body.name", message: "is required.", code: "required"}]));
+            assert.strictEqual(_azcontext.res.status, 400);
+            assert.deepStrictEqual(_azcontext.res.body.errors, [{path: "body.name", message: "is required.", code: "required"}]);
+            assert.strictEqual(_azcontext.res.body.title, "Bad Request");
+        });
+    });
+});
+describe("JSONHTTPFunction", () => {
+    describe("#exception(context, exception), problem details", () => {
+        it("Renders unhandled errors as problems", async () => {
+            class MockFunction extends JSONHTTPFunction {
+                async _get(context) {throw new Error("mock_error");}
+            }
+            let _config = new Configuration("ProblemDetailsTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(true);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setProblemDetails(new ProblemDetails());
+            let _azcontext = new MockAzureFunctionContext();
+            await new MockFunction(_config).execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 500);
+            assert.strictEqual(_azcontext.res.headers["Content-Type"], "application/problem+json; charset=utf-8");
+            assert.strictEqual(_azcontext.res.body.type, "about:blank");
+            assert.strictEqual(_azcontext.res.body.detail, "mock_error");
+        });
+    });
+});
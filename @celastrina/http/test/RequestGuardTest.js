@@ -0,0 +1,207 @@
+const {Configuration, CelastrinaValidationError} = require("../../core/Core");
+const {RequestGuard, CookieParameter, SessionManager, HTTPAddOn, JSONHTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+/**
+ * @param {*} body
+ * @param {(undefined|string)} [raw]
+ * @param {string} [client="10.0.0.1"] The address appended by the front end, after an address set by the client.
+ * @return {MockAzureFunctionContext}
+ */
+function createAzureContext(body, raw = undefined, client = "10.0.0.1") {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.req.method = "POST";
+    _azcontext.req.headers["x-forwarded-for"] = "198.51.100.7, " + client;
+    _azcontext.req.body = body;
+    _azcontext.req.rawBody = (typeof raw === "undefined") ? JSON.stringify(body) : raw;
+    return _azcontext;
+}
+/**
+ * @param {MockAzureFunctionContext} azcontext
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(azcontext) {
+    return createHTTPContext("RequestGuardTest", azcontext);
+}
+/**
+ * @param {number} depth
+ * @return {Object}
+ */
+function createNested(depth) {
+    let _body = {};
+    for(let _index = 0; _index < depth; ++_index) _body = {child: _body};
+    return _body;
+}
+
+describe("RequestGuard", () => {
+    describe("#constructor(maxSize, maxDepth, maxWidth, rateLimit, rateWindow, trustedProxies)", () => {
+        it("Rejects invalid limits", () => {
+            assert.throws(() => {new RequestGuard(-1);});
+            assert.throws(() => {new RequestGuard(undefined, "10");});
+            assert.throws(() => {new RequestGuard(undefined, undefined, undefined, 10, 0);});
+            assert.throws(() => {new RequestGuard(undefined, undefined, undefined, 10, 60, 1.5);});
+        });
+    });
+    describe("#getClient(context)", () => {
+        it("Uses the address appended by the trusted proxies", async () => {
+            let _context = await createContext(createAzureContext({}, undefined, "10.0.0.1:50123, 10.0.0.254"));
+            assert.strictEqual(new RequestGuard().getClient(_context), "10.0.0.254");
+            assert.strictEqual(new RequestGuard(null, null, null, null, 60, 2).getClient(_context), "10.0.0.1");
+            assert.strictEqual(new RequestGuard(null, null, null, null, 60, 5).getClient(_context), "198.51.100.7");
+            assert.strictEqual(new RequestGuard(null, null, null, null, 60, 0).getClient(_context), "unknown");
+            let _azcontext = createAzureContext({});
+            delete _azcontext.req.headers["x-forwarded-for"];
+            assert.strictEqual(new RequestGuard().getClient(await createContext(_azcontext)), "unknown");
+        });
+    });
+    describe("#checkSize(context)", () => {
+        it("Rejects oversized bodies with 413", async () => {
+            let _guard = new RequestGuard(8);
+            _guard.checkSize(await createContext(createAzureContext({a: 1})));
+            let _context = await createContext(createAzureContext({a: "12345"}));
+            assert.throws(() => {_guard.checkSize(_context);}, (error) => error.code === 413);
+            _context = await createContext(createAzureContext({}, Buffer.alloc(9)));
+            assert.throws(() => {_guard.checkSize(_context);}, (error) => error.code === 413);
+        });
+    });
+    describe("#checkStructure(body)", () => {
+        it("Rejects deep and wide bodies", () => {
+            let _guard = new RequestGuard(null, 4, 3);
+            _guard.checkStructure(createNested(3));
+            _guard.checkStructure([1, 2, 3]);
+            assert.throws(() => {_guard.checkStructure(createNested(4));}, CelastrinaValidationError);
+            assert.throws(() => {_guard.checkStructure({a: [1, 2, 3, 4]});}, (error) => error.code === 400);
+        });
+        it("Rejects prototype keys", () => {
+            let _guard = new RequestGuard();
+            assert.throws(() => {_guard.checkStructure(JSON.parse("{\"a\": {\"__proto__\": {\"polluted\": true}}}"));},
+                          CelastrinaValidationError);
+            assert.throws(() => {_guard.checkStructure({constructor: {prototype: {}}});}, CelastrinaValidationError);
+            _guard.checkStructure({name: "constructor"});
+        });
+    });
+    describe("#checkRate(context)", () => {
+        it("Limits requests per client", async () => {
+            let _guard = new RequestGuard(null, null, null, 2, 60);
+            let _context = await createContext(createAzureContext({}));
+            _guard.checkRate(_context);
+            _guard.checkRate(_context);
+            assert.throws(() => {_guard.checkRate(_context);}, (error) => error.code === 429 && error.retryAfter > 0);
+            _guard.checkRate(await createContext(createAzureContext({}, undefined, "10.0.0.2")));
+            let _spoofed = createAzureContext({});
+            _spoofed.req.headers["x-forwarded-for"] = "203.0.113.1, 10.0.0.1";
+            _context = await createContext(_spoofed);
+            assert.throws(() => {_guard.checkRate(_context);}, (error) => error.code === 429);
+        });
+    });
+    describe("#create(_RequestGuard)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(RequestGuard.create(false), null);
+            assert.strictEqual(RequestGuard.create(true).maxDepth, 32);
+            let _guard = RequestGuard.create({maxSize: null, rateLimit: 100, trustedProxies: 2});
+            assert.strictEqual(_guard.maxSize, null);
+            assert.strictEqual(_guard.trustedProxies, 2);
+            assert.strictEqual(_guard.rateLimit, 100);
+            assert.throws(() => {RequestGuard.create("yes");});
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), request guard", () => {
+        class MockFunction extends JSONHTTPFunction {
+            constructor(config) {
+                super(config);
+                this.authenticated = false;
+                this.invoked = false;
+            }
+            async authenticate(context) {
+                this.authenticated = true;
+                return super.authenticate(context);
+            }
+            async _post(context) {
+                this.invoked = true;
+                context.send({ok: true});
+            }
+        }
+        /**
+         * @return {MockFunction}
+         */
+        function createFunction() {
+            let _config = new Configuration("RequestGuardTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(true);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setRequestGuard(new RequestGuard(128, 8));
+            return new MockFunction(_config);
+        }
+        it("Rejects payloads before authentication", async () => {
+            for(let [_azcontext, _status] of [[createAzureContext({data: "x".repeat(128)}), 413],
+                                               [createAzureContext(createNested(8)), 400],
+                                               [createAzureContext(JSON.parse("{\"__proto__\": {\"admin\": true}}")), 400]]) {
+                let _function = createFunction();
+                await _function.execute(_azcontext);
+                assert.strictEqual(_azcontext.res.status, _status);
+                assert.strictEqual(_function.authenticated, false);
+                assert.strictEqual(_function.invoked, false);
+            }
+        });
+        it("Rejects payloads of monitor requests", async () => {
+            let _function = createFunction();
+            let _azcontext = createAzureContext(createNested(8));
+            _azcontext.req.query["monitor"] = "true";
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 400);
+            assert.strictEqual(_function.authenticated, false);
+        });
+        it("Rejects rate limited and oversized requests before loading the session", async () => {
+            class MockSessionManager extends SessionManager {
+                constructor() {
+                    super(new CookieParameter());
+                    this.loaded = false;
+                }
+                async loadSession(context) {
+                    this.loaded = true;
+                    return super.loadSession(context);
+                }
+            }
+            for(let [_guard, _azcontext, _status] of [[new RequestGuard(null, 8, 1000, 0), createAzureContext({}), 429],
+                                                       [new RequestGuard(128, 8), createAzureContext({data: "x".repeat(128)}), 413]]) {
+                let _function = createFunction();
+                let _addon = await _function.configuration.getAddOn(HTTPAddOn.CONFIG_ADDON_HTTP);
+                let _sm = new MockSessionManager();
+                _addon.setRequestGuard(_guard).setSessionManager(_sm);
+                _azcontext.req.headers["cookie"] = "celastrinajs_session=mock";
+                await _function.execute(_azcontext);
+                assert.strictEqual(_azcontext.res.status, _status, "Expected status " + _status + ".");
+                assert.strictEqual(_sm.loaded, false, "Expected the session not to be loaded.");
+                assert.strictEqual(_function.authenticated, false, "Expected no authentication.");
+            }
+        });
+        it("Processes valid payloads", async () => {
+            let _function = createFunction();
+            let _azcontext = createAzureContext({item: "mock"});
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 200);
+            assert.strictEqual(_function.invoked, true);
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), requestGuard", () => {
+        it("Creates the request guard", async () => {
+            let _config = new Configuration("RequestGuardTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"}, requestGuard: {maxDepth: 10}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.requestGuard.maxDepth, 10);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+const {CelastrinaCompositeValidationError, Configuration} = require("../../core/Core");
+const {SchemaValidator, RequestValidator, ValidationConfigParser, HTTPAddOn, JSONHTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockHTTPContext} = require("./HTTPContextTest");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+/**
+ * @param {Object} body
+ * @param {Object} [query={}]
+ * @param {Object} [headers={}]
+ * @return {Promise<MockHTTPContext>}
+ */
+async function createContext(body, query = {}, headers = {}) {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.req.method = "POST";
+    _azcontext.req.body = body;
+    _azcontext.req.query = query;
+    Object.assign(_azcontext.req.headers, headers);
+    return createHTTPContext("RequestValidatorTest", _azcontext, null, (config) => new MockHTTPContext(config));
+}
+
+describe("SchemaValidator", () => {
+    describe("#constructor(schema)", () => {
+        it("Requires a schema object", () => {
+            assert.throws(() => {new SchemaValidator(null);});
+            assert.throws(() => {new SchemaValidator([]);});
+        });
+    });
+    describe("#validate(value, path = \"\")", () => {
+        it("Validates type", () => {
+            let _validator = new SchemaValidator({type: "integer"});
+            assert.deepStrictEqual(_validator.validate(1, "a"), []);
+            assert.deepStrictEqual(_validator.validate(1.5, "a"), [{path: "a", message: "must be of type 'integer'.", code: "type"}]);
+            assert.deepStrictEqual(new SchemaValidator({type: "number"}).validate(1), []);
+            assert.deepStrictEqual(new SchemaValidator({type: ["string", "null"]}).validate(null), []);
+        });
+        it("Validates strings", () => {
+            let _validator = new SchemaValidator({type: "string", minLength: 2, maxLength: 4, pattern: "^[a-z]+$"});
+            assert.deepStrictEqual(_validator.validate("abc"), []);
+            assert.deepStrictEqual(_validator.validate("A"), [{path: "", message: "must be at least 2 characters.", code: "minLength"},
+                                                              {path: "", message: "must match pattern '^[a-z]+$'.", code: "pattern"}]);
+            assert.strictEqual(new SchemaValidator({format: "email"}).validate("nope").length, 1);
+            assert.strictEqual(new SchemaValidator({format: "uuid"}).validate("1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed").length, 0);
+        });
+        it("Validates numbers", () => {
+            let _validator = new SchemaValidator({minimum: 1, maximum: 10, multipleOf: 0.5});
+            assert.deepStrictEqual(_validator.validate(2.5), []);
+            assert.deepStrictEqual(_validator.validate(11), [{path: "", message: "must be <= 10.", code: "maximum"}]);
+            assert.deepStrictEqual(_validator.validate(1.2), [{path: "", message: "must be a multiple of 0.5.", code: "multipleOf"}]);
+            assert.deepStrictEqual(new SchemaValidator({exclusiveMinimum: 0}).validate(0), [{path: "", message: "must be > 0.", code: "exclusiveMinimum"}]);
+        });
+        it("Validates enum and const", () => {
+            assert.deepStrictEqual(new SchemaValidator({enum: ["a", "b"]}).validate("c"), [{path: "", message: "must be one of [\"a\",\"b\"].", code: "enum"}]);
+            assert.deepStrictEqual(new SchemaValidator({const: 1}).validate(1), []);
+        });
+        it("Validates arrays", () => {
+            let _validator = new SchemaValidator({type: "array", minItems: 1, uniqueItems: true, items: {type: "string"}});
+            assert.deepStrictEqual(_validator.validate(["a", 1, "a"], "tags"), [{path: "tags", message: "must contain unique items.", code: "uniqueItems"},
+                                                                                {path: "tags[1]", message: "must be of type 'string'.", code: "type"}]);
+        });
+        it("Validates objects, reporting every failure", () => {
+            let _validator = new SchemaValidator({type: "object", required: ["name", "address"], additionalProperties: false,
+                                                  properties: {name: {type: "string"},
+                                                               address: {type: "object", required: ["zip"]}}});
+            assert.deepStrictEqual(_validator.validate({name: 1, address: {}, extra: true}, "body"), [
+                {path: "body.name", message: "must be of type 'string'.", code: "type"},
+                {path: "body.address.zip", message: "is required.", code: "required"},
+                {path: "body.extra", message: "is not allowed.", code: "additionalProperties"}
+            ]);
+        });
+        it("Validates objects with a 'hasOwnProperty' key", () => {
+            let _validator = new SchemaValidator({type: "object", required: ["name"], additionalProperties: false,
+                                                  properties: {name: {type: "string"}}});
+            assert.deepStrictEqual(_validator.validate(JSON.parse("{\"hasOwnProperty\": 1}"), "body"), [
+                {path: "body.name", message: "is required.", code: "required"},
+                {path: "body.hasOwnProperty", message: "is not allowed.", code: "additionalProperties"}
+            ]);
+        });
+    });
+});
+describe("RequestValidator", () => {
+    describe("#constructor(parameters = [], body = null)", () => {
+        it("Rejects unsupported parameter location", () => {
+            assert.throws(() => {new RequestValidator([{name: "a", in: "path"}]);});
+        });
+        it("Rejects unnamed parameter", () => {
+            assert.throws(() => {new RequestValidator([{in: "query"}]);});
+        });
+    });
+    describe("#validate(context)", () => {
+        let _validator = new RequestValidator([
+            {name: "limit", in: "query", required: true, schema: {type: "integer", maximum: 100}},
+            {name: "x-api-version", in: "header", schema: {enum: ["1", "2"]}},
+            {name: "address.zip", in: "body", required: true, schema: {type: "string", pattern: "^[0-9]{5}$"}}
+        ], {type: "object", required: ["name"]});
+        it("Passes a valid request", async () => {
+            let _context = await createContext({name: "mock", address: {zip: "12345"}}, {limit: "10"}, {"x-api-version": "2"});
+            await assert.doesNotReject(_validator.validate(_context));
+        });
+        it("Aggregates all failures in one error", async () => {
+            let _context = await createContext({address: {zip: "ABC"}}, {limit: "500"}, {"x-api-version": "3"});
+            await assert.rejects(_validator.validate(_context), (error) => {
+                assert.strictEqual(error instanceof CelastrinaCompositeValidationError, true);
+                assert.strictEqual(error.code, 400);
+                assert.strictEqual(error.message, "Invalid request.");
+                assert.strictEqual(error.tag, "body.name,query.limit,header.x-api-version,body.address.zip");
+                assert.deepStrictEqual(error.errors, [
+                    {path: "body.name", message: "is required.", code: "required"},
+                    {path: "query.limit", message: "must be <= 100.", code: "maximum"},
+                    {path: "header.x-api-version", message: "must be one of [\"1\",\"2\"].", code: "enum"},
+                    {path: "body.address.zip", message: "must match pattern '^[0-9]{5}$'.", code: "pattern"}
+                ]);
+                return true;
+            });
+        });
+        it("Reports missing required parameters", async () => {
+            let _context = await createContext({name: "mock"});
+            let _errors = await _validator.getErrors(_context);
+            assert.deepStrictEqual(_errors, [{path: "query.limit", message: "is required.", code: "required"},
+                                             {path: "body.address.zip", message: "is required.", code: "required"}]);
+        });
+    });
+});
+describe("ValidationConfigParser", () => {
+    describe("#_create(_Object)", () => {
+        it("Registers validators per method", async () => {
+            let _config = new Configuration("RequestValidatorTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;Validation"},
+                    methods: {POST: {parameters: [{name: "limit", in: "query", required: true}]}}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.getRequestValidator("post") instanceof RequestValidator, true);
+            assert.strictEqual(_addon.getRequestValidator("get"), null);
+        });
+        it("Requires methods", async () => {
+            await assert.rejects(new ValidationConfigParser()._create({}));
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#validate(context)", () => {
+        it("Responds 400 with every failure", async () => {
+            let _config = new Configuration("RequestValidatorTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(true);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setRequestValidator("post", new RequestValidator([], {type: "object", required: ["a", "b"]}));
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.req.method = "POST";
+            _azcontext.req.body = {};
+            await new JSONHTTPFunction(_config).execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 400);
+            assert.strictEqual(_azcontext.res.body.tag, "body.a,body.b");
+            assert.deepStrictEqual(_azcontext.res.body.errors, [{path: "body.a", message: "is required.", code: "required"},
+                                                                {path: "body.b", message: "is required.", code: "required"}]);
+        });
+    });
+});
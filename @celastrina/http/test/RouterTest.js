@@ -0,0 +1,152 @@
+const {CelastrinaValidationError, Configuration, Permission, MatchAny} = require("../../core/Core");
+const {Route, Router, HTTPFunction, JSONHTTPFunction} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const assert = require("assert");
+
+/**
+ * @param {string} method
+ * @param {string} url
+ * @return {MockAzureFunctionContext}
+ */
+function createAzureContext(method, url) {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.req.method = method;
+    _azcontext.req.originalUrl = url;
+    return _azcontext;
+}
+
+class MockOrderFunction extends JSONHTTPFunction {
+    constructor(config) {
+        super(config);
+        this.invoked = null;
+        this.router.addRoute("GET", "/orders/{id:int}", this.getOrder, "read-order")
+                   .addRoute("DELETE", "/orders/{id:int}", this.deleteOrder,
+                             new Permission("delete-order", ["admin"], new MatchAny()))
+                   .addRoute("GET", "/orders/{id:int}/items", this.getItems);
+    }
+    async getOrder(context) {
+        this.invoked = "getOrder";
+        context.send({id: context.getURIBinding("id"), action: context.action});
+    }
+    async deleteOrder(context) {
+        this.invoked = "deleteOrder";
+        context.send(null, 204);
+    }
+    async getItems(context) {
+        this.invoked = "getItems";
+        context.send({id: context.getURIBinding("id"), items: []});
+    }
+}
+
+describe("Route", () => {
+    describe("#constructor(method, template, handler, permission = null)", () => {
+        it("Requires a handler", () => {
+            assert.throws(() => {new Route("GET", "/orders", null);});
+        });
+        it("Rejects unknown parameter types", () => {
+            assert.throws(() => {new Route("GET", "/orders/{id:date}", async () => {});},
+                CelastrinaValidationError.newValidationError("[Route][template]: Invalid parameter type 'date' in '/orders/{id:date}'.", "template"));
+        });
+        it("Rejects catch-all before the last segment", () => {
+            assert.throws(() => {new Route("GET", "/files/{*path}/meta", async () => {});});
+        });
+        it("Uses the permission action", () => {
+            let _route = new Route("GET", "/orders", async () => {}, new Permission("List-Orders"));
+            assert.strictEqual(_route.action, "list-orders");
+            assert.strictEqual(_route.permission.action, "list-orders");
+        });
+    });
+    describe("#match(path)", () => {
+        it("Matches literals case insensitive", () => {
+            assert.deepStrictEqual(new Route("GET", "/orders/summary", async () => {}).match("/Orders/Summary/"), {});
+        });
+        it("Extracts typed parameters", () => {
+            let _route = new Route("GET", "/orders/{id:int}/{flag:bool}/{price:number}/{name}", async () => {});
+            assert.deepStrictEqual(_route.match("/orders/42/true/9.5/mock%20name"), {id: 42, flag: true, price: 9.5, name: "mock name"});
+        });
+        it("Does not match mismatched types or lengths", () => {
+            let _route = new Route("GET", "/orders/{id:int}", async () => {});
+            assert.strictEqual(_route.match("/orders/abc"), null);
+            assert.strictEqual(_route.match("/orders"), null);
+            assert.strictEqual(_route.match("/orders/1/items"), null);
+            assert.strictEqual(_route.match("/orders/%E0%A4%A"), null);
+        });
+        it("Captures the remainder with a catch-all", () => {
+            assert.deepStrictEqual(new Route("GET", "/files/{*path}", async () => {}).match("/files/a/b.txt"), {path: "a/b.txt"});
+        });
+    });
+});
+describe("Router", () => {
+    describe("#getPath(url)", () => {
+        it("Removes the base path", () => {
+            assert.strictEqual(new Router().getPath("https://mock-host/api/orders/1?x=1"), "/orders/1");
+            assert.strictEqual(new Router().getPath("https://mock-host/api"), "/");
+            assert.strictEqual(new Router("").getPath("https://mock-host/api/orders"), "/api/orders");
+            assert.strictEqual(new Router().getPath("https://mock-host/apiary"), "/apiary");
+        });
+    });
+    describe("#resolve(method, url)", () => {
+        let _router = new Router();
+        let _get = async () => {};
+        _router.addRoute("GET", "/orders/{id:int}", _get).addRoute("PUT", "/orders/{id:int}", async () => {});
+        it("Resolves the route and parameters", () => {
+            let _resolved = _router.resolve("get", "https://mock-host/api/orders/7");
+            assert.strictEqual(_resolved.route.handler, _get);
+            assert.deepStrictEqual(_resolved.params, {id: 7});
+        });
+        it("Lists allowed methods when only the method differs", () => {
+            let _resolved = _router.resolve("delete", "https://mock-host/api/orders/7");
+            assert.strictEqual(_resolved.route, null);
+            assert.deepStrictEqual(_resolved.allow, ["GET", "PUT"]);
+        });
+        it("Returns no route and no methods when the path does not match", () => {
+            assert.deepStrictEqual(_router.resolve("get", "https://mock-host/api/customers"), {route: null, params: {}, allow: []});
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), routing", () => {
+        let _config = new Configuration("RouterTest");
+        _config.setAuthorizationOptimistic(true);
+        let _function = new MockOrderFunction(_config);
+        it("Dispatches to the route handler with typed parameters and action", async () => {
+            let _azcontext = createAzureContext("GET", "https://mock-host/api/orders/42");
+            await _function.execute(_azcontext);
+            assert.strictEqual(_function.invoked, "getOrder");
+            assert.strictEqual(_azcontext.res.status, 200);
+            assert.deepStrictEqual(_azcontext.res.body, {id: 42, action: "read-order"});
+            assert.strictEqual(_function.context.method, "get");
+        });
+        it("Dispatches nested routes", async () => {
+            let _azcontext = createAzureContext("GET", "https://mock-host/api/orders/42/items");
+            await _function.execute(_azcontext);
+            assert.strictEqual(_function.invoked, "getItems");
+            assert.deepStrictEqual(_azcontext.res.body, {id: 42, items: []});
+        });
+        it("Registers route permissions", async () => {
+            let _azcontext = createAzureContext("DELETE", "https://mock-host/api/orders/42");
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 204);
+            assert.strictEqual(_config.permissions.getPermission("delete-order").roles.has("admin"), true);
+        });
+        it("Responds 404 when no route matches", async () => {
+            let _azcontext = createAzureContext("GET", "https://mock-host/api/customers/1");
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 404);
+        });
+        it("Responds 405 with Allow when the method does not match", async () => {
+            let _azcontext = createAzureContext("PATCH", "https://mock-host/api/orders/42");
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 405);
+            assert.strictEqual(_azcontext.res.headers["Allow"], "GET, DELETE");
+        });
+        it("Falls back to method handlers without routes", async () => {
+            class MockMethodFunction extends HTTPFunction {
+                async _get(context) {this.invoked = "_get";}
+            }
+            let _method = new MockMethodFunction(_config);
+            await _method.execute(createAzureContext("GET", "https://mock-host/api/anything"));
+            assert.strictEqual(_method.invoked, "_get");
+        });
+    });
+});
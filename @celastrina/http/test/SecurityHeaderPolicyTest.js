@@ -0,0 +1,153 @@
+const {CelastrinaError, Configuration} = require("../../core/Core");
+const {SecurityHeaderPolicy, Session, HTTPAddOn, HTTPContext, JSONHTTPContext} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
+const assert = require("assert");
+
+/**
+ * @param {(null|SecurityHeaderPolicy)} policy
+ * @param {MockAzureFunctionContext} azcontext
+ * @param {function(Configuration): HTTPContext} [create]
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(policy, azcontext, create = (config) => new HTTPContext(config)) {
+    return createHTTPContext("SecurityHeaderPolicyTest", azcontext, (addon) => addon.setSecurityHeaders(policy), create);
+}
+
+describe("SecurityHeaderPolicy", () => {
+    describe("#getContentSecurityPolicy(nonce = null)", () => {
+        it("Defaults to none with frame ancestors", () => {
+            assert.strictEqual(new SecurityHeaderPolicy().getContentSecurityPolicy(), "default-src 'none'; frame-ancestors 'none'");
+        });
+        it("Adds the nonce to script and style sources", () => {
+            let _policy = new SecurityHeaderPolicy().setContentSecurityPolicy({"default-src": "'self'", "script-src": ["'self'"]}, true)
+                                                    .setFrameAncestors(["'self'", "https://mock.com"]);
+            assert.strictEqual(_policy.getContentSecurityPolicy("bW9jaw=="),
+                               "default-src 'self'; script-src 'self' 'nonce-bW9jaw=='; style-src 'self' 'nonce-bW9jaw=='; " +
+                               "frame-ancestors 'self' https://mock.com");
+        });
+        it("Seeds script and style sources from default sources for the nonce", () => {
+            assert.strictEqual(new SecurityHeaderPolicy().setContentSecurityPolicy({"default-src": "'none'"}, true)
+                                                         .getContentSecurityPolicy("bW9jaw=="),
+                               "default-src 'none'; script-src 'nonce-bW9jaw=='; style-src 'nonce-bW9jaw=='; frame-ancestors 'none'",
+                               "Expected nonce only sources.");
+            assert.strictEqual(new SecurityHeaderPolicy().setContentSecurityPolicy({"default-src": "'self'", "style-src": "'none'"}, true)
+                                                         .getContentSecurityPolicy("bW9jaw=="),
+                               "default-src 'self'; style-src 'nonce-bW9jaw=='; script-src 'self' 'nonce-bW9jaw=='; frame-ancestors 'none'",
+                               "Expected the default sources.");
+        });
+        it("Omits the header when empty", () => {
+            assert.strictEqual(new SecurityHeaderPolicy().setContentSecurityPolicy(null).setFrameAncestors(null)
+                                                         .getContentSecurityPolicy(), null);
+        });
+    });
+    describe("#setHSTS(maxAge = 31536000, includeSubDomains = true, preload = false)", () => {
+        it("Formats and disables HSTS", () => {
+            assert.strictEqual(new SecurityHeaderPolicy().setHSTS(600, false, true).hsts, "max-age=600; preload");
+            assert.strictEqual(new SecurityHeaderPolicy().setHSTS(null).hsts, null);
+            assert.throws(() => {new SecurityHeaderPolicy().setHSTS(-1);});
+        });
+    });
+    describe("#apply(context)", () => {
+        it("Sets the default headers", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            delete _azcontext.req.headers["authorization"];
+            await createContext(new SecurityHeaderPolicy().setPermissionsPolicy({camera: [], geolocation: ["self", "https://mock.com"]}),
+                                _azcontext);
+            assert.strictEqual(_azcontext.res.headers["Strict-Transport-Security"], "max-age=31536000; includeSubDomains");
+            assert.strictEqual(_azcontext.res.headers["Content-Security-Policy"], "default-src 'none'; frame-ancestors 'none'");
+            assert.strictEqual(_azcontext.res.headers["X-Frame-Options"], "DENY");
+            assert.strictEqual(_azcontext.res.headers["X-Content-Type-Options"], "nosniff");
+            assert.strictEqual(_azcontext.res.headers["Referrer-Policy"], "no-referrer");
+            assert.strictEqual(_azcontext.res.headers["Permissions-Policy"], "camera=(), geolocation=(self \"https://mock.com\")");
+            assert.strictEqual(_azcontext.res.headers["Cache-Control"], undefined);
+        });
+        it("Sets Cache-Control for authenticated responses", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            await createContext(new SecurityHeaderPolicy(), _azcontext);
+            assert.strictEqual(_azcontext.res.headers["Cache-Control"], "no-store");
+        });
+        it("Sets Cache-Control for existing sessions only", async () => {
+            let _policy = new SecurityHeaderPolicy();
+            let _context = await createContext(null, new MockAzureFunctionContext());
+            delete _context.request.headers["authorization"];
+            _context._session = new Session({}, true);
+            assert.strictEqual(_policy.isAuthenticated(_context), false, "Expected a new session to be anonymous.");
+            _context._session = new Session({}, false);
+            assert.strictEqual(_policy.isAuthenticated(_context), true, "Expected an existing session to be authenticated.");
+        });
+        it("Keeps an explicit Cache-Control", async () => {
+            let _azcontext = new MockAzureFunctionContext();
+            let _context = await createContext(new SecurityHeaderPolicy().setAuthenticatedCacheControl(null), _azcontext);
+            _context.setResponseHeader("Cache-Control", "private, max-age=60");
+            new SecurityHeaderPolicy().apply(_context);
+            assert.strictEqual(_azcontext.res.headers["Cache-Control"], "private, max-age=60");
+        });
+    });
+    describe("#create(_SecurityHeaders)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(SecurityHeaderPolicy.create(false), null);
+            assert.strictEqual(SecurityHeaderPolicy.create(true).referrerPolicy, "no-referrer");
+            let _policy = SecurityHeaderPolicy.create({hsts: false, contentSecurityPolicy: {nonce: true}, referrerPolicy: "same-origin",
+                                                       noSniff: false, cacheControl: false});
+            assert.strictEqual(_policy.hsts, null);
+            assert.strictEqual(_policy.nonce, true);
+            assert.deepStrictEqual(_policy.directives, {"default-src": ["'none'"]});
+            assert.strictEqual(_policy.referrerPolicy, "same-origin");
+            assert.strictEqual(_policy.noSniff, false);
+            assert.strictEqual(_policy.cacheControl, null);
+            assert.throws(() => {SecurityHeaderPolicy.create("yes");});
+        });
+    });
+});
+describe("HTTPContext", () => {
+    describe("#cspNonce", () => {
+        it("Creates a nonce per request", async () => {
+            let _policy = new SecurityHeaderPolicy().setContentSecurityPolicy({"script-src": ["'self'"]}, true);
+            let _azcontext = new MockAzureFunctionContext();
+            let _context = await createContext(_policy, _azcontext);
+            let _other = await createContext(_policy, new MockAzureFunctionContext());
+            assert.strictEqual(typeof _context.cspNonce, "string");
+            assert.notStrictEqual(_context.cspNonce, _other.cspNonce);
+            assert.strictEqual(_azcontext.res.headers["Content-Security-Policy"],
+                               "script-src 'self' 'nonce-" + _context.cspNonce + "'; frame-ancestors 'none'");
+        });
+        it("Is null without a policy", async () => {
+            assert.strictEqual((await createContext(null, new MockAzureFunctionContext())).cspNonce, null);
+        });
+    });
+    describe("#sendServerError(error = null, body = null), security headers", () => {
+        it("Applies headers on error paths", async () => {
+            for(let _send of [(context) => context.sendServerError(CelastrinaError.newError("mock_error")),
+                              (context) => context.sendNotAuthorizedError(),
+                              (context) => context.sendForbiddenError()]) {
+                for(let _create of [(config) => new HTTPContext(config), (config) => new JSONHTTPContext(config)]) {
+                    let _azcontext = new MockAzureFunctionContext();
+                    let _context = await createContext(new SecurityHeaderPolicy(), _azcontext, _create);
+                    _azcontext.res.headers = {};
+                    _send(_context);
+                    assert.strictEqual(_azcontext.res.headers["X-Content-Type-Options"], "nosniff");
+                    assert.strictEqual(_azcontext.res.headers["Strict-Transport-Security"], "max-age=31536000; includeSubDomains");
+                }
+            }
+        });
+    });
+});
+describe("HTTPConfigurationParser", () => {
+    describe("#_create(_Object), securityHeaders", () => {
+        it("Creates the security header policy", async () => {
+            let _config = new Configuration("SecurityHeaderPolicyTest", "mock_property");
+            let _pm = new MockPropertyManager();
+            _pm.mockProperty("mock_property", JSON.stringify({configurations: [{
+                    _content: {type: "application/vnd.celastrinajs.config+json;HTTP"},
+                    securityHeaders: {hsts: {maxAge: 600}, permissionsPolicy: {camera: []}}}]}));
+            _config.setValue(Configuration.CONFIG_PROPERTY, _pm);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            await _config.initialize(new MockAzureFunctionContext());
+            assert.strictEqual(_addon.securityHeaders.hsts, "max-age=600; includeSubDomains");
+            assert.deepStrictEqual(_addon.securityHeaders.permissionsPolicy, {camera: []});
+        });
+    });
+});
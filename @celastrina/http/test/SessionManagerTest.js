@@ -1,6 +1,6 @@
 const {CelastrinaError, CelastrinaValidationError, LOG_LEVEL, Configuration} = require("../../core/Core");
 const {Cookie, CookieParameter, Session, SessionManager, SecureSessionManager, AESSessionManager,
-       LocalJwtIssuer, JwtAddOn
+       LocalJwtIssuer, JwtAddOn, HTTPAddOn, HTTPFunction
 } = require("../HTTP");
 const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
 const {MockHTTPContext} = require("./HTTPContextTest");
@@ -8,7 +8,7 @@ const {MockHTTPParameter} = require("./HTTPParameterMock");
 const assert = require("assert");
 const crypto = require("crypto");
 const {MockPropertyManager} = require("../../core/test/PropertyManagerTest");
-const {AES256Algorithm} = require("@celastrina/core");
+const {AES256Algorithm, AES256GCMAlgorithm, CipherEnvelope, Cryptography, Keyring} = require("@celastrina/core");
 const cookie = require("cookie");
 
 class MockSessionManager extends SessionManager {
@@ -309,6 +309,171 @@ describe("AESSessionManager", () => {
             assert.strictEqual(_context.getCookie("celastrinajs_session") == null, false, "Expected false.");
         });
     });
+    describe("#loadSession(context), aes-256-gcm", () => {
+        /**
+         * @param {string} session
+         * @return {Promise<MockHTTPContext>}
+         */
+        async function createContext(session) {
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.bindings.req.headers["cookie"] = "test=abc; celastrinajs_session=" + session;
+            let _config = new Configuration("AESSessionManagerTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            await _config.initialize(_azcontext);
+            await _config.ready();
+            let _context = new MockHTTPContext(_config);
+            await _context.initialize();
+            return _context;
+        }
+        it("Should decrypt authenticated sessions", async () => {
+            let _encookie = await new Cryptography(new AES256GCMAlgorithm("c2f9dab0ceae47d99c7bf4537fbb0c3a"))
+                                      .encrypt(JSON.stringify({keyA: "valueA"}));
+            let _sm = new AESSessionManager({algorithm: "aes-256-gcm", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a"}, new CookieParameter());
+            let _context = await createContext(_encookie);
+            await _sm.initialize(_context);
+            let _session = await _sm.loadSession(_context);
+            assert.strictEqual(_session.isNew, false);
+            assert.strictEqual(await _session.getProperty("keyA"), "valueA");
+        });
+        it("Should start a new session when the cookie was modified", async () => {
+            let _encookie = await new Cryptography(new AES256GCMAlgorithm("c2f9dab0ceae47d99c7bf4537fbb0c3a"))
+                                      .encrypt(JSON.stringify({roles: []}));
+            let _envelope = CipherEnvelope.parse(_encookie);
+            _envelope.data[_envelope.data.length - 1] ^= 0x01;
+            let _sm = new AESSessionManager({algorithm: "aes-256-gcm", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a"}, new CookieParameter());
+            let _context = await createContext(_envelope.toString());
+            await _sm.initialize(_context);
+            let _session = await _sm.loadSession(_context);
+            assert.strictEqual(_session.isNew, true);
+            assert.strictEqual(await _session.getProperty("roles"), null);
+        });
+        it("Should decrypt legacy sessions when migrating", async () => {
+            let _encookie = await new Cryptography(AES256Algorithm.create({key: "c2f9dab0ceae47d99c7bf4537fbb0c3a", iv: "1234567890123456"}))
+                                      .encrypt(JSON.stringify({keyA: "valueA"}));
+            let _sm = new AESSessionManager({algorithm: "aes-256-gcm", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a",
+                                             legacy: {key: "c2f9dab0ceae47d99c7bf4537fbb0c3a", iv: "1234567890123456"}},
+                                            new CookieParameter());
+            let _context = await createContext(encodeURIComponent(_encookie));
+            await _sm.initialize(_context);
+            assert.strictEqual(await (await _sm.loadSession(_context)).getProperty("keyA"), "valueA");
+        });
+        it("Should rewrite sessions encrypted with a retired key", async () => {
+            let _options = {keys: [{id: "a", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a"},
+                                   {id: "b", key: "d2f9dab0ceae47d99c7bf4537fbb0c3a", active: true}]};
+            let _retired = new Keyring().addKey("a", new AES256GCMAlgorithm("c2f9dab0ceae47d99c7bf4537fbb0c3a"), true);
+            await _retired.initialize();
+            let _sm = new AESSessionManager(_options, new CookieParameter());
+            let _context = await createContext(await _retired.encrypt(JSON.stringify({keyA: "valueA"})));
+            await _sm.initialize(_context);
+            let _session = await _sm.loadSession(_context);
+            assert.strictEqual(await _session.getProperty("keyA"), "valueA");
+            assert.strictEqual(_session.isNew, false);
+            assert.strictEqual(_session.doWriteSession, true);
+            _context = await createContext(await _sm.cryptography.encrypt(JSON.stringify({keyA: "valueA"})));
+            assert.strictEqual((await _sm.loadSession(_context)).doWriteSession, false);
+        });
+        it("Should reject unknown algorithms", () => {
+            assert.throws(() => {new AESSessionManager({algorithm: "des", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a"}, _mockparam);},
+                          CelastrinaValidationError);
+        });
+    });
+});
+describe("SessionManager", () => {
+    /**
+     * @return {Promise<MockHTTPContext>}
+     */
+    async function createContext() {
+        let _config = new Configuration("SessionManagerTest");
+        _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+        await _config.initialize(new MockAzureFunctionContext());
+        await _config.ready();
+        let _context = new MockHTTPContext(_config);
+        await _context.initialize();
+        return _context;
+    }
+    describe("#loadSession(context), expiry", () => {
+        it("Creates a new session after the idle or absolute timeout", async () => {
+            let _now = Date.now();
+            let _mockparam = new MockHTTPParameter().stageParameter("mock_session",
+                JSON.stringify({id: "mock-id", issued: _now - 7200000, accessed: _now - 61000, mockA: "valueA"}));
+            let _session = await new SessionManager(_mockparam, "mock_session", true, 60).loadSession(await createContext());
+            assert.strictEqual(_session.isNew, true);
+            assert.notStrictEqual(_session.id, "mock-id");
+            _session = await new SessionManager(_mockparam, "mock_session", true, 120, 3600).loadSession(await createContext());
+            assert.strictEqual(_session.isNew, true);
+            _session = await new SessionManager(_mockparam, "mock_session", true, 120).loadSession(await createContext());
+            assert.strictEqual(_session.id, "mock-id");
+            assert.strictEqual(_session.issued, _now - 7200000);
+        });
+        it("Rejects with 401 when createNew is false", async () => {
+            let _mockparam = new MockHTTPParameter().stageParameter("mock_session",
+                JSON.stringify({id: "mock-id", issued: Date.now() - 7200000}));
+            await assert.rejects(new SessionManager(_mockparam, "mock_session", false, null, 3600).loadSession(await createContext()),
+                                 (error) => error.code === 401);
+        });
+        it("Writes the access time at most once per resolution", async () => {
+            let _now = Date.now();
+            let _mockparam = new MockHTTPParameter().stageParameter("mock_session",
+                JSON.stringify({id: "mock-id", issued: _now - 120000, accessed: _now - 1000}));
+            let _sm = new SessionManager(_mockparam, "mock_session", true, 1800);
+            let _session = await _sm.loadSession(await createContext());
+            assert.strictEqual(_session.doWriteSession, false);
+            assert.strictEqual(_session.accessed >= _now, true);
+            _mockparam.stageParameter("mock_session", JSON.stringify({id: "mock-id", issued: _now - 120000, accessed: _now - 61000}));
+            assert.strictEqual((await _sm.loadSession(await createContext())).doWriteSession, true);
+        });
+        it("Fails on invalid timeouts", () => {
+            assert.throws(() => {new SessionManager(new MockHTTPParameter(), "mock_session", true, 0);}, CelastrinaValidationError);
+            assert.throws(() => {new SessionManager(new MockHTTPParameter(), "mock_session", true, 600, 60);}, CelastrinaValidationError);
+        });
+    });
+    describe("#regenerate(session)", () => {
+        it("Rotates the id and keeps the values", async () => {
+            let _sm = new SessionManager(new MockHTTPParameter(), "mock_session");
+            let _session = Session.load({id: "mock-id", issued: 1000, mockA: "valueA"});
+            await _sm.regenerate(_session);
+            assert.notStrictEqual(_session.id, "mock-id");
+            assert.strictEqual(_session.previousId, "mock-id");
+            assert.strictEqual(_session.issued, 1000);
+            assert.strictEqual(await _session.getProperty("mockA"), "valueA");
+            assert.strictEqual(_session.doWriteSession, true);
+        });
+        it("Re-encrypts the rotated session", async () => {
+            let _sm = new AESSessionManager({algorithm: "aes-256-gcm", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a"}, new CookieParameter());
+            let _context = await createContext();
+            let _session = Session.load({id: "mock-id", roles: []});
+            await _sm.regenerate(_session);
+            await _session.setProperty("roles", ["admin"]);
+            await _sm.saveSession(_session, _context);
+            let _values = JSON.parse(await _sm.cryptography.decrypt(_context.getCookie("celastrinajs_session").value));
+            assert.strictEqual(_values.id, _session.id);
+            assert.deepStrictEqual(_values.roles, ["admin"]);
+        });
+    });
+});
+describe("HTTPFunction", () => {
+    describe("#execute(azcontext), session expiry", () => {
+        it("Responds 401 for expired sessions when createNew is false", async () => {
+            let _sm = new AESSessionManager({algorithm: "aes-256-gcm", key: "c2f9dab0ceae47d99c7bf4537fbb0c3a"}, new CookieParameter(),
+                                            "celastrinajs_session", false, 60);
+            let _expired = await _sm.cryptography.encrypt(JSON.stringify({id: "mock-id", accessed: Date.now() - 120000}));
+            let _config = new Configuration("SessionManagerTest");
+            _config.setValue(Configuration.CONFIG_PROPERTY, new MockPropertyManager());
+            _config.setAuthorizationOptimistic(true);
+            let _addon = new HTTPAddOn();
+            _config.addOn(_addon);
+            _addon.setSessionManager(_sm);
+            let _invoked = false;
+            let _function = new (class extends HTTPFunction {
+                async _get(context) {_invoked = true; context.send("mock");}
+            })(_config);
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.req.headers["cookie"] = "celastrinajs_session=" + _expired;
+            await _function.execute(_azcontext);
+            assert.strictEqual(_azcontext.res.status, 401);
+            assert.strictEqual(_invoked, false);
+        });
+    });
 });
 
 module.exports = {
@@ -0,0 +1,282 @@
+const {ResourceManager, ManagedIdentityResource} = require("../../core/Core");
+const {SessionStore, InMemorySessionStore, FileSessionStore, BlobSessionStore, StoreSessionManager,
+       StoreSessionManagerParser, CookieParameter, HeaderParameter} = require("../HTTP");
+const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
+const {createHTTPContext} = require("../../test/HTTPContextMock");
+const {MockResourceAuthorization} = require("../../core/test/ResourceAuthorizationTest");
+const MockAdapter = require("axios-mock-adapter");
+const assert = require("assert");
+const axios = require("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SECRET = "c2f9dab0ceae47d99c7bf4537fbb0c3a";
+
+/**
+ * @param {StoreSessionManager} sm
+ * @param {MockAzureFunctionContext} azcontext
+ * @return {Promise<HTTPContext>}
+ */
+async function createContext(sm, azcontext) {
+    return createHTTPContext("StoreSessionManagerTest", azcontext, (addon) => addon.setSessionManager(sm));
+}
+/**
+ * @param {StoreSessionManager} sm
+ * @param {(null|string)} [cookie=null]
+ * @param {function(HTTPContext): Promise<void>} [handler]
+ * @return {Promise<{context: HTTPContext, azcontext: MockAzureFunctionContext, cookie: (undefined|string)}>}
+ */
+async function request(sm, cookie = null, handler = async (context) => {}) {
+    let _azcontext = new MockAzureFunctionContext();
+    if(cookie != null) _azcontext.req.headers["cookie"] = "celastrinajs_session=" + cookie;
+    let _context = await createContext(sm, _azcontext);
+    await handler(_context);
+    await _context.terminate();
+    let _cookie = undefined;
+    if(Array.isArray(_azcontext.res.cookies)) _cookie = _azcontext.res.cookies.find((_c) => _c.name === "celastrinajs_session");
+    return {context: _context, azcontext: _azcontext, cookie: (_cookie == null) ? undefined : _cookie.value};
+}
+/**
+ * @param {HTTPContext} context
+ * @return {Promise<void>}
+ */
+async function visit(context) {await context.session.setProperty("visited", true);}
+
+describe("StoreSessionManager", () => {
+    describe("#constructor(store, secret, parameter, name, createNew, idle, absolute, ownerProperty)", () => {
+        it("Validates the arguments", () => {
+            let _param = new CookieParameter();
+            assert.throws(() => {new StoreSessionManager({}, SECRET, _param);});
+            assert.throws(() => {new StoreSessionManager(new InMemorySessionStore(), "short", _param);});
+            assert.throws(() => {new StoreSessionManager(new InMemorySessionStore(), SECRET, _param, undefined, true, 0);});
+            assert.throws(() => {new StoreSessionManager(new InMemorySessionStore(), SECRET, _param, undefined, true, 600, 60);});
+        });
+    });
+    describe("#verify(value)", () => {
+        it("Accepts only signed ids", () => {
+            let _sm = new StoreSessionManager(new InMemorySessionStore(), SECRET, new CookieParameter());
+            let _signed = _sm.sign("mock-id");
+            assert.strictEqual(_sm.verify(_signed), "mock-id");
+            assert.strictEqual(_sm.verify("other-id" + _signed.substring(7)), null);
+            assert.strictEqual(_sm.verify("mock-id"), null);
+            assert.strictEqual(new StoreSessionManager(new InMemorySessionStore(), "another-secret-value", new CookieParameter())
+                                   .verify(_signed), null);
+        });
+    });
+    describe("#saveSession(session, context)", () => {
+        it("Stores values and sends only the signed id", async () => {
+            let _store = new InMemorySessionStore();
+            let _sm = new StoreSessionManager(_store, SECRET, new CookieParameter());
+            let _first = await request(_sm, null, async (context) => {await context.session.setProperty("cart", [1, 2]);});
+            let _id = _first.context.session.id;
+            assert.strictEqual(_first.cookie, _sm.sign(_id));
+            assert.strictEqual(_first.cookie.includes("cart"), false);
+            assert.deepStrictEqual((await _store.get("session:" + _id)).values.cart, [1, 2]);
+            let _second = await request(_sm, _first.cookie, async (context) => {await context.session.setProperty("step", 2);});
+            assert.strictEqual(_second.context.session.id, _id);
+            assert.strictEqual(_second.cookie, undefined);
+            assert.strictEqual((await _store.get("session:" + _id)).values.step, 2);
+        });
+        it("Does not store new sessions without values", async () => {
+            let _store = new InMemorySessionStore();
+            let _sm = new StoreSessionManager(_store, SECRET, new CookieParameter());
+            let _first = await request(_sm);
+            assert.strictEqual(_first.cookie, undefined);
+            assert.strictEqual(_store.records.size, 0);
+        });
+        it("Stores the expiry of the session", async () => {
+            let _store = new InMemorySessionStore();
+            let _sm = new StoreSessionManager(_store, SECRET, new CookieParameter(), undefined, true, 60, 120);
+            let _session = (await request(_sm, null, visit)).context.session;
+            assert.strictEqual((await _store.get("session:" + _session.id)).expires, _session.accessed + 60000);
+            await _sm.invalidateAll("mock-user");
+            assert.strictEqual((await _store.get("owner:mock-user")).expires,
+                               (await _store.get("owner:mock-user")).revoked + 120000);
+        });
+    });
+    describe("#loadSession(context)", () => {
+        it("Creates a new session for tampered ids", async () => {
+            let _sm = new StoreSessionManager(new InMemorySessionStore(), SECRET, new CookieParameter());
+            let _first = await request(_sm, null, visit);
+            let _second = await request(_sm, _first.cookie.replace(/.$/, (_c) => (_c === "A") ? "B" : "A"));
+            assert.notStrictEqual(_second.context.session.id, _first.context.session.id);
+            assert.strictEqual(_second.context.session.isNew, true);
+        });
+        it("Expires idle and absolute sessions", async () => {
+            let _store = new InMemorySessionStore();
+            let _sm = new StoreSessionManager(_store, SECRET, new CookieParameter(), undefined, true, 60, 120);
+            let _first = await request(_sm, null, visit);
+            let _key = "session:" + _first.context.session.id;
+            let _record = await _store.get(_key);
+            _record.values.accessed -= 61000;
+            await _store.put(_key, _record);
+            assert.strictEqual((await request(_sm, _first.cookie)).context.session.isNew, true);
+            assert.strictEqual(await _store.get(_key), null);
+            let _second = await request(_sm, null, visit);
+            _key = "session:" + _second.context.session.id;
+            _record = await _store.get(_key);
+            _record.values.issued -= 121000;
+            _record.values.accessed = Date.now();
+            await _store.put(_key, _record);
+            assert.strictEqual((await request(_sm, _second.cookie)).context.session.isNew, true);
+        });
+        it("Returns null when createNew is false", async () => {
+            let _sm = new StoreSessionManager(new InMemorySessionStore(), SECRET, new CookieParameter(), undefined, false);
+            assert.strictEqual((await request(_sm, _sm.sign("unknown"))).context.session, null);
+        });
+    });
+    describe("#regenerate(session)", () => {
+        it("Moves the record to a new signed id", async () => {
+            let _store = new InMemorySessionStore();
+            let _sm = new StoreSessionManager(_store, SECRET, new CookieParameter());
+            let _first = await request(_sm, null, visit);
+            let _id = _first.context.session.id;
+            let _signin = await request(_sm, _first.cookie, async (context) => {
+                await context.regenerateSession();
+                await context.session.setProperty("owner", "mock-user");
+            });
+            assert.notStrictEqual(_signin.context.session.id, _id);
+            assert.strictEqual(_signin.cookie, _sm.sign(_signin.context.session.id));
+            assert.strictEqual(await _store.get("session:" + _id), null);
+            assert.strictEqual((await _store.get("session:" + _signin.context.session.id)).owner, "mock-user");
+            assert.strictEqual((await request(_sm, _first.cookie)).context.session.isNew, true);
+        });
+    });
+    describe("#invalidate(session)", () => {
+        it("Signs the session out", async () => {
+            let _sm = new StoreSessionManager(new InMemorySessionStore(), SECRET, new CookieParameter());
+            let _first = await request(_sm, null, visit);
+            await request(_sm, _first.cookie, async (context) => {
+                await context.session.setProperty("mock", true);
+                await _sm.invalidate(context.session);
+            });
+            let _next = await request(_sm, _first.cookie);
+            assert.strictEqual(_next.context.session.isNew, true);
+        });
+    });
+    describe("#invalidateAll(owner)", () => {
+        it("Signs the owner out everywhere", async () => {
+            let _sm = new StoreSessionManager(new InMemorySessionStore(), SECRET, new CookieParameter());
+            let _signin = async (context) => {await context.session.setProperty("owner", "mock-user");};
+            let _a = await request(_sm, null, _signin);
+            let _b = await request(_sm, null, _signin);
+            let _other = await request(_sm, null, async (context) => {await context.session.setProperty("owner", "other-user");});
+            await _sm.invalidateAll("mock-user");
+            assert.strictEqual((await request(_sm, _a.cookie)).context.session.isNew, true);
+            assert.strictEqual((await request(_sm, _b.cookie)).context.session.isNew, true);
+            assert.strictEqual((await request(_sm, _other.cookie)).context.session.id, _other.context.session.id);
+            await assert.rejects(_sm.invalidateAll(""));
+        });
+    });
+});
+describe("SessionStore", () => {
+    describe("#create(_Store)", () => {
+        it("Creates from boolean or object", () => {
+            assert.strictEqual(SessionStore.create(true) instanceof InMemorySessionStore, true);
+            assert.strictEqual(SessionStore.create({directory: "/tmp/sessions"}).directory, "/tmp/sessions");
+            assert.strictEqual(SessionStore.create({blob: {storage: "mockstorage", container: "mock"}}) instanceof BlobSessionStore, true);
+            assert.strictEqual(SessionStore.create({sweep: 60}).sweepInterval, 60);
+            assert.throws(() => {SessionStore.create("memory");});
+            assert.throws(() => {SessionStore.create({sweep: -1});});
+        });
+    });
+});
+describe("InMemorySessionStore", () => {
+    it("Removes expired records", async () => {
+        let _store = new InMemorySessionStore(0);
+        await _store.put("session:expired", {values: {}, expires: Date.now() - 1000});
+        await _store.put("session:valid", {values: {}, expires: Date.now() + 60000});
+        assert.strictEqual(_store.records.has("session:expired"), false);
+        assert.notStrictEqual(await _store.get("session:valid"), null);
+        _store = new InMemorySessionStore();
+        await _store.put("session:expired", {values: {}, expires: Date.now() - 1000});
+        assert.strictEqual(_store.records.has("session:expired"), true);
+        assert.strictEqual(await _store.get("session:expired"), null);
+        assert.strictEqual(_store.records.has("session:expired"), false);
+    });
+});
+describe("FileSessionStore", () => {
+    it("Gets, puts and deletes records", async () => {
+        let _directory = fs.mkdtempSync(path.join(os.tmpdir(), "celastrinajs-sessions-"));
+        try {
+            let _store = new FileSessionStore(path.join(_directory, "store"));
+            await _store.initialize(new MockAzureFunctionContext(), null, null);
+            assert.strictEqual(await _store.get("session:mock"), null);
+            await _store.put("session:mock", {values: {mock: true}});
+            assert.deepStrictEqual(await _store.get("session:mock"), {values: {mock: true}});
+            await _store.delete("session:mock");
+            await _store.delete("session:mock");
+            assert.strictEqual(await _store.get("session:mock"), null);
+        }
+        finally {
+            fs.rmdirSync(_directory, {recursive: true});
+        }
+    });
+    it("Removes expired records", async () => {
+        let _directory = fs.mkdtempSync(path.join(os.tmpdir(), "celastrinajs-sessions-"));
+        try {
+            let _store = new FileSessionStore(_directory, 0);
+            await _store.put("session:valid", {values: {}, expires: Date.now() + 60000});
+            await _store.put("session:expired", {values: {}, expires: Date.now() - 1000});
+            assert.strictEqual(fs.existsSync(_store.getFile("session:expired")), false);
+            assert.strictEqual(fs.existsSync(_store.getFile("session:valid")), true);
+            fs.writeFileSync(_store.getFile("session:stale"), JSON.stringify({values: {}, expires: Date.now() - 1000}));
+            assert.strictEqual(await _store.get("session:stale"), null);
+            assert.strictEqual(fs.existsSync(_store.getFile("session:stale")), false);
+        }
+        finally {
+            fs.rmdirSync(_directory, {recursive: true});
+        }
+    });
+});
+describe("BlobSessionStore", () => {
+    it("Gets, puts and deletes records", async () => {
+        let _auth = new MockResourceAuthorization(ManagedIdentityResource.SYSTEM_MANAGED_IDENTITY);
+        _auth.mockToken("https://storage.azure.com/");
+        let _rm = new ResourceManager();
+        await _rm.addResource(_auth);
+        let _store = new BlobSessionStore("mockstorage", "mockcontainer", "/sessions/");
+        await _store.initialize(new MockAzureFunctionContext(), null, _rm);
+        let _endpoint = _store.getEndpoint("session:mock");
+        assert.match(_endpoint, /^https:\/\/mockstorage\.blob\.core\.windows\.net\/mockcontainer\/sessions\/[0-9a-f]{64}\.json$/);
+        let _mock = new MockAdapter(axios);
+        try {
+            _mock.onPut(_endpoint).replyOnce((config) => {
+                assert.strictEqual(config.headers["Authorization"], "Bearer mock-token-https://storage.azure.com/");
+                assert.strictEqual(config.headers["x-ms-blob-type"], "BlockBlob");
+                return [201];
+            }).onGet(_endpoint).replyOnce(200, {values: {}}).onGet(_endpoint).replyOnce(404)
+              .onGet(_endpoint).replyOnce(200, {values: {}, expires: Date.now() - 1000}).onDelete(_endpoint).reply(404);
+            await _store.put("session:mock", {values: {}});
+            assert.deepStrictEqual(await _store.get("session:mock"), {values: {}});
+            assert.strictEqual(await _store.get("session:mock"), null);
+            assert.strictEqual(await _store.get("session:mock"), null);
+            assert.strictEqual(_mock.history.delete.length, 1);
+            await _store.delete("session:mock");
+        }
+        finally {
+            _mock.restore();
+        }
+    });
+});
+describe("StoreSessionManagerParser", () => {
+    describe("#_create(_StoreSessionManager)", () => {
+        it("Creates the session manager", async () => {
+            let _parser = new StoreSessionManagerParser();
+            /**@type{StoreSessionManager}*/let _sm = await _parser._create({
+                _content: {type: "application/vnd.celastrinajs.attribute+json;StoreSessionManager"},
+                parameter: "header", name: "x-session", secret: SECRET, idle: 600, absolute: 3600,
+                store: {directory: "/tmp/sessions"}});
+            assert.strictEqual(_sm.parameter instanceof HeaderParameter, true);
+            assert.strictEqual(_sm.name, "x-session");
+            assert.strictEqual(_sm.idle, 600);
+            assert.strictEqual(_sm.absolute, 3600);
+            assert.strictEqual(_sm.store instanceof FileSessionStore, true);
+            assert.strictEqual((await _parser._create({secret: SECRET})).store instanceof InMemorySessionStore, true);
+        });
+        it("Requires a secret", async () => {
+            await assert.rejects(new StoreSessionManagerParser()._create({parameter: "cookie"}));
+        });
+    });
+});
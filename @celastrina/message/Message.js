@@ -31,7 +31,7 @@
 const moment = require("moment");
 const { v4: uuidv4 } = require('uuid');
 const {CelastrinaError, CelastrinaValidationError, LOG_LEVEL, Configuration,
-      BaseContext, BaseFunction} = require("@celastrina/core");
+      Context, BaseFunction, TraceContext} = require("@celastrina/core");
 
 /**
  * @typedef {_AzureFunctionContext} _AzureMessageContext
@@ -61,20 +61,24 @@ class Header {
      * @param {null|moment.Moment} [expires=null]
      * @param {string} [messageId=uuidv4()]
      * @param {string} [traceId=uuidv4()]
+     * @param {(null|TraceContext)} [trace=null] The trace context of the publisher, overrides traceId.
      */
     constructor(resource = null, action = null, source = null, environment = MESSAGE_ENVIRONMENT.PRODUCTION,
-                published = moment(), expires = null, messageId = uuidv4(), traceId = uuidv4()) {
+                published = moment(), expires = null, messageId = uuidv4(), traceId = uuidv4(), trace = null) {
         /**@type{string}*/this._resource = resource;
         /**@type{string}*/this._action = action;
         /**@type{string}*/this._source = source;
         /**@type{moment.Moment}*/this._published = published;
         /**@type{string}*/this._messageId = messageId;
         /**@type{string}*/this._traceId = traceId;
+        /**@type{(null|string)}*/this._traceparent = null;
+        /**@type{(null|string)}*/this._tracestate = null;
         /**@type{number}*/this._environment = environment;
         if(expires == null)
             /**@type{moment.Moment}*/this._expires = moment(published).add(1, "year");
         else
             /**@type{moment.Moment}*/this._expires = expires;
+        if(trace != null) this.setTrace(trace);
     }
     /**@returns{string}*/get resource() {return this._resource;}
     /**@returns{string}*/get action() {return this._action;}
@@ -83,8 +87,28 @@ class Header {
     /**@type{moment.Moment}*/get expires() {return this._expires;}
     /**@returns{string}*/get messageId() {return this._messageId}
     /**@returns{string}*/get traceId() {return this._traceId}
+    /**@returns{(null|string)}*/get traceparent() {return this._traceparent;}
+    /**@returns{(null|string)}*/get tracestate() {return this._tracestate;}
     /**@type{number}*/get environment() {return this._environment;}
     /**@type{boolean}*/get isExpired() {return moment().isSameOrAfter(this._expires);}
+    /**
+     * @description Stamps the W3C trace context of the publisher so consumers can continue the trace.
+     * @param {TraceContext} trace
+     * @returns {Header}
+     */
+    setTrace(trace) {
+        this._traceId = trace.traceId;
+        this._traceparent = trace.traceparent;
+        this._tracestate = trace.tracestate;
+        return this;
+    }
+    /**
+     * @description The W3C trace context of the publisher.
+     * @returns {(null|TraceContext)} The trace context, or null if the publisher did not stamp a valid one.
+     */
+    getTrace() {
+        return TraceContext.parse(this._traceparent, this._tracestate);
+    }
     /**
      * @param {Object} _oheader
      * @returns {Header}
@@ -176,21 +200,52 @@ class Message {
 }
 /**
  * MessageContext
- * @extends {BaseContext}
+ * @extends {Context}
  * @author Robert R Murrell
  */
-class MessageContext extends BaseContext {
+class MessageContext extends Context {
     /**
-     * @param {Object} azcontext
      * @param {Configuration} config
      */
-    constructor(azcontext, config) {
-        super(azcontext, config);
+    constructor(config) {
+        super(config);
         /**@type{null|Message}*/this._message = null;
     }
-    /**@returns{string}*/get raw() {return this._funccontext.message;}
+    /**@returns{*}*/get raw() {return this.getBinding("message");}
     /**@returns{null|Message}*/get message() {return this._message;}
     /**@param{Message}message*/set message(message) {this._message = message;}
+    /**
+     * @description Continues the trace of the publisher stamped in the message header, or starts one from the Azure
+     *              trace context.
+     * @returns {Promise<TraceContext>}
+     * @protected
+     */
+    async _createTraceContext() {
+        let _trace = null;
+        try {
+            let _message = (typeof this.raw === "string") ? JSON.parse(this.raw) : this.raw;
+            if(typeof _message === "object" && _message != null && typeof _message._header === "object" &&
+                    _message._header != null)
+                _trace = TraceContext.parse(_message._header._traceparent, _message._header._tracestate);
+        }
+        catch(exception) {
+            // Unreadable messages are dropped as poison messages by MessageFunction.process.
+        }
+        if(_trace == null) _trace = await super._createTraceContext();
+        return _trace;
+    }
+    /**
+     * @description Sets an outbound message to a binding, stamping the trace of this invocation on its header unless
+     *              the header already carries one.
+     * @param {string} name
+     * @param {Message} message
+     * @returns {Promise<void>}
+     */
+    async setMessageBinding(name, message) {
+        if(message != null && message.header != null && message.header.traceparent == null && this.trace != null)
+            message.header.setTrace(this.trace);
+        this.setBinding(name, await Message.marshall(message));
+    }
 }
 /**
  * MessageFunction
@@ -202,14 +257,11 @@ class MessageFunction extends BaseFunction {
     /**@param {Configuration} configuration*/
     constructor(configuration) {super(configuration);}
     /**
-     * @param {_AzureMessageContext} azcontext
      * @param {Configuration} config
      * @returns {Promise<MessageContext>}
      */
-    async createContext(azcontext, config) {
-        return new Promise((resolve, reject) => {
-            resolve(new MessageContext(azcontext, config));
-        });
+    async createContext(config) {
+        return new MessageContext(config);
     }
     /**
      * @param {MessageContext} context
@@ -218,7 +270,7 @@ class MessageFunction extends BaseFunction {
      */
     async _onMonitor(context) {
         return new Promise((resolve, reject) => {
-            context.log("Not implemented.", LOG_LEVEL.LEVEL_VERBOSE, "MessageFunction._onMessage(context)");
+            context.log("Not implemented.", LOG_LEVEL.VERBOSE, "MessageFunction._onMessage(context)");
             resolve();
         });
     }
@@ -229,7 +281,7 @@ class MessageFunction extends BaseFunction {
      */
     async _onMessage(context) {
         return new Promise((resolve, reject) => {
-            context.log("Not implemented.", LOG_LEVEL.LEVEL_VERBOSE, "MessageFunction._onMessage(context)");
+            context.log("Not implemented.", LOG_LEVEL.VERBOSE, "MessageFunction._onMessage(context)");
             reject(CelastrinaError.newError("Not Implemented.", 501));
         });
     }
@@ -241,27 +293,27 @@ class MessageFunction extends BaseFunction {
      */
     async _onPoisonMessage(context) {
         return new Promise((resolve, reject) => {
-            context.log("Dropping poison message: " + context.raw +"'. Override this method to take different action", LOG_LEVEL.LEVEL_WARN, "MessageFunction._onMessage(context)");
+            context.log("Dropping poison message: " + context.raw +"'. Override this method to take different action", LOG_LEVEL.WARN, "MessageFunction._onMessage(context)");
             context.done();
             resolve();
         });
     }
     /**
-     * @param {BaseContext | MessageContext} context
+     * @param {MessageContext} context
      * @returns {Promise<void>}
      */
     async process(context) {
         return new Promise((resolve, reject) => {
-            Message.unmarshall(context.getBinding("message"))
+            Message.unmarshall(context.raw)
                 .then((message) => {
                     context.message = message;
                     /**@type{Promise<void>}*/let promise;
                     if(context.message.header.isExpired) {
-                        context.log("Message '" + context.message.header.messageId + "' is expired.", LOG_LEVEL.LEVEL_WARN, "MessageFunction.process(context)");
+                        context.log("Message '" + context.message.header.messageId + "' is expired.", LOG_LEVEL.WARN, "MessageFunction.process(context)");
                         promise = this._onPoisonMessage(context);
                     }
                     else if (context.message.header.environment === MESSAGE_ENVIRONMENT.MONITOR) {
-                        context.log("Message '" + context.message.header.messageId + "' is a monitor message.", LOG_LEVEL.LEVEL_INFO, "MessageFunction.process(context)");
+                        context.log("Message '" + context.message.header.messageId + "' is a monitor message.", LOG_LEVEL.INFO, "MessageFunction.process(context)");
                         promise = this._onMonitor(context);
                     }
                     else promise = this._onMessage(context);
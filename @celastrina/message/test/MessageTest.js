@@ -30,11 +30,12 @@
 
 "use strict";
 
-const {CelastrinaError, CelastrinaValidationError} = require("@celastrina/core");
-const {Header, Message} = require("../Message");
+const {CelastrinaError, CelastrinaValidationError, Configuration, TraceContext} = require("@celastrina/core");
+const {Header, Message, MessageContext, MessageFunction} = require("../Message");
 const {MockAzureFunctionContext} = require("../../test/AzureFunctionContextMock");
 const assert = require("assert");
 
+const MOCK_TRACEPARENT = "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01";
 const MessageSameple = "{\"_header\":{\"_resource\":\"robert\",\"_action\":\"update\",\"_source\":\"https://function.com\",\"_published\":\"2021-03-06T21:57:20.176Z\",\"_messageId\":\"b78b5241-99ac-4565-936d-494803fa3f33\",\"_traceId\":\"f33f107d-ec63-4a45-8ba4-1fa7328f9c9d\",\"_environment\":2,\"_expires\":\"2022-03-06T21:57:20.176Z\",\"_object\":{\"_mime\":\"application/json; com.celastrinajs.message.header\"}},\"_payload\":{\"test\":\"value\"},\"_object\":{\"_mime\":\"application/json; com.celastrinajs.message\"}}";
 
 describe("Message", () => {
@@ -50,3 +51,87 @@ describe("Message", () => {
         });
     });
 });
+describe("Header", () => {
+    describe("#getTrace()", () => {
+        it("should continue the trace stamped by the publisher.", async () => {
+            let _header = new Header("robert", "update", "https://function.com");
+            _header.setTrace(TraceContext.parse(MOCK_TRACEPARENT, "mock=state"));
+            let _message = await Message.unmarshall(await Message.marshall(new Message(_header, {test: "value"})));
+            let _trace = _message.header.getTrace();
+            assert.strictEqual(_trace.traceparent, MOCK_TRACEPARENT);
+            assert.strictEqual(_trace.tracestate, "mock=state");
+            assert.strictEqual((await Message.unmarshall(MessageSameple)).header.getTrace(), null);
+        });
+    });
+});
+/**
+ * @param {*} message The message binding.
+ * @return {Promise<MessageContext>}
+ */
+async function createContext(message) {
+    let _azcontext = new MockAzureFunctionContext();
+    _azcontext.bindings.message = message;
+    let _config = new Configuration("MessageTest");
+    await _config.initialize(_azcontext);
+    await _config.ready();
+    let _context = new MessageContext(_config);
+    await _context.initialize();
+    return _context;
+}
+class MockMessageFunction extends MessageFunction {
+    async _onMessage(context) {
+        await context.setMessageBinding("outbound", new Message(new Header("robert", "notify", "https://function.com"),
+                                                                context.message.payload));
+    }
+}
+
+describe("MessageContext", () => {
+    describe("#_createTraceContext()", () => {
+        it("should continue the trace from the message header.", async () => {
+            let _header = new Header("robert", "update", "https://function.com");
+            _header.setTrace(TraceContext.parse(MOCK_TRACEPARENT));
+            let _context = await createContext(await Message.marshall(new Message(_header, {test: "value"})));
+            assert.strictEqual(_context.trace.traceparent, MOCK_TRACEPARENT);
+        });
+        it("should continue the Azure trace without a trace in the message header.", async () => {
+            let _context = await createContext(MessageSameple);
+            assert.strictEqual(_context.trace.traceparent, "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01");
+            _context = await createContext("{not json");
+            assert.strictEqual(_context.trace.traceparent, "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01");
+        });
+    });
+    describe("#setMessageBinding(name, message)", () => {
+        it("should stamp the trace of the invocation on outbound messages.", async () => {
+            let _context = await createContext(MessageSameple);
+            await _context.setMessageBinding("outbound", new Message(new Header("robert", "update"), {test: "value"}));
+            let _message = await Message.unmarshall(_context.getBinding("outbound"));
+            assert.strictEqual(_message.header.traceparent, _context.trace.traceparent);
+            assert.strictEqual(_message.header.traceId, _context.traceId);
+        });
+        it("should keep the trace already stamped on outbound messages.", async () => {
+            let _context = await createContext(MessageSameple);
+            let _header = new Header("robert", "update", null, undefined, undefined, null, undefined, undefined,
+                                     TraceContext.parse(MOCK_TRACEPARENT));
+            await _context.setMessageBinding("outbound", new Message(_header, {test: "value"}));
+            let _message = await Message.unmarshall(_context.getBinding("outbound"));
+            assert.strictEqual(_message.header.traceparent, MOCK_TRACEPARENT);
+        });
+    });
+});
+describe("MessageFunction", () => {
+    describe("#execute(azcontext)", () => {
+        it("should continue the trace of the inbound message on outbound messages.", async () => {
+            let _header = new Header("robert", "update", "https://function.com");
+            _header.setTrace(TraceContext.parse(MOCK_TRACEPARENT));
+            let _azcontext = new MockAzureFunctionContext();
+            _azcontext.bindings.message = await Message.marshall(new Message(_header, {test: "value"}));
+            let _config = new Configuration("MessageTest");
+            _config.setAuthorizationOptimistic(true);
+            await new MockMessageFunction(_config).execute(_azcontext);
+            let _message = await Message.unmarshall(_azcontext.bindings.outbound);
+            assert.deepStrictEqual(_message.payload, {test: "value"});
+            assert.strictEqual(_message.header.getTrace().traceId, "0af7651916cd43dd8448eb211c80319c");
+            assert.notStrictEqual(_message.header.traceparent, MOCK_TRACEPARENT);
+        });
+    });
+});
@@ -61,7 +61,7 @@ class MockAzureFunctionContext {
                              mockBindingTwo: {key: "mock_key", value: "mock_value"}};
         this.bindingData  = {invocationId: "mock_invocation_id"};
         this.invocationId = this.bindingData.invocationId;
-        this.traceContext = {traceparent: "mock_trace_id"};
+        this.traceContext = {traceparent: "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01", tracestate: "mock=state"};
         this.log = {
             message: null,
             invoked: null,
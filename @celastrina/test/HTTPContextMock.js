@@ -0,0 +1,61 @@
+/*
+ * Copyright (c) 2020, Robert R Murrell.
+ *
+ * MIT License
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @author Robert R Murrell
+ * @copyright Robert R Murrell
+ * @license MIT
+ */
+
+"use strict";
+
+const {Configuration} = require("../core/Core");
+const {HTTPAddOn, HTTPContext} = require("../http/HTTP");
+
+/**
+ * Creates and initializes an HTTP context for a mock request, as HTTPFunction does before invoking a handler.
+ * @param {string} name The name of the configuration.
+ * @param {MockAzureFunctionContext} azcontext
+ * @param {(null|function(HTTPAddOn))} [setup=null] Configures an HTTPAddOn added to the configuration. No add-on is
+ *                                                  added if null.
+ * @param {function(Configuration): HTTPContext} [create]
+ * @return {Promise<HTTPContext>}
+ */
+async function createHTTPContext(name, azcontext, setup = null, create = (config) => new HTTPContext(config)) {
+    let _config = new Configuration(name);
+    if(setup != null) {
+        let _addon = new HTTPAddOn();
+        _config.addOn(_addon);
+        setup(_addon);
+    }
+    await _config.initialize(azcontext);
+    await _config.ready();
+    let _context = create(_config);
+    await _context.initialize();
+    return _context;
+}
+
+module.exports = {
+    createHTTPContext: createHTTPContext
+};